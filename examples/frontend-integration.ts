@@ -21,6 +21,15 @@ class RektAPIService {
     return response.json();
   }
 
+  // interval: '1m' | '5m' | '1h' | '1d'; from/to are epoch ms
+  async getCandles(symbol: string, interval: string, from?: number, to?: number) {
+    const params = new URLSearchParams({ interval });
+    if (from) params.set('from', String(from));
+    if (to) params.set('to', String(to));
+    const response = await fetch(`${this.baseUrl}/api/markets/${symbol}/candles?${params}`);
+    return response.json();
+  }
+
   async getUserPositions(wallet: string) {
     const response = await fetch(`${this.baseUrl}/api/v1/markets/positions/${wallet}`);
     return response.json();
@@ -38,8 +47,12 @@ class RektAPIService {
   }
 
   // WebSocket Methods
-  connectWebSocket(onMessage: (data: any) => void) {
-    this.ws = new WebSocket(`ws://localhost:3001`);
+  // Pass the session token from /api/auth/verify to use the positions,
+  // orders, trades, alerts and feed channels; price and candle channels are public
+  connectWebSocket(onMessage: (data: any) => void, sessionToken?: string) {
+    const query = sessionToken ? `?token=${encodeURIComponent(sessionToken)}` : '';
+    this.ws = new WebSocket(`ws://localhost:3001/ws${query}`);
+    let lastSeq = 0;
     
     this.ws.onopen = () => {
       console.log('Connected to WebSocket');
@@ -47,6 +60,13 @@ class RektAPIService {
 
     this.ws.onmessage = (event) => {
       const data = JSON.parse(event.data);
+      // Channel messages carry a per-connection sequence number
+      if (data.seq !== undefined) {
+        if (data.seq !== lastSeq + 1) {
+          console.warn(`Missed ${data.seq - lastSeq - 1} messages, refetch state`);
+        }
+        lastSeq = data.seq;
+      }
       onMessage(data);
     };
 
@@ -59,24 +79,42 @@ class RektAPIService {
     };
   }
 
-  subscribeToPriceUpdates(symbol: string) {
+  // Channels: 'prices', 'prices:SOL-PERP', 'candles:SOL-PERP:1m',
+  // 'positions', 'orders', 'trades', 'alerts', 'feed'
+  // 'alerts' carries margin_warning and liquidation_risk events, and
+  // session_reminder if the user set a session reminder
+  // 'feed' carries feed_item events for traders you follow
+  // 'trades' also carries copy_opened, copy_closed and copy_skipped for copy trading
+  // and tx_status as submitted transactions confirm, fail or expire
+  subscribe(channels: string[]) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({
-        type: 'subscribe',
-        data: { channel: 'price', symbol }
-      }));
+      this.ws.send(JSON.stringify({ type: 'subscribe', channels }));
     }
   }
 
-  unsubscribeFromPriceUpdates(symbol: string) {
+  unsubscribe(channels: string[]) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({
-        type: 'unsubscribe',
-        data: { channel: 'price', symbol }
-      }));
+      this.ws.send(JSON.stringify({ type: 'unsubscribe', channels }));
     }
   }
 
+  subscribeToPriceUpdates(symbol: string) {
+    this.subscribe([`prices:${symbol}`]);
+  }
+
+  unsubscribeFromPriceUpdates(symbol: string) {
+    this.unsubscribe([`prices:${symbol}`]);
+  }
+
+  // Streams { type: 'candle', channel, seq, data } for the in-progress bar
+  subscribeToCandles(symbol: string, interval: string) {
+    this.subscribe([`candles:${symbol}:${interval}`]);
+  }
+
+  unsubscribeFromCandles(symbol: string, interval: string) {
+    this.unsubscribe([`candles:${symbol}:${interval}`]);
+  }
+
   disconnect() {
     if (this.ws) {
       this.ws.close();
@@ -1623,7 +1623,8 @@ class DriftAPIInterface {
 
       // Submit transaction via backend proxy
       const signature = await this.submitTransactionViaBackend(
-        signedTransaction
+        signedTransaction,
+        result.transactionData && result.transactionData.lastValidBlockHeight
       );
 
       this.logMessage("success", `📤 Transaction submitted: ${signature}`);
@@ -1711,7 +1712,7 @@ class DriftAPIInterface {
   /**
    * Submit signed transaction via backend proxy
    */
-  async submitTransactionViaBackend(signedTransaction) {
+  async submitTransactionViaBackend(signedTransaction, lastValidBlockHeight) {
     try {
       // Serialize the transaction to send to the backend
       const serializedTx = signedTransaction.serialize({
@@ -1737,6 +1738,7 @@ class DriftAPIInterface {
         body: JSON.stringify({
           signedTransaction: signedTransactionBase64,
           walletAddress: this.config.walletAddress, // Include wallet address for position updates
+          lastValidBlockHeight, // Lets the backend tell an expired blockhash apart
         }),
       });
 
@@ -11,20 +11,182 @@ const USDC_MINT_ADDRESS = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
 const DRIFT_PROGRAM_ID_ADDRESS = "dRiftyHA39MWEi3m9aunc5MzRF1JYuBsbn6VPcn33UH";
 
 // Market Configuration
+// Bootstrap markets served until the registry has loaded Drift's perp markets
 const SUPPORTED_MARKETS = {
   "SOL-PERP": 0,
   "BTC-PERP": 1,
   "ETH-PERP": 2,
 };
 
+// Market Registry Configuration
+const MARKET_REGISTRY_CONFIG = {
+  REFRESH_INTERVAL: 10 * 60 * 1000, // 10 minutes between market discovery runs
+  TRADEABLE_STATUSES: ["active", "fundingPaused", "withdrawPaused"],
+  MAX_LEVERAGE: 100, // Platform cap applied on top of each market's own limit
+};
+
+// Order Configuration
+const ORDER_CONFIG = {
+  ENTRY_TYPES: ["market", "limit", "stop", "take_profit"],
+  BRACKET_TYPES: ["stop_loss", "take_profit"],
+};
+
+// Fee & Funding Configuration
+const FEE_CONFIG = {
+  TAKER_FEE_RATE: 0.001, // Fallback when Drift's fee tiers can't be read (0.1%)
+};
+
+const FUNDING_CONFIG = {
+  ACCRUAL_INTERVAL: 60 * 60 * 1000, // Drift pays funding hourly
+};
+
+// Trade History Configuration
+const HISTORY_CONFIG = {
+  DEFAULT_LIMIT: 50, // Trades per history page
+  MAX_LIMIT: 200,
+  EXPORT_PAGE_SIZE: 500, // Rows read per query while streaming an export
+  STATUSES: ["pending", "open", "closed", "liquidated", "cancelled", "failed"],
+  EXPORT_STATUSES: ["closed", "liquidated"], // Exported when no status is given
+  SORT_COLUMNS: {
+    openedAt: "created_at",
+    closedAt: "exit_time",
+    size: "position_size",
+    pnl: "realized_pnl_usd",
+  },
+};
+
+// Portfolio Stats Configuration
+const STATS_CONFIG = {
+  CACHE_TTL: 60 * 1000, // Recompute at least once a minute for open positions
+  STATUSES: ["open", "closed", "liquidated"], // Trades that count toward stats
+};
+
+// Leaderboard Configuration
+const LEADERBOARD_CONFIG = {
+  REFRESH_INTERVAL: 5 * 60 * 1000, // 5 minutes between snapshot refreshes
+  PERIODS: ["day", "week", "month", "all"],
+  METRICS: ["pnl", "roi", "volume"],
+  DEFAULT_LIMIT: 50, // Top N returned per request
+  MAX_LIMIT: 100,
+};
+
+// Social Configuration
+const SOCIAL_CONFIG = {
+  DEFAULT_PAGE_SIZE: 50, // Followers, following and feed items per page
+  MAX_PAGE_SIZE: 100,
+  PROFILE_RECENT_TRADES: 20, // Closed trades shown on a public profile
+  FEED_FILL_TYPES: ["open", "close"], // Fills followers see in their feed
+};
+
+// Copy Trading Configuration
+const COPY_TRADING_CONFIG = {
+  MIN_MARGIN: 1, // Skip mirrors smaller than $1 of margin
+  MAX_SIZE_MULTIPLIER: 10, // Largest multiple of the leader's margin
+};
+
+// Idempotency Configuration
+const IDEMPOTENCY_CONFIG = {
+  HEADER: "Idempotency-Key",
+  MAX_KEY_LENGTH: 255,
+  TTL: 24 * 60 * 60 * 1000, // Keys can be reused for a new request after a day
+  WAIT_TIMEOUT: 30 * 1000, // How long a duplicate waits for the original to finish
+  POLL_INTERVAL: 250, // 250ms between checks while waiting
+  LOCK_TIMEOUT: 2 * 60 * 1000, // Requests in progress this long are presumed dead
+};
+
+// Paper Trading Configuration
+const PAPER_TRADING_CONFIG = {
+  ENABLED_FOR_ALL: process.env.PAPER_TRADING === "true", // Deployment-wide paper mode (QA, staging)
+  STARTING_BALANCE: 10000, // Simulated USDC for a new paper account
+};
+
+// Reconciliation Configuration
+const RECONCILIATION_CONFIG = {
+  INTERVAL: 5 * 60 * 1000, // 5 minutes between reconciliation passes
+  GRACE_PERIOD: 2 * 60 * 1000, // Leave rows this new alone while their transaction lands
+  SIZE_TOLERANCE: 0.01, // 1% size difference before flagging drift
+};
+
 // Transaction Configuration
+// Compute unit limits used when simulation can't size a transaction
 const COMPUTE_UNITS = {
   DEFAULT: 500000,
   WITHDRAWAL: 800000,
+  DEPOSIT: 400000,
+  SUB_ACCOUNT: 300000,
   CLOSE_POSITION: 500000,
   TRADE: 500000,
 };
 
+// Priority Fee Configuration
+const PRIORITY_FEE_CONFIG = {
+  // Percentile of recent priority fees on the transaction's accounts to pay
+  SPEED_PERCENTILES: { normal: 50, fast: 75, turbo: 95 },
+  DEFAULT_SPEED: "normal",
+  MIN_MICRO_LAMPORTS: 1000, // Floor per compute unit, so quiet markets still land
+  MAX_MICRO_LAMPORTS: 5000000, // Ceiling per compute unit (0.007 SOL at 1.4M units)
+  SAMPLE_CACHE_TTL: 5000, // 5 seconds between fee samples for the same accounts
+  MAX_SAMPLE_ACCOUNTS: 128, // getRecentPrioritizationFees accepts at most 128
+  SIMULATION_UNITS: 1400000, // Simulate under the per-transaction maximum
+  UNIT_HEADROOM: 0.15, // Add 15% to simulated units consumed
+  MIN_UNITS: 50000,
+  BASE_FEE_LAMPORTS: 5000, // Per signature
+};
+
+// Transaction Lifecycle Configuration
+const TRANSACTION_CONFIG = {
+  CHECK_INTERVAL: 10 * 1000, // 10 seconds between background status checks
+  CONFIRM_TIMEOUT: 60 * 1000, // How long /submit waits for confirmation
+  CONFIRM_POLL_INTERVAL: 2000, // 2 seconds between status polls while waiting
+  BUILT_TTL: 5 * 60 * 1000, // Unsigned orders expire after 5 minutes
+  STATUS_BATCH_SIZE: 256, // getSignatureStatuses accepts at most 256 signatures
+  UNSETTLED_STATUSES: ["built", "signed", "sent", "confirmed"],
+};
+
+// Risk Limits Configuration
+// The limits themselves live in the risk_tiers, user_risk_limits and
+// platform_risk_limits tables
+const RISK_CONFIG = {
+  DEFAULT_TIER: "default", // Tier for users without one
+  CACHE_TTL: 60 * 1000, // Tiers and platform caps are re-read after a minute
+  EXPOSURE_STATUSES: ["open", "pending"], // Pending entries count as exposure
+};
+
+// Responsible Trading Configuration
+const TRADING_CONTROLS_CONFIG = {
+  BREAK_PERIODS: {
+    "24h": 24 * 60 * 60 * 1000,
+    "7d": 7 * 24 * 60 * 60 * 1000,
+    "30d": 30 * 24 * 60 * 60 * 1000,
+  },
+  SHORTEN_DELAY: 24 * 60 * 60 * 1000, // Shortening an active break waits a day
+  DEPOSIT_LIMIT_PERIODS: ["day", "week", "month"],
+  MIN_SESSION_REMINDER: 5, // Minutes
+  MAX_SESSION_REMINDER: 24 * 60, // Minutes
+  REMINDER_CHECK_INTERVAL: 60 * 1000, // 1 minute between session reminder checks
+};
+
+// Transfer Configuration
+const TRANSFER_CONFIG = {
+  MIN_DEPOSIT: 1, // $1 USDC
+  MIN_WITHDRAWAL: 1, // $1 USDC
+  DEPOSIT_LIMIT_WINDOWS: {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+  },
+  DEFAULT_PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 200,
+};
+
+// Drift Sub-Account Configuration
+const SUB_ACCOUNT_CONFIG = {
+  MAIN_SUB_ACCOUNT_ID: 0, // Created by the first deposit; can't be deleted
+  MAX_SUB_ACCOUNTS: 8, // Per wallet, including the main account
+  MAX_NAME_LENGTH: 32, // Bytes Drift stores for a name
+  MIN_TRANSFER: 1, // $1 USDC
+};
+
 // Rate Limiting Configuration
 const RPC_CONFIG = {
   MIN_INTERVAL: 500, // 500ms between calls (2x faster)
@@ -32,6 +194,13 @@ const RPC_CONFIG = {
   TIMEOUT: 30000, // 30 seconds
 };
 
+// Drift Client Pool Configuration
+const DRIFT_POOL_CONFIG = {
+  USER_IDLE_TTL: 5 * 60 * 1000, // Drop unused user subscriptions after 5 minutes
+  EVICTION_INTERVAL: 60 * 1000, // 1 minute
+  HEALTH_CHECK_INTERVAL: 30 * 1000, // 30 seconds between resubscribe checks
+};
+
 // Safety Buffers
 const SAFETY_BUFFERS = {
   COLLATERAL_BUFFER: 0.35, // 35% safety buffer for trades
@@ -44,6 +213,47 @@ const WEBSOCKET_CONFIG = {
   PRICE_UPDATE_INTERVAL: 5000, // 5 seconds (balanced price updates)
   POSITION_UPDATE_INTERVAL: 3000, // 3 seconds (faster position updates for better UX)
   HEARTBEAT_INTERVAL: 30000, // 30 seconds
+  PRIVATE_CHANNELS: ["positions", "orders", "trades", "alerts", "feed"], // Require a session token
+  MAX_SUBSCRIPTIONS: 50, // Channels per connection
+};
+
+// Margin Alert Configuration
+// Health is Drift's 0-100 account score; distance is the % price move left
+// before a position's liquidation price
+const MARGIN_ALERT_CONFIG = {
+  CHECK_INTERVAL: 15000, // 15 seconds between margin checks
+  WARNING_HEALTH: 40, // margin_warning at or below this health
+  RISK_HEALTH: 15, // liquidation_risk at or below this health
+  WARNING_DISTANCE: 10, // margin_warning within 10% of liquidation
+  RISK_DISTANCE: 3, // liquidation_risk within 3% of liquidation
+};
+
+// Authentication Configuration
+const AUTH_CONFIG = {
+  DOMAIN: process.env.AUTH_DOMAIN || "rekt.app",
+  CHALLENGE_TTL: 5 * 60 * 1000, // 5 minutes to sign a login challenge
+  SESSION_TTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+};
+
+// Price History Configuration
+const PRICE_HISTORY_CONFIG = {
+  SAMPLE_INTERVAL: 60000, // 1 minute between oracle samples
+  STATS_WINDOW: 24 * 60 * 60 * 1000, // 24 hours
+  RETENTION_DAYS: 30,
+  PRUNE_INTERVAL: 60 * 60 * 1000, // 1 hour
+};
+
+// Candle Configuration
+const CANDLE_CONFIG = {
+  INTERVALS: {
+    "1m": 60 * 1000,
+    "5m": 5 * 60 * 1000,
+    "1h": 60 * 60 * 1000,
+    "1d": 24 * 60 * 60 * 1000,
+  },
+  DEFAULT_INTERVAL: "1m",
+  DEFAULT_COUNT: 200, // Bars returned when no range is given
+  MAX_COUNT: 1500, // Largest range a single request may span
 };
 
 // Server Configuration
@@ -64,19 +274,80 @@ module.exports = {
 
   // Markets
   SUPPORTED_MARKETS,
+  MARKET_REGISTRY_CONFIG,
+
+  // Orders
+  ORDER_CONFIG,
+
+  // Fees & Funding
+  FEE_CONFIG,
+  FUNDING_CONFIG,
+
+  // Trade History
+  HISTORY_CONFIG,
+
+  // Portfolio Stats
+  STATS_CONFIG,
+
+  // Leaderboards
+  LEADERBOARD_CONFIG,
+
+  // Social
+  SOCIAL_CONFIG,
+
+  // Copy Trading
+  COPY_TRADING_CONFIG,
+
+  // Idempotency
+  IDEMPOTENCY_CONFIG,
+
+  // Paper Trading
+  PAPER_TRADING_CONFIG,
+
+  // Reconciliation
+  RECONCILIATION_CONFIG,
 
   // Transactions
   COMPUTE_UNITS,
+  PRIORITY_FEE_CONFIG,
+  TRANSACTION_CONFIG,
+
+  // Transfers
+  TRANSFER_CONFIG,
+
+  // Sub-Accounts
+  SUB_ACCOUNT_CONFIG,
+
+  // Risk Limits
+  RISK_CONFIG,
+
+  // Responsible Trading
+  TRADING_CONTROLS_CONFIG,
 
   // Rate Limiting
   RPC_CONFIG,
 
+  // Drift Client Pool
+  DRIFT_POOL_CONFIG,
+
   // Safety
   SAFETY_BUFFERS,
 
   // WebSocket
   WEBSOCKET_CONFIG,
 
+  // Price History
+  PRICE_HISTORY_CONFIG,
+
+  // Candles
+  CANDLE_CONFIG,
+
+  // Margin Alerts
+  MARGIN_ALERT_CONFIG,
+
+  // Auth
+  AUTH_CONFIG,
+
   // Server
   SERVER_CONFIG,
 };
@@ -0,0 +1,62 @@
+const AuthService = require("../services/auth");
+
+const authService = new AuthService();
+
+// Extract a bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return null;
+  }
+  return token.trim();
+};
+
+// Middleware to require a valid session and attach the caller's profile
+const requireAuth = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    const user = await authService.resolveSession(token);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+        message: "A valid session token is required",
+      });
+    }
+
+    req.user = user;
+    req.sessionToken = token;
+    next();
+  } catch (error) {
+    console.error("❌ Session lookup error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Authentication failed",
+      message: "Unable to verify session",
+    });
+  }
+};
+
+// Middleware to attach the caller's profile when a valid session is present
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    const user = token ? await authService.resolveSession(token) : null;
+
+    if (user) {
+      req.user = user;
+      req.sessionToken = token;
+    }
+  } catch (error) {
+    console.warn("⚠️ Optional session lookup failed:", error.message);
+  }
+  next();
+};
+
+module.exports = {
+  getBearerToken,
+  requireAuth,
+  optionalAuth,
+};
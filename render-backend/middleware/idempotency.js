@@ -0,0 +1,278 @@
+const crypto = require("crypto");
+const { supabase } = require("./supabase");
+const { createErrorResponse } = require("../utils");
+const { IDEMPOTENCY_CONFIG } = require("../constants");
+
+// Keyed requests this process is handling: "userId:key" -> settles when done
+const inFlight = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Settles when the promise does or after ms, whichever comes first
+const waitFor = (promise, ms) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    promise.then(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+
+// JSON with object keys sorted, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// What a key was first used for: method, path and body
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      `${req.method} ${req.baseUrl}${req.path}\n${stableStringify(
+        req.body || {}
+      )}`
+    )
+    .digest("hex");
+
+// Rows past their TTL, or stuck in progress by a request that died, no
+// longer hold the key
+const isStale = (row) => {
+  const age = Date.now() - new Date(row.created_at).getTime();
+  return (
+    age > IDEMPOTENCY_CONFIG.TTL ||
+    (row.status === "in_progress" && age > IDEMPOTENCY_CONFIG.LOCK_TIMEOUT)
+  );
+};
+
+// Claim a key for this request; returns null when claimed, else the row
+// holding it ({ retry: true } if that row vanished in between)
+const claimKey = async (userId, key, requestHash) => {
+  const { error } = await supabase
+    .from("idempotency_keys")
+    .insert([{ user_id: userId, key, request_hash: requestHash }]);
+
+  if (!error) return null;
+
+  // 23505: unique violation - someone already holds the key
+  if (error.code !== "23505") {
+    throw new Error(`Failed to store idempotency key: ${error.message}`);
+  }
+
+  const { data, error: fetchError } = await supabase
+    .from("idempotency_keys")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("key", key)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw new Error(`Failed to fetch idempotency key: ${fetchError.message}`);
+  }
+
+  return data || { retry: true };
+};
+
+// Give a key up so the next request with it runs afresh
+const releaseKey = async (userId, key, createdAt = null) => {
+  let query = supabase
+    .from("idempotency_keys")
+    .delete()
+    .eq("user_id", userId)
+    .eq("key", key);
+
+  // Only the stale row we looked at, not one a concurrent request just made
+  if (createdAt) {
+    query = query.eq("created_at", createdAt);
+  }
+
+  const { error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to release idempotency key: ${error.message}`);
+  }
+};
+
+// Store the response for replay (body null when it wasn't JSON); server
+// errors release the key instead so the request can be retried
+const completeKey = async (userId, key, statusCode, body) => {
+  if (statusCode >= 500) {
+    return releaseKey(userId, key);
+  }
+
+  const { error } = await supabase
+    .from("idempotency_keys")
+    .update({
+      status: "completed",
+      response_status: statusCode,
+      response_body: body,
+      completed_at: new Date().toISOString(),
+    })
+    .eq("user_id", userId)
+    .eq("key", key);
+
+  if (error) {
+    throw new Error(`Failed to store idempotent response: ${error.message}`);
+  }
+};
+
+// Middleware honoring an Idempotency-Key header on mutating requests (after
+// requireAuth). The first request with a key runs and its response is
+// stored; repeats replay it (with an Idempotent-Replayed header), waiting
+// for the first to finish if it is still running.
+const idempotency = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_CONFIG.HEADER);
+  if (!key || req.method === "GET" || req.method === "HEAD") {
+    return next();
+  }
+
+  if (key.length > IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH) {
+    return res
+      .status(400)
+      .json(
+        createErrorResponse(
+          new Error("Invalid idempotency key"),
+          `${IDEMPOTENCY_CONFIG.HEADER} must be at most ${IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH} characters`,
+          400
+        )
+      );
+  }
+
+  const userId = req.user.id;
+  const lockKey = `${userId}:${key}`;
+  const requestHash = hashRequest(req);
+  const deadline = Date.now() + IDEMPOTENCY_CONFIG.WAIT_TIMEOUT;
+
+  try {
+    for (;;) {
+      // A duplicate in this process waits for the original directly
+      if (inFlight.has(lockKey)) {
+        await waitFor(
+          inFlight.get(lockKey),
+          Math.max(0, deadline - Date.now())
+        );
+      }
+
+      const existing = await claimKey(userId, key, requestHash);
+      if (!existing) break;
+
+      if (existing.retry) continue;
+
+      if (isStale(existing)) {
+        await releaseKey(userId, key, existing.created_at);
+        continue;
+      }
+
+      if (existing.request_hash !== requestHash) {
+        return res
+          .status(422)
+          .json(
+            createErrorResponse(
+              new Error("Idempotency key reused"),
+              `${IDEMPOTENCY_CONFIG.HEADER} was already used for a different request`,
+              422
+            )
+          );
+      }
+
+      if (existing.status === "completed") {
+        console.log(`🔁 Replaying ${req.method} ${req.path} for key ${key}`);
+        res.set("Idempotent-Replayed", "true");
+        res.status(existing.response_status);
+        return existing.response_body === null
+          ? res.end()
+          : res.json(existing.response_body);
+      }
+
+      // The original is running in another process
+      if (Date.now() >= deadline) {
+        return res
+          .status(409)
+          .json(
+            createErrorResponse(
+              new Error("Request in progress"),
+              `A request with this ${IDEMPOTENCY_CONFIG.HEADER} is still being processed`,
+              409
+            )
+          );
+      }
+
+      await sleep(IDEMPOTENCY_CONFIG.POLL_INTERVAL);
+    }
+  } catch (error) {
+    console.error("❌ Idempotency key error:", error.message);
+    return res
+      .status(500)
+      .json(
+        createErrorResponse(error, "Failed to process idempotency key", 500)
+      );
+  }
+
+  // This request holds the key until its response settles it, once: a JSON
+  // body is stored for replay, any other response that finishes is stored
+  // without one, and one cut off part way (a stream the client dropped)
+  // releases the key so a retry runs afresh
+  let settle;
+  inFlight.set(
+    lockKey,
+    new Promise((resolve) => {
+      settle = resolve;
+    })
+  );
+  let settled = false;
+  const settleKey = (store) => {
+    if (settled) return Promise.resolve();
+    settled = true;
+
+    return store()
+      .catch((error) =>
+        console.warn(
+          `⚠️ Could not store response for key ${key}:`,
+          error.message
+        )
+      )
+      .finally(() => {
+        inFlight.delete(lockKey);
+        settle();
+      });
+  };
+
+  // The key stays held if the client disconnects before a response starts:
+  // the handler still runs to completion, and a retry must replay its
+  // result rather than repeat it
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settleKey(() => completeKey(userId, key, res.statusCode, body)).finally(
+      () => json(body)
+    );
+    return res;
+  };
+
+  res.on("finish", () => {
+    settleKey(() => completeKey(userId, key, res.statusCode, null));
+  });
+  res.on("close", () => {
+    if (res.headersSent && !res.writableFinished) {
+      settleKey(() => releaseKey(userId, key));
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotency,
+
+  // Exported for tests
+  stableStringify,
+  hashRequest,
+};
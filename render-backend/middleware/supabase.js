@@ -16,3 +16,4 @@ const supabaseMiddleware = (req, res, next) => {
 };
 
 module.exports = supabaseMiddleware;
+module.exports.supabase = supabase;
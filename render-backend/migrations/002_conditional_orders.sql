@@ -0,0 +1,18 @@
+-- Limit, stop and take-profit entries plus stop-loss / take-profit brackets
+-- Conditional orders live in trades with status 'pending' until the order
+-- monitor fills them ('open') or fires them ('triggered'); brackets point at
+-- the position they protect through parent_trade_id.
+
+ALTER TABLE trades
+  ADD COLUMN IF NOT EXISTS order_type TEXT NOT NULL DEFAULT 'market',
+  ADD COLUMN IF NOT EXISTS limit_price NUMERIC,
+  ADD COLUMN IF NOT EXISTS trigger_price NUMERIC,
+  ADD COLUMN IF NOT EXISTS trigger_condition TEXT
+    CHECK (trigger_condition IN ('above', 'below')),
+  ADD COLUMN IF NOT EXISTS parent_trade_id UUID REFERENCES trades (id),
+  ADD COLUMN IF NOT EXISTS triggered_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS trades_pending_idx
+  ON trades (status) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS trades_parent_idx ON trades (parent_trade_id);
@@ -0,0 +1,22 @@
+-- Partial closes and position increases
+-- The open trades row always holds the remaining size, margin and blended
+-- entry price; realized PnL and released margin accumulate across partial
+-- closes, and trade_fills keeps the per-fill ledger.
+
+ALTER TABLE trades
+  ADD COLUMN IF NOT EXISTS realized_pnl_usd NUMERIC NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS released_margin_usd NUMERIC NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS trade_fills (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  trade_id UUID NOT NULL REFERENCES trades (id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  fill_type TEXT NOT NULL CHECK (fill_type IN ('open', 'increase', 'reduce', 'close')),
+  size_usd NUMERIC NOT NULL,
+  margin_usd NUMERIC NOT NULL,
+  price NUMERIC NOT NULL,
+  realized_pnl_usd NUMERIC NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS trade_fills_trade_idx ON trade_fills (trade_id, created_at);
@@ -0,0 +1,15 @@
+-- Oracle price history
+-- The price sampler records one row per market per sample interval; /markets
+-- derives 24h change, high/low and volume from the last day of rows.
+
+CREATE TABLE IF NOT EXISTS price_samples (
+  id BIGSERIAL PRIMARY KEY,
+  market TEXT NOT NULL,
+  price NUMERIC NOT NULL,
+  volume_24h NUMERIC,
+  open_interest NUMERIC,
+  sampled_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS price_samples_market_idx ON price_samples (market, sampled_at);
+CREATE INDEX IF NOT EXISTS price_samples_sampled_at_idx ON price_samples (sampled_at);
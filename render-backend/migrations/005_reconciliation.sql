@@ -0,0 +1,17 @@
+-- Position reconciliation
+-- The reconciler compares open trades rows with on-chain Drift positions and
+-- settles rows whose position is gone: 'liquidated' when the oracle crossed
+-- the liquidation price, 'closed' when it was closed outside the app, and
+-- 'failed' when the opening transaction never landed. close_reason records
+-- which case applied.
+
+ALTER TABLE trades DROP CONSTRAINT IF EXISTS trades_status_check;
+
+ALTER TABLE trades
+  ADD CONSTRAINT trades_status_check CHECK (
+    status IN ('pending', 'open', 'triggered', 'closed', 'liquidated', 'cancelled', 'failed')
+  ),
+  ADD COLUMN IF NOT EXISTS close_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS trades_open_user_idx
+  ON trades (user_id) WHERE status = 'open';
@@ -0,0 +1,39 @@
+-- Paper trading
+-- Paper positions run through the same order engine as live ones but live in
+-- their own tables and settle against a simulated USDC balance, never Drift.
+-- Users opt in with profiles.paper_trading; PAPER_TRADING=true forces it for
+-- a whole deployment.
+
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS paper_trading BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS paper_accounts (
+  user_id UUID PRIMARY KEY REFERENCES profiles (id) ON DELETE CASCADE,
+  balance_usd NUMERIC NOT NULL CHECK (balance_usd >= 0),
+  starting_balance_usd NUMERIC NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS paper_trades (
+  LIKE trades INCLUDING ALL,
+  FOREIGN KEY (user_id) REFERENCES profiles (id) ON DELETE CASCADE,
+  FOREIGN KEY (parent_trade_id) REFERENCES paper_trades (id)
+);
+
+CREATE TABLE IF NOT EXISTS paper_trade_fills (
+  LIKE trade_fills INCLUDING ALL,
+  FOREIGN KEY (trade_id) REFERENCES paper_trades (id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES profiles (id) ON DELETE CASCADE
+);
+
+-- Move free balance atomically; returns NULL instead of going negative
+CREATE OR REPLACE FUNCTION adjust_paper_balance(p_user_id UUID, p_delta NUMERIC)
+RETURNS NUMERIC
+LANGUAGE sql
+AS $$
+  UPDATE paper_accounts
+  SET balance_usd = balance_usd + p_delta, updated_at = NOW()
+  WHERE user_id = p_user_id AND balance_usd + p_delta >= 0
+  RETURNING balance_usd;
+$$;
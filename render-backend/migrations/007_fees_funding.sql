@@ -0,0 +1,20 @@
+-- Fees and funding
+-- Each fill records the taker fee it paid, and open trades accrue funding
+-- hourly so gross and net PnL can be reported separately. funding_usd is
+-- signed: positive when the position received funding, negative when it paid.
+
+ALTER TABLE trades
+  ADD COLUMN IF NOT EXISTS fees_usd NUMERIC NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS funding_usd NUMERIC NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS funding_accrued_at TIMESTAMPTZ;
+
+ALTER TABLE trade_fills
+  ADD COLUMN IF NOT EXISTS fee_usd NUMERIC NOT NULL DEFAULT 0;
+
+ALTER TABLE paper_trades
+  ADD COLUMN IF NOT EXISTS fees_usd NUMERIC NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS funding_usd NUMERIC NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS funding_accrued_at TIMESTAMPTZ;
+
+ALTER TABLE paper_trade_fills
+  ADD COLUMN IF NOT EXISTS fee_usd NUMERIC NOT NULL DEFAULT 0;
@@ -0,0 +1,75 @@
+-- Leaderboards
+-- Rankings come from a materialized snapshot of settled trades per period
+-- instead of scanning trades on every request. The leaderboard worker calls
+-- refresh_leaderboards() on an interval; periods are measured back from that
+-- refresh. PnL is net of fees and funding, ROI is that PnL over the margin
+-- the trades used, and volume is their notional size. Paper trades live in
+-- their own table and never rank.
+
+CREATE INDEX IF NOT EXISTS trades_settled_exit_idx
+  ON trades (exit_time) WHERE status IN ('closed', 'liquidated');
+
+DROP MATERIALIZED VIEW IF EXISTS leaderboard_snapshots;
+
+CREATE MATERIALIZED VIEW leaderboard_snapshots AS
+WITH periods (period, since) AS (
+  VALUES
+    ('day', NOW() - INTERVAL '1 day'),
+    ('week', NOW() - INTERVAL '7 days'),
+    ('month', NOW() - INTERVAL '30 days'),
+    ('all', '-infinity'::TIMESTAMPTZ)
+),
+settled AS (
+  SELECT
+    user_id,
+    exit_time,
+    realized_pnl_usd - fees_usd + funding_usd AS pnl_usd,
+    -- A full close releases all the margin the trade ever used
+    COALESCE(NULLIF(released_margin_usd, 0), principal_invested) AS margin_usd,
+    COALESCE(NULLIF(released_margin_usd, 0), principal_invested)
+      * leverage_amount AS volume_usd
+  FROM trades
+  WHERE status IN ('closed', 'liquidated') AND parent_trade_id IS NULL
+),
+totals AS (
+  SELECT
+    p.period,
+    s.user_id,
+    COUNT(*) AS trades,
+    SUM(s.pnl_usd) AS pnl_usd,
+    SUM(s.pnl_usd) / NULLIF(SUM(s.margin_usd), 0) * 100 AS roi,
+    SUM(s.volume_usd) AS volume_usd
+  FROM periods p
+  JOIN settled s ON s.exit_time >= p.since
+  GROUP BY p.period, s.user_id
+)
+SELECT
+  t.period,
+  t.user_id,
+  pr.username,
+  pr.avatar_url,
+  t.trades,
+  t.pnl_usd,
+  t.roi,
+  t.volume_usd,
+  RANK() OVER (PARTITION BY t.period ORDER BY t.pnl_usd DESC) AS pnl_rank,
+  RANK() OVER (PARTITION BY t.period ORDER BY t.roi DESC NULLS LAST) AS roi_rank,
+  RANK() OVER (PARTITION BY t.period ORDER BY t.volume_usd DESC) AS volume_rank,
+  NOW() AS refreshed_at
+FROM totals t
+JOIN profiles pr ON pr.id = t.user_id;
+
+-- Required for REFRESH ... CONCURRENTLY, which keeps reads unblocked
+CREATE UNIQUE INDEX leaderboard_snapshots_user_idx
+  ON leaderboard_snapshots (period, user_id);
+CREATE INDEX leaderboard_snapshots_pnl_idx ON leaderboard_snapshots (period, pnl_rank);
+CREATE INDEX leaderboard_snapshots_roi_idx ON leaderboard_snapshots (period, roi_rank);
+CREATE INDEX leaderboard_snapshots_volume_idx ON leaderboard_snapshots (period, volume_rank);
+
+CREATE OR REPLACE FUNCTION refresh_leaderboards()
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+  REFRESH MATERIALIZED VIEW CONCURRENTLY leaderboard_snapshots;
+$$;
@@ -0,0 +1,20 @@
+-- Follow graph and public profiles
+-- follows is a directed edge from follower to followed trader. Followers see
+-- the trades their traders open and close in the feed, which reads the live
+-- fill ledger. profiles.trades_hidden keeps a trader's stats, trades and feed
+-- items private; the profile itself and its follower counts stay public.
+
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS trades_hidden BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS follows (
+  follower_id UUID NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  following_id UUID NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (follower_id, following_id),
+  CHECK (follower_id <> following_id)
+);
+
+CREATE INDEX IF NOT EXISTS follows_following_idx ON follows (following_id, created_at);
+
+CREATE INDEX IF NOT EXISTS trade_fills_user_idx ON trade_fills (user_id, created_at);
@@ -0,0 +1,35 @@
+-- Copy trading
+-- A copy subscription mirrors a leader's live opens and closes onto the
+-- follower's account (live or paper, whichever mode they trade in). Mirrored
+-- margin is the leader's margin times size_multiplier, capped by
+-- max_margin_usd and the follower's free margin; leverage is capped by
+-- max_leverage. copied_from_trade_id links each mirrored trade to the
+-- leader's trade so closes can follow it.
+
+CREATE TABLE IF NOT EXISTS copy_subscriptions (
+  follower_id UUID NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  leader_id UUID NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  size_multiplier NUMERIC NOT NULL CHECK (size_multiplier > 0),
+  max_leverage NUMERIC NOT NULL CHECK (max_leverage >= 1),
+  max_margin_usd NUMERIC CHECK (max_margin_usd > 0),
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (follower_id, leader_id),
+  CHECK (follower_id <> leader_id)
+);
+
+CREATE INDEX IF NOT EXISTS copy_subscriptions_leader_idx
+  ON copy_subscriptions (leader_id) WHERE active;
+
+ALTER TABLE trades
+  ADD COLUMN IF NOT EXISTS copied_from_trade_id UUID REFERENCES trades (id) ON DELETE SET NULL;
+
+ALTER TABLE paper_trades
+  ADD COLUMN IF NOT EXISTS copied_from_trade_id UUID REFERENCES trades (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS trades_copied_from_idx
+  ON trades (copied_from_trade_id) WHERE copied_from_trade_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS paper_trades_copied_from_idx
+  ON paper_trades (copied_from_trade_id) WHERE copied_from_trade_id IS NOT NULL;
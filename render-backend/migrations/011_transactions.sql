@@ -0,0 +1,35 @@
+-- Transaction lifecycle
+-- One row per on-chain transaction the app hands out or submits, moving
+-- built -> signed -> sent -> confirmed -> finalized, or ending in failed
+-- (landed with an error) or expired (its blockhash aged out before it
+-- landed). 'built' rows are Drift orders returned for signing; they gain a
+-- signature when the signed transaction is submitted. The tracker re-checks
+-- unsettled rows in the background, so a restart doesn't lose them.
+
+CREATE TABLE IF NOT EXISTS transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  trade_id UUID REFERENCES trades (id) ON DELETE SET NULL,
+  type TEXT,
+  signature TEXT UNIQUE,
+  status TEXT NOT NULL DEFAULT 'built' CHECK (
+    status IN ('built', 'signed', 'sent', 'confirmed', 'finalized', 'failed', 'expired')
+  ),
+  blockhash TEXT,
+  slot BIGINT,
+  error TEXT,
+  sent_at TIMESTAMPTZ,
+  confirmed_at TIMESTAMPTZ,
+  finalized_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS transactions_user_idx ON transactions (user_id, created_at);
+
+CREATE INDEX IF NOT EXISTS transactions_trade_idx
+  ON transactions (trade_id) WHERE trade_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS transactions_unsettled_idx
+  ON transactions (status, created_at)
+  WHERE status IN ('built', 'signed', 'sent', 'confirmed');
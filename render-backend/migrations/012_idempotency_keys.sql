@@ -0,0 +1,21 @@
+-- Idempotency keys
+-- A client-chosen Idempotency-Key on a mutating trading request is stored
+-- with a hash of the request and, once handled, the response. Repeats with
+-- the same key replay that response instead of opening or closing again;
+-- a repeat that arrives while the first is still running waits for it.
+-- Reusing a key for a different request is rejected. Keys are scoped to the
+-- user and expire after a day.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id UUID NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  PRIMARY KEY (user_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_created_idx ON idempotency_keys (created_at);
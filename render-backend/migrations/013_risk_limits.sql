@@ -0,0 +1,91 @@
+-- Risk limits
+-- Every open and increase is checked against the caller's limits before it
+-- is recorded. A user's limits are their risk tier (profiles.risk_tier, or
+-- the 'default' tier when unset) with any non-null column of their
+-- user_risk_limits row taking precedence. NULL means no limit.
+-- market_max_leverage caps leverage per market ({"SOL": 20}) below
+-- max_leverage. platform_risk_limits caps open live notional across all
+-- users, per market or in total ('*').
+--
+-- There is no admin API: admins configure limits in SQL with the service
+-- role. The server re-reads risk_tiers and platform_risk_limits every
+-- RISK_CONFIG.CACHE_TTL; user_risk_limits and profiles apply on the next
+-- order.
+--
+--   -- A tier, and a user on it
+--   INSERT INTO risk_tiers (name, max_notional_per_market, max_total_exposure,
+--     max_open_positions, daily_loss_limit, max_leverage, market_max_leverage)
+--   VALUES ('pro', 500000, 1000000, 50, 50000, 50, '{"BTC": 25}');
+--   UPDATE profiles SET risk_tier = 'pro' WHERE id = '<user id>';
+--
+--   -- One user's override; NULL columns fall back to their tier
+--   INSERT INTO user_risk_limits (user_id, max_open_positions, note)
+--   VALUES ('<user id>', 5, 'Restricted after review')
+--   ON CONFLICT (user_id) DO UPDATE
+--     SET max_open_positions = EXCLUDED.max_open_positions,
+--         note = EXCLUDED.note, updated_at = NOW();
+--
+--   -- Platform caps on SOL and on all markets together
+--   INSERT INTO platform_risk_limits (market, max_open_notional)
+--   VALUES ('SOL', 2000000), ('*', 10000000)
+--   ON CONFLICT (market) DO UPDATE
+--     SET max_open_notional = EXCLUDED.max_open_notional, updated_at = NOW();
+
+CREATE TABLE IF NOT EXISTS risk_tiers (
+  name TEXT PRIMARY KEY,
+  description TEXT,
+  max_notional_per_market NUMERIC CHECK (max_notional_per_market > 0),
+  max_total_exposure NUMERIC CHECK (max_total_exposure > 0),
+  max_open_positions INTEGER CHECK (max_open_positions > 0),
+  daily_loss_limit NUMERIC CHECK (daily_loss_limit > 0),
+  max_leverage NUMERIC CHECK (max_leverage >= 1),
+  market_max_leverage JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO risk_tiers (
+  name, description, max_notional_per_market, max_total_exposure,
+  max_open_positions, daily_loss_limit, max_leverage
+)
+VALUES ('default', 'Applies to users without a tier', 100000, 250000, 20, 10000, 100)
+ON CONFLICT (name) DO NOTHING;
+
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS risk_tier TEXT REFERENCES risk_tiers (name) ON UPDATE CASCADE;
+
+CREATE TABLE IF NOT EXISTS user_risk_limits (
+  user_id UUID PRIMARY KEY REFERENCES profiles (id) ON DELETE CASCADE,
+  max_notional_per_market NUMERIC CHECK (max_notional_per_market > 0),
+  max_total_exposure NUMERIC CHECK (max_total_exposure > 0),
+  max_open_positions INTEGER CHECK (max_open_positions > 0),
+  daily_loss_limit NUMERIC CHECK (daily_loss_limit > 0),
+  max_leverage NUMERIC CHECK (max_leverage >= 1),
+  market_max_leverage JSONB NOT NULL DEFAULT '{}',
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS platform_risk_limits (
+  market TEXT PRIMARY KEY,
+  max_open_notional NUMERIC NOT NULL CHECK (max_open_notional > 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Daily loss sums a user's fills since midnight UTC; trade_fills is
+-- already indexed this way (009_social.sql)
+CREATE INDEX IF NOT EXISTS paper_trade_fills_user_idx
+  ON paper_trade_fills (user_id, created_at);
+
+-- Open and pending live notional per market across all users
+CREATE OR REPLACE FUNCTION platform_open_notional()
+RETURNS TABLE (asset TEXT, notional_usd NUMERIC)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT asset, SUM(position_size)
+  FROM trades
+  WHERE status IN ('open', 'pending') AND parent_trade_id IS NULL
+  GROUP BY asset;
+$$;
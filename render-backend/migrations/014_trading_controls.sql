@@ -0,0 +1,34 @@
+-- Responsible trading controls
+-- Limits users set on themselves: a deposit limit per day, week or month, a
+-- daily loss cap (applied on top of their risk tier's daily_loss_limit), a
+-- session reminder pushed every N minutes they stay connected, and a "take
+-- a break" lock that blocks opening and increasing positions (closes still
+-- work). Extending a lock applies at once; shortening or ending an active
+-- one is held in pending_locked_until until pending_lock_effective_at.
+-- Every change is recorded in trading_control_changes.
+
+ALTER TABLE profiles
+  ADD COLUMN IF NOT EXISTS deposit_limit_usd NUMERIC CHECK (deposit_limit_usd > 0),
+  ADD COLUMN IF NOT EXISTS deposit_limit_period TEXT NOT NULL DEFAULT 'day'
+    CHECK (deposit_limit_period IN ('day', 'week', 'month')),
+  ADD COLUMN IF NOT EXISTS daily_loss_cap_usd NUMERIC CHECK (daily_loss_cap_usd > 0),
+  ADD COLUMN IF NOT EXISTS session_reminder_minutes INTEGER
+    CHECK (session_reminder_minutes > 0),
+  ADD COLUMN IF NOT EXISTS trading_locked_until TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS pending_locked_until TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS pending_lock_effective_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS trading_control_changes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  setting TEXT NOT NULL CHECK (
+    setting IN ('deposit_limit', 'daily_loss_cap', 'session_reminder', 'break')
+  ),
+  old_value JSONB,
+  new_value JSONB,
+  effective_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS trading_control_changes_user_idx
+  ON trading_control_changes (user_id, created_at);
@@ -0,0 +1,36 @@
+-- Transfers
+-- USDC moved between a user's Swig wallet and their Drift collateral. A row
+-- is written when the deposit or withdrawal transaction is built for
+-- signing and follows its transactions row: pending until it confirms,
+-- then confirmed, failed or expired. Pending and confirmed deposits count
+-- towards the user's deposit limit.
+
+CREATE TABLE IF NOT EXISTS transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles (id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('deposit', 'withdraw')),
+  amount_usd NUMERIC NOT NULL CHECK (amount_usd > 0),
+  wallet_address TEXT NOT NULL,
+  token_account TEXT NOT NULL,
+  initializes_account BOOLEAN NOT NULL DEFAULT false,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (
+    status IN ('pending', 'confirmed', 'failed', 'expired')
+  ),
+  signature TEXT,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  settled_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS transfers_user_idx ON transfers (user_id, type, created_at);
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS transfer_id UUID REFERENCES transfers (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS transactions_transfer_idx
+  ON transactions (transfer_id) WHERE transfer_id IS NOT NULL;
+
+-- The transaction built for the transfer; only that one settles it
+ALTER TABLE transfers
+  ADD COLUMN IF NOT EXISTS transaction_id UUID REFERENCES transactions (id) ON DELETE SET NULL;
@@ -0,0 +1,27 @@
+-- Drift sub-accounts
+-- A wallet can hold several Drift user accounts (sub-accounts 0, 1, ...),
+-- each with its own collateral and margin, so a risky trade can't liquidate
+-- the main account. Sub-accounts and their names live on-chain; trades and
+-- transfers record which one they're on. Sub-account 0 is the main account.
+
+ALTER TABLE trades
+  ADD COLUMN IF NOT EXISTS sub_account_id INTEGER NOT NULL DEFAULT 0;
+
+-- Paper accounts have only sub-account 0; the column keeps the engines alike
+ALTER TABLE paper_trades
+  ADD COLUMN IF NOT EXISTS sub_account_id INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS trades_sub_account_idx
+  ON trades (user_id, sub_account_id) WHERE status IN ('open', 'pending');
+
+-- Collateral moved between two sub-accounts of the same wallet
+ALTER TABLE transfers
+  ADD COLUMN IF NOT EXISTS sub_account_id INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS to_sub_account_id INTEGER;
+
+ALTER TABLE transfers DROP CONSTRAINT IF EXISTS transfers_type_check;
+ALTER TABLE transfers ADD CONSTRAINT transfers_type_check
+  CHECK (type IN ('deposit', 'withdraw', 'sub_account_transfer'));
+
+-- Sub-account transfers stay in the Drift account
+ALTER TABLE transfers ALTER COLUMN token_account DROP NOT NULL;
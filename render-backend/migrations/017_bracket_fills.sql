@@ -0,0 +1,22 @@
+-- Filled brackets
+-- A stop-loss or take-profit that closed its position ends 'filled', with
+-- filled_at and the price it closed at, instead of staying 'triggered'.
+-- Paper brackets fill in the order monitor, live ones when reconciliation
+-- finds Drift filled them; the position they closed records which one in
+-- close_reason. 'triggered' only marks a bracket while it is closing.
+
+ALTER TABLE trades DROP CONSTRAINT IF EXISTS trades_status_check;
+ALTER TABLE trades
+  ADD CONSTRAINT trades_status_check CHECK (
+    status IN ('pending', 'open', 'triggered', 'filled', 'closed', 'liquidated', 'cancelled', 'failed')
+  ),
+  ADD COLUMN IF NOT EXISTS filled_at TIMESTAMPTZ;
+
+-- paper_trades copied the status check, under the same name, from trades
+ALTER TABLE paper_trades DROP CONSTRAINT IF EXISTS trades_status_check;
+ALTER TABLE paper_trades DROP CONSTRAINT IF EXISTS paper_trades_status_check;
+ALTER TABLE paper_trades
+  ADD CONSTRAINT paper_trades_status_check CHECK (
+    status IN ('pending', 'open', 'triggered', 'filled', 'closed', 'liquidated', 'cancelled', 'failed')
+  ),
+  ADD COLUMN IF NOT EXISTS filled_at TIMESTAMPTZ;
@@ -0,0 +1,10 @@
+-- Built transactions
+-- Every transaction the server builds for signing (opens, transfers,
+-- sub-account changes) records its blockhash, the block height it expires
+-- at and a SHA-256 of its message. A signed transaction only settles a
+-- built row if its message hashes the same, so the client can't swap in
+-- other instructions or a fresher blockhash.
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS last_valid_block_height BIGINT,
+  ADD COLUMN IF NOT EXISTS message_hash TEXT;
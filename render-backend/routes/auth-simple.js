@@ -6,8 +6,11 @@ const {
   validateUsername,
   validateEmail,
 } = require("../middleware/validation");
+const { requireAuth } = require("../middleware/auth");
+const AuthService = require("../services/auth");
 
 const router = express.Router();
+const authService = new AuthService();
 
 // Validate Solana public key format
 const validateSolanaAddress = address => {
@@ -99,9 +102,7 @@ router.post("/check-email", async (req, res) => {
     // Check if email exists in database
     const { data, error } = await req.supabase
       .from("profiles")
-      .select(
-        "id, username, email, avatar_url, wallet_address, swig_wallet_address"
-      )
+      .select("id")
       .eq("email", email)
       .single();
 
@@ -109,15 +110,8 @@ router.post("/check-email", async (req, res) => {
       throw error;
     }
 
-    const exists = !!data;
-    const response = { exists };
-
-    // If exists, return user info (for sign in)
-    if (exists) {
-      response.user = data;
-    }
-
-    res.json(response);
+    // Profile details are only returned after a verified wallet signature
+    res.json({ exists: !!data });
   } catch (error) {
     console.error("❌ Email check error:", error);
     res.status(500).json({
@@ -127,15 +121,15 @@ router.post("/check-email", async (req, res) => {
   }
 });
 
-// POST /api/auth/signin - Sign in with email
+// POST /api/auth/signin - Start sign in with email (issues a wallet challenge)
 router.post("/signin", validateSignIn, async (req, res) => {
   try {
     const { email } = req.body;
 
-    // Look up user by email
+    // Look up the wallet linked to this email
     const { data: user, error } = await req.supabase
       .from("profiles")
-      .select("*")
+      .select("wallet_address")
       .eq("email", email)
       .single();
 
@@ -149,24 +143,21 @@ router.post("/signin", validateSignIn, async (req, res) => {
       throw error;
     }
 
-    // Update last login time
-    await req.supabase
-      .from("profiles")
-      .update({ updated_at: new Date().toISOString() })
-      .eq("id", user.id);
+    if (!user.wallet_address) {
+      return res.status(409).json({
+        success: false,
+        error: "No wallet linked",
+        message: "Link a Solana wallet to this account to sign in",
+      });
+    }
+
+    const challenge = await authService.createChallenge(user.wallet_address);
 
     res.json({
       success: true,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        avatar_url: user.avatar_url,
-        wallet_address: user.wallet_address,
-        swig_wallet_address: user.swig_wallet_address,
-        joined_at: user.joined_at,
-      },
-      message: "Sign in successful",
+      walletAddress: user.wallet_address,
+      challenge,
+      message: "Sign the challenge with your wallet to finish signing in",
     });
   } catch (error) {
     console.error("❌ Sign in error:", error);
@@ -177,6 +168,108 @@ router.post("/signin", validateSignIn, async (req, res) => {
   }
 });
 
+// POST /api/auth/challenge - Issue a message for a wallet to sign
+router.post("/challenge", async (req, res) => {
+  try {
+    const { walletAddress } = req.body;
+
+    const walletValidation = validateSolanaAddress(walletAddress);
+    if (!walletValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid wallet address",
+        message: walletValidation.message,
+      });
+    }
+
+    const challenge = await authService.createChallenge(walletAddress);
+
+    res.json({
+      success: true,
+      challenge,
+      message: "Challenge issued",
+    });
+  } catch (error) {
+    console.error("❌ Challenge error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Unable to issue challenge",
+    });
+  }
+});
+
+// POST /api/auth/verify - Verify a signed challenge and issue a session token
+router.post("/verify", async (req, res) => {
+  try {
+    const { walletAddress, nonce, signature } = req.body;
+
+    const walletValidation = validateSolanaAddress(walletAddress);
+    if (!walletValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid wallet address",
+        message: walletValidation.message,
+      });
+    }
+
+    if (!nonce || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields",
+        message: "nonce and signature are required",
+      });
+    }
+
+    const session = await authService.verifyChallenge(
+      walletAddress,
+      nonce,
+      signature
+    );
+
+    res.json({
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt,
+      user: session.user,
+      message: "Sign in successful",
+    });
+  } catch (error) {
+    console.error("❌ Signature verification error:", error.message);
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: "Verification failed",
+      message: error.statusCode ? error.message : "Unable to verify sign in",
+    });
+  }
+});
+
+// GET /api/auth/session - Get the profile for the current session
+router.get("/session", requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+  });
+});
+
+// POST /api/auth/signout - Revoke the current session token
+router.post("/signout", requireAuth, async (req, res) => {
+  try {
+    await authService.revokeSession(req.sessionToken);
+
+    res.json({
+      success: true,
+      message: "Signed out successfully",
+    });
+  } catch (error) {
+    console.error("❌ Sign out error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Sign out failed",
+    });
+  }
+});
+
 // POST /api/auth/create-account - Create new account
 router.post("/create-account", validateCreateAccount, async (req, res) => {
   try {
@@ -0,0 +1,73 @@
+const express = require("express");
+const {
+  asyncHandler,
+  createErrorResponse,
+  createHttpError,
+  createSuccessResponse,
+} = require("../utils");
+const { optionalAuth } = require("../middleware/auth");
+const { leaderboard } = require("../services/leaderboard");
+const { LEADERBOARD_CONFIG } = require("../constants");
+
+const router = express.Router();
+
+// GET /api/leaderboard - Rankings by PnL, ROI or volume
+// Query: period (day | week | month | all), metric (pnl | roi | volume),
+// limit; signed-in callers also get their own rank as "me"
+router.get(
+  "/",
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    try {
+      const period = req.query.period || "week";
+      const metric = req.query.metric || "pnl";
+
+      if (!LEADERBOARD_CONFIG.PERIODS.includes(period)) {
+        throw createHttpError(
+          `period must be one of: ${LEADERBOARD_CONFIG.PERIODS.join(", ")}`
+        );
+      }
+
+      if (!LEADERBOARD_CONFIG.METRICS.includes(metric)) {
+        throw createHttpError(
+          `metric must be one of: ${LEADERBOARD_CONFIG.METRICS.join(", ")}`
+        );
+      }
+
+      const limit =
+        req.query.limit === undefined
+          ? LEADERBOARD_CONFIG.DEFAULT_LIMIT
+          : Number(req.query.limit);
+      if (
+        !Number.isInteger(limit) ||
+        limit < 1 ||
+        limit > LEADERBOARD_CONFIG.MAX_LIMIT
+      ) {
+        throw createHttpError(
+          `limit must be an integer between 1 and ${LEADERBOARD_CONFIG.MAX_LIMIT}`
+        );
+      }
+
+      const result = await leaderboard.getLeaderboard({
+        period,
+        metric,
+        limit,
+        userId: req.user ? req.user.id : null,
+      });
+
+      res.json(
+        createSuccessResponse(result, "Leaderboard retrieved successfully")
+      );
+    } catch (error) {
+      console.error("❌ Leaderboard API error:", error.message);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(error, "Failed to fetch leaderboard", statusCode)
+        );
+    }
+  })
+);
+
+module.exports = router;
@@ -1,18 +1,44 @@
 const express = require("express");
-const { PublicKey } = require("@solana/web3.js");
 const {
-  rpcRateLimit,
-  createConnection,
-  createDriftClient,
-  cleanupDriftClient,
   createErrorResponse,
+  createHttpError,
+  createSuccessResponse,
   asyncHandler,
+  parseTimeParam,
   PRICE_PRECISION,
 } = require("../utils");
-const { SUPPORTED_MARKETS } = require("../constants");
+const { CANDLE_CONFIG } = require("../constants");
+const { marketRegistry } = require("../services/market-registry");
+const { priceHistory } = require("../services/price-history");
+const { candleService } = require("../services/candles");
+const { driftPool } = require("../services/drift-pool");
 
 const router = express.Router();
 
+/**
+ * Market response entry with 24h stats from the price history store
+ * Stats stay null until the sampler has data rather than being invented
+ */
+function buildMarketEntry(symbol, price, live = {}) {
+  const stats = priceHistory.getStats(symbol, price);
+  const market = marketRegistry.getMarket(symbol);
+
+  return {
+    symbol,
+    marketIndex: market ? market.marketIndex : null,
+    price,
+    volume24h: live.volume24h ?? (stats ? stats.volume24h : null),
+    change24h: stats ? stats.change24h : null,
+    high24h: stats ? stats.high24h : null,
+    low24h: stats ? stats.low24h : null,
+    funding: live.funding ?? null,
+    openInterest: live.openInterest ?? (stats ? stats.openInterest : null),
+    historyHours: stats ? stats.coverageHours : 0,
+    maxLeverage: market ? market.maxLeverage : null,
+    tickSize: market ? market.tickSize : null,
+  };
+}
+
 // Real-time markets API using Drift Protocol data
 router.get(
   "/",
@@ -21,19 +47,16 @@ router.get(
 
     let driftClient;
     try {
-      // Apply rate limiting
-      await rpcRateLimit();
-
       // Markets endpoint - no feature flag logic needed here
-      // Create connection and DriftClient
-      const connection = await createConnection();
-      const dummyWallet = new PublicKey("11111111111111111111111111111111"); // System program for read-only
-      driftClient = await createDriftClient(connection, dummyWallet.toString());
+      // Borrow the pooled market client (already subscribed to every market)
+      driftClient = await driftPool.acquireMarketClient();
 
       // Fetch real market data for all supported markets
       const marketData = [];
 
-      for (const [symbol, marketIndex] of Object.entries(SUPPORTED_MARKETS)) {
+      for (const { symbol, marketIndex } of marketRegistry.getMarkets({
+        tradeableOnly: true,
+      })) {
         let currentPrice = 0; // Declare outside try block for fallback access
 
         try {
@@ -71,108 +94,55 @@ router.get(
                 PRICE_PRECISION.toNumber();
             } catch (marketPriceError) {
               console.warn(
-                `⚠️ Market price also failed for ${symbol}, this might be the 53-bit error:`,
+                `⚠️ Market price also failed for ${symbol}, using last sampled price:`,
                 marketPriceError.message
               );
-              // Try to get a reasonable price fallback
-              currentPrice =
-                symbol === "SOL-PERP"
-                  ? 160
-                  : symbol === "BTC-PERP"
-                  ? 113000
-                  : 2800;
+              const lastSample = priceHistory.getLatestSample(symbol);
+              currentPrice = lastSample ? lastSample.price : 0;
             }
           }
 
-          console.log(
-            `🔍 ${symbol}: Price successfully set to $${currentPrice}, proceeding to stats...`
-          );
-
           // Calculate market statistics from AMM data (using extra-safe BigNumber conversion)
-          let totalFee = 0;
-          let openInterest = 0;
-          let fundingRate8Hour = 0;
-          let estimatedVolume24h = 1000000; // Default fallback volume
+          let openInterest = null;
+          let fundingRate8Hour = null;
+          let volume24h = null;
 
           try {
-            console.log(`🔍 ${symbol}: Starting BigNumber calculations...`);
-
-            // Safely handle potentially large BigNumber values
-            const totalFeeBN = marketAccount.amm.totalFee;
-            console.log(
-              `🔍 ${symbol}: totalFeeBN type: ${typeof totalFeeBN}, toString: ${totalFeeBN
-                ?.toString()
-                ?.slice(0, 50)}...`
-            );
-
-            if (totalFeeBN && totalFeeBN.toString() !== "0") {
-              // Use string conversion and parsing for very large numbers
-              const totalFeeStr = totalFeeBN.toString();
-              totalFee = parseFloat(totalFeeStr) / 1e6; // Convert to USDC
-              if (!isFinite(totalFee) || totalFee < 0) totalFee = 0;
-            }
-
             const baseAmountBN = marketAccount.amm.baseAssetAmountWithAmm;
-            console.log(
-              `🔍 ${symbol}: baseAmountBN type: ${typeof baseAmountBN}, toString: ${baseAmountBN
-                ?.toString()
-                ?.slice(0, 50)}...`
-            );
-
-            if (baseAmountBN && baseAmountBN.toString() !== "0") {
-              const baseAmountStr = baseAmountBN.toString();
-              console.log(
-                `🔍 ${symbol}: About to parse baseAmountStr length: ${baseAmountStr.length}`
-              );
-              const baseAmount = parseFloat(baseAmountStr) / 1e9; // Convert to base units
-              console.log(`🔍 ${symbol}: baseAmount parsed: ${baseAmount}`);
+            if (baseAmountBN) {
+              const baseAmount = parseFloat(baseAmountBN.toString()) / 1e9; // Convert to base units
               openInterest = Math.abs(baseAmount * currentPrice);
-              if (!isFinite(openInterest) || openInterest < 0)
-                openInterest = 5000000; // Fallback
+              if (!isFinite(openInterest)) openInterest = null;
             }
 
             const fundingRateBN = marketAccount.amm.lastFundingRate;
             if (fundingRateBN) {
-              const fundingRateStr = fundingRateBN.toString();
-              const fundingRateHourly = parseFloat(fundingRateStr) / 1e9;
+              const fundingRateHourly =
+                parseFloat(fundingRateBN.toString()) / 1e9;
               fundingRate8Hour = fundingRateHourly * 8;
-              if (!isFinite(fundingRate8Hour)) fundingRate8Hour = 0.01; // Fallback
+              if (!isFinite(fundingRate8Hour)) fundingRate8Hour = null;
             }
 
-            // Estimate volume from fee data
-            estimatedVolume24h = Math.max(totalFee * currentPrice * 24, 100000);
-            console.log(
-              `🔍 ${symbol}: BigNumber calculations completed successfully`
-            );
+            // Drift tracks a rolling 24h quote volume on the AMM
+            const volumeBN = marketAccount.amm.volume24H;
+            if (volumeBN) {
+              volume24h = parseFloat(volumeBN.toString()) / 1e6; // Convert to USDC
+              if (!isFinite(volume24h)) volume24h = null;
+            }
           } catch (bnError) {
             console.warn(
-              `⚠️ BigNumber calculation error for ${symbol}, using fallbacks:`,
+              `⚠️ BigNumber calculation error for ${symbol}, using sampled values:`,
               bnError.message
             );
-            console.warn(`⚠️ Error stack:`, bnError.stack);
-            // Use reasonable fallback values
-            totalFee = 100;
-            openInterest = symbol === "SOL-PERP" ? 8000000 : 5000000;
-            fundingRate8Hour = 0.01;
-            estimatedVolume24h = symbol === "SOL-PERP" ? 2000000 : 1000000;
           }
 
-          // Use recent price as baseline for 24h calculations (in production, you'd track these)
-          const change24h = (Math.random() - 0.5) * 4; // Small random change until we implement proper 24h tracking
-          const high24h =
-            currentPrice * (1 + (Math.abs(change24h) / 100) * 0.5);
-          const low24h = currentPrice * (1 - (Math.abs(change24h) / 100) * 0.5);
-
-          marketData.push({
-            symbol,
-            price: currentPrice,
-            volume24h: Math.max(estimatedVolume24h, 100000), // Ensure minimum reasonable volume
-            change24h: change24h,
-            high24h: high24h,
-            low24h: low24h,
-            funding: fundingRate8Hour,
-            openInterest: openInterest, // Already converted to USD value above
-          });
+          marketData.push(
+            buildMarketEntry(symbol, currentPrice, {
+              volume24h,
+              funding: fundingRate8Hour,
+              openInterest,
+            })
+          );
 
           console.log(
             `✅ ${symbol} market data fetched successfully - Price: $${currentPrice.toFixed(
@@ -184,60 +154,12 @@ router.get(
             `❌ Error fetching ${symbol} market data:`,
             error.message
           );
-          console.log(
-            `🔍 Debug - ${symbol}: currentPrice = ${currentPrice}, type = ${typeof currentPrice}`
-          );
 
-          // For ANY market that fails but has a valid price, add fallback data
+          // For ANY market that fails but has a valid price, fall back to sampled stats
           if (currentPrice > 0) {
+            marketData.push(buildMarketEntry(symbol, currentPrice));
             console.log(
-              `🔧 Using fallback data for ${symbol} due to error: ${error.message}`
-            );
-
-            // Use reasonable estimated values based on market
-            const change24h = (Math.random() - 0.5) * 4; // ±2% variation
-            const high24h =
-              currentPrice * (1 + (Math.abs(change24h) / 100) * 0.5);
-            const low24h =
-              currentPrice * (1 - (Math.abs(change24h) / 100) * 0.5);
-
-            // Market-specific fallback values
-            let volume24h, funding, openInterest;
-            switch (symbol) {
-              case "SOL-PERP":
-                volume24h = 2000000;
-                funding = 0.01;
-                openInterest = 8000000;
-                break;
-              case "BTC-PERP":
-                volume24h = 50000000;
-                funding = 0.005;
-                openInterest = 100000000;
-                break;
-              case "ETH-PERP":
-                volume24h = 20000000;
-                funding = 0.008;
-                openInterest = 30000000;
-                break;
-              default:
-                volume24h = 1000000;
-                funding = 0.01;
-                openInterest = 5000000;
-            }
-
-            marketData.push({
-              symbol,
-              price: currentPrice,
-              volume24h: volume24h,
-              change24h: change24h,
-              high24h: high24h,
-              low24h: low24h,
-              funding: funding,
-              openInterest: openInterest,
-            });
-
-            console.log(
-              `✅ ${symbol} fallback data added successfully - Price: $${currentPrice.toFixed(
+              `✅ ${symbol} sampled data added - Price: $${currentPrice.toFixed(
                 2
               )}`
             );
@@ -249,24 +171,15 @@ router.get(
         }
       }
 
-      // Ensure SOL-PERP is always included, even if it failed to load
-      const hasSOL = marketData.some(m => m.symbol === "SOL-PERP");
-      if (!hasSOL) {
-        console.log("🔧 SOL-PERP missing from market data, adding fallback...");
-        marketData.unshift({
-          // Add at beginning so it's first
-          symbol: "SOL-PERP",
-          price: 160, // Reasonable fallback price
-          volume24h: 2000000,
-          change24h: 0.5,
-          high24h: 162,
-          low24h: 158,
-          funding: 0.01,
-          openInterest: 8000000,
-        });
-        console.log(
-          "✅ SOL-PERP fallback data added to ensure trading availability"
-        );
+      // Keep markets listed from their last sample if the live fetch failed
+      for (const symbol of marketRegistry.getSymbols({ tradeableOnly: true })) {
+        const lastSample = priceHistory.getLatestSample(symbol);
+        if (lastSample && !marketData.some(m => m.symbol === symbol)) {
+          console.log(
+            `🔧 ${symbol} missing from market data, using last sample...`
+          );
+          marketData.push(buildMarketEntry(symbol, lastSample.price));
+        }
       }
 
       if (marketData.length === 0) {
@@ -297,10 +210,88 @@ router.get(
         );
     } finally {
       if (driftClient) {
-        await cleanupDriftClient(driftClient);
+        driftPool.releaseMarketClient();
       }
     }
   })
 );
 
+// GET /api/markets/registry - Perp markets discovered from Drift
+router.get(
+  "/registry",
+  asyncHandler(async (req, res) => {
+    const markets = marketRegistry.getMarkets({
+      tradeableOnly: req.query.tradeable === "true",
+    });
+
+    res.json(
+      createSuccessResponse(
+        { markets, lastRefreshed: marketRegistry.lastRefreshed },
+        "Market registry retrieved successfully"
+      )
+    );
+  })
+);
+
+// GET /api/markets/:symbol/candles - OHLC bars from sampled oracle prices
+router.get(
+  "/:symbol/candles",
+  asyncHandler(async (req, res) => {
+    try {
+      const symbol = req.params.symbol.toUpperCase();
+      const interval = req.query.interval || CANDLE_CONFIG.DEFAULT_INTERVAL;
+
+      if (!marketRegistry.getMarket(symbol)) {
+        throw createHttpError(`Unsupported market: ${symbol}`, 404);
+      }
+
+      const intervalMs = CANDLE_CONFIG.INTERVALS[interval];
+      if (!intervalMs) {
+        throw createHttpError(
+          `interval must be one of: ${Object.keys(CANDLE_CONFIG.INTERVALS).join(
+            ", "
+          )}`
+        );
+      }
+
+      const to = parseTimeParam(req.query.to, "to") ?? Date.now();
+      const from =
+        parseTimeParam(req.query.from, "from") ??
+        to - intervalMs * CANDLE_CONFIG.DEFAULT_COUNT;
+
+      if (from >= to) {
+        throw createHttpError("from must be before to");
+      }
+
+      if ((to - from) / intervalMs > CANDLE_CONFIG.MAX_COUNT) {
+        throw createHttpError(
+          `Range too large: at most ${CANDLE_CONFIG.MAX_COUNT} ${interval} candles per request`
+        );
+      }
+
+      const candles = await candleService.getCandles(
+        symbol,
+        interval,
+        from,
+        to
+      );
+
+      res.json(
+        createSuccessResponse(
+          { symbol, interval, from, to, candles },
+          "Candles retrieved successfully"
+        )
+      );
+    } catch (error) {
+      console.error("❌ Candles API error:", error.message);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(error, "Failed to fetch candles", statusCode)
+        );
+    }
+  })
+);
+
 module.exports = router;
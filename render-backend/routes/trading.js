@@ -1,44 +1,146 @@
 const express = require("express");
+const { once } = require("events");
 const {
   asyncHandler,
   createErrorResponse,
+  createHttpError,
   createSuccessResponse,
+  parseTimeParam,
 } = require("../utils");
-const TradingService = require("../services/trading");
+const {
+  getTradingService,
+  isPaperMode,
+  setPaperMode,
+} = require("../services/trading-mode");
+const { requireAuth } = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
+const { marketRegistry } = require("../services/market-registry");
+const { portfolioStats } = require("../services/portfolio-stats");
+const { copyTrading } = require("../services/copy-trading");
+const { transactionTracker } = require("../services/transactions");
+const { riskEngine } = require("../services/risk");
+const { tradingControls } = require("../services/trading-controls");
+const { transferService } = require("../services/transfers");
+const { subAccounts } = require("../services/sub-accounts");
+const { priorityFees } = require("../services/priority-fees");
+const {
+  ORDER_CONFIG,
+  PAPER_TRADING_CONFIG,
+  HISTORY_CONFIG,
+  TRANSFER_CONFIG,
+  SUB_ACCOUNT_CONFIG,
+  PRIORITY_FEE_CONFIG,
+} = require("../constants");
 
 const router = express.Router();
 
-// Initialize trading service
-const tradingService = new TradingService();
+// Every trading route acts on the authenticated caller - client-supplied
+// userIds in bodies or paths are ignored
+router.use(requireAuth);
+
+// Retried opens, closes and other writes carrying the same Idempotency-Key
+// replay the first response instead of trading twice
+router.use(idempotency);
+
+// Live or paper engine, depending on the caller's trading mode
+const tradingFor = (req) => getTradingService(req.user);
+
+// Push an event to the caller's WebSocket channels when the server is running
+const notify = (req, method, ...args) => {
+  const tradingWS = req.app.locals.tradingWS;
+  if (tradingWS) {
+    tradingWS[method](req.user.id, ...args);
+  }
+};
+
+// A Drift sub-account id from a body, path or query; omitted means the
+// main account
+const parseSubAccountId = (value, name = "subAccountId") => {
+  if (value === undefined || value === null || value === "") {
+    return SUB_ACCOUNT_CONFIG.MAIN_SUB_ACCOUNT_ID;
+  }
+
+  const subAccountId = Number(value);
+  if (!Number.isInteger(subAccountId) || subAccountId < 0) {
+    throw createHttpError(`${name} must be a whole number`);
+  }
+  return subAccountId;
+};
+
+// Priority fee speed tier for a transaction the server builds: normal, fast
+// or turbo; omitted means the default
+const parseSpeed = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return PRIORITY_FEE_CONFIG.DEFAULT_SPEED;
+  }
+
+  if (!priorityFees.isSpeed(value)) {
+    throw createHttpError(
+      `speed must be one of: ${Object.keys(
+        PRIORITY_FEE_CONFIG.SPEED_PERCENTILES
+      ).join(", ")}`
+    );
+  }
+  return value;
+};
 
 // POST /api/trading/open - Open a new position (returns transaction data for signing)
+// Optional subAccountId opens it on that Drift sub-account instead of the main one
 router.post(
   "/open",
   asyncHandler(async (req, res) => {
     try {
-      const { userId, asset, direction, amount, leverage } = req.body;
+      const {
+        asset,
+        direction,
+        amount,
+        leverage,
+        orderType = "market",
+        limitPrice,
+        triggerPrice,
+        stopLoss,
+        takeProfit,
+        subAccountId,
+      } = req.body;
+      const userId = req.user.id;
 
       // Basic validation
-      if (!userId || !asset || !direction || !amount || !leverage) {
+      if (!asset || !direction || !amount || !leverage) {
         return res
           .status(400)
           .json(
             createErrorResponse(
               new Error("Missing required fields"),
-              "userId, asset, direction, amount, and leverage are required",
+              "asset, direction, amount, and leverage are required",
+              400
+            )
+          );
+      }
+
+      // Validate asset against the market registry
+      if (!marketRegistry.isTradeable(asset)) {
+        return res
+          .status(400)
+          .json(
+            createErrorResponse(
+              new Error("Invalid asset"),
+              `Asset must be one of: ${marketRegistry
+                .getSymbols({ tradeableOnly: true })
+                .join(", ")}`,
               400
             )
           );
       }
 
-      // Validate leverage range
-      if (leverage < 1 || leverage > 100) {
+      // Validate leverage range for the market
+      const maxLeverage = marketRegistry.getMaxLeverage(asset);
+      if (leverage < 1 || leverage > maxLeverage) {
         return res
           .status(400)
           .json(
             createErrorResponse(
               new Error("Invalid leverage"),
-              "Leverage must be between 1 and 100",
+              `Leverage must be between 1 and ${maxLeverage}`,
               400
             )
           );
@@ -57,44 +159,54 @@ router.post(
           );
       }
 
-      // Validate asset
-      const validAssets = ["SOL-PERP", "BTC-PERP", "ETH-PERP"];
-      if (!validAssets.includes(asset)) {
+      // Validate amount
+      if (amount < 10) {
         return res
           .status(400)
           .json(
             createErrorResponse(
-              new Error("Invalid asset"),
-              `Asset must be one of: ${validAssets.join(", ")}`,
+              new Error("Invalid amount"),
+              "Minimum trade amount is $10",
               400
             )
           );
       }
 
-      // Validate amount
-      if (amount < 10) {
+      // Validate order type
+      if (!ORDER_CONFIG.ENTRY_TYPES.includes(orderType)) {
         return res
           .status(400)
           .json(
             createErrorResponse(
-              new Error("Invalid amount"),
-              "Minimum trade amount is $10",
+              new Error("Invalid order type"),
+              `Order type must be one of: ${ORDER_CONFIG.ENTRY_TYPES.join(
+                ", "
+              )}`,
               400
             )
           );
       }
 
       console.log(
-        `🚀 Opening position: ${direction} ${asset} with ${leverage}x leverage, amount: $${amount}`
+        `🚀 Opening ${orderType} position: ${direction} ${asset} with ${leverage}x leverage, amount: $${amount}`
       );
 
       // Open position using trading service (returns transaction data)
-      const result = await tradingService.openPosition(
+      const result = await tradingFor(req).openPosition(
         userId,
         asset,
         direction,
         amount,
-        leverage
+        leverage,
+        {
+          orderType,
+          limitPrice,
+          triggerPrice,
+          stopLoss,
+          takeProfit,
+          subAccountId: parseSubAccountId(subAccountId),
+          speed: parseSpeed(req.body.speed),
+        }
       );
 
       if (result.needsInitialization || result.initializationRequired) {
@@ -104,6 +216,22 @@ router.post(
         );
       }
 
+      // Track the Drift order transaction handed out for signing until it
+      // lands
+      if (result.transactionData && !isPaperMode(req.user)) {
+        result.transaction = await transactionTracker.recordBuilt(userId, {
+          tradeId: result.positionId,
+          type: "open",
+          transactionData: result.transactionData,
+        });
+      }
+
+      if (result.status === "pending") {
+        notify(req, "notifyOrderUpdated", "order_placed", result);
+      } else {
+        notify(req, "notifyPositionOpened", result);
+      }
+
       res.json(
         createSuccessResponse(
           result,
@@ -112,42 +240,30 @@ router.post(
       );
     } catch (error) {
       console.error("❌ Error opening position:", error);
-      res
-        .status(500)
-        .json(
-          createErrorResponse(
-            error,
-            "Failed to create position transaction",
-            500
-          )
-        );
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        ...createErrorResponse(
+          error,
+          "Failed to create position transaction",
+          statusCode
+        ),
+        ...(error.reasons && { reasons: error.reasons }),
+      });
     }
   })
 );
 
 // GET /api/trading/positions/:userId - Get user's positions
 router.get(
-  "/positions/:userId",
+  "/positions/:userId?",
   asyncHandler(async (req, res) => {
     try {
-      const { userId } = req.params;
-
-      if (!userId) {
-        return res
-          .status(400)
-          .json(
-            createErrorResponse(
-              new Error("Missing userId"),
-              "User ID is required",
-              400
-            )
-          );
-      }
+      const userId = req.user.id;
 
       console.log(`📊 Fetching positions for user: ${userId}`);
 
       // Get positions using trading service
-      const positions = await tradingService.getPositions(userId);
+      const positions = await tradingFor(req).getPositions(userId);
 
       res.json(
         createSuccessResponse(positions, "Positions retrieved successfully")
@@ -161,72 +277,321 @@ router.get(
   })
 );
 
-// GET /api/trading/history/:userId - Get user's complete trading history
+// GET /api/trading/stats/:userId - Portfolio analytics for the caller
 router.get(
-  "/history/:userId",
+  "/stats/:userId?",
   asyncHandler(async (req, res) => {
     try {
-      const { userId } = req.params;
-      const { status } = req.query; // Optional filter: ?status=open or ?status=closed
+      const userId = req.user.id;
 
-      if (!userId) {
-        return res
-          .status(400)
-          .json(
-            createErrorResponse(
-              new Error("Missing userId"),
-              "User ID is required",
-              400
-            )
-          );
+      console.log(`📊 Fetching portfolio stats for user: ${userId}`);
+
+      const stats = await portfolioStats.getStats(tradingFor(req), userId);
+
+      res.json(
+        createSuccessResponse(stats, "Portfolio stats retrieved successfully")
+      );
+    } catch (error) {
+      console.error("❌ Error fetching portfolio stats:", error);
+      res
+        .status(500)
+        .json(
+          createErrorResponse(error, "Failed to fetch portfolio stats", 500)
+        );
+    }
+  })
+);
+
+/**
+ * Validate history query parameters into TradingService filters
+ */
+function parseHistoryFilters(query) {
+  const { status, asset, direction, pnl, sort, order, cursor } = query;
+
+  if (status && !HISTORY_CONFIG.STATUSES.includes(status)) {
+    throw createHttpError(
+      `status must be one of: ${HISTORY_CONFIG.STATUSES.join(", ")}`
+    );
+  }
+  if (asset && !marketRegistry.getMarket(asset)) {
+    throw createHttpError(`Unsupported market: ${asset}`);
+  }
+  if (direction && !["long", "short"].includes(direction)) {
+    throw createHttpError("direction must be 'long' or 'short'");
+  }
+  if (pnl && !["positive", "negative"].includes(pnl)) {
+    throw createHttpError("pnl must be 'positive' or 'negative'");
+  }
+  if (sort && !HISTORY_CONFIG.SORT_COLUMNS[sort]) {
+    throw createHttpError(
+      `sort must be one of: ${Object.keys(HISTORY_CONFIG.SORT_COLUMNS).join(
+        ", "
+      )}`
+    );
+  }
+  if (order && !["asc", "desc"].includes(order)) {
+    throw createHttpError("order must be 'asc' or 'desc'");
+  }
+
+  let limit;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (
+      !Number.isInteger(limit) ||
+      limit < 1 ||
+      limit > HISTORY_CONFIG.MAX_LIMIT
+    ) {
+      throw createHttpError(
+        `limit must be an integer between 1 and ${HISTORY_CONFIG.MAX_LIMIT}`
+      );
+    }
+  }
+
+  const from = parseTimeParam(query.from, "from");
+  const to = parseTimeParam(query.to, "to");
+  if (from !== null && to !== null && from >= to) {
+    throw createHttpError("from must be before to");
+  }
+
+  return {
+    status,
+    asset,
+    direction,
+    pnl,
+    sort,
+    order,
+    cursor,
+    limit,
+    from,
+    to,
+  };
+}
+
+const EXPORT_COLUMNS = [
+  "id",
+  "asset",
+  "direction",
+  "status",
+  "closeReason",
+  "openedAt",
+  "closedAt",
+  "sizeUsd",
+  "quantity",
+  "entryPrice",
+  "exitPrice",
+  "leverage",
+  "marginUsd",
+  "fees",
+  "funding",
+  "realizedPnl",
+  "netPnl",
+];
+
+/**
+ * One CSV line, quoting values that contain separators or quotes
+ */
+function toCsvLine(values) {
+  return (
+    values
+      .map((value) => {
+        if (value === null || value === undefined) return "";
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      })
+      .join(",") + "\r\n"
+  );
+}
+
+// GET /api/trading/history/:userId/export - Download realized trades as CSV or JSON
+// Accepts the same filters as /history; defaults to closed and liquidated trades
+router.get(
+  "/history/:userId?/export",
+  asyncHandler(async (req, res) => {
+    try {
+      const format = req.query.format || "csv";
+      if (!["csv", "json"].includes(format)) {
+        throw createHttpError("format must be 'csv' or 'json'");
       }
 
+      const filters = parseHistoryFilters(req.query);
+      const rows = tradingFor(req).exportTradingHistory(req.user.id, filters);
+      const filename = `trade-history-${new Date()
+        .toISOString()
+        .slice(0, 10)}.${format}`;
+
       console.log(
-        `📚 Fetching trading history for user: ${userId}, status filter: ${
-          status || "all"
-        }`
+        `📤 Exporting trading history for user: ${req.user.id} as ${format}`
       );
 
-      // Get trading history using trading service
-      const history = await tradingService.getTradingHistory(userId, status);
+      // Read the first row before committing to a streamed response, so a
+      // failed query can still be reported as JSON
+      let next = await rows.next();
 
-      res.json(
-        createSuccessResponse(history, "Trading history retrieved successfully")
+      res.setHeader(
+        "Content-Type",
+        format === "csv" ? "text/csv; charset=utf-8" : "application/json"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`
+      );
+
+      res.write(format === "csv" ? toCsvLine(EXPORT_COLUMNS) : "[");
+      for (let first = true; !next.done; first = false) {
+        const row = next.value;
+        const written = res.write(
+          format === "csv"
+            ? toCsvLine(EXPORT_COLUMNS.map((column) => row[column]))
+            : `${first ? "" : ","}${JSON.stringify(row)}`
+        );
+        // Let slow clients drain before reading more rows
+        if (!written) await once(res, "drain");
+        next = await rows.next();
+      }
+      res.end(format === "csv" ? "" : "]");
+    } catch (error) {
+      console.error("❌ Error exporting trading history:", error);
+
+      // Mid-stream failures can only cut the download short
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(
+            error,
+            "Failed to export trading history",
+            statusCode
+          )
+        );
+    }
+  })
+);
+
+// GET /api/trading/history/:userId - Page through the user's trading history
+// Filters: status, asset, direction, from/to (opened between), pnl
+// (positive | negative realized PnL); sort (openedAt | closedAt | size |
+// pnl) and order (asc | desc); limit and the cursor from the last page
+router.get(
+  "/history/:userId?",
+  asyncHandler(async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const filters = parseHistoryFilters(req.query);
+
+      const { trades, nextCursor } = await tradingFor(req).getTradingHistory(
+        userId,
+        filters
       );
+
+      res.json({
+        ...createSuccessResponse(
+          trades,
+          "Trading history retrieved successfully"
+        ),
+        pagination: {
+          limit: filters.limit || HISTORY_CONFIG.DEFAULT_LIMIT,
+          nextCursor,
+          hasMore: nextCursor !== null,
+        },
+      });
     } catch (error) {
       console.error("❌ Error fetching trading history:", error);
+      const statusCode = error.statusCode || 500;
       res
-        .status(500)
+        .status(statusCode)
         .json(
-          createErrorResponse(error, "Failed to fetch trading history", 500)
+          createErrorResponse(
+            error,
+            "Failed to fetch trading history",
+            statusCode
+          )
         );
     }
   })
 );
 
-// POST /api/trading/close - Close a position (returns transaction data for signing)
+// POST /api/trading/close - Close all or part of a position (returns transaction data for signing)
+// Optional: percentage (0-100] or size (base asset units, e.g. SOL) for a partial close
 router.post(
   "/close",
   asyncHandler(async (req, res) => {
     try {
-      const { userId, positionId } = req.body;
+      const { positionId, percentage, size } = req.body;
+      const userId = req.user.id;
 
-      if (!userId || !positionId) {
+      if (!positionId) {
         return res
           .status(400)
           .json(
             createErrorResponse(
               new Error("Missing required fields"),
-              "userId and positionId are required",
+              "positionId is required",
+              400
+            )
+          );
+      }
+
+      if (percentage !== undefined && size !== undefined) {
+        return res
+          .status(400)
+          .json(
+            createErrorResponse(
+              new Error("Conflicting close amount"),
+              "Provide either percentage or size, not both",
+              400
+            )
+          );
+      }
+
+      if (percentage !== undefined && !(percentage > 0 && percentage <= 100)) {
+        return res
+          .status(400)
+          .json(
+            createErrorResponse(
+              new Error("Invalid percentage"),
+              "Percentage must be greater than 0 and at most 100",
+              400
+            )
+          );
+      }
+
+      if (size !== undefined && !(size > 0)) {
+        return res
+          .status(400)
+          .json(
+            createErrorResponse(
+              new Error("Invalid size"),
+              "Size must be greater than 0",
               400
             )
           );
       }
 
-      console.log(`🔒 Closing position: ${positionId} for user: ${userId}`);
+      console.log(
+        `🔒 Closing ${
+          percentage !== undefined
+            ? `${percentage}% of`
+            : size !== undefined
+            ? `${size} units of`
+            : ""
+        } position: ${positionId} for user: ${userId}`
+      );
 
       // Close position using trading service (returns transaction data)
-      const result = await tradingService.closePosition(userId, positionId);
+      const result = await tradingFor(req).closePosition(userId, positionId, {
+        percentage,
+        size,
+      });
+
+      notify(
+        req,
+        result.partial ? "notifyPositionUpdated" : "notifyPositionClosed",
+        result
+      );
 
       res.json(
         createSuccessResponse(
@@ -236,217 +601,1027 @@ router.post(
       );
     } catch (error) {
       console.error("❌ Error closing position:", error);
+      const statusCode = error.statusCode || 500;
       res
-        .status(500)
+        .status(statusCode)
         .json(
           createErrorResponse(
             error,
             "Failed to create close position transaction",
-            500
+            statusCode
           )
         );
     }
   })
 );
 
-// GET /api/trading/balance/:userId - Get user's balance
-router.get(
-  "/balance/:userId",
+// POST /api/trading/increase - Add margin to an open position
+router.post(
+  "/increase",
   asyncHandler(async (req, res) => {
     try {
-      const { userId } = req.params;
+      const { positionId, amount, leverage } = req.body;
 
-      if (!userId) {
+      if (!positionId || !amount) {
         return res
           .status(400)
           .json(
             createErrorResponse(
-              new Error("Missing userId"),
-              "User ID is required",
+              new Error("Missing required fields"),
+              "positionId and amount are required",
               400
             )
           );
       }
 
-      console.log(`💰 Fetching balance for user: ${userId}`);
+      // The upper bound is the position's market limit, checked once the
+      // position is loaded
+      if (leverage !== undefined && leverage < 1) {
+        return res
+          .status(400)
+          .json(
+            createErrorResponse(
+              new Error("Invalid leverage"),
+              "Leverage must be at least 1",
+              400
+            )
+          );
+      }
+
+      if (amount < 10) {
+        return res
+          .status(400)
+          .json(
+            createErrorResponse(
+              new Error("Invalid amount"),
+              "Minimum trade amount is $10",
+              400
+            )
+          );
+      }
+
+      const result = await tradingFor(req).increasePosition(
+        req.user.id,
+        positionId,
+        amount,
+        leverage
+      );
 
-      // Get balance using trading service
-      const balance = await tradingService.getBalance(userId);
+      notify(req, "notifyPositionUpdated", result);
 
       res.json(
-        createSuccessResponse(balance, "Balance retrieved successfully")
+        createSuccessResponse(result, "Position increased successfully")
       );
     } catch (error) {
-      console.error("❌ Error fetching balance:", error);
+      console.error("❌ Error increasing position:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        ...createErrorResponse(
+          error,
+          "Failed to increase position",
+          statusCode
+        ),
+        ...(error.reasons && { reasons: error.reasons }),
+      });
+    }
+  })
+);
+
+// GET /api/trading/positions/:positionId/fills - Get a position's fill ledger
+router.get(
+  "/positions/:positionId/fills",
+  asyncHandler(async (req, res) => {
+    try {
+      const fills = await tradingFor(req).getFills(
+        req.user.id,
+        req.params.positionId
+      );
+
+      res.json(createSuccessResponse(fills, "Fills retrieved successfully"));
+    } catch (error) {
+      console.error("❌ Error fetching fills:", error);
       res
         .status(500)
-        .json(createErrorResponse(error, "Failed to fetch balance", 500));
+        .json(createErrorResponse(error, "Failed to fetch fills", 500));
     }
   })
 );
 
-// POST /api/trading/confirm-transaction - Confirm a transaction was successful
+// POST /api/trading/positions/:positionId/brackets - Attach stop-loss / take-profit
 router.post(
-  "/confirm-transaction",
+  "/positions/:positionId/brackets",
   asyncHandler(async (req, res) => {
     try {
-      const { userId, positionId, transactionId, type } = req.body;
-
-      if (!userId || !positionId || !transactionId || !type) {
-        return res
-          .status(400)
-          .json(
-            createErrorResponse(
-              new Error("Missing required fields"),
-              "userId, positionId, transactionId, and type are required",
-              400
-            )
-          );
-      }
+      const { positionId } = req.params;
+      const { stopLoss, takeProfit } = req.body;
 
-      console.log(
-        `✅ Confirming ${type} transaction: ${transactionId} for position: ${positionId}`
+      const brackets = await tradingFor(req).attachBrackets(
+        req.user.id,
+        positionId,
+        { stopLoss, takeProfit }
       );
 
-      // Update trade status based on transaction type
-      let updateData = {};
-
-      if (type === "open") {
-        updateData = {
-          status: "open",
-          transaction_id: transactionId,
-          opened_at: new Date().toISOString(),
-        };
-      } else if (type === "close") {
-        updateData = {
-          status: "closed",
-          close_transaction_id: transactionId,
-          exit_time: new Date().toISOString(),
-        };
-      }
-
-      // Update trade in database
-      const { error } = await req.supabase
-        .from("trades")
-        .update(updateData)
-        .eq("id", positionId)
-        .eq("user_id", userId);
-
-      if (error) {
-        throw new Error(`Failed to update trade: ${error.message}`);
-      }
-
-      console.log(`✅ Transaction confirmed and trade updated: ${positionId}`);
+      notify(req, "notifyOrderUpdated", "order_placed", brackets);
 
       res.json(
-        createSuccessResponse(
-          { positionId, transactionId, type, status: "confirmed" },
-          "Transaction confirmed successfully"
-        )
+        createSuccessResponse(brackets, "Bracket orders attached successfully")
       );
     } catch (error) {
-      console.error("❌ Error confirming transaction:", error);
+      console.error("❌ Error attaching bracket orders:", error);
+      const statusCode = error.statusCode || 500;
       res
-        .status(500)
-        .json(createErrorResponse(error, "Failed to confirm transaction", 500));
+        .status(statusCode)
+        .json(
+          createErrorResponse(
+            error,
+            "Failed to attach bracket orders",
+            statusCode
+          )
+        );
     }
   })
 );
 
-// POST /api/trading/submit - Submit signed transaction to blockchain
-router.post(
-  "/submit",
+// GET /api/trading/orders - Get the caller's pending conditional orders
+router.get(
+  "/orders",
   asyncHandler(async (req, res) => {
     try {
-      const { signedTransaction, walletAddress, positionId } = req.body;
+      const orders = await tradingFor(req).getOrders(req.user.id);
 
-      if (!signedTransaction) {
-        return res
-          .status(400)
-          .json(
-            createErrorResponse(
-              new Error("Missing signed transaction data"),
-              "signedTransaction is required",
-              400
-            )
-          );
-      }
+      res.json(createSuccessResponse(orders, "Orders retrieved successfully"));
+    } catch (error) {
+      console.error("❌ Error fetching orders:", error);
+      res
+        .status(500)
+        .json(createErrorResponse(error, "Failed to fetch orders", 500));
+    }
+  })
+);
 
-      console.log(
-        `📤 Submitting signed transaction for wallet: ${walletAddress}`
+// DELETE /api/trading/orders/:orderId - Cancel a pending order
+router.delete(
+  "/orders/:orderId",
+  asyncHandler(async (req, res) => {
+    try {
+      const order = await tradingFor(req).cancelOrder(
+        req.user.id,
+        req.params.orderId
       );
 
-      try {
-        // Convert base64 back to buffer
-        const txBuffer = Buffer.from(signedTransaction, "base64");
-
-        // Create connection
-        const { createConnection } = require("../utils");
-        const connection = await createConnection();
+      notify(req, "notifyOrderUpdated", "order_cancelled", order);
 
-        // Send the raw transaction directly
-        console.log("📤 Sending raw transaction to Solana network...");
-        const signature = await connection.sendRawTransaction(txBuffer, {
-          skipPreflight: false,
-          preflightCommitment: "confirmed",
-          maxRetries: 3,
-        });
+      res.json(createSuccessResponse(order, "Order cancelled successfully"));
+    } catch (error) {
+      console.error("❌ Error cancelling order:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(createErrorResponse(error, "Failed to cancel order", statusCode));
+    }
+  })
+);
 
-        console.log("✅ Transaction submitted, signature:", signature);
+// GET /api/trading/balance/:userId - Get user's balance
+router.get(
+  "/balance/:userId?",
+  asyncHandler(async (req, res) => {
+    try {
+      const userId = req.user.id;
 
-        // Wait for confirmation
-        console.log("⏳ Waiting for transaction confirmation...");
-        const confirmation = await connection.confirmTransaction({
-          signature,
-          blockhash: null,
-          commitment: "confirmed",
-          maxRetries: 3,
-        });
+      console.log(`💰 Fetching balance for user: ${userId}`);
 
-        console.log("🎉 Transaction confirmed:", confirmation);
+      // Get balance using trading service (?subAccountId for a sub-account)
+      const balance = await tradingFor(req).getBalance(
+        userId,
+        parseSubAccountId(req.query.subAccountId)
+      );
 
-        // Update trade record with real transaction ID if positionId provided
-        if (positionId) {
-          await req.supabase
-            .from("trades")
-            .update({
-              transaction_id: signature,
-              status: "open",
-            })
-            .eq("id", positionId);
+      res.json(
+        createSuccessResponse(balance, "Balance retrieved successfully")
+      );
+    } catch (error) {
+      console.error("❌ Error fetching balance:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(error, "Failed to fetch balance", statusCode)
+        );
+    }
+  })
+);
 
-          console.log(
-            `✅ Updated trade record ${positionId} with transaction ${signature}`
-          );
+// GET /api/trading/risk - The caller's risk limits and how much of them is used
+router.get(
+  "/risk",
+  asyncHandler(async (req, res) => {
+    try {
+      const summary = await riskEngine.getRiskSummary(
+        tradingFor(req).tables,
+        req.user.id
+      );
+
+      res.json(
+        createSuccessResponse(summary, "Risk limits retrieved successfully")
+      );
+    } catch (error) {
+      console.error("❌ Error fetching risk limits:", error);
+      res
+        .status(500)
+        .json(createErrorResponse(error, "Failed to fetch risk limits", 500));
+    }
+  })
+);
+
+// GET /api/trading/copy - The caller's copy trading subscriptions
+router.get(
+  "/copy",
+  asyncHandler(async (req, res) => {
+    try {
+      const subscriptions = await copyTrading.getSubscriptions(req.user.id);
+
+      res.json(
+        createSuccessResponse(
+          subscriptions,
+          "Copy subscriptions retrieved successfully"
+        )
+      );
+    } catch (error) {
+      console.error("❌ Error fetching copy subscriptions:", error);
+      res
+        .status(500)
+        .json(
+          createErrorResponse(error, "Failed to fetch copy subscriptions", 500)
+        );
+    }
+  })
+);
+
+// PUT /api/trading/copy/:leaderId - Copy a followed trader, or update how
+// Body: sizeMultiplier (of the leader's margin), maxLeverage, optional
+// maxMarginUsd per trade and active
+router.put(
+  "/copy/:leaderId",
+  asyncHandler(async (req, res) => {
+    try {
+      const { sizeMultiplier, maxLeverage, maxMarginUsd, active } = req.body;
+
+      const subscription = await copyTrading.subscribe(
+        req.user.id,
+        req.params.leaderId,
+        {
+          sizeMultiplier: Number(sizeMultiplier),
+          maxLeverage: Number(maxLeverage),
+          maxMarginUsd:
+            maxMarginUsd === undefined || maxMarginUsd === null
+              ? null
+              : Number(maxMarginUsd),
+          active: active === undefined ? true : Boolean(active),
         }
+      );
 
-        res.json(
-          createSuccessResponse(
-            {
-              signature,
-              confirmation: {
-                slot: confirmation.context.slot,
-                confirmations: null,
-                confirmationStatus: "confirmed",
-                err: null,
-              },
-            },
-            "Transaction submitted and confirmed successfully"
+      res.json(createSuccessResponse(subscription, "Copy subscription saved"));
+    } catch (error) {
+      console.error("❌ Error saving copy subscription:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(
+            error,
+            "Failed to save copy subscription",
+            statusCode
+          )
+        );
+    }
+  })
+);
+
+// DELETE /api/trading/copy/:leaderId - Stop copying a trader
+router.delete(
+  "/copy/:leaderId",
+  asyncHandler(async (req, res) => {
+    try {
+      await copyTrading.unsubscribe(req.user.id, req.params.leaderId);
+
+      res.json(
+        createSuccessResponse(
+          { leaderId: req.params.leaderId },
+          "Copy subscription removed"
+        )
+      );
+    } catch (error) {
+      console.error("❌ Error removing copy subscription:", error);
+      res
+        .status(500)
+        .json(
+          createErrorResponse(error, "Failed to remove copy subscription", 500)
+        );
+    }
+  })
+);
+
+// Numeric body field that may be omitted (undefined) or cleared (null)
+const optionalNumber = (value) =>
+  value === undefined || value === null ? value : Number(value);
+
+// GET /api/trading/controls - The caller's responsible trading controls
+router.get(
+  "/controls",
+  asyncHandler(async (req, res) => {
+    try {
+      const controls = await tradingControls.getControls(req.user.id);
+
+      res.json(
+        createSuccessResponse(
+          controls,
+          "Trading controls retrieved successfully"
+        )
+      );
+    } catch (error) {
+      console.error("❌ Error fetching trading controls:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(
+            error,
+            "Failed to fetch trading controls",
+            statusCode
+          )
+        );
+    }
+  })
+);
+
+// PUT /api/trading/controls - Set the caller's deposit limit, daily loss cap
+// and session reminder
+// Body: depositLimitUsd, depositLimitPeriod ("day", "week" or "month"),
+// dailyLossCapUsd, sessionReminderMinutes; omitted fields are unchanged and
+// null removes a limit
+router.put(
+  "/controls",
+  asyncHandler(async (req, res) => {
+    try {
+      const {
+        depositLimitUsd,
+        depositLimitPeriod,
+        dailyLossCapUsd,
+        sessionReminderMinutes,
+      } = req.body;
+
+      const controls = await tradingControls.updateControls(req.user.id, {
+        depositLimitUsd: optionalNumber(depositLimitUsd),
+        depositLimitPeriod,
+        dailyLossCapUsd: optionalNumber(dailyLossCapUsd),
+        sessionReminderMinutes: optionalNumber(sessionReminderMinutes),
+      });
+
+      res.json(createSuccessResponse(controls, "Trading controls updated"));
+    } catch (error) {
+      console.error("❌ Error updating trading controls:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(
+            error,
+            "Failed to update trading controls",
+            statusCode
+          )
+        );
+    }
+  })
+);
+
+// POST /api/trading/controls/break - Take a break from opening positions
+// Body: period ("24h", "7d" or "30d"). Closes stay allowed during a break;
+// a shorter period than the current break only applies after a delay.
+router.post(
+  "/controls/break",
+  asyncHandler(async (req, res) => {
+    try {
+      const controls = await tradingControls.takeBreak(
+        req.user.id,
+        req.body.period
+      );
+
+      res.json(createSuccessResponse(controls, "Break updated"));
+    } catch (error) {
+      console.error("❌ Error starting break:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(createErrorResponse(error, "Failed to start break", statusCode));
+    }
+  })
+);
+
+// DELETE /api/trading/controls/break - End the caller's break after the delay
+router.delete(
+  "/controls/break",
+  asyncHandler(async (req, res) => {
+    try {
+      const controls = await tradingControls.endBreak(req.user.id);
+
+      res.json(
+        createSuccessResponse(controls, "Break will end after the delay")
+      );
+    } catch (error) {
+      console.error("❌ Error ending break:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(createErrorResponse(error, "Failed to end break", statusCode));
+    }
+  })
+);
+
+// GET /api/trading/mode - Whether the caller trades live or on paper
+router.get(
+  "/mode",
+  asyncHandler(async (req, res) => {
+    res.json(
+      createSuccessResponse(
+        {
+          mode: isPaperMode(req.user) ? "paper" : "live",
+          forced: PAPER_TRADING_CONFIG.ENABLED_FOR_ALL,
+        },
+        "Trading mode retrieved successfully"
+      )
+    );
+  })
+);
+
+// PUT /api/trading/mode - Switch the caller between "live" and "paper"
+router.put(
+  "/mode",
+  asyncHandler(async (req, res) => {
+    try {
+      const { mode } = req.body;
+
+      if (!["live", "paper"].includes(mode)) {
+        return res
+          .status(400)
+          .json(
+            createErrorResponse(
+              new Error("Invalid mode"),
+              "mode must be 'live' or 'paper'",
+              400
+            )
+          );
+      }
+
+      if (mode === "live" && PAPER_TRADING_CONFIG.ENABLED_FOR_ALL) {
+        return res
+          .status(403)
+          .json(
+            createErrorResponse(
+              new Error("Live trading disabled"),
+              "This deployment only allows paper trading",
+              403
+            )
+          );
+      }
+
+      await setPaperMode(req.user.id, mode === "paper");
+      console.log(`🔀 User ${req.user.id} switched to ${mode} trading`);
+
+      res.json(
+        createSuccessResponse({ mode }, "Trading mode updated successfully")
+      );
+    } catch (error) {
+      console.error("❌ Error updating trading mode:", error);
+      res
+        .status(500)
+        .json(createErrorResponse(error, "Failed to update trading mode", 500));
+    }
+  })
+);
+
+// POST /api/trading/paper/reset - Close out paper trades and restore the starting balance
+router.post(
+  "/paper/reset",
+  asyncHandler(async (req, res) => {
+    try {
+      if (!isPaperMode(req.user)) {
+        return res
+          .status(400)
+          .json(
+            createErrorResponse(
+              new Error("Not in paper mode"),
+              "Switch to paper trading before resetting the paper account",
+              400
+            )
+          );
+      }
+
+      const balance = await tradingFor(req).resetAccount(req.user.id);
+
+      res.json(
+        createSuccessResponse(balance, "Paper account reset successfully")
+      );
+    } catch (error) {
+      console.error("❌ Error resetting paper account:", error);
+      res
+        .status(500)
+        .json(createErrorResponse(error, "Failed to reset paper account", 500));
+    }
+  })
+);
+
+// Paper positions never touch the chain, so there is nothing to confirm or submit
+const rejectPaperTransactions = (req, res, next) => {
+  if (isPaperMode(req.user)) {
+    return res
+      .status(400)
+      .json(
+        createErrorResponse(
+          new Error("Paper trading"),
+          "Paper trades have no on-chain transactions",
+          400
+        )
+      );
+  }
+  next();
+};
+
+// POST /api/trading/deposit - Deposit USDC from the caller's Swig wallet into
+// Drift collateral (returns an unsigned transaction for signing)
+// Body: amount in USDC, optional subAccountId (default: main account) and
+// speed (priority fee tier). Submit the signed transaction to /submit with the returned transfer id as
+// transferId.
+router.post(
+  "/deposit",
+  rejectPaperTransactions,
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await transferService.buildDeposit(
+        req.user.id,
+        Number(req.body.amount),
+        parseSubAccountId(req.body.subAccountId),
+        parseSpeed(req.body.speed)
+      );
+
+      res.json(
+        createSuccessResponse(
+          result,
+          result.transfer.initializesAccount
+            ? "Deposit transaction created; it also sets up your Drift account"
+            : "Deposit transaction created"
+        )
+      );
+    } catch (error) {
+      console.error("❌ Error creating deposit:", error);
+      const statusCode = error.statusCode || 500;
+      res.status(statusCode).json({
+        ...createErrorResponse(error, "Failed to create deposit", statusCode),
+        ...(error.reasons && { reasons: error.reasons }),
+      });
+    }
+  })
+);
+
+// POST /api/trading/withdraw - Withdraw free collateral to the caller's Swig
+// wallet (returns an unsigned transaction for signing)
+// Body: optional amount in USDC; omitted withdraws all free collateral.
+// Optional subAccountId withdraws from a sub-account instead of the main one;
+// optional speed picks the priority fee tier
+router.post(
+  "/withdraw",
+  rejectPaperTransactions,
+  asyncHandler(async (req, res) => {
+    try {
+      const { amount, subAccountId, speed } = req.body;
+
+      const result = await transferService.buildWithdraw(
+        req.user.id,
+        amount === undefined || amount === null ? null : Number(amount),
+        parseSubAccountId(subAccountId),
+        parseSpeed(speed)
+      );
+
+      res.json(createSuccessResponse(result, "Withdrawal transaction created"));
+    } catch (error) {
+      console.error("❌ Error creating withdrawal:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(error, "Failed to create withdrawal", statusCode)
+        );
+    }
+  })
+);
+
+// GET /api/trading/transfers - The caller's deposits, withdrawals and
+// sub-account transfers, newest first; filter with
+// ?type=deposit|withdraw|sub_account_transfer, page with ?limit and ?offset
+router.get(
+  "/transfers",
+  asyncHandler(async (req, res) => {
+    try {
+      const { type } = req.query;
+
+      if (
+        type !== undefined &&
+        !["deposit", "withdraw", "sub_account_transfer"].includes(type)
+      ) {
+        throw createHttpError(
+          "type must be 'deposit', 'withdraw' or 'sub_account_transfer'"
+        );
+      }
+
+      const transfers = await transferService.getTransfers(req.user.id, {
+        type: type || null,
+        limit: Math.min(
+          Math.max(
+            parseInt(req.query.limit) || TRANSFER_CONFIG.DEFAULT_PAGE_SIZE,
+            1
+          ),
+          TRANSFER_CONFIG.MAX_PAGE_SIZE
+        ),
+        offset: Math.max(parseInt(req.query.offset) || 0, 0),
+      });
+
+      res.json(
+        createSuccessResponse(transfers, "Transfers retrieved successfully")
+      );
+    } catch (error) {
+      console.error("❌ Error fetching transfers:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(error, "Failed to fetch transfers", statusCode)
+        );
+    }
+  })
+);
+
+// GET /api/trading/sub-accounts - The caller's Drift sub-accounts with their
+// names, collateral and open positions
+router.get(
+  "/sub-accounts",
+  asyncHandler(async (req, res) => {
+    try {
+      if (isPaperMode(req.user)) {
+        throw createHttpError("Paper accounts have no sub-accounts");
+      }
+
+      const result = await subAccounts.listSubAccounts(req.user.id);
+
+      res.json(
+        createSuccessResponse(result, "Sub-accounts retrieved successfully")
+      );
+    } catch (error) {
+      console.error("❌ Error fetching sub-accounts:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(error, "Failed to fetch sub-accounts", statusCode)
+        );
+    }
+  })
+);
+
+// POST /api/trading/sub-accounts - Create the next Drift sub-account
+// (returns an unsigned transaction for signing)
+// Body: name, at most 32 bytes, optional speed (priority fee tier)
+router.post(
+  "/sub-accounts",
+  rejectPaperTransactions,
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await subAccounts.buildCreate(
+        req.user.id,
+        req.body.name,
+        parseSpeed(req.body.speed)
+      );
+
+      res.json(
+        createSuccessResponse(result, "Sub-account transaction created")
+      );
+    } catch (error) {
+      console.error("❌ Error creating sub-account:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(error, "Failed to create sub-account", statusCode)
+        );
+    }
+  })
+);
+
+// POST /api/trading/sub-accounts/transfer - Move collateral between two
+// sub-accounts (returns an unsigned transaction for signing)
+// Body: fromSubAccountId, toSubAccountId, optional amount in USDC (omitted
+// moves all free collateral) and speed. Submit it to /submit with the
+// transfer id.
+router.post(
+  "/sub-accounts/transfer",
+  rejectPaperTransactions,
+  asyncHandler(async (req, res) => {
+    try {
+      const { fromSubAccountId, toSubAccountId, amount, speed } = req.body;
+
+      if (fromSubAccountId === undefined || toSubAccountId === undefined) {
+        throw createHttpError(
+          "fromSubAccountId and toSubAccountId are required"
+        );
+      }
+
+      const result = await subAccounts.buildTransfer(req.user.id, {
+        fromSubAccountId: parseSubAccountId(
+          fromSubAccountId,
+          "fromSubAccountId"
+        ),
+        toSubAccountId: parseSubAccountId(toSubAccountId, "toSubAccountId"),
+        amount: amount === undefined || amount === null ? null : Number(amount),
+        speed: parseSpeed(speed),
+      });
+
+      res.json(
+        createSuccessResponse(
+          result,
+          "Sub-account transfer transaction created"
+        )
+      );
+    } catch (error) {
+      console.error("❌ Error creating sub-account transfer:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(
+            error,
+            "Failed to create sub-account transfer",
+            statusCode
           )
         );
-      } catch (txError) {
-        console.error("❌ Transaction submission error:", txError);
-        res
-          .status(500)
+    }
+  })
+);
+
+// PUT /api/trading/sub-accounts/:subAccountId - Rename a sub-account
+// (returns an unsigned transaction for signing)
+// Body: name, at most 32 bytes, optional speed (priority fee tier)
+router.put(
+  "/sub-accounts/:subAccountId",
+  rejectPaperTransactions,
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await subAccounts.buildRename(
+        req.user.id,
+        parseSubAccountId(req.params.subAccountId),
+        req.body.name,
+        parseSpeed(req.body.speed)
+      );
+
+      res.json(
+        createSuccessResponse(result, "Sub-account rename transaction created")
+      );
+    } catch (error) {
+      console.error("❌ Error renaming sub-account:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(error, "Failed to rename sub-account", statusCode)
+        );
+    }
+  })
+);
+
+// DELETE /api/trading/sub-accounts/:subAccountId - Delete an empty
+// sub-account (returns an unsigned transaction for signing)
+// Body: optional speed (priority fee tier)
+router.delete(
+  "/sub-accounts/:subAccountId",
+  rejectPaperTransactions,
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await subAccounts.buildDelete(
+        req.user.id,
+        parseSubAccountId(req.params.subAccountId),
+        parseSpeed(req.body && req.body.speed)
+      );
+
+      res.json(
+        createSuccessResponse(
+          result,
+          "Sub-account deletion transaction created"
+        )
+      );
+    } catch (error) {
+      console.error("❌ Error deleting sub-account:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(error, "Failed to delete sub-account", statusCode)
+        );
+    }
+  })
+);
+
+// POST /api/trading/confirm-transaction - Confirm a transaction was successful
+router.post(
+  "/confirm-transaction",
+  rejectPaperTransactions,
+  asyncHandler(async (req, res) => {
+    try {
+      const { positionId, transactionId, type } = req.body;
+      const userId = req.user.id;
+
+      if (!positionId || !transactionId || !type) {
+        return res
+          .status(400)
           .json(
-            createErrorResponse(txError, "Failed to submit transaction", 500)
+            createErrorResponse(
+              new Error("Missing required fields"),
+              "positionId, transactionId, and type are required",
+              400
+            )
           );
       }
+
+      console.log(
+        `✅ Confirming ${type} transaction: ${transactionId} for position: ${positionId}`
+      );
+
+      // Only market entries waiting on their transaction open here; resting
+      // orders and brackets open when they fill, and settled trades stay put
+      let query = req.supabase.from("trades");
+
+      if (type === "open") {
+        query = query
+          .update({
+            status: "open",
+            transaction_id: transactionId,
+            opened_at: new Date().toISOString(),
+          })
+          .eq("status", "pending")
+          .eq("order_type", "market")
+          .is("parent_trade_id", null);
+      } else if (type === "close") {
+        query = query
+          .update({
+            status: "closed",
+            close_transaction_id: transactionId,
+            exit_time: new Date().toISOString(),
+          })
+          .eq("status", "open");
+      } else {
+        return res
+          .status(400)
+          .json(
+            createErrorResponse(
+              new Error("Invalid type"),
+              'type must be "open" or "close"',
+              400
+            )
+          );
+      }
+
+      // Update trade in database
+      const { data: updated, error } = await query
+        .eq("id", positionId)
+        .eq("user_id", userId)
+        .select("id");
+
+      if (error) {
+        throw new Error(`Failed to update trade: ${error.message}`);
+      }
+
+      if (!updated || updated.length === 0) {
+        return res
+          .status(409)
+          .json(
+            createErrorResponse(
+              new Error("Trade not confirmable"),
+              `No trade of yours is waiting for a ${type} transaction`,
+              409
+            )
+          );
+      }
+
+      console.log(`✅ Transaction confirmed and trade updated: ${positionId}`);
+
+      res.json(
+        createSuccessResponse(
+          { positionId, transactionId, type, status: "confirmed" },
+          "Transaction confirmed successfully"
+        )
+      );
     } catch (error) {
-      console.error("❌ Error in transaction submission handler:", error);
+      console.error("❌ Error confirming transaction:", error);
       res
         .status(500)
-        .json(createErrorResponse(error, "Internal server error", 500));
+        .json(createErrorResponse(error, "Failed to confirm transaction", 500));
+    }
+  })
+);
+
+// POST /api/trading/submit - Submit signed transaction to blockchain
+// Body: signedTransaction (base64), optional positionId or transferId and
+// type (open, close, deposit, ...) to link it to what it belongs to
+router.post(
+  "/submit",
+  rejectPaperTransactions,
+  asyncHandler(async (req, res) => {
+    try {
+      const { signedTransaction, walletAddress, positionId, transferId, type } =
+        req.body;
+
+      if (!signedTransaction) {
+        return res
+          .status(400)
+          .json(
+            createErrorResponse(
+              new Error("Missing signed transaction data"),
+              "signedTransaction is required",
+              400
+            )
+          );
+      }
+
+      console.log(
+        `📤 Submitting signed transaction for wallet: ${walletAddress}`
+      );
+
+      // Convert base64 back to buffer
+      const txBuffer = Buffer.from(signedTransaction, "base64");
+
+      // Send, then wait for the tracker to see it confirm, fail or expire
+      const transaction = await transactionTracker.submit(
+        req.user.id,
+        txBuffer,
+        {
+          tradeId: positionId || null,
+          transferId: transferId || null,
+          type: type || null,
+        }
+      );
+
+      if (transaction.status === "failed" || transaction.status === "expired") {
+        return res.status(400).json({
+          ...createErrorResponse(
+            new Error(transaction.error || `Transaction ${transaction.status}`),
+            `Transaction ${transaction.status}`,
+            400
+          ),
+          transaction: transactionTracker.formatTransaction(transaction),
+        });
+      }
+
+      const confirmed =
+        transaction.status === "confirmed" ||
+        transaction.status === "finalized";
+
+      // Update trade record with real transaction ID if positionId provided
+      // Placing a conditional order doesn't fill it: reconciliation opens
+      // the row once Drift does
+      if (confirmed && positionId) {
+        await req.supabase
+          .from("trades")
+          .update({ transaction_id: transaction.signature })
+          .eq("id", positionId)
+          .eq("user_id", req.user.id);
+
+        console.log(
+          `✅ Updated trade record ${positionId} with transaction ${transaction.signature}`
+        );
+      }
+
+      res.json(
+        createSuccessResponse(
+          {
+            signature: transaction.signature,
+            confirmation: {
+              slot: transaction.slot === null ? null : Number(transaction.slot),
+              confirmations: null,
+              confirmationStatus: transaction.status,
+              err: null,
+            },
+            transaction: transactionTracker.formatTransaction(transaction),
+          },
+          confirmed
+            ? "Transaction submitted and confirmed successfully"
+            : "Transaction submitted, awaiting confirmation"
+        )
+      );
+    } catch (error) {
+      console.error("❌ Transaction submission error:", error);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(error, "Failed to submit transaction", statusCode)
+        );
     }
   })
 );
@@ -0,0 +1,41 @@
+const express = require("express");
+const {
+  asyncHandler,
+  createErrorResponse,
+  createSuccessResponse,
+} = require("../utils");
+const { requireAuth } = require("../middleware/auth");
+const { transactionTracker } = require("../services/transactions");
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// GET /api/transactions/:signature - Lifecycle status of one of the
+// caller's transactions (built, signed, sent, confirmed, finalized, failed
+// or expired)
+router.get(
+  "/:signature",
+  asyncHandler(async (req, res) => {
+    try {
+      const transaction = await transactionTracker.getTransaction(
+        req.user.id,
+        req.params.signature
+      );
+
+      res.json(
+        createSuccessResponse(transaction, "Transaction retrieved successfully")
+      );
+    } catch (error) {
+      console.error("❌ Error fetching transaction:", error.message);
+      const statusCode = error.statusCode || 500;
+      res
+        .status(statusCode)
+        .json(
+          createErrorResponse(error, "Failed to fetch transaction", statusCode)
+        );
+    }
+  })
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const multer = require("multer");
 const { processAvatar, uploadAvatar } = require("../utils/storage");
+const { optionalAuth } = require("../middleware/auth");
 
 const router = express.Router();
 
@@ -27,8 +28,12 @@ const upload = multer({
   },
 });
 
+// Anonymous uploads are allowed during sign-up; with a session the avatar is
+// also saved to the caller's own profile
+const avatarUpload = [optionalAuth, upload.single("avatar")];
+
 // POST /api/upload/avatar - Upload avatar image
-router.post("/avatar", upload.single("avatar"), async (req, res) => {
+router.post("/avatar", avatarUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -51,6 +56,20 @@ router.post("/avatar", upload.single("avatar"), async (req, res) => {
       processed.filename
     );
 
+    if (req.user) {
+      const { error: profileError } = await req.supabase
+        .from("profiles")
+        .update({
+          avatar_url: uploadResult.publicUrl,
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", req.user.id);
+
+      if (profileError) {
+        throw new Error(`Avatar upload failed: ${profileError.message}`);
+      }
+    }
+
     res.json({
       success: true,
       avatar_url: uploadResult.publicUrl,
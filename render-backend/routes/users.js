@@ -1,26 +1,70 @@
 const express = require("express");
+const { requireAuth, optionalAuth } = require("../middleware/auth");
+const { socialService } = require("../services/social");
+const { portfolioStats } = require("../services/portfolio-stats");
+const { liveTradingService } = require("../services/trading-mode");
+const { SOCIAL_CONFIG } = require("../constants");
 
 const router = express.Router();
 
-// GET /api/users/by-wallet/:walletAddress - Get user by wallet address
-router.get("/by-wallet/:walletAddress", async (req, res) => {
+// Fields anyone may see; email and Swig wallet stay with the owner
+const PUBLIC_PROFILE_FIELDS =
+  "id, username, avatar_url, wallet_address, joined_at, trades_hidden";
+const PRIVATE_PROFILE_FIELDS =
+  "id, username, email, avatar_url, wallet_address, swig_wallet_address, joined_at, updated_at, trades_hidden";
+
+// Page size and position from ?limit and ?offset, clamped to sane values
+const getPage = (query) => ({
+  limit: Math.min(
+    Math.max(parseInt(query.limit) || SOCIAL_CONFIG.DEFAULT_PAGE_SIZE, 1),
+    SOCIAL_CONFIG.MAX_PAGE_SIZE
+  ),
+  offset: Math.max(parseInt(query.offset) || 0, 0),
+});
+
+// GET /api/users/feed - Opens and closes by the traders the caller follows
+// Page back with ?before=<createdAt of the last item>
+router.get("/feed", requireAuth, async (req, res) => {
   try {
-    const { walletAddress } = req.params;
+    const { limit } = getPage(req.query);
+    const before = req.query.before || null;
 
-    if (!walletAddress) {
+    if (before && isNaN(Date.parse(before))) {
       return res.status(400).json({
         success: false,
-        error: "Wallet address is required",
-        message: "Please provide a wallet address",
+        error: "Invalid before",
+        message: "before must be an ISO date",
       });
     }
 
+    const items = await socialService.getFeed(req.user.id, { limit, before });
+
+    res.json({
+      success: true,
+      items,
+      message: "Feed retrieved successfully",
+    });
+  } catch (error) {
+    console.error("❌ Feed fetch error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Feed fetch failed",
+      message: "Unable to fetch feed",
+    });
+  }
+});
+
+// GET /api/users/:id/public - Public trader profile with follow counts,
+// stats and recent closed trades (stats and trades omitted when hidden)
+router.get("/:id/public", optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isOwner = req.user && req.user.id === id;
+
     const { data: user, error } = await req.supabase
       .from("profiles")
-      .select(
-        "id, username, email, avatar_url, wallet_address, swig_wallet_address, joined_at, updated_at"
-      )
-      .eq("wallet_address", walletAddress)
+      .select(PUBLIC_PROFILE_FIELDS)
+      .eq("id", id)
       .single();
 
     if (error) {
@@ -28,24 +72,183 @@ router.get("/by-wallet/:walletAddress", async (req, res) => {
         return res.status(404).json({
           success: false,
           error: "User not found",
-          message: "No user found with this wallet address",
+          message: "User profile does not exist",
         });
       }
       throw error;
     }
 
+    const [counts, isFollowing] = await Promise.all([
+      socialService.getFollowCounts(id),
+      req.user && !isOwner
+        ? socialService.isFollowing(req.user.id, id)
+        : Promise.resolve(false),
+    ]);
+
+    // Owners always see their own activity
+    const showTrades = isOwner || !user.trades_hidden;
+
+    let stats = null;
+    let recentTrades = null;
+    if (showTrades) {
+      stats = await portfolioStats.getStats(liveTradingService, id);
+
+      const trades = await liveTradingService.queryHistory(
+        id,
+        { status: ["closed", "liquidated"], sort: "closedAt" },
+        SOCIAL_CONFIG.PROFILE_RECENT_TRADES
+      );
+      recentTrades = trades.map((trade) =>
+        liveTradingService.formatExportRow(trade)
+      );
+    }
+
     res.json({
       success: true,
       user: {
         id: user.id,
         username: user.username,
-        email: user.email,
         avatar_url: user.avatar_url,
         wallet_address: user.wallet_address,
-        swig_wallet_address: user.swig_wallet_address,
         joined_at: user.joined_at,
-        updated_at: user.updated_at,
+        trades_hidden: user.trades_hidden,
       },
+      followers: counts.followers,
+      following: counts.following,
+      isFollowing,
+      stats,
+      recentTrades,
+      message: "Profile retrieved successfully",
+    });
+  } catch (error) {
+    console.error("❌ Public profile fetch error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Profile fetch failed",
+      message: "Unable to fetch public profile",
+    });
+  }
+});
+
+// POST /api/users/:id/follow - Follow a trader
+router.post("/:id/follow", requireAuth, async (req, res) => {
+  try {
+    await socialService.follow(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      following: true,
+      message: "User followed successfully",
+    });
+  } catch (error) {
+    console.error("❌ Follow error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : "Follow failed",
+      message: "Unable to follow user",
+    });
+  }
+});
+
+// DELETE /api/users/:id/follow - Unfollow a trader
+router.delete("/:id/follow", requireAuth, async (req, res) => {
+  try {
+    await socialService.unfollow(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      following: false,
+      message: "User unfollowed successfully",
+    });
+  } catch (error) {
+    console.error("❌ Unfollow error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Unfollow failed",
+      message: "Unable to unfollow user",
+    });
+  }
+});
+
+// GET /api/users/:id/followers - People following a user (?limit, ?offset)
+router.get("/:id/followers", async (req, res) => {
+  try {
+    const page = getPage(req.query);
+    const users = await socialService.getFollowers(req.params.id, page);
+
+    res.json({
+      success: true,
+      users,
+      ...page,
+      message: "Followers retrieved successfully",
+    });
+  } catch (error) {
+    console.error("❌ Followers fetch error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Followers fetch failed",
+      message: "Unable to fetch followers",
+    });
+  }
+});
+
+// GET /api/users/:id/following - People a user follows (?limit, ?offset)
+router.get("/:id/following", async (req, res) => {
+  try {
+    const page = getPage(req.query);
+    const users = await socialService.getFollowing(req.params.id, page);
+
+    res.json({
+      success: true,
+      users,
+      ...page,
+      message: "Following retrieved successfully",
+    });
+  } catch (error) {
+    console.error("❌ Following fetch error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Following fetch failed",
+      message: "Unable to fetch following",
+    });
+  }
+});
+
+// GET /api/users/by-wallet/:walletAddress - Get user by wallet address
+router.get("/by-wallet/:walletAddress", optionalAuth, async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+
+    if (!walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: "Wallet address is required",
+        message: "Please provide a wallet address",
+      });
+    }
+
+    const isOwner = req.user && req.user.wallet_address === walletAddress;
+
+    const { data: user, error } = await req.supabase
+      .from("profiles")
+      .select(isOwner ? PRIVATE_PROFILE_FIELDS : PUBLIC_PROFILE_FIELDS)
+      .eq("wallet_address", walletAddress)
+      .single();
+
+    if (error) {
+      if (error.code === "PGRST116") {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+          message: "No user found with this wallet address",
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      user,
       message: "User found successfully",
     });
   } catch (error) {
@@ -58,16 +261,15 @@ router.get("/by-wallet/:walletAddress", async (req, res) => {
   }
 });
 
-// GET /api/users/profile/:id - Get user profile
-router.get("/profile/:id", async (req, res) => {
+// GET /api/users/profile/:id - Get user profile (private fields only for the owner)
+router.get("/profile/:id", optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
+    const isOwner = req.user && req.user.id === id;
 
     const { data: user, error } = await req.supabase
       .from("profiles")
-      .select(
-        "id, username, email, avatar_url, wallet_address, swig_wallet_address, joined_at, updated_at"
-      )
+      .select(isOwner ? PRIVATE_PROFILE_FIELDS : PUBLIC_PROFILE_FIELDS)
       .eq("id", id)
       .single();
 
@@ -91,11 +293,11 @@ router.get("/profile/:id", async (req, res) => {
   }
 });
 
-// PUT /api/users/profile/:id - Update user profile
-router.put("/profile/:id", async (req, res) => {
+// PUT /api/users/profile - Update the caller's profile (any :id is ignored)
+router.put("/profile/:id?", requireAuth, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { username, email, avatar_url } = req.body;
+    const id = req.user.id;
+    const { username, email, avatar_url, trades_hidden } = req.body;
 
     // Build update object with only provided fields
     const updates = {
@@ -105,6 +307,9 @@ router.put("/profile/:id", async (req, res) => {
     if (username) updates.username = username;
     if (email) updates.email = email;
     if (avatar_url !== undefined) updates.avatar_url = avatar_url;
+    if (typeof trades_hidden === "boolean") {
+      updates.trades_hidden = trades_hidden;
+    }
 
     const { data: updatedUser, error } = await req.supabase
       .from("profiles")
@@ -124,6 +329,7 @@ router.put("/profile/:id", async (req, res) => {
         username: updatedUser.username,
         email: updatedUser.email,
         avatar_url: updatedUser.avatar_url,
+        trades_hidden: updatedUser.trades_hidden,
         joined_at: updatedUser.joined_at,
         updated_at: updatedUser.updated_at,
       },
@@ -12,6 +12,8 @@ const userRoutes = require("./routes/users");
 const uploadRoutes = require("./routes/upload");
 const marketRoutes = require("./routes/markets");
 const tradingRoutes = require("./routes/trading");
+const leaderboardRoutes = require("./routes/leaderboard");
+const transactionRoutes = require("./routes/transactions");
 
 // Import middleware
 const supabaseMiddleware = require("./middleware/supabase");
@@ -19,6 +21,19 @@ const supabaseMiddleware = require("./middleware/supabase");
 // Import WebSocket server
 const TradingWebSocketServer = require("./websocket/trading-ws");
 
+// Import price history sampler
+const { priceHistory } = require("./services/price-history");
+const { marketRegistry } = require("./services/market-registry");
+const { driftPool } = require("./services/drift-pool");
+const { reconciliation } = require("./services/reconciliation");
+const { fundingService } = require("./services/funding");
+const { leaderboard } = require("./services/leaderboard");
+const { socialService } = require("./services/social");
+const { copyTrading } = require("./services/copy-trading");
+const { liveTradingService } = require("./services/trading-mode");
+const { transactionTracker } = require("./services/transactions");
+const { transferService } = require("./services/transfers");
+
 const app = express();
 const PORT = process.env.PORT || 3005;
 
@@ -65,7 +80,8 @@ const corsOptions = {
   ].filter(Boolean),
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+  exposedHeaders: ["Idempotent-Replayed"],
 };
 app.use(cors(corsOptions));
 
@@ -85,6 +101,10 @@ app.get("/health", (req, res) => {
     status: "healthy",
     timestamp: new Date().toISOString(),
     service: "rekt-user-management",
+    driftPool: driftPool.getStats(),
+    reconciliation: reconciliation.getStats(),
+    leaderboard: leaderboard.getStats(),
+    transactions: transactionTracker.getStats(),
   });
 });
 
@@ -99,6 +119,8 @@ app.use("/api/users", userRoutes);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/markets", marketRoutes);
 app.use("/api/trading", tradingRoutes);
+app.use("/api/leaderboard", leaderboardRoutes);
+app.use("/api/transactions", transactionRoutes);
 
 // Legacy API endpoints for frontend compatibility
 app.get("/api/status", (req, res) => {
@@ -168,6 +190,49 @@ const server = createServer(app);
 
 // Initialize WebSocket server
 const tradingWS = new TradingWebSocketServer();
+app.locals.tradingWS = tradingWS; // Lets routes push events to subscribers
+
+// Tell owners when reconciliation settles or flags one of their positions
+reconciliation.on("discrepancy", (discrepancy) =>
+  tradingWS.notifyDiscrepancy(discrepancy)
+);
+
+// ...and when Drift fills one of their resting entry orders
+reconciliation.on("order_filled", ({ userId, order }) => {
+  tradingWS.notifyOrderUpdated(userId, "order_filled", order);
+  tradingWS.notifyPositionOpened(userId, order);
+});
+
+// ...and when Drift fills a stop-loss or take-profit, closing the position
+reconciliation.on("order_triggered", ({ userId, order }) => {
+  tradingWS.notifyOrderUpdated(userId, "order_triggered", order);
+  tradingWS.notifyPositionClosed(userId, order.position);
+});
+
+// Live fills feed followers and copiers; paper fills stay private
+liveTradingService.on("fill", (trade, fill) => {
+  socialService.publishFill(trade, fill);
+  copyTrading.mirrorFill(trade, fill);
+});
+
+// Fan followed traders' opens and closes out to their followers' feeds
+socialService.on("feed_item", ({ followerIds, item }) => {
+  for (const followerId of followerIds) {
+    tradingWS.notifyFeedItem(followerId, item);
+  }
+});
+
+// Tell copiers about positions mirrored for them
+copyTrading.on("copy_trade", ({ userId, type, data }) =>
+  tradingWS.notifyCopyTrade(userId, type, data)
+);
+
+// Push transaction status changes to their owners, and settle the
+// deposits and withdrawals they carry
+transactionTracker.on("tx_status", (transaction) => {
+  tradingWS.notifyTransactionStatus(transaction.userId, transaction);
+  transferService.applyTransactionStatus(transaction);
+});
 
 // Start server
 server.listen(PORT, async () => {
@@ -175,6 +240,16 @@ server.listen(PORT, async () => {
   console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
   console.log(`🔗 CORS origins: ${corsOptions.origin.join(", ")}`);
 
+  // Shared Drift clients for every service and route
+  driftPool.start();
+
+  // Discover Drift perp markets (serves bootstrap markets until loaded)
+  try {
+    await marketRegistry.start();
+  } catch (error) {
+    console.error("❌ Failed to start market registry:", error);
+  }
+
   // Initialize WebSocket server
   try {
     await tradingWS.initialize(server);
@@ -182,12 +257,38 @@ server.listen(PORT, async () => {
   } catch (error) {
     console.error("❌ Failed to initialize WebSocket server:", error);
   }
+
+  // Start recording oracle prices for 24h market stats
+  try {
+    await priceHistory.start();
+  } catch (error) {
+    console.error("❌ Failed to start price history sampler:", error);
+  }
+
+  // Compare open trades with on-chain Drift positions
+  reconciliation.start();
+
+  // Accrue hourly funding onto open trades
+  fundingService.start();
+
+  // Keep leaderboard snapshots fresh
+  leaderboard.start();
+
+  // Follow submitted transactions until they settle
+  transactionTracker.start();
 });
 
 // Graceful shutdown
 process.on("SIGTERM", async () => {
   console.log("🛑 SIGTERM received, shutting down gracefully...");
+  reconciliation.stop();
+  fundingService.stop();
+  leaderboard.stop();
+  transactionTracker.stop();
   await tradingWS.cleanup();
+  await priceHistory.stop();
+  await marketRegistry.stop();
+  await driftPool.stop();
   server.close(() => {
     console.log("✅ Server closed");
     process.exit(0);
@@ -196,7 +297,14 @@ process.on("SIGTERM", async () => {
 
 process.on("SIGINT", async () => {
   console.log("🛑 SIGINT received, shutting down gracefully...");
+  reconciliation.stop();
+  fundingService.stop();
+  leaderboard.stop();
+  transactionTracker.stop();
   await tradingWS.cleanup();
+  await priceHistory.stop();
+  await marketRegistry.stop();
+  await driftPool.stop();
   server.close(() => {
     console.log("✅ Server closed");
     process.exit(0);
@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const nacl = require("tweetnacl");
+const bs58 = require("bs58");
+const { PublicKey } = require("@solana/web3.js");
+const { supabase } = require("../middleware/supabase");
+const { AUTH_CONFIG } = require("../constants");
+const { createHttpError } = require("../utils");
+
+/**
+ * Hash a session token for storage - raw tokens are never persisted
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+class AuthService {
+  constructor(client = supabase) {
+    this.supabase = client;
+  }
+
+  /**
+   * Build the human-readable message the wallet is asked to sign
+   */
+  buildChallengeMessage(walletAddress, nonce, issuedAt, expiresAt) {
+    return [
+      `${AUTH_CONFIG.DOMAIN} wants you to sign in with your Solana account:`,
+      walletAddress,
+      "",
+      "Sign in to REKT. This request will not trigger a blockchain transaction or cost any fees.",
+      "",
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt}`,
+      `Expiration Time: ${expiresAt}`,
+    ].join("\n");
+  }
+
+  /**
+   * Issue a single-use login challenge for a wallet address
+   */
+  async createChallenge(walletAddress) {
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const issuedAt = new Date().toISOString();
+    const expiresAt = new Date(
+      Date.now() + AUTH_CONFIG.CHALLENGE_TTL
+    ).toISOString();
+    const message = this.buildChallengeMessage(
+      walletAddress,
+      nonce,
+      issuedAt,
+      expiresAt
+    );
+
+    const { error } = await this.supabase.from("auth_challenges").insert([
+      {
+        nonce,
+        wallet_address: walletAddress,
+        message,
+        expires_at: expiresAt,
+      },
+    ]);
+
+    if (error) {
+      throw new Error(`Failed to create challenge: ${error.message}`);
+    }
+
+    console.log(`🔐 Login challenge issued for wallet: ${walletAddress}`);
+    return { nonce, message, expiresAt };
+  }
+
+  /**
+   * Verify a signed challenge and open a session for the wallet's profile
+   * Challenge and signature failures are 401s; a wallet with no profile 404s
+   */
+  async verifyChallenge(walletAddress, nonce, signature) {
+    const { data: challenge, error } = await this.supabase
+      .from("auth_challenges")
+      .select("*")
+      .eq("nonce", nonce)
+      .eq("wallet_address", walletAddress)
+      .is("used_at", null)
+      .single();
+
+    if (error || !challenge) {
+      throw createHttpError("Challenge not found or already used", 401);
+    }
+
+    if (new Date(challenge.expires_at) < new Date()) {
+      throw createHttpError("Challenge expired", 401);
+    }
+
+    // Burn the nonce before checking the signature so it can never be replayed
+    const { data: burned, error: burnError } = await this.supabase
+      .from("auth_challenges")
+      .update({ used_at: new Date().toISOString() })
+      .eq("nonce", nonce)
+      .is("used_at", null)
+      .select();
+
+    if (burnError || !burned || burned.length === 0) {
+      throw createHttpError("Challenge not found or already used", 401);
+    }
+
+    if (!this.verifySignature(walletAddress, challenge.message, signature)) {
+      throw createHttpError("Invalid signature", 401);
+    }
+
+    const { data: user, error: userError } = await this.supabase
+      .from("profiles")
+      .select(
+        "id, username, email, avatar_url, wallet_address, swig_wallet_address, paper_trading, session_reminder_minutes, joined_at"
+      )
+      .eq("wallet_address", walletAddress)
+      .single();
+
+    if (userError || !user) {
+      throw createHttpError("No account is linked to this wallet", 404);
+    }
+
+    const session = await this.createSession(user.id);
+
+    await this.supabase
+      .from("profiles")
+      .update({ updated_at: new Date().toISOString() })
+      .eq("id", user.id);
+
+    console.log(`✅ Wallet signature verified for user ${user.username}`);
+    return { ...session, user };
+  }
+
+  /**
+   * Check an ed25519 signature (base58 or base64) over a message
+   */
+  verifySignature(walletAddress, message, signature) {
+    try {
+      const publicKey = new PublicKey(walletAddress).toBytes();
+      const signatureBytes = /^[1-9A-HJ-NP-Za-km-z]+$/.test(signature)
+        ? bs58.decode(signature)
+        : Buffer.from(signature, "base64");
+
+      return nacl.sign.detached.verify(
+        new TextEncoder().encode(message),
+        signatureBytes,
+        publicKey
+      );
+    } catch (error) {
+      console.warn("⚠️ Signature verification failed:", error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Create an opaque session token for a user
+   */
+  async createSession(userId) {
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(
+      Date.now() + AUTH_CONFIG.SESSION_TTL
+    ).toISOString();
+
+    const { error } = await this.supabase.from("auth_sessions").insert([
+      {
+        token_hash: hashToken(token),
+        user_id: userId,
+        expires_at: expiresAt,
+      },
+    ]);
+
+    if (error) {
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Resolve a session token to its user profile, or null if invalid
+   */
+  async resolveSession(token) {
+    if (!token) return null;
+
+    const { data: session, error } = await this.supabase
+      .from("auth_sessions")
+      .select("user_id, expires_at, revoked_at")
+      .eq("token_hash", hashToken(token))
+      .single();
+
+    if (error || !session) return null;
+    if (session.revoked_at) return null;
+    if (new Date(session.expires_at) < new Date()) return null;
+
+    const { data: user, error: userError } = await this.supabase
+      .from("profiles")
+      .select(
+        "id, username, email, avatar_url, wallet_address, swig_wallet_address, paper_trading, session_reminder_minutes, joined_at"
+      )
+      .eq("id", session.user_id)
+      .single();
+
+    if (userError || !user) return null;
+
+    return user;
+  }
+
+  /**
+   * Revoke a session token
+   */
+  async revokeSession(token) {
+    const { error } = await this.supabase
+      .from("auth_sessions")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("token_hash", hashToken(token));
+
+    if (error) {
+      throw new Error(`Failed to revoke session: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,146 @@
+const { CANDLE_CONFIG } = require("../constants");
+const { priceHistory } = require("./price-history");
+
+/**
+ * Start of the bucket a timestamp falls into
+ */
+function getBucketStart(timestamp, intervalMs) {
+  return Math.floor(timestamp / intervalMs) * intervalMs;
+}
+
+class CandleService {
+  constructor(history = priceHistory) {
+    this.history = history;
+    this.liveCandles = new Map(); // "symbol:interval" -> in-progress candle
+  }
+
+  /**
+   * Fold a live oracle price into the in-progress candle of every interval
+   * Returns the updated candles so callers can stream them
+   */
+  ingest(symbol, price, timestamp = Date.now()) {
+    if (!(price > 0)) return [];
+
+    const updated = [];
+
+    for (const [interval, intervalMs] of Object.entries(
+      CANDLE_CONFIG.INTERVALS
+    )) {
+      const key = `${symbol}:${interval}`;
+      const openTime = getBucketStart(timestamp, intervalMs);
+      let candle = this.liveCandles.get(key);
+
+      if (!candle || candle.openTime !== openTime) {
+        candle = {
+          openTime,
+          closeTime: openTime + intervalMs,
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          sampleCount: 0,
+        };
+        this.liveCandles.set(key, candle);
+      }
+
+      candle.high = Math.max(candle.high, price);
+      candle.low = Math.min(candle.low, price);
+      candle.close = price;
+      candle.sampleCount += 1;
+
+      updated.push({ symbol, interval, candle: this.formatCandle(candle) });
+    }
+
+    return updated;
+  }
+
+  /**
+   * In-progress candle for a market and interval, or null before any price
+   */
+  getLiveCandle(symbol, interval) {
+    const candle = this.liveCandles.get(`${symbol}:${interval}`);
+    return candle ? this.formatCandle(candle) : null;
+  }
+
+  /**
+   * Group price samples into OHLC bars
+   * Buckets without samples are left out rather than filled in
+   */
+  aggregate(samples, intervalMs) {
+    const candles = [];
+
+    for (const sample of samples) {
+      const openTime = getBucketStart(sample.sampledAt, intervalMs);
+      const last = candles[candles.length - 1];
+
+      if (!last || last.openTime !== openTime) {
+        candles.push({
+          openTime,
+          closeTime: openTime + intervalMs,
+          open: sample.price,
+          high: sample.price,
+          low: sample.price,
+          close: sample.price,
+          sampleCount: 1,
+        });
+        continue;
+      }
+
+      last.high = Math.max(last.high, sample.price);
+      last.low = Math.min(last.low, sample.price);
+      last.close = sample.price;
+      last.sampleCount += 1;
+    }
+
+    return candles;
+  }
+
+  /**
+   * OHLC bars for a market between two timestamps (ms)
+   * The newest bar includes live prices received since the last sample
+   */
+  async getCandles(symbol, interval, from, to) {
+    const intervalMs = CANDLE_CONFIG.INTERVALS[interval];
+    const rangeStart = getBucketStart(from, intervalMs);
+
+    const samples = await this.history.getSamples(symbol, rangeStart, to);
+    const candles = this.aggregate(samples, intervalMs);
+
+    const live = this.liveCandles.get(`${symbol}:${interval}`);
+    if (live && live.openTime >= rangeStart && live.openTime <= to) {
+      const last = candles[candles.length - 1];
+
+      if (last && last.openTime === live.openTime) {
+        last.high = Math.max(last.high, live.high);
+        last.low = Math.min(last.low, live.low);
+        last.close = live.close;
+        last.sampleCount += live.sampleCount;
+      } else if (!last || last.openTime < live.openTime) {
+        candles.push({ ...live });
+      }
+    }
+
+    return candles.map((candle) => this.formatCandle(candle));
+  }
+
+  formatCandle(candle) {
+    return {
+      openTime: candle.openTime,
+      closeTime: candle.closeTime,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      // Oracle samples carry no traded size, so per-bar volume is unknown
+      volume: null,
+      sampleCount: candle.sampleCount,
+      closed: candle.closeTime <= Date.now(),
+    };
+  }
+}
+
+// Shared instance: the WebSocket server feeds it and routes read from it
+const candleService = new CandleService();
+
+module.exports = CandleService;
+module.exports.candleService = candleService;
@@ -0,0 +1,326 @@
+const EventEmitter = require("events");
+const { supabase } = require("../middleware/supabase");
+const { createHttpError } = require("../utils");
+const { COPY_TRADING_CONFIG } = require("../constants");
+const {
+  liveTradingService,
+  paperTradingService,
+  getTradingService,
+} = require("./trading-mode");
+const { marketRegistry } = require("./market-registry");
+const { socialService } = require("./social");
+
+/**
+ * Mirrors leaders' live opens and closes onto their copiers' accounts
+ * through the copier's own trading engine. Emits "copy_trade"
+ * ({ userId, type, data }) for each mirror opened, closed or skipped.
+ * Mirrored live opens still need the copier's signature on the returned
+ * Drift order, like any other live open.
+ */
+class CopyTradingService extends EventEmitter {
+  /**
+   * The user's copy subscriptions, newest first
+   */
+  async getSubscriptions(followerId) {
+    const { data, error } = await supabase
+      .from("copy_subscriptions")
+      .select("*")
+      .eq("follower_id", followerId)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch copy subscriptions: ${error.message}`);
+    }
+
+    return data.map((row) => this.formatSubscription(row));
+  }
+
+  /**
+   * Start copying a followed trader, or change how they are copied
+   */
+  async subscribe(
+    followerId,
+    leaderId,
+    { sizeMultiplier, maxLeverage, maxMarginUsd = null, active = true }
+  ) {
+    if (followerId === leaderId) {
+      throw createHttpError("You can't copy yourself");
+    }
+
+    if (
+      !(sizeMultiplier > 0) ||
+      sizeMultiplier > COPY_TRADING_CONFIG.MAX_SIZE_MULTIPLIER
+    ) {
+      throw createHttpError(
+        `sizeMultiplier must be above 0 and at most ${COPY_TRADING_CONFIG.MAX_SIZE_MULTIPLIER}`
+      );
+    }
+
+    if (!(maxLeverage >= 1)) {
+      throw createHttpError("maxLeverage must be at least 1");
+    }
+
+    if (maxMarginUsd !== null && !(maxMarginUsd > 0)) {
+      throw createHttpError("maxMarginUsd must be greater than zero");
+    }
+
+    if (!(await socialService.isFollowing(followerId, leaderId))) {
+      throw createHttpError("Follow this trader before copying them");
+    }
+
+    const { data: leader, error: leaderError } = await supabase
+      .from("profiles")
+      .select("id, trades_hidden")
+      .eq("id", leaderId)
+      .single();
+
+    if (leaderError || !leader) {
+      throw createHttpError("User not found", 404);
+    }
+
+    if (leader.trades_hidden) {
+      throw createHttpError("This trader's trades are private", 403);
+    }
+
+    const { data, error } = await supabase
+      .from("copy_subscriptions")
+      .upsert(
+        [
+          {
+            follower_id: followerId,
+            leader_id: leaderId,
+            size_multiplier: sizeMultiplier,
+            max_leverage: maxLeverage,
+            max_margin_usd: maxMarginUsd,
+            active,
+            updated_at: new Date().toISOString(),
+          },
+        ],
+        { onConflict: "follower_id,leader_id" }
+      )
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save copy subscription: ${error.message}`);
+    }
+
+    console.log(`🪞 ${followerId} copying ${leaderId} at ${sizeMultiplier}x`);
+    return this.formatSubscription(data);
+  }
+
+  /**
+   * Stop copying a trader; positions already mirrored stay open
+   */
+  async unsubscribe(followerId, leaderId) {
+    const { error } = await supabase
+      .from("copy_subscriptions")
+      .delete()
+      .eq("follower_id", followerId)
+      .eq("leader_id", leaderId);
+
+    if (error) {
+      throw new Error(`Failed to delete copy subscription: ${error.message}`);
+    }
+
+    console.log(`🪞 ${followerId} stopped copying ${leaderId}`);
+  }
+
+  /**
+   * Mirror a leader's fill: opens create positions, reduces and closes
+   * shrink or close the positions mirrored from it
+   */
+  async mirrorFill(trade, fill) {
+    try {
+      if (fill.fill_type === "open") {
+        await this.mirrorOpen(trade);
+      } else if (fill.fill_type === "reduce" || fill.fill_type === "close") {
+        await this.mirrorClose(trade, fill);
+      }
+    } catch (error) {
+      console.error(
+        `❌ Error mirroring ${fill.fill_type} of ${trade.id}:`,
+        error.message
+      );
+    }
+  }
+
+  async mirrorOpen(trade) {
+    // Mirrors aren't mirrored again, so copy chains and loops stop here
+    if (trade.copied_from_trade_id || trade.parent_trade_id) return;
+
+    const { data: subscriptions, error } = await supabase
+      .from("copy_subscriptions")
+      .select("*")
+      .eq("leader_id", trade.user_id)
+      .eq("active", true);
+
+    if (error) {
+      throw new Error(`Failed to fetch copy subscriptions: ${error.message}`);
+    }
+
+    if (subscriptions.length === 0) return;
+
+    const { data: profiles, error: profileError } = await supabase
+      .from("profiles")
+      .select("id, paper_trading, trades_hidden")
+      .in("id", [
+        trade.user_id,
+        ...subscriptions.map((subscription) => subscription.follower_id),
+      ]);
+
+    if (profileError) {
+      throw new Error(`Failed to fetch profiles: ${profileError.message}`);
+    }
+
+    const profilesById = new Map(
+      profiles.map((profile) => [profile.id, profile])
+    );
+
+    // Hiding trades also stops them being copied
+    const leader = profilesById.get(trade.user_id);
+    if (!leader || leader.trades_hidden) return;
+
+    for (const subscription of subscriptions) {
+      const follower = profilesById.get(subscription.follower_id);
+      if (!follower) continue;
+
+      await this.openMirror(trade, subscription, follower);
+    }
+  }
+
+  /**
+   * Open one copier's mirror of a leader's trade, scaled to their settings
+   * and free margin
+   */
+  async openMirror(trade, subscription, follower) {
+    const asset = `${trade.asset}-PERP`;
+    const tradingService = getTradingService(follower);
+    const skip = (reason) => {
+      console.log(
+        `🪞 Skipped mirror of ${trade.id} for ${follower.id}: ${reason}`
+      );
+      this.emit("copy_trade", {
+        userId: follower.id,
+        type: "copy_skipped",
+        data: {
+          leaderTradeId: trade.id,
+          leaderId: trade.user_id,
+          asset,
+          reason,
+        },
+      });
+    };
+
+    try {
+      let margin =
+        parseFloat(trade.principal_invested) *
+        parseFloat(subscription.size_multiplier);
+      if (subscription.max_margin_usd !== null) {
+        margin = Math.min(margin, parseFloat(subscription.max_margin_usd));
+      }
+
+      const { availableMargin } = await tradingService.getBalance(follower.id);
+      margin = Math.min(margin, availableMargin);
+      margin = Math.floor(margin * 100) / 100;
+
+      if (margin < COPY_TRADING_CONFIG.MIN_MARGIN) {
+        return skip("Insufficient available margin");
+      }
+
+      const leverage = Math.min(
+        parseFloat(trade.leverage_amount),
+        parseFloat(subscription.max_leverage),
+        marketRegistry.getMaxLeverage(asset)
+      );
+
+      const position = await tradingService.openPosition(
+        follower.id,
+        asset,
+        trade.direction,
+        margin,
+        leverage,
+        { copiedFromTradeId: trade.id }
+      );
+
+      console.log(
+        `🪞 Mirrored ${trade.id} for ${follower.id}: $${margin} at ${leverage}x`
+      );
+      this.emit("copy_trade", {
+        userId: follower.id,
+        type: "copy_opened",
+        data: { ...position, leaderId: trade.user_id },
+      });
+    } catch (error) {
+      skip(error.message);
+    }
+  }
+
+  /**
+   * Close the same share of every open mirror of a leader's trade
+   */
+  async mirrorClose(trade, fill) {
+    const closedSize = parseFloat(fill.size_usd);
+    const remainingSize =
+      fill.fill_type === "close" ? 0 : parseFloat(trade.position_size);
+    const percentage = (closedSize / (closedSize + remainingSize)) * 100;
+
+    for (const tradingService of [liveTradingService, paperTradingService]) {
+      const { data: mirrors, error } = await supabase
+        .from(tradingService.tables.trades)
+        .select("id, user_id")
+        .eq("copied_from_trade_id", trade.id)
+        .eq("status", "open");
+
+      if (error) {
+        throw new Error(`Failed to fetch mirrored trades: ${error.message}`);
+      }
+
+      for (const mirror of mirrors) {
+        try {
+          const position = await tradingService.closePosition(
+            mirror.user_id,
+            mirror.id,
+            fill.fill_type === "close"
+              ? { closeReason: "leader_closed" }
+              : { percentage }
+          );
+
+          this.emit("copy_trade", {
+            userId: mirror.user_id,
+            type: "copy_closed",
+            data: {
+              ...position,
+              leaderId: trade.user_id,
+              leaderTradeId: trade.id,
+            },
+          });
+        } catch (closeError) {
+          console.error(
+            `❌ Error closing mirror ${mirror.id} of ${trade.id}:`,
+            closeError.message
+          );
+        }
+      }
+    }
+  }
+
+  formatSubscription(row) {
+    return {
+      leaderId: row.leader_id,
+      sizeMultiplier: parseFloat(row.size_multiplier),
+      maxLeverage: parseFloat(row.max_leverage),
+      maxMarginUsd:
+        row.max_margin_usd === null ? null : parseFloat(row.max_margin_usd),
+      active: row.active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+}
+
+// Shared instance: one mirror per process
+const copyTrading = new CopyTradingService();
+
+module.exports = CopyTradingService;
+module.exports.copyTrading = copyTrading;
@@ -0,0 +1,321 @@
+const { PublicKey } = require("@solana/web3.js");
+const { User, getUserAccountPublicKey } = require("@drift-labs/sdk");
+const {
+  createConnection,
+  createDriftClient,
+  cleanupDriftClient,
+} = require("../utils");
+const { DRIFT_POOL_CONFIG } = require("../constants");
+
+const MARKET_KEY = "market";
+
+/**
+ * Pool key for a user account subscription
+ */
+function userKey(authority, subAccountId) {
+  return `user:${authority}:${subAccountId}`;
+}
+
+class DriftClientPool {
+  constructor() {
+    this.connection = null;
+    this.connectionPromise = null;
+    this.entries = new Map(); // key -> { resource, refCount, lastUsed, ready, release }
+    this.evictionInterval = null;
+    this.healthInterval = null;
+  }
+
+  /**
+   * Start idle eviction and resubscribe checks
+   */
+  start() {
+    console.log("🏊 Starting Drift client pool...");
+
+    this.evictionInterval = setInterval(async () => {
+      await this.evictIdle();
+    }, DRIFT_POOL_CONFIG.EVICTION_INTERVAL);
+
+    this.healthInterval = setInterval(async () => {
+      await this.checkHealth();
+    }, DRIFT_POOL_CONFIG.HEALTH_CHECK_INTERVAL);
+  }
+
+  /**
+   * Shared RPC connection, created once
+   */
+  async getConnection() {
+    if (this.connection) return this.connection;
+
+    if (!this.connectionPromise) {
+      this.connectionPromise = createConnection()
+        .then((connection) => {
+          this.connection = connection;
+          return connection;
+        })
+        .finally(() => {
+          this.connectionPromise = null;
+        });
+    }
+
+    return this.connectionPromise;
+  }
+
+  /**
+   * Take a reference to a pooled resource, creating it on first use
+   * Concurrent callers share a single in-flight creation
+   */
+  async acquire(key, create, release) {
+    let entry = this.entries.get(key);
+
+    if (!entry) {
+      entry = {
+        resource: null,
+        refCount: 0,
+        lastUsed: Date.now(),
+        release,
+        ready: null,
+      };
+      entry.ready = create()
+        .then((resource) => {
+          entry.resource = resource;
+          return resource;
+        })
+        .catch((error) => {
+          // Let the next caller retry from scratch
+          this.entries.delete(key);
+          throw error;
+        });
+      this.entries.set(key, entry);
+    }
+
+    entry.refCount += 1;
+    entry.lastUsed = Date.now();
+
+    try {
+      return await entry.ready;
+    } catch (error) {
+      entry.refCount -= 1;
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a reference; idle resources are evicted later, not immediately
+   */
+  releaseKey(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    entry.refCount = Math.max(0, entry.refCount - 1);
+    entry.lastUsed = Date.now();
+  }
+
+  /**
+   * Read-only DriftClient subscribed to every market, shared by all callers
+   */
+  async acquireMarketClient() {
+    return this.acquire(
+      MARKET_KEY,
+      async () => {
+        const connection = await this.getConnection();
+
+        // Use a dummy wallet for read-only operations
+        const dummyWallet = "11111111111111111111111111111111";
+        const driftClient = await createDriftClient(connection, dummyWallet);
+
+        console.log("✅ Pooled market Drift client ready");
+        return driftClient;
+      },
+      (driftClient) => cleanupDriftClient(driftClient)
+    );
+  }
+
+  releaseMarketClient() {
+    this.releaseKey(MARKET_KEY);
+  }
+
+  /**
+   * Subscribed Drift User for an authority, reading markets and oracles
+   * through the shared market client
+   */
+  async acquireUser(authority, subAccountId = 0) {
+    return this.acquire(
+      userKey(authority, subAccountId),
+      async () => {
+        const driftClient = await this.acquireMarketClient();
+
+        try {
+          const userAccountPublicKey = await getUserAccountPublicKey(
+            driftClient.program.programId,
+            new PublicKey(authority),
+            subAccountId
+          );
+          const user = new User({ driftClient, userAccountPublicKey });
+          await user.subscribe();
+
+          console.log(`✅ Pooled Drift user subscribed for ${authority}`);
+          return user;
+        } catch (error) {
+          this.releaseMarketClient();
+          throw error;
+        }
+      },
+      async (user) => {
+        await user.unsubscribe();
+        this.releaseMarketClient();
+      }
+    );
+  }
+
+  releaseUser(authority, subAccountId = 0) {
+    this.releaseKey(userKey(authority, subAccountId));
+  }
+
+  /**
+   * DriftClient acting as the authority, for building instructions it signs
+   * (deposits, withdrawals, account setup): a view over the shared market
+   * client, so nothing new subscribes. The given existing sub-accounts are
+   * pooled users, for instructions that read them; release with the same ids.
+   */
+  async acquireAuthorityClient(authority, subAccountIds = []) {
+    const marketClient = await this.acquireMarketClient();
+    const publicKey = new PublicKey(authority);
+    const users = new Map();
+    const acquired = [];
+
+    try {
+      for (const subAccountId of subAccountIds) {
+        const user = await this.acquireUser(authority, subAccountId);
+        acquired.push(subAccountId);
+        users.set(marketClient.getUserMapKey(subAccountId, publicKey), user);
+      }
+    } catch (error) {
+      this.releaseAuthorityClient(authority, acquired);
+      throw error;
+    }
+
+    // Instruction builders read the wallet, its stats account, its users and
+    // the market slot caches they prune from the view, markets and oracles
+    // from the market client behind it
+    const driftClient = Object.create(marketClient);
+    Object.assign(driftClient, {
+      wallet: { publicKey },
+      authority: publicKey,
+      activeSubAccountId: subAccountIds.length > 0 ? subAccountIds[0] : 0,
+      userStatsAccountPublicKey: undefined,
+      userStats: undefined,
+      users,
+      perpMarketLastSlotCache: new Map(),
+      spotMarketLastSlotCache: new Map(),
+    });
+
+    return driftClient;
+  }
+
+  releaseAuthorityClient(authority, subAccountIds = []) {
+    for (const subAccountId of subAccountIds) {
+      this.releaseUser(authority, subAccountId);
+    }
+    this.releaseMarketClient();
+  }
+
+  /**
+   * Unsubscribe user accounts nobody has used for a while
+   * The market client stays up for the life of the process
+   */
+  async evictIdle() {
+    const cutoff = Date.now() - DRIFT_POOL_CONFIG.USER_IDLE_TTL;
+
+    for (const [key, entry] of this.entries) {
+      if (key === MARKET_KEY) continue;
+      if (entry.refCount > 0 || entry.lastUsed > cutoff || !entry.resource) {
+        continue;
+      }
+
+      this.entries.delete(key);
+      try {
+        await entry.release(entry.resource);
+        console.log(`🧹 Evicted idle Drift subscription: ${key}`);
+      } catch (error) {
+        console.warn(`⚠️ Error evicting ${key}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Resubscribe anything that lost its subscription (e.g. websocket drop)
+   */
+  async checkHealth() {
+    for (const [key, entry] of this.entries) {
+      const resource = entry.resource;
+      if (!resource || resource.isSubscribed) continue;
+
+      try {
+        console.warn(`🔄 Drift subscription lost for ${key}, resubscribing...`);
+        await resource.subscribe();
+        console.log(`✅ Resubscribed ${key}`);
+      } catch (error) {
+        console.error(`❌ Resubscribe failed for ${key}:`, error.message);
+
+        // Unused entries are dropped so the next acquire builds a fresh one
+        if (entry.refCount === 0 && key !== MARKET_KEY) {
+          this.entries.delete(key);
+          await Promise.resolve(entry.release(resource)).catch(() => {});
+        }
+      }
+    }
+  }
+
+  /**
+   * Pool size for health endpoints and logs
+   */
+  getStats() {
+    let users = 0;
+    let inUse = 0;
+    for (const [key, entry] of this.entries) {
+      if (key !== MARKET_KEY) users += 1;
+      if (entry.refCount > 0) inUse += 1;
+    }
+
+    return {
+      marketClient: this.entries.has(MARKET_KEY),
+      userSubscriptions: users,
+      inUse,
+    };
+  }
+
+  /**
+   * Stop background checks and unsubscribe everything
+   */
+  async stop() {
+    if (this.evictionInterval) {
+      clearInterval(this.evictionInterval);
+    }
+
+    if (this.healthInterval) {
+      clearInterval(this.healthInterval);
+    }
+
+    // Users first: releasing them also releases the market client
+    const keys = Array.from(this.entries.keys()).filter(
+      (key) => key !== MARKET_KEY
+    );
+    for (const key of [...keys, MARKET_KEY]) {
+      const entry = this.entries.get(key);
+      if (!entry || !entry.resource) continue;
+
+      this.entries.delete(key);
+      try {
+        await entry.release(entry.resource);
+      } catch (error) {
+        console.warn(`⚠️ Error releasing ${key}:`, error.message);
+      }
+    }
+  }
+}
+
+// Shared instance: one pool per process
+const driftPool = new DriftClientPool();
+
+module.exports = DriftClientPool;
+module.exports.driftPool = driftPool;
@@ -0,0 +1,85 @@
+const { FUNDING_RATE_PRECISION } = require("@drift-labs/sdk");
+const { FUNDING_CONFIG } = require("../constants");
+const { liveTradingService, paperTradingService } = require("./trading-mode");
+const { marketRegistry } = require("./market-registry");
+const { driftPool } = require("./drift-pool");
+
+/**
+ * Accrues Drift's hourly funding onto open live and paper trades
+ */
+class FundingService {
+  constructor(tradingServices = [liveTradingService, paperTradingService]) {
+    this.tradingServices = tradingServices;
+    this.interval = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Accrue on Drift's funding schedule
+   */
+  start() {
+    console.log("💸 Starting funding accrual...");
+
+    this.interval = setInterval(async () => {
+      await this.run();
+    }, FUNDING_CONFIG.ACCRUAL_INTERVAL);
+  }
+
+  /**
+   * Current hourly funding rate (USD per base unit) for every listed market
+   */
+  async getFundingRates() {
+    const driftClient = await driftPool.acquireMarketClient();
+
+    try {
+      const rates = {};
+      for (const market of marketRegistry.getMarkets()) {
+        const account = driftClient.getPerpMarketAccount(market.marketIndex);
+        if (!account) continue;
+
+        const rate =
+          parseFloat(account.amm.lastFundingRate.toString()) /
+          FUNDING_RATE_PRECISION.toNumber();
+        if (isFinite(rate)) rates[market.symbol] = rate;
+      }
+      return rates;
+    } finally {
+      driftPool.releaseMarketClient();
+    }
+  }
+
+  /**
+   * One accrual pass over every trading engine
+   */
+  async run() {
+    try {
+      const rates = await this.getFundingRates();
+      const now = Date.now();
+
+      let trades = 0;
+      for (const tradingService of this.tradingServices) {
+        trades += await tradingService.accrueFunding(rates, now);
+      }
+
+      this.lastRun = { at: new Date(now).toISOString(), trades };
+      console.log(`💸 Funding accrued on ${trades} open trades`);
+    } catch (error) {
+      console.error("❌ Error accruing funding:", error.message);
+    }
+  }
+
+  /**
+   * Stop accruing
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+    }
+  }
+}
+
+// Shared instance: one accrual loop per process
+const fundingService = new FundingService();
+
+module.exports = FundingService;
+module.exports.fundingService = fundingService;
@@ -0,0 +1,143 @@
+const { supabase } = require("../middleware/supabase");
+const { LEADERBOARD_CONFIG } = require("../constants");
+
+/**
+ * Serves rankings from the leaderboard_snapshots materialized view and
+ * refreshes it in the background
+ */
+class LeaderboardService {
+  constructor() {
+    this.refreshInterval = null;
+    this.refreshing = false;
+    this.lastRefreshed = null;
+  }
+
+  /**
+   * Refresh now and keep the snapshot fresh on an interval
+   */
+  start() {
+    console.log("🏆 Starting leaderboard snapshots...");
+
+    this.refresh();
+
+    this.refreshInterval = setInterval(async () => {
+      await this.refresh();
+    }, LEADERBOARD_CONFIG.REFRESH_INTERVAL);
+  }
+
+  /**
+   * Rebuild every period's rankings from settled trades
+   */
+  async refresh() {
+    if (this.refreshing) return;
+    this.refreshing = true;
+
+    try {
+      const { error } = await supabase.rpc("refresh_leaderboards");
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      this.lastRefreshed = new Date().toISOString();
+      console.log("✅ Leaderboard snapshots refreshed");
+    } catch (error) {
+      console.error("❌ Error refreshing leaderboards:", error.message);
+    } finally {
+      this.refreshing = false;
+    }
+  }
+
+  /**
+   * Top N for a period and metric, plus the caller's own entry when given
+   * (null if they have no settled trades in the period)
+   */
+  async getLeaderboard({ period, metric, limit, userId = null }) {
+    const rankColumn = `${metric}_rank`;
+
+    let query = supabase
+      .from("leaderboard_snapshots")
+      .select("*")
+      .eq("period", period);
+
+    // Users without margin history have no ROI to rank
+    if (metric === "roi") {
+      query = query.not("roi", "is", null);
+    }
+
+    const { data: rows, error } = await query
+      .order(rankColumn, { ascending: true })
+      .order("user_id", { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to fetch leaderboard: ${error.message}`);
+    }
+
+    let me = null;
+    if (userId) {
+      const ownRow = (rows || []).find((row) => row.user_id === userId);
+
+      if (ownRow) {
+        me = ownRow;
+      } else {
+        const { data: ownRows, error: ownError } = await supabase
+          .from("leaderboard_snapshots")
+          .select("*")
+          .eq("period", period)
+          .eq("user_id", userId)
+          .limit(1);
+
+        if (ownError) {
+          throw new Error(
+            `Failed to fetch leaderboard rank: ${ownError.message}`
+          );
+        }
+
+        me = ownRows && ownRows.length > 0 ? ownRows[0] : null;
+      }
+    }
+
+    const entries = (rows || []).map((row) => this.formatEntry(row, metric));
+
+    return {
+      period,
+      metric,
+      entries,
+      me: me ? this.formatEntry(me, metric) : null,
+      refreshedAt: rows && rows.length > 0 ? rows[0].refreshed_at : null,
+    };
+  }
+
+  formatEntry(row, metric) {
+    return {
+      rank: Number(row[`${metric}_rank`]),
+      userId: row.user_id,
+      username: row.username,
+      avatarUrl: row.avatar_url,
+      trades: Number(row.trades),
+      pnl: parseFloat(parseFloat(row.pnl_usd).toFixed(2)),
+      roi: row.roi === null ? null : parseFloat(parseFloat(row.roi).toFixed(2)),
+      volume: parseFloat(parseFloat(row.volume_usd).toFixed(2)),
+    };
+  }
+
+  getStats() {
+    return { refreshing: this.refreshing, lastRefreshed: this.lastRefreshed };
+  }
+
+  /**
+   * Stop refreshing
+   */
+  stop() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+    }
+  }
+}
+
+// Shared instance: one refresher per process
+const leaderboard = new LeaderboardService();
+
+module.exports = LeaderboardService;
+module.exports.leaderboard = leaderboard;
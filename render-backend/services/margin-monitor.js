@@ -0,0 +1,84 @@
+const { MARGIN_ALERT_CONFIG } = require("../constants");
+
+// Alert levels in order of severity
+const LEVELS = [null, "margin_warning", "liquidation_risk"];
+
+/**
+ * Turns position health into margin_warning / liquidation_risk alerts
+ * A position alerts once per level it enters and can alert again after
+ * recovering
+ */
+class MarginMonitor {
+  constructor(thresholds = MARGIN_ALERT_CONFIG) {
+    this.thresholds = thresholds;
+    this.levels = new Map(); // userId -> Map(positionId -> alert level)
+  }
+
+  /**
+   * Alert level for a position: 0 (healthy), 1 (warning) or 2 (risk)
+   */
+  getLevel(position) {
+    const { health, liquidationDistance } = position;
+    const below = (value, threshold) => value !== null && value <= threshold;
+
+    if (
+      below(health, this.thresholds.RISK_HEALTH) ||
+      below(liquidationDistance, this.thresholds.RISK_DISTANCE)
+    ) {
+      return 2;
+    }
+
+    if (
+      below(health, this.thresholds.WARNING_HEALTH) ||
+      below(liquidationDistance, this.thresholds.WARNING_DISTANCE)
+    ) {
+      return 1;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Alerts for positions that crossed into a worse level since last check
+   */
+  evaluate(userId, positions) {
+    const previous = this.levels.get(userId) || new Map();
+    const current = new Map();
+    const alerts = [];
+
+    for (const position of positions) {
+      const level = this.getLevel(position);
+      current.set(position.id, level);
+
+      if (level > (previous.get(position.id) || 0)) {
+        alerts.push({
+          type: LEVELS[level],
+          data: {
+            positionId: position.id,
+            asset: position.asset,
+            direction: position.direction,
+            currentPrice: position.currentPrice,
+            liquidationPrice: position.liquidationPrice,
+            liquidationDistance: position.liquidationDistance,
+            health: position.health,
+            marginRatio: position.marginRatio,
+          },
+        });
+      }
+    }
+
+    // Closed positions drop out here
+    this.levels.set(userId, current);
+
+    return alerts;
+  }
+
+  /**
+   * Forget a user's levels (e.g. when they disconnect)
+   */
+  reset(userId) {
+    this.levels.delete(userId);
+  }
+}
+
+module.exports = MarginMonitor;
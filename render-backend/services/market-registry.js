@@ -0,0 +1,232 @@
+const {
+  decodeName,
+  BASE_PRECISION,
+  MARGIN_PRECISION,
+  PRICE_PRECISION,
+} = require("@drift-labs/sdk");
+const { driftPool } = require("./drift-pool");
+const { SUPPORTED_MARKETS, MARKET_REGISTRY_CONFIG } = require("../constants");
+
+/**
+ * Read a Drift enum ({ active: {} }) as its variant name
+ */
+function enumName(value) {
+  return value ? Object.keys(value)[0] : null;
+}
+
+/**
+ * Accept "SOL" or "SOL-PERP" (trades store the base asset only)
+ */
+function toSymbol(asset) {
+  if (!asset) return asset;
+  const upper = asset.toUpperCase();
+  return upper.endsWith("-PERP") ? upper : `${upper}-PERP`;
+}
+
+class MarketRegistry {
+  constructor() {
+    this.markets = new Map(); // symbol -> market metadata
+    this.refreshInterval = null;
+    this.driftClient = null;
+    this.lastRefreshed = null;
+
+    this.seed();
+  }
+
+  /**
+   * Fill the registry with the bootstrap markets until Drift has been read
+   */
+  seed() {
+    for (const [symbol, marketIndex] of Object.entries(SUPPORTED_MARKETS)) {
+      this.markets.set(symbol, {
+        symbol,
+        baseAsset: symbol.replace("-PERP", ""),
+        marketIndex,
+        status: "unknown",
+        tradeable: true,
+        contractTier: null,
+        tickSize: null,
+        stepSize: null,
+        minOrderSize: null,
+        marginRatioInitial: null,
+        marginRatioMaintenance: null,
+        maxLeverage: MARKET_REGISTRY_CONFIG.MAX_LEVERAGE,
+        source: "bootstrap",
+      });
+    }
+  }
+
+  /**
+   * Discover markets now and keep refreshing them in the background
+   */
+  async start() {
+    console.log("🗂️ Starting market registry...");
+
+    // Initialize Drift client for discovery (non-blocking)
+    this.initializeDriftClient()
+      .then(() => this.refresh())
+      .catch((error) => {
+        console.warn(
+          "⚠️ Market registry Drift client failed, serving bootstrap markets:",
+          error.message
+        );
+      });
+
+    this.refreshInterval = setInterval(async () => {
+      await this.refresh();
+    }, MARKET_REGISTRY_CONFIG.REFRESH_INTERVAL);
+  }
+
+  /**
+   * Borrow the pooled market client for market discovery
+   */
+  async initializeDriftClient() {
+    this.driftClient = await driftPool.acquireMarketClient();
+
+    console.log("✅ Drift client initialized for market registry");
+  }
+
+  /**
+   * Reload every perp market account from Drift
+   */
+  async refresh(driftClient = this.driftClient) {
+    if (!driftClient) return;
+
+    try {
+      const accounts = driftClient.getPerpMarketAccounts();
+      if (!accounts || accounts.length === 0) {
+        console.warn("⚠️ Drift returned no perp markets, keeping registry");
+        return;
+      }
+
+      const markets = new Map();
+      for (const account of accounts) {
+        const market = this.fromAccount(account);
+        markets.set(market.symbol, market);
+
+        if (!this.markets.has(market.symbol)) {
+          console.log(
+            `🆕 Market discovered: ${market.symbol} (index ${market.marketIndex})`
+          );
+        }
+      }
+
+      this.markets = markets;
+      this.lastRefreshed = new Date().toISOString();
+      console.log(`✅ Market registry loaded ${markets.size} perp markets`);
+    } catch (error) {
+      console.error("❌ Error refreshing market registry:", error.message);
+    }
+  }
+
+  /**
+   * Convert a Drift PerpMarketAccount into registry metadata
+   */
+  fromAccount(account) {
+    const symbol = decodeName(account.name).trim().toUpperCase();
+    const status = enumName(account.status);
+    const marginRatioInitial =
+      account.marginRatioInitial / MARGIN_PRECISION.toNumber();
+
+    // High leverage mode markets allow a lower initial margin than standard
+    const highLeverageRatio = account.highLeverageMarginRatioInitial
+      ? account.highLeverageMarginRatioInitial / MARGIN_PRECISION.toNumber()
+      : null;
+    const leverageRatio = highLeverageRatio || marginRatioInitial;
+
+    return {
+      symbol,
+      baseAsset: symbol.replace("-PERP", ""),
+      marketIndex: account.marketIndex,
+      status,
+      tradeable: MARKET_REGISTRY_CONFIG.TRADEABLE_STATUSES.includes(status),
+      contractTier: enumName(account.contractTier),
+      tickSize:
+        account.amm.orderTickSize.toNumber() / PRICE_PRECISION.toNumber(),
+      stepSize:
+        account.amm.orderStepSize.toNumber() / BASE_PRECISION.toNumber(),
+      minOrderSize:
+        account.amm.minOrderSize.toNumber() / BASE_PRECISION.toNumber(),
+      marginRatioInitial,
+      marginRatioMaintenance:
+        account.marginRatioMaintenance / MARGIN_PRECISION.toNumber(),
+      maxLeverage:
+        leverageRatio > 0
+          ? Math.min(
+              Math.floor(1 / leverageRatio),
+              MARKET_REGISTRY_CONFIG.MAX_LEVERAGE
+            )
+          : MARKET_REGISTRY_CONFIG.MAX_LEVERAGE,
+      source: "drift",
+    };
+  }
+
+  /**
+   * Metadata for a market, or null if it isn't listed
+   */
+  getMarket(asset) {
+    return this.markets.get(toSymbol(asset)) || null;
+  }
+
+  /**
+   * Drift market index for a market, or undefined if it isn't listed
+   */
+  getMarketIndex(asset) {
+    const market = this.getMarket(asset);
+    return market ? market.marketIndex : undefined;
+  }
+
+  /**
+   * Metadata for a Drift market index, or null if it isn't listed
+   */
+  getMarketByIndex(marketIndex) {
+    for (const market of this.markets.values()) {
+      if (market.marketIndex === marketIndex) return market;
+    }
+    return null;
+  }
+
+  isTradeable(asset) {
+    const market = this.getMarket(asset);
+    return Boolean(market && market.tradeable);
+  }
+
+  getMaxLeverage(asset) {
+    const market = this.getMarket(asset);
+    return market ? market.maxLeverage : MARKET_REGISTRY_CONFIG.MAX_LEVERAGE;
+  }
+
+  /**
+   * All listed markets ordered by market index
+   */
+  getMarkets({ tradeableOnly = false } = {}) {
+    return Array.from(this.markets.values())
+      .filter((market) => !tradeableOnly || market.tradeable)
+      .sort((a, b) => a.marketIndex - b.marketIndex);
+  }
+
+  getSymbols(options) {
+    return this.getMarkets(options).map((market) => market.symbol);
+  }
+
+  /**
+   * Stop refreshing and release the Drift client
+   */
+  async stop() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+    }
+
+    if (this.driftClient) {
+      driftPool.releaseMarketClient();
+      this.driftClient = null;
+    }
+  }
+}
+
+// Shared instance: discovery runs once per process and everything reads from it
+const marketRegistry = new MarketRegistry();
+
+module.exports = MarketRegistry;
+module.exports.marketRegistry = marketRegistry;
+module.exports.toSymbol = toSymbol;
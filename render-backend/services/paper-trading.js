@@ -0,0 +1,318 @@
+const { supabase } = require("../middleware/supabase");
+const { createHttpError } = require("../utils");
+const { PAPER_TRADING_CONFIG, SUB_ACCOUNT_CONFIG } = require("../constants");
+const TradingService = require("./trading");
+const { portfolioStats } = require("./portfolio-stats");
+
+/**
+ * Simulated exchange: the live order engine running on the paper tables,
+ * filling at real oracle prices and holding margin in a simulated USDC
+ * balance instead of a Drift account
+ */
+class PaperTradingService extends TradingService {
+  constructor() {
+    super({ tables: { trades: "paper_trades", fills: "paper_trade_fills" } });
+  }
+
+  /**
+   * Paper accounts need no Swig wallet
+   */
+  async getUserSwigWallet() {
+    return null;
+  }
+
+  /**
+   * Paper accounts have only the main sub-account
+   */
+  async checkSubAccount(walletAddress, subAccountId) {
+    if (subAccountId !== SUB_ACCOUNT_CONFIG.MAIN_SUB_ACCOUNT_ID) {
+      throw createHttpError("Paper accounts have no sub-accounts");
+    }
+  }
+
+  /**
+   * No Drift account backs a paper position, so liquidation prices fall
+   * back to the estimate
+   */
+  async getAccountRisk() {
+    return null;
+  }
+
+  // Nothing is signed or sent on-chain
+  buildDriftOrderParams() {
+    return null;
+  }
+
+  serializeOrderParams() {
+    return null;
+  }
+
+  /**
+   * The user's paper account, opened with the starting balance on first use
+   */
+  async getAccount(userId) {
+    const { error: createError } = await supabase.from("paper_accounts").upsert(
+      [
+        {
+          user_id: userId,
+          balance_usd: PAPER_TRADING_CONFIG.STARTING_BALANCE,
+          starting_balance_usd: PAPER_TRADING_CONFIG.STARTING_BALANCE,
+        },
+      ],
+      { onConflict: "user_id", ignoreDuplicates: true }
+    );
+
+    if (createError) {
+      throw new Error(`Failed to open paper account: ${createError.message}`);
+    }
+
+    const { data: account, error } = await supabase
+      .from("paper_accounts")
+      .select("*")
+      .eq("user_id", userId)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to fetch paper account: ${error.message}`);
+    }
+
+    return account;
+  }
+
+  /**
+   * Move free balance in or out of a paper account
+   * Refuses (400) rather than going negative
+   */
+  async adjustBalance(userId, delta) {
+    await this.getAccount(userId);
+
+    const { data: balance, error } = await supabase.rpc(
+      "adjust_paper_balance",
+      { p_user_id: userId, p_delta: delta }
+    );
+
+    if (error) {
+      throw new Error(`Failed to update paper balance: ${error.message}`);
+    }
+
+    if (balance === null) {
+      throw createHttpError("Insufficient paper balance");
+    }
+
+    return parseFloat(balance);
+  }
+
+  /**
+   * Fees and funding move the free balance; a charge takes at most what's
+   * left so the account can't go negative
+   */
+  async settleFee(userId, feeUsd) {
+    await this.settleFunding(userId, -feeUsd);
+  }
+
+  async settleFunding(userId, fundingUsd) {
+    if (!fundingUsd) return;
+
+    const account = await this.getAccount(userId);
+    await this.adjustBalance(
+      userId,
+      Math.max(fundingUsd, -parseFloat(account.balance_usd))
+    );
+  }
+
+  /**
+   * Margin is held from the moment an order is accepted, pending or not
+   */
+  async openPosition(userId, asset, direction, amount, leverage, options = {}) {
+    await this.adjustBalance(userId, -amount);
+
+    try {
+      return await super.openPosition(
+        userId,
+        asset,
+        direction,
+        amount,
+        leverage,
+        options
+      );
+    } catch (error) {
+      await this.adjustBalance(userId, amount);
+      throw error;
+    }
+  }
+
+  async increasePosition(userId, positionId, amount, leverage = null) {
+    await this.adjustBalance(userId, -amount);
+
+    try {
+      return await super.increasePosition(userId, positionId, amount, leverage);
+    } catch (error) {
+      await this.adjustBalance(userId, amount);
+      throw error;
+    }
+  }
+
+  /**
+   * Return the released margin plus PnL less the closing fee; a loss can't
+   * take more than the margin it released
+   */
+  async closePosition(userId, positionId, options = {}) {
+    const result = await super.closePosition(userId, positionId, options);
+
+    await this.adjustBalance(
+      userId,
+      Math.max(0, result.releasedMargin + result.pnl - result.fee)
+    );
+
+    return result;
+  }
+
+  /**
+   * Cancelled entries hand back their held margin; brackets hold none
+   */
+  async cancelOrder(userId, orderId) {
+    const order = await super.cancelOrder(userId, orderId);
+
+    if (!order.parentPositionId) {
+      await this.adjustBalance(userId, order.marginUsed);
+    }
+
+    return order;
+  }
+
+  /**
+   * Fill and trigger pending orders, then liquidate positions whose
+   * liquidation price the oracle has crossed
+   */
+  async processPendingOrders(prices) {
+    const events = await super.processPendingOrders(prices);
+    return events.concat(await this.liquidatePositions(prices));
+  }
+
+  async liquidatePositions(prices) {
+    const events = [];
+
+    const { data: trades, error } = await supabase
+      .from(this.tables.trades)
+      .select("*")
+      .eq("status", "open");
+
+    if (error) {
+      console.error("❌ Failed to load paper positions:", error.message);
+      return events;
+    }
+
+    for (const trade of trades || []) {
+      const price = prices[`${trade.asset}-PERP`];
+      if (!price) continue;
+
+      const liquidationPrice = this.getLiquidationPrice(trade);
+      const crossed =
+        trade.direction === "long"
+          ? price <= liquidationPrice
+          : price >= liquidationPrice;
+      if (!crossed) continue;
+
+      try {
+        const closed = await this.closePosition(trade.user_id, trade.id, {
+          exitPrice: liquidationPrice,
+          status: "liquidated",
+          closeReason: "liquidated",
+        });
+
+        console.log(
+          `💥 Paper position ${trade.id} liquidated at $${liquidationPrice}`
+        );
+        events.push({
+          type: "position_liquidated",
+          userId: trade.user_id,
+          data: closed,
+        });
+      } catch (liquidationError) {
+        console.error(
+          `❌ Error liquidating paper position ${trade.id}:`,
+          liquidationError.message
+        );
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Simulated balance in the same shape as a live balance
+   */
+  async getBalance(
+    userId,
+    subAccountId = SUB_ACCOUNT_CONFIG.MAIN_SUB_ACCOUNT_ID
+  ) {
+    await this.checkSubAccount(null, subAccountId);
+    const account = await this.getAccount(userId);
+
+    const { data: held, error } = await supabase
+      .from(this.tables.trades)
+      .select("principal_invested")
+      .eq("user_id", userId)
+      .in("status", ["open", "pending"])
+      .is("parent_trade_id", null);
+
+    if (error) {
+      throw new Error(`Failed to fetch paper positions: ${error.message}`);
+    }
+
+    const availableMargin = parseFloat(account.balance_usd);
+    const usedMargin = (held || []).reduce(
+      (total, trade) => total + parseFloat(trade.principal_invested),
+      0
+    );
+
+    return {
+      usdc: availableMargin + usedMargin,
+      availableMargin,
+      usedMargin,
+      totalValue: availableMargin + usedMargin,
+      walletAddress: null,
+      paper: true,
+      startingBalance: parseFloat(account.starting_balance_usd),
+    };
+  }
+
+  /**
+   * Cancel every open and pending paper trade and restore the starting
+   * balance
+   */
+  async resetAccount(userId) {
+    const { error: cancelError } = await supabase
+      .from(this.tables.trades)
+      .update({ status: "cancelled", exit_time: new Date().toISOString() })
+      .eq("user_id", userId)
+      .in("status", ["open", "pending"]);
+
+    if (cancelError) {
+      throw new Error(`Failed to reset paper trades: ${cancelError.message}`);
+    }
+
+    const { error } = await supabase.from("paper_accounts").upsert(
+      [
+        {
+          user_id: userId,
+          balance_usd: PAPER_TRADING_CONFIG.STARTING_BALANCE,
+          starting_balance_usd: PAPER_TRADING_CONFIG.STARTING_BALANCE,
+          updated_at: new Date().toISOString(),
+        },
+      ],
+      { onConflict: "user_id" }
+    );
+
+    if (error) {
+      throw new Error(`Failed to reset paper balance: ${error.message}`);
+    }
+
+    portfolioStats.invalidate(this, userId);
+
+    console.log(`🔄 Paper account reset for user: ${userId}`);
+    return this.getBalance(userId);
+  }
+}
+
+module.exports = PaperTradingService;
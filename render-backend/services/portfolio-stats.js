@@ -0,0 +1,263 @@
+const { STATS_CONFIG } = require("../constants");
+const { priceHistory } = require("./price-history");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC calendar day of a timestamp, e.g. "2025-01-31"
+ */
+function toDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function round(value, decimals = 2) {
+  return value === null ? null : parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Realized PnL of a trades row after the fees and funding it accrued
+ */
+function getNetRealizedPnl(trade) {
+  return (
+    (parseFloat(trade.realized_pnl_usd) || 0) -
+    (parseFloat(trade.fees_usd) || 0) +
+    (parseFloat(trade.funding_usd) || 0)
+  );
+}
+
+/**
+ * Portfolio analytics computed from a user's trades rows, cached per
+ * trading engine and user until one of their trades closes
+ */
+class PortfolioStatsService {
+  constructor(history = priceHistory) {
+    this.history = history;
+    this.cache = new Map(); // "table:userId" -> { stats, expiresAt }
+  }
+
+  cacheKey(tradingService, userId) {
+    return `${tradingService.tables.trades}:${userId}`;
+  }
+
+  /**
+   * Stats for a user's trades on one trading engine (live or paper)
+   */
+  async getStats(tradingService, userId) {
+    const key = this.cacheKey(tradingService, userId);
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.stats;
+    }
+
+    const trades = [];
+    for await (const trade of tradingService.iterateHistory(userId, {
+      status: STATS_CONFIG.STATUSES,
+      order: "asc",
+    })) {
+      trades.push(trade);
+    }
+
+    const stats = this.compute(trades);
+    this.cache.set(key, {
+      stats,
+      expiresAt: Date.now() + STATS_CONFIG.CACHE_TTL,
+    });
+
+    return stats;
+  }
+
+  /**
+   * Drop a user's cached stats (called when one of their trades closes)
+   */
+  invalidate(tradingService, userId) {
+    this.cache.delete(this.cacheKey(tradingService, userId));
+  }
+
+  /**
+   * Aggregate open and settled trades rows into portfolio stats
+   * Closed-trade figures use PnL net of fees and funding; open positions
+   * are marked at the latest sampled oracle price
+   */
+  compute(trades, now = Date.now()) {
+    const settled = trades.filter((trade) => trade.status !== "open");
+    const open = trades.filter((trade) => trade.status === "open");
+
+    let realizedPnl = 0;
+    let fees = 0;
+    let funding = 0;
+    for (const trade of trades) {
+      realizedPnl += parseFloat(trade.realized_pnl_usd) || 0;
+      fees += parseFloat(trade.fees_usd) || 0;
+      funding += parseFloat(trade.funding_usd) || 0;
+    }
+
+    let unrealizedPnl = 0;
+    for (const trade of open) {
+      const sample = this.history.getLatestSample(`${trade.asset}-PERP`);
+      if (!sample) continue;
+
+      const entryPrice = parseFloat(trade.entry_price);
+      const baseSize = parseFloat(trade.position_size) / entryPrice;
+      unrealizedPnl +=
+        (trade.direction === "long" ? 1 : -1) *
+        (sample.price - entryPrice) *
+        baseSize;
+    }
+
+    // Per-trade results, in the order they closed
+    const results = settled
+      .map((trade) => ({
+        id: trade.id,
+        asset: `${trade.asset}-PERP`,
+        pnl: getNetRealizedPnl(trade),
+        closedAt: trade.exit_time || trade.created_at,
+      }))
+      .sort((a, b) => new Date(a.closedAt) - new Date(b.closedAt));
+
+    const wins = results.filter((result) => result.pnl > 0);
+    const losses = results.filter((result) => result.pnl < 0);
+    const sum = (list) => list.reduce((total, result) => total + result.pnl, 0);
+
+    let best = null;
+    let worst = null;
+    for (const result of results) {
+      if (!best || result.pnl > best.pnl) best = result;
+      if (!worst || result.pnl < worst.pnl) worst = result;
+    }
+
+    const equityCurve = this.buildEquityCurve(results, now);
+
+    const leverages = trades
+      .map((trade) => parseFloat(trade.leverage_amount))
+      .filter((leverage) => leverage > 0);
+
+    return {
+      totalPnl: round(realizedPnl + unrealizedPnl - fees + funding),
+      realizedPnl: round(realizedPnl),
+      unrealizedPnl: round(unrealizedPnl),
+      fees: round(fees),
+      funding: round(funding),
+      netRealizedPnl: round(realizedPnl - fees + funding),
+      totalTrades: results.length,
+      openPositions: open.length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate:
+        results.length > 0 ? round((wins.length / results.length) * 100) : null,
+      averageWin: wins.length > 0 ? round(sum(wins) / wins.length) : null,
+      averageLoss:
+        losses.length > 0 ? round(sum(losses) / losses.length) : null,
+      bestTrade: best && { ...best, pnl: round(best.pnl) },
+      worstTrade: worst && { ...worst, pnl: round(worst.pnl) },
+      maxDrawdown: round(this.getMaxDrawdown(equityCurve)),
+      sharpeRatio: round(this.getSharpeRatio(equityCurve), 3),
+      averageLeverage:
+        leverages.length > 0
+          ? round(
+              leverages.reduce((total, leverage) => total + leverage, 0) /
+                leverages.length
+            )
+          : null,
+      equityCurve,
+      assets: this.getAssetBreakdown(settled),
+      computedAt: new Date(now).toISOString(),
+    };
+  }
+
+  /**
+   * Cumulative net realized PnL per UTC day, from the first close to today
+   * Days without closes carry the previous equity forward
+   */
+  buildEquityCurve(results, now) {
+    if (results.length === 0) return [];
+
+    const pnlByDay = new Map();
+    for (const result of results) {
+      const day = toDay(result.closedAt);
+      pnlByDay.set(day, (pnlByDay.get(day) || 0) + result.pnl);
+    }
+
+    const curve = [];
+    let equity = 0;
+    const firstDay = Date.parse(toDay(results[0].closedAt));
+    for (let time = firstDay; time <= now; time += DAY_MS) {
+      const day = toDay(time);
+      const pnl = pnlByDay.get(day) || 0;
+      equity += pnl;
+      curve.push({ date: day, pnl: round(pnl), equity: round(equity) });
+    }
+
+    return curve;
+  }
+
+  /**
+   * Largest fall in USD from an equity peak (starting from zero PnL)
+   */
+  getMaxDrawdown(curve) {
+    let peak = 0;
+    let maxDrawdown = 0;
+    for (const point of curve) {
+      peak = Math.max(peak, point.equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - point.equity);
+    }
+    return maxDrawdown;
+  }
+
+  /**
+   * Annualized Sharpe ratio of daily PnL (risk-free rate of zero)
+   * Null until there are two days of history or while PnL never varies
+   */
+  getSharpeRatio(curve) {
+    if (curve.length < 2) return null;
+
+    const daily = curve.map((point) => point.pnl);
+    const mean = daily.reduce((total, pnl) => total + pnl, 0) / daily.length;
+    const variance =
+      daily.reduce((total, pnl) => total + (pnl - mean) ** 2, 0) /
+      (daily.length - 1);
+    const deviation = Math.sqrt(variance);
+
+    // Perps trade every day of the year
+    return deviation > 0 ? (mean / deviation) * Math.sqrt(365) : null;
+  }
+
+  /**
+   * Settled trade counts, win rate, net PnL and volume per market
+   */
+  getAssetBreakdown(settled) {
+    const byAsset = new Map();
+
+    for (const trade of settled) {
+      const asset = `${trade.asset}-PERP`;
+      if (!byAsset.has(asset)) {
+        byAsset.set(asset, { asset, trades: 0, wins: 0, pnl: 0, volume: 0 });
+      }
+
+      const entry = byAsset.get(asset);
+      const pnl = getNetRealizedPnl(trade);
+      const margin =
+        parseFloat(trade.released_margin_usd) ||
+        parseFloat(trade.principal_invested);
+
+      entry.trades += 1;
+      if (pnl > 0) entry.wins += 1;
+      entry.pnl += pnl;
+      entry.volume += margin * parseFloat(trade.leverage_amount);
+    }
+
+    return Array.from(byAsset.values())
+      .map((entry) => ({
+        ...entry,
+        winRate: round((entry.wins / entry.trades) * 100),
+        pnl: round(entry.pnl),
+        volume: round(entry.volume),
+      }))
+      .sort((a, b) => b.pnl - a.pnl);
+  }
+}
+
+// Shared instance: one stats cache per process
+const portfolioStats = new PortfolioStatsService();
+
+module.exports = PortfolioStatsService;
+module.exports.portfolioStats = portfolioStats;
@@ -0,0 +1,323 @@
+const { PRICE_PRECISION } = require("../utils");
+const { supabase } = require("../middleware/supabase");
+const { PRICE_HISTORY_CONFIG } = require("../constants");
+const { marketRegistry } = require("./market-registry");
+const { driftPool } = require("./drift-pool");
+
+/**
+ * Convert a possibly huge BN to a float without hitting the 53-bit limit
+ */
+function bnToNumber(bn, precision) {
+  if (!bn) return null;
+  const value = parseFloat(bn.toString()) / precision;
+  return isFinite(value) ? value : null;
+}
+
+class PriceHistoryService {
+  constructor() {
+    this.samples = new Map(); // symbol -> samples from the last stats window
+    this.sampleInterval = null;
+    this.pruneInterval = null;
+    this.driftClient = null;
+  }
+
+  /**
+   * Load recent samples and start the sampling loop
+   */
+  async start() {
+    console.log("📈 Starting price history sampler...");
+
+    await this.loadRecentSamples();
+
+    // Initialize Drift client for sampling (non-blocking)
+    this.initializeDriftClient().catch((error) => {
+      console.warn(
+        "⚠️ Price sampler Drift client failed, samples paused:",
+        error.message
+      );
+    });
+
+    this.sampleInterval = setInterval(async () => {
+      await this.sampleAll();
+    }, PRICE_HISTORY_CONFIG.SAMPLE_INTERVAL);
+
+    this.pruneInterval = setInterval(async () => {
+      await this.prune();
+    }, PRICE_HISTORY_CONFIG.PRUNE_INTERVAL);
+  }
+
+  /**
+   * Borrow the pooled market client for oracle sampling
+   */
+  async initializeDriftClient() {
+    this.driftClient = await driftPool.acquireMarketClient();
+
+    console.log("✅ Drift client initialized for price sampling");
+  }
+
+  /**
+   * Fill the in-memory window from the persistent store after a restart
+   */
+  async loadRecentSamples() {
+    const since = new Date(
+      Date.now() - PRICE_HISTORY_CONFIG.STATS_WINDOW
+    ).toISOString();
+
+    let rows;
+    try {
+      rows = await this.selectAll(() =>
+        supabase
+          .from("price_samples")
+          .select("*")
+          .gte("sampled_at", since)
+          .order("sampled_at", { ascending: true })
+      );
+    } catch (error) {
+      console.warn("⚠️ Could not load price history:", error.message);
+      return;
+    }
+
+    for (const row of rows) {
+      this.addToWindow(row.market, this.fromRow(row));
+    }
+
+    console.log(`✅ Loaded ${rows.length} recent price samples`);
+  }
+
+  /**
+   * Sample oracle price, 24h AMM volume and open interest for every market
+   */
+  async sampleAll() {
+    if (!this.driftClient) return;
+
+    const samples = [];
+
+    for (const { symbol, marketIndex } of marketRegistry.getMarkets({
+      tradeableOnly: true,
+    })) {
+      try {
+        const oracleData = await this.driftClient.getOracleDataForPerpMarket(
+          marketIndex
+        );
+        const price = oracleData.price.toNumber() / PRICE_PRECISION.toNumber();
+
+        const marketAccount =
+          this.driftClient.getPerpMarketAccount(marketIndex);
+        let volume24h = null;
+        let openInterest = null;
+        if (marketAccount) {
+          volume24h = bnToNumber(marketAccount.amm.volume24H, 1e6);
+          const baseAmount = bnToNumber(
+            marketAccount.amm.baseAssetAmountWithAmm,
+            1e9
+          );
+          openInterest =
+            baseAmount === null ? null : Math.abs(baseAmount * price);
+        }
+
+        samples.push({ symbol, price, volume24h, openInterest });
+      } catch (error) {
+        console.warn(`⚠️ Price sample failed for ${symbol}:`, error.message);
+      }
+    }
+
+    await this.recordSamples(samples);
+  }
+
+  /**
+   * Store samples in memory and in the price_samples table (one insert)
+   */
+  async recordSamples(samples) {
+    if (samples.length === 0) return;
+
+    const sampledAt = Date.now();
+    const rows = [];
+
+    for (const {
+      symbol,
+      price,
+      volume24h = null,
+      openInterest = null,
+    } of samples) {
+      this.addToWindow(symbol, { price, volume24h, openInterest, sampledAt });
+      rows.push({
+        market: symbol,
+        price,
+        volume_24h: volume24h,
+        open_interest: openInterest,
+        sampled_at: new Date(sampledAt).toISOString(),
+      });
+    }
+
+    const { error } = await supabase.from("price_samples").insert(rows);
+
+    if (error) {
+      console.warn("⚠️ Could not persist price samples:", error.message);
+    }
+  }
+
+  /**
+   * Append a sample and drop anything older than the stats window
+   */
+  addToWindow(symbol, sample) {
+    if (!this.samples.has(symbol)) {
+      this.samples.set(symbol, []);
+    }
+
+    const window = this.samples.get(symbol);
+    window.push(sample);
+
+    const cutoff = Date.now() - PRICE_HISTORY_CONFIG.STATS_WINDOW;
+    while (window.length > 0 && window[0].sampledAt < cutoff) {
+      window.shift();
+    }
+  }
+
+  fromRow(row) {
+    return {
+      price: parseFloat(row.price),
+      volume24h: row.volume_24h === null ? null : parseFloat(row.volume_24h),
+      openInterest:
+        row.open_interest === null ? null : parseFloat(row.open_interest),
+      sampledAt: new Date(row.sampled_at).getTime(),
+    };
+  }
+
+  /**
+   * Most recent sample for a market, or null if none
+   */
+  getLatestSample(symbol) {
+    const window = this.samples.get(symbol);
+    return window && window.length > 0 ? window[window.length - 1] : null;
+  }
+
+  /**
+   * 24h change, high, low and volume from sampled prices
+   * Returns null until at least one sample exists for the market
+   */
+  getStats(symbol, currentPrice = null) {
+    const window = this.samples.get(symbol);
+    if (!window || window.length === 0) return null;
+
+    const latest = window[window.length - 1];
+    const price = currentPrice || latest.price;
+    const open = window[0].price;
+
+    let high = price;
+    let low = price;
+    for (const sample of window) {
+      if (sample.price > high) high = sample.price;
+      if (sample.price < low) low = sample.price;
+    }
+
+    // Prefer the newest AMM-reported volume, skipping samples without one
+    let volume24h = null;
+    let openInterest = null;
+    for (let i = window.length - 1; i >= 0; i--) {
+      if (volume24h === null && window[i].volume24h !== null) {
+        volume24h = window[i].volume24h;
+      }
+      if (openInterest === null && window[i].openInterest !== null) {
+        openInterest = window[i].openInterest;
+      }
+      if (volume24h !== null && openInterest !== null) break;
+    }
+
+    return {
+      open24h: open,
+      change24h: open > 0 ? ((price - open) / open) * 100 : 0,
+      high24h: high,
+      low24h: low,
+      volume24h,
+      openInterest,
+      sampleCount: window.length,
+      // How much of the 24h window the samples actually cover
+      coverageHours: parseFloat(
+        ((latest.sampledAt - window[0].sampledAt) / 3600000).toFixed(2)
+      ),
+    };
+  }
+
+  /**
+   * Read samples for a market between two timestamps from the store
+   */
+  async getSamples(symbol, from, to) {
+    try {
+      const rows = await this.selectAll(() =>
+        supabase
+          .from("price_samples")
+          .select("*")
+          .eq("market", symbol)
+          .gte("sampled_at", new Date(from).toISOString())
+          .lte("sampled_at", new Date(to).toISOString())
+          .order("sampled_at", { ascending: true })
+      );
+      return rows.map((row) => this.fromRow(row));
+    } catch (error) {
+      throw new Error(`Failed to fetch price samples: ${error.message}`);
+    }
+  }
+
+  /**
+   * Page through a query past Supabase's 1000-row response cap
+   */
+  async selectAll(buildQuery, pageSize = 1000) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += pageSize) {
+      const { data, error } = await buildQuery().range(
+        offset,
+        offset + pageSize - 1
+      );
+
+      if (error) throw error;
+
+      rows.push(...(data || []));
+      if (!data || data.length < pageSize) break;
+    }
+
+    return rows;
+  }
+
+  /**
+   * Delete samples past the retention period
+   */
+  async prune() {
+    const cutoff = new Date(
+      Date.now() - PRICE_HISTORY_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString();
+
+    const { error } = await supabase
+      .from("price_samples")
+      .delete()
+      .lt("sampled_at", cutoff);
+
+    if (error) {
+      console.warn("⚠️ Could not prune price history:", error.message);
+    }
+  }
+
+  /**
+   * Stop sampling and release the Drift client
+   */
+  async stop() {
+    if (this.sampleInterval) {
+      clearInterval(this.sampleInterval);
+    }
+
+    if (this.pruneInterval) {
+      clearInterval(this.pruneInterval);
+    }
+
+    if (this.driftClient) {
+      driftPool.releaseMarketClient();
+      this.driftClient = null;
+    }
+  }
+}
+
+// Shared instance: the sampler runs once per process and routes read from it
+const priceHistory = new PriceHistoryService();
+
+module.exports = PriceHistoryService;
+module.exports.priceHistory = priceHistory;
@@ -0,0 +1,260 @@
+const {
+  ComputeBudgetProgram,
+  PublicKey,
+  TransactionMessage,
+  VersionedTransaction,
+} = require("@solana/web3.js");
+const { COMPUTE_UNITS, PRIORITY_FEE_CONFIG } = require("../constants");
+
+const LAMPORTS_PER_SOL = 1e9;
+
+/**
+ * Value at a percentile (0-100) of an ascending list
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(
+    sorted.length - 1,
+    Math.ceil((p / 100) * sorted.length) - 1
+  );
+  return sorted[Math.max(0, index)];
+};
+
+/**
+ * Prices compute units from recent fees paid on the accounts a transaction
+ * writes, and sizes the compute unit limit by simulating it, for the
+ * transactions the server builds for Swig wallets to sign. The web app
+ * server (src/) shares it, with its own computeUnits fallbacks for when
+ * simulation fails.
+ */
+class PriorityFeeService {
+  constructor({ computeUnits = COMPUTE_UNITS } = {}) {
+    this.samples = new Map(); // account key -> { fees, sampledAt }
+    this.computeUnits = computeUnits; // operation type -> fallback units
+  }
+
+  /**
+   * Whether a speed tier name is known
+   */
+  isSpeed(speed) {
+    return Object.keys(PRIORITY_FEE_CONFIG.SPEED_PERCENTILES).includes(speed);
+  }
+
+  /**
+   * Recent per-slot priority fees (micro-lamports per CU) paid by
+   * transactions writing any of the accounts, ascending
+   */
+  async sampleFees(connection, accounts) {
+    const lockedWritableAccounts = accounts.slice(
+      0,
+      PRIORITY_FEE_CONFIG.MAX_SAMPLE_ACCOUNTS
+    );
+    const key = lockedWritableAccounts
+      .map((account) => account.toString())
+      .sort()
+      .join(",");
+
+    const cached = this.samples.get(key);
+    if (
+      cached &&
+      Date.now() - cached.sampledAt < PRIORITY_FEE_CONFIG.SAMPLE_CACHE_TTL
+    ) {
+      return cached.fees;
+    }
+
+    const recent = await connection.getRecentPrioritizationFees({
+      lockedWritableAccounts,
+    });
+    const fees = recent
+      .map((sample) => sample.prioritizationFee)
+      .sort((a, b) => a - b);
+
+    this.samples.set(key, { fees, sampledAt: Date.now() });
+    return fees;
+  }
+
+  /**
+   * Micro-lamports per CU for every speed tier
+   */
+  getTierPrices(fees) {
+    const prices = {};
+    for (const [speed, p] of Object.entries(
+      PRIORITY_FEE_CONFIG.SPEED_PERCENTILES
+    )) {
+      prices[speed] = Math.min(
+        PRIORITY_FEE_CONFIG.MAX_MICRO_LAMPORTS,
+        Math.max(PRIORITY_FEE_CONFIG.MIN_MICRO_LAMPORTS, percentile(fees, p))
+      );
+    }
+    return prices;
+  }
+
+  /**
+   * Compute units the instructions consume, with headroom, or null when the
+   * simulation fails (e.g. the account isn't funded yet)
+   */
+  async simulateUnits(connection, instructions, feePayer, blockhash) {
+    try {
+      const message = new TransactionMessage({
+        payerKey: new PublicKey(feePayer),
+        recentBlockhash: blockhash,
+        instructions: [
+          ComputeBudgetProgram.setComputeUnitLimit({
+            units: PRIORITY_FEE_CONFIG.SIMULATION_UNITS,
+          }),
+          ...instructions,
+        ],
+      }).compileToV0Message();
+
+      const { value } = await connection.simulateTransaction(
+        new VersionedTransaction(message),
+        { sigVerify: false, replaceRecentBlockhash: true }
+      );
+
+      if (value.err || !value.unitsConsumed) {
+        console.warn(
+          "⚠️ Compute unit simulation failed:",
+          JSON.stringify(value.err)
+        );
+        return null;
+      }
+
+      return Math.max(
+        PRIORITY_FEE_CONFIG.MIN_UNITS,
+        Math.ceil(value.unitsConsumed * (1 + PRIORITY_FEE_CONFIG.UNIT_HEADROOM))
+      );
+    } catch (error) {
+      console.warn("⚠️ Compute unit simulation error:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Compute budget instructions to put ahead of a transaction's
+   * instructions, and the fee estimate for every speed tier.
+   * Falls back to COMPUTE_UNITS[operationType] when simulation fails and to
+   * the minimum price when fees can't be sampled.
+   */
+  async buildComputeBudget(
+    connection,
+    {
+      instructions,
+      feePayer,
+      blockhash,
+      speed = PRIORITY_FEE_CONFIG.DEFAULT_SPEED,
+      operationType = "default",
+    }
+  ) {
+    const writableAccounts = [];
+    const seen = new Set();
+    for (const instruction of instructions) {
+      for (const key of instruction.keys) {
+        const address = key.pubkey.toString();
+        if (key.isWritable && !seen.has(address)) {
+          seen.add(address);
+          writableAccounts.push(key.pubkey);
+        }
+      }
+    }
+
+    const [fees, simulatedUnits] = await Promise.all([
+      this.sampleFees(connection, writableAccounts).catch((error) => {
+        console.warn("⚠️ Could not sample priority fees:", error.message);
+        return [];
+      }),
+      this.simulateUnits(connection, instructions, feePayer, blockhash),
+    ]);
+
+    const computeUnits =
+      simulatedUnits ||
+      this.computeUnits[operationType.toUpperCase()] ||
+      this.computeUnits.DEFAULT;
+    const prices = this.getTierPrices(fees);
+
+    const tiers = {};
+    for (const [tier, microLamports] of Object.entries(prices)) {
+      const priorityFeeLamports = Math.ceil(
+        (microLamports * computeUnits) / 1e6
+      );
+      tiers[tier] = {
+        microLamportsPerUnit: microLamports,
+        priorityFeeLamports,
+        totalFeeSol:
+          (priorityFeeLamports + PRIORITY_FEE_CONFIG.BASE_FEE_LAMPORTS) /
+          LAMPORTS_PER_SOL,
+      };
+    }
+
+    console.log(
+      `⛽ ${computeUnits} CU${simulatedUnits ? " (simulated)" : ""} at ${
+        prices[speed]
+      } µlamports/CU (${speed})`
+    );
+
+    return {
+      instructions: [
+        ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits }),
+        ComputeBudgetProgram.setComputeUnitPrice({
+          microLamports: prices[speed],
+        }),
+      ],
+      fees: {
+        speed,
+        computeUnits,
+        simulated: Boolean(simulatedUnits),
+        ...tiers[speed],
+        tiers,
+      },
+    };
+  }
+
+  /**
+   * Compile instructions into a v0 transaction for a Swig wallet to sign,
+   * priced and sized by buildComputeBudget. Returns it base64-encoded with
+   * its blockhash as transactionData, and the fee estimate as priorityFee.
+   */
+  async buildTransaction(
+    connection,
+    {
+      instructions,
+      feePayer,
+      speed = PRIORITY_FEE_CONFIG.DEFAULT_SPEED,
+      operationType = "default",
+    }
+  ) {
+    const { blockhash, lastValidBlockHeight } =
+      await connection.getLatestBlockhash("confirmed");
+
+    const computeBudget = await this.buildComputeBudget(connection, {
+      instructions,
+      feePayer,
+      blockhash,
+      speed,
+      operationType,
+    });
+
+    const message = new TransactionMessage({
+      payerKey: new PublicKey(feePayer),
+      recentBlockhash: blockhash,
+      instructions: [...computeBudget.instructions, ...instructions],
+    }).compileToV0Message();
+
+    return {
+      transactionData: {
+        transaction: Buffer.from(
+          new VersionedTransaction(message).serialize()
+        ).toString("base64"),
+        blockhash,
+        lastValidBlockHeight,
+        feePayer: feePayer.toString(),
+      },
+      priorityFee: computeBudget.fees,
+    };
+  }
+}
+
+// Shared instance: fee samples are cached per process
+const priorityFees = new PriorityFeeService();
+
+module.exports = PriorityFeeService;
+module.exports.priorityFees = priorityFees;
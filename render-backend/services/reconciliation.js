@@ -0,0 +1,527 @@
+const EventEmitter = require("events");
+const { PublicKey } = require("@solana/web3.js");
+const { BASE_PRECISION, getUserAccountPublicKey } = require("@drift-labs/sdk");
+const { supabase } = require("../middleware/supabase");
+const { RECONCILIATION_CONFIG } = require("../constants");
+const { liveTradingService } = require("./trading-mode");
+const { marketRegistry } = require("./market-registry");
+const { priceHistory } = require("./price-history");
+const { driftPool } = require("./drift-pool");
+const { isTriggerMet } = require("./trading");
+
+/**
+ * Signed base asset size of a trades row (positive long, negative short)
+ */
+function getBaseSize(trade) {
+  const size = parseFloat(trade.position_size) / parseFloat(trade.entry_price);
+  return trade.direction === "long" ? size : -size;
+}
+
+/**
+ * Entry order (pending trades row) whose size accounts for a change in the
+ * on-chain position, within tolerance
+ */
+function findFilledEntry(entries, sizeChange, tolerance) {
+  return (entries || []).find(
+    (entry) => Math.abs(getBaseSize(entry) - sizeChange) <= tolerance
+  );
+}
+
+/**
+ * Trades rows by market symbol
+ */
+function groupByMarket(trades) {
+  const byMarket = new Map();
+  for (const trade of trades) {
+    const symbol = `${trade.asset}-PERP`;
+    if (!byMarket.has(symbol)) byMarket.set(symbol, []);
+    byMarket.get(symbol).push(trade);
+  }
+  return byMarket;
+}
+
+/**
+ * Compares open trades rows with on-chain Drift positions and settles the
+ * differences, opening resting entry orders once Drift has filled them.
+ * Emits "discrepancy" for each difference it finds, "order_filled"
+ * ({ userId, order }) for each entry it opens, and "order_triggered"
+ * ({ userId, order }) for each stop-loss or take-profit Drift filled, the
+ * order carrying the position it closed.
+ */
+class ReconciliationService extends EventEmitter {
+  constructor(tradingService = liveTradingService) {
+    super();
+    this.tradingService = tradingService;
+    this.interval = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Reconcile on an interval
+   */
+  start() {
+    console.log("🧮 Starting position reconciliation...");
+
+    this.interval = setInterval(async () => {
+      await this.run();
+    }, RECONCILIATION_CONFIG.INTERVAL);
+  }
+
+  /**
+   * One pass over every user with open trades
+   * Returns the discrepancies found
+   */
+  async run() {
+    // A slow pass must not overlap the next one
+    if (this.running) return [];
+    this.running = true;
+
+    const startedAt = new Date().toISOString();
+    const discrepancies = [];
+    let users = 0;
+
+    try {
+      const trades = await this.getOpenTrades();
+
+      const tradesByUser = new Map();
+      for (const trade of trades) {
+        if (!tradesByUser.has(trade.user_id)) {
+          tradesByUser.set(trade.user_id, []);
+        }
+        tradesByUser.get(trade.user_id).push(trade);
+      }
+
+      for (const [userId, userTrades] of tradesByUser) {
+        try {
+          discrepancies.push(...(await this.reconcileUser(userId, userTrades)));
+          users += 1;
+        } catch (error) {
+          console.error(
+            `❌ Reconciliation failed for user ${userId}:`,
+            error.message
+          );
+        }
+      }
+
+      if (discrepancies.length > 0) {
+        console.log(
+          `🧮 Reconciliation found ${discrepancies.length} discrepancies across ${users} users`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error reconciling positions:", error.message);
+    } finally {
+      this.lastRun = {
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        users,
+        discrepancies: discrepancies.length,
+      };
+      this.running = false;
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Every open trade and resting entry order, paged past Supabase's
+   * 1000-row response cap
+   */
+  async getOpenTrades(pageSize = 1000) {
+    const trades = [];
+
+    for (let offset = 0; ; offset += pageSize) {
+      const { data, error } = await supabase
+        .from("trades")
+        .select("*")
+        .in("status", ["open", "pending"])
+        .is("parent_trade_id", null)
+        .order("created_at", { ascending: true })
+        .range(offset, offset + pageSize - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch open trades: ${error.message}`);
+      }
+
+      trades.push(...data);
+      if (data.length < pageSize) return trades;
+    }
+  }
+
+  /**
+   * Compare one user's open trades with the Drift sub-accounts they're on
+   */
+  async reconcileUser(userId, trades) {
+    const walletAddress = await this.tradingService.getUserSwigWallet(userId);
+
+    const tradesBySubAccount = new Map();
+    for (const trade of trades) {
+      const subAccountId = trade.sub_account_id || 0;
+      if (!tradesBySubAccount.has(subAccountId)) {
+        tradesBySubAccount.set(subAccountId, []);
+      }
+      tradesBySubAccount.get(subAccountId).push(trade);
+    }
+
+    const discrepancies = [];
+    for (const [subAccountId, subAccountTrades] of tradesBySubAccount) {
+      discrepancies.push(
+        ...(await this.reconcileSubAccount(
+          userId,
+          walletAddress,
+          subAccountId,
+          subAccountTrades
+        ))
+      );
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Compare the open trades on one sub-account with its Drift account,
+   * market by market
+   */
+  async reconcileSubAccount(userId, walletAddress, subAccountId, trades) {
+    const account = await this.getOnChainAccount(walletAddress, subAccountId);
+    const settledBefore = Date.now() - RECONCILIATION_CONFIG.GRACE_PERIOD;
+    const discrepancies = [];
+
+    const tradesByMarket = groupByMarket(
+      trades.filter((trade) => trade.status === "open")
+    );
+    // Resting entries count once the position grows by their size
+    const entriesByMarket = groupByMarket(
+      trades.filter((trade) => trade.status === "pending")
+    );
+
+    for (const [symbol, marketTrades] of tradesByMarket) {
+      const market = marketRegistry.getMarket(symbol);
+      if (!market) continue;
+
+      // Rows this new may belong to a transaction that hasn't landed yet
+      const settled = marketTrades.filter(
+        (trade) => new Date(trade.created_at).getTime() < settledBefore
+      );
+      if (settled.length < marketTrades.length) continue;
+
+      const actualSize = account
+        ? account.positions.get(market.marketIndex) || 0
+        : 0;
+
+      if (actualSize === 0) {
+        for (const trade of marketTrades) {
+          const discrepancy = await this.settleMissing(userId, trade, account);
+          if (discrepancy) discrepancies.push(discrepancy);
+        }
+        continue;
+      }
+
+      const expectedSize = marketTrades.reduce(
+        (total, trade) => total + getBaseSize(trade),
+        0
+      );
+      const tolerance = Math.max(
+        market.stepSize || 0,
+        Math.abs(expectedSize) * RECONCILIATION_CONFIG.SIZE_TOLERANCE
+      );
+
+      const entry = findFilledEntry(
+        entriesByMarket.get(symbol),
+        actualSize - expectedSize,
+        tolerance
+      );
+      if (entry) {
+        await this.openFilledEntry(userId, entry);
+        continue;
+      }
+
+      // Flagged only: several rows can share a market, so there is no
+      // single row to resize
+      if (Math.abs(actualSize - expectedSize) > tolerance) {
+        discrepancies.push(
+          this.report({
+            type: "size_mismatch",
+            userId,
+            subAccountId,
+            market: symbol,
+            tradeIds: marketTrades.map((trade) => trade.id),
+            expectedSize,
+            actualSize,
+          })
+        );
+      }
+    }
+
+    // Positions opened outside the app have no row at all
+    if (account) {
+      for (const [marketIndex, actualSize] of account.positions) {
+        const market = marketRegistry.getMarketByIndex(marketIndex);
+        const symbol = market ? market.symbol : `PERP-${marketIndex}`;
+        if (tradesByMarket.has(symbol)) continue;
+
+        const entry = findFilledEntry(
+          entriesByMarket.get(symbol),
+          actualSize,
+          Math.max(
+            (market && market.stepSize) || 0,
+            Math.abs(actualSize) * RECONCILIATION_CONFIG.SIZE_TOLERANCE
+          )
+        );
+        if (entry) {
+          await this.openFilledEntry(userId, entry);
+          continue;
+        }
+
+        discrepancies.push(
+          this.report({
+            type: "untracked",
+            userId,
+            subAccountId,
+            market: symbol,
+            tradeIds: [],
+            expectedSize: 0,
+            actualSize,
+          })
+        );
+      }
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Open an entry order Drift has filled, at the price it was placed at
+   */
+  async openFilledEntry(userId, entry) {
+    const order = await this.tradingService.fillEntryOrder(
+      entry,
+      parseFloat(entry.entry_price)
+    );
+    if (!order) return;
+
+    this.emit("order_filled", {
+      userId,
+      order: this.tradingService.formatFill(order),
+    });
+  }
+
+  /**
+   * Settle a row whose Drift position no longer exists
+   * Returns the discrepancy, or null when one of its brackets filled
+   */
+  async settleMissing(userId, trade, account) {
+    const symbol = `${trade.asset}-PERP`;
+    const openedAt = new Date(trade.created_at).getTime();
+
+    // The Drift account hasn't been touched since the row was written, so
+    // the opening transaction never landed
+    if (
+      !account ||
+      (account.lastActiveAt !== null && account.lastActiveAt < openedAt)
+    ) {
+      await this.markFailed(trade);
+
+      return this.report({
+        type: "orphaned",
+        userId,
+        subAccountId: trade.sub_account_id || 0,
+        market: symbol,
+        tradeIds: [trade.id],
+        expectedSize: getBaseSize(trade),
+        actualSize: 0,
+      });
+    }
+
+    const liquidationPrice = this.tradingService.getLiquidationPrice(trade);
+    const cause = account.beingLiquidated
+      ? { liquidated: true, bracket: null }
+      : await this.findCloseCause(symbol, trade, liquidationPrice);
+    const { liquidated } = cause;
+
+    // Drift filled a stop-loss or take-profit: settle it as the paper
+    // engine does, at its trigger price
+    if (cause.bracket) {
+      const order = await this.tradingService.fillBracket(
+        cause.bracket,
+        parseFloat(cause.bracket.trigger_price)
+      );
+      if (order) {
+        this.emit("order_triggered", { userId, order });
+        return null;
+      }
+    }
+
+    // External closes settle at the current oracle price
+    const position = await this.tradingService.closePosition(
+      userId,
+      trade.id,
+      liquidated
+        ? {
+            exitPrice: liquidationPrice,
+            status: "liquidated",
+            closeReason: "liquidated",
+          }
+        : { status: "closed", closeReason: "external" }
+    );
+
+    return this.report({
+      type: liquidated ? "liquidated" : "closed_externally",
+      userId,
+      subAccountId: trade.sub_account_id || 0,
+      market: symbol,
+      tradeIds: [trade.id],
+      expectedSize: getBaseSize(trade),
+      actualSize: 0,
+      position,
+    });
+  }
+
+  /**
+   * Mark a row whose opening transaction never landed as failed
+   */
+  async markFailed(trade) {
+    const { error } = await supabase
+      .from("trades")
+      .update({
+        status: "failed",
+        close_reason: "orphaned",
+        exit_time: new Date().toISOString(),
+      })
+      .eq("id", trade.id)
+      .eq("status", "open");
+
+    if (error) {
+      throw new Error(`Failed to update trade: ${error.message}`);
+    }
+
+    await this.tradingService.cancelBrackets(trade.id);
+  }
+
+  /**
+   * What closed a position Drift no longer holds: the first of its pending
+   * stop-loss / take-profit or its liquidation price that an oracle price
+   * sampled since it opened reached, if any
+   */
+  async findCloseCause(symbol, trade, liquidationPrice) {
+    const [samples, bracketsByPosition] = await Promise.all([
+      priceHistory.getSamples(
+        symbol,
+        new Date(trade.created_at).getTime(),
+        Date.now()
+      ),
+      this.tradingService.getBracketsByPosition([trade.id]),
+    ]);
+    const brackets = bracketsByPosition[trade.id] || [];
+    const liquidationCondition = trade.direction === "long" ? "below" : "above";
+
+    for (const sample of samples) {
+      const bracket = brackets.find((order) =>
+        isTriggerMet(
+          order.trigger_condition,
+          parseFloat(order.trigger_price),
+          sample.price
+        )
+      );
+      if (bracket) return { liquidated: false, bracket };
+
+      if (isTriggerMet(liquidationCondition, liquidationPrice, sample.price)) {
+        return { liquidated: true, bracket: null };
+      }
+    }
+
+    return { liquidated: false, bracket: null };
+  }
+
+  /**
+   * Perp positions, last activity and liquidation state of one of a wallet's
+   * Drift sub-accounts, or null if it doesn't exist
+   */
+  async getOnChainAccount(walletAddress, subAccountId = 0) {
+    const connection = await driftPool.getConnection();
+    const driftClient = await driftPool.acquireMarketClient();
+
+    try {
+      const userAccountPublicKey = await getUserAccountPublicKey(
+        driftClient.program.programId,
+        new PublicKey(walletAddress),
+        subAccountId
+      );
+      const accountInfo = await connection.getAccountInfo(userAccountPublicKey);
+      if (!accountInfo) return null;
+    } finally {
+      driftPool.releaseMarketClient();
+    }
+
+    const user = await driftPool.acquireUser(walletAddress, subAccountId);
+
+    try {
+      const positions = new Map(); // marketIndex -> signed base size
+      for (const position of user.getActivePerpPositions()) {
+        const size =
+          parseFloat(position.baseAssetAmount.toString()) /
+          BASE_PRECISION.toNumber();
+        if (size !== 0) positions.set(position.marketIndex, size);
+      }
+
+      return {
+        positions,
+        lastActiveAt: await this.getSlotTime(
+          connection,
+          user.getUserAccount().lastActiveSlot
+        ),
+        beingLiquidated: user.isBeingLiquidated(),
+      };
+    } finally {
+      driftPool.releaseUser(walletAddress, subAccountId);
+    }
+  }
+
+  /**
+   * Wall-clock time (ms) of a slot, or null if the RPC no longer has it
+   */
+  async getSlotTime(connection, slot) {
+    if (!slot || slot.isZero()) return null;
+
+    try {
+      const blockTime = await connection.getBlockTime(slot.toNumber());
+      return blockTime ? blockTime * 1000 : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Log a discrepancy and emit it to listeners
+   */
+  report(discrepancy) {
+    const event = { ...discrepancy, detectedAt: new Date().toISOString() };
+
+    console.warn(
+      `⚠️ Position discrepancy (${event.type}) for user ${event.userId} on ${event.market}`
+    );
+    this.emit("discrepancy", event);
+
+    return event;
+  }
+
+  getStats() {
+    return { running: this.running, lastRun: this.lastRun };
+  }
+
+  /**
+   * Stop reconciling
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+    }
+  }
+}
+
+// Shared instance: one reconciler per process
+const reconciliation = new ReconciliationService();
+
+module.exports = ReconciliationService;
+module.exports.reconciliation = reconciliation;
@@ -0,0 +1,458 @@
+const { supabase } = require("../middleware/supabase");
+const { createHttpError } = require("../utils");
+const { RISK_CONFIG } = require("../constants");
+const { getLockedUntil } = require("./trading-controls");
+
+// Limit columns shared by risk_tiers and user_risk_limits
+const LIMIT_COLUMNS = {
+  max_notional_per_market: "maxNotionalPerMarket",
+  max_total_exposure: "maxTotalExposure",
+  max_open_positions: "maxOpenPositions",
+  daily_loss_limit: "dailyLossLimit",
+  max_leverage: "maxLeverage",
+};
+
+// Platform cap on total open notional, across every market
+const ALL_MARKETS = "*";
+
+// Lock live orders take while a platform cap applies to them
+const PLATFORM_LOCK = "platform";
+
+const toNumber = (value) =>
+  value === null || value === undefined ? null : parseFloat(value);
+
+/**
+ * Checks opens and increases against the user's risk tier, their personal
+ * overrides and the platform-wide caps before anything is recorded.
+ * Rejections are 403s carrying a `reasons` array of
+ * { code, message, limit, current, requested }.
+ */
+class RiskEngine {
+  constructor() {
+    this.config = null; // { tiers, platformLimits }
+    this.loadedAt = 0;
+    this.locks = new Map(); // key -> settles when its last holder releases
+  }
+
+  /**
+   * Tiers by name and platform caps by market, cached for CACHE_TTL
+   */
+  async loadConfig() {
+    if (this.config && Date.now() - this.loadedAt < RISK_CONFIG.CACHE_TTL) {
+      return this.config;
+    }
+
+    const [tiersResult, platformResult] = await Promise.all([
+      supabase.from("risk_tiers").select("*"),
+      supabase.from("platform_risk_limits").select("*"),
+    ]);
+
+    if (tiersResult.error) {
+      throw new Error(
+        `Failed to fetch risk tiers: ${tiersResult.error.message}`
+      );
+    }
+
+    if (platformResult.error) {
+      throw new Error(
+        `Failed to fetch platform risk limits: ${platformResult.error.message}`
+      );
+    }
+
+    this.config = {
+      tiers: new Map(tiersResult.data.map((tier) => [tier.name, tier])),
+      platformLimits: new Map(
+        platformResult.data.map((row) => [
+          row.market,
+          parseFloat(row.max_open_notional),
+        ])
+      ),
+    };
+    this.loadedAt = Date.now();
+
+    return this.config;
+  }
+
+  /**
+   * A user's effective limits: their tier, overridden column by column by
+   * their user_risk_limits row, then tightened by their own daily loss cap.
+   * null means unlimited; lockedUntil is set while they're on a break.
+   */
+  async getLimits(userId) {
+    const { tiers } = await this.loadConfig();
+
+    const [profileResult, overrideResult] = await Promise.all([
+      supabase
+        .from("profiles")
+        .select(
+          "risk_tier, daily_loss_cap_usd, trading_locked_until, pending_locked_until, pending_lock_effective_at"
+        )
+        .eq("id", userId)
+        .maybeSingle(),
+      supabase
+        .from("user_risk_limits")
+        .select("*")
+        .eq("user_id", userId)
+        .maybeSingle(),
+    ]);
+
+    if (profileResult.error) {
+      throw new Error(
+        `Failed to fetch risk tier: ${profileResult.error.message}`
+      );
+    }
+
+    if (overrideResult.error) {
+      throw new Error(
+        `Failed to fetch user risk limits: ${overrideResult.error.message}`
+      );
+    }
+
+    const profile = profileResult.data || {};
+    const tierName = profile.risk_tier || RISK_CONFIG.DEFAULT_TIER;
+    const tier = tiers.get(tierName) || {};
+    const override = overrideResult.data || {};
+
+    const limits = { tier: tierName };
+    for (const [column, key] of Object.entries(LIMIT_COLUMNS)) {
+      limits[key] = toNumber(
+        override[column] !== null && override[column] !== undefined
+          ? override[column]
+          : tier[column]
+      );
+    }
+    limits.marketMaxLeverage = {
+      ...(tier.market_max_leverage || {}),
+      ...(override.market_max_leverage || {}),
+    };
+
+    // The user's own loss cap can only tighten their tier's
+    const lossCap = toNumber(profile.daily_loss_cap_usd);
+    if (lossCap !== null) {
+      limits.dailyLossLimit =
+        limits.dailyLossLimit === null
+          ? lossCap
+          : Math.min(limits.dailyLossLimit, lossCap);
+    }
+    limits.lockedUntil = getLockedUntil(profile);
+
+    return limits;
+  }
+
+  /**
+   * What a user has at risk on an engine's tables: open and pending
+   * notional by market, position count, and net realized PnL (after fees)
+   * since midnight UTC
+   */
+  async getUsage(tables, userId) {
+    const midnight = new Date();
+    midnight.setUTCHours(0, 0, 0, 0);
+
+    const [tradesResult, fillsResult] = await Promise.all([
+      supabase
+        .from(tables.trades)
+        .select("asset, position_size")
+        .eq("user_id", userId)
+        .in("status", RISK_CONFIG.EXPOSURE_STATUSES)
+        .is("parent_trade_id", null),
+      supabase
+        .from(tables.fills)
+        .select("realized_pnl_usd, fee_usd")
+        .eq("user_id", userId)
+        .gte("created_at", midnight.toISOString()),
+    ]);
+
+    if (tradesResult.error) {
+      throw new Error(
+        `Failed to fetch open exposure: ${tradesResult.error.message}`
+      );
+    }
+
+    if (fillsResult.error) {
+      throw new Error(
+        `Failed to fetch daily PnL: ${fillsResult.error.message}`
+      );
+    }
+
+    const notionalByMarket = {};
+    let totalExposure = 0;
+    for (const trade of tradesResult.data) {
+      const size = parseFloat(trade.position_size) || 0;
+      notionalByMarket[trade.asset] =
+        (notionalByMarket[trade.asset] || 0) + size;
+      totalExposure += size;
+    }
+
+    const dailyPnl = fillsResult.data.reduce(
+      (sum, fill) =>
+        sum +
+        (parseFloat(fill.realized_pnl_usd) || 0) -
+        (parseFloat(fill.fee_usd) || 0),
+      0
+    );
+
+    return {
+      notionalByMarket,
+      totalExposure,
+      openPositions: tradesResult.data.length,
+      dailyPnl,
+      dailyLoss: Math.max(0, -dailyPnl),
+    };
+  }
+
+  /**
+   * Open live notional per market across all users
+   */
+  async getPlatformUsage() {
+    const { data, error } = await supabase.rpc("platform_open_notional");
+
+    if (error) {
+      throw new Error(`Failed to fetch platform exposure: ${error.message}`);
+    }
+
+    const notionalByMarket = {};
+    let totalExposure = 0;
+    for (const row of data) {
+      notionalByMarket[row.asset] = parseFloat(row.notional_usd) || 0;
+      totalExposure += notionalByMarket[row.asset];
+    }
+
+    return { notionalByMarket, totalExposure };
+  }
+
+  /**
+   * Refuse an order that would breach any limit
+   * newPosition is false for increases, which don't add a position
+   */
+  async checkOpen(
+    tables,
+    userId,
+    { asset, notional, leverage, newPosition = true }
+  ) {
+    const market = asset.replace("-PERP", "");
+
+    const [limits, usage] = await Promise.all([
+      this.getLimits(userId),
+      this.getUsage(tables, userId),
+    ]);
+
+    const reasons = [];
+    const reject = (code, message, limit, current, requested) =>
+      reasons.push({ code, message, limit, current, requested });
+
+    if (limits.lockedUntil) {
+      reject(
+        "TRADING_LOCKED",
+        `You're taking a break from trading until ${limits.lockedUntil}`,
+        limits.lockedUntil,
+        null,
+        null
+      );
+    }
+
+    const marketNotional = usage.notionalByMarket[market] || 0;
+    const leverageCaps = [
+      toNumber(limits.marketMaxLeverage[market]),
+      limits.maxLeverage,
+    ].filter((cap) => cap !== null);
+    const marketLeverage =
+      leverageCaps.length > 0 ? Math.min(...leverageCaps) : null;
+
+    if (marketLeverage !== null && leverage > marketLeverage) {
+      reject(
+        "MAX_LEVERAGE",
+        `Your limit on ${market} is ${marketLeverage}x leverage`,
+        marketLeverage,
+        null,
+        leverage
+      );
+    }
+
+    if (
+      limits.maxNotionalPerMarket !== null &&
+      marketNotional + notional > limits.maxNotionalPerMarket
+    ) {
+      reject(
+        "MAX_NOTIONAL_PER_MARKET",
+        `Your open ${market} notional would exceed $${limits.maxNotionalPerMarket}`,
+        limits.maxNotionalPerMarket,
+        marketNotional,
+        notional
+      );
+    }
+
+    if (
+      limits.maxTotalExposure !== null &&
+      usage.totalExposure + notional > limits.maxTotalExposure
+    ) {
+      reject(
+        "MAX_TOTAL_EXPOSURE",
+        `Your total open notional would exceed $${limits.maxTotalExposure}`,
+        limits.maxTotalExposure,
+        usage.totalExposure,
+        notional
+      );
+    }
+
+    if (
+      newPosition &&
+      limits.maxOpenPositions !== null &&
+      usage.openPositions >= limits.maxOpenPositions
+    ) {
+      reject(
+        "MAX_OPEN_POSITIONS",
+        `You can hold at most ${limits.maxOpenPositions} positions and orders`,
+        limits.maxOpenPositions,
+        usage.openPositions,
+        1
+      );
+    }
+
+    if (
+      limits.dailyLossLimit !== null &&
+      usage.dailyLoss >= limits.dailyLossLimit
+    ) {
+      reject(
+        "DAILY_LOSS_LIMIT",
+        `You've reached your daily loss limit of $${limits.dailyLossLimit}`,
+        limits.dailyLossLimit,
+        usage.dailyLoss,
+        null
+      );
+    }
+
+    // Platform caps bound real money only; paper engines use other tables
+    if (tables.trades === "trades") {
+      await this.checkPlatform(market, notional, reject);
+    }
+
+    if (reasons.length > 0) {
+      console.log(
+        `🛑 Risk check refused ${userId} on ${market}: ${reasons
+          .map((reason) => reason.code)
+          .join(", ")}`
+      );
+      const error = createHttpError(
+        `Risk limit exceeded: ${reasons[0].message}`,
+        403
+      );
+      error.reasons = reasons;
+      throw error;
+    }
+  }
+
+  /**
+   * checkOpen, keeping the locks it checked under until the caller has
+   * recorded the order and calls the returned release. A user's opens and
+   * increases (copy-trade fan-out included) are checked one at a time
+   * against what the ones before them recorded, and live orders under a
+   * platform cap queue behind every other user's.
+   */
+  async reserve(tables, userId, order) {
+    const keys = [`${tables.trades}:${userId}`];
+    if (
+      tables.trades === "trades" &&
+      (await this.hasPlatformCap(order.asset))
+    ) {
+      keys.push(PLATFORM_LOCK);
+    }
+
+    // User lock first, so holders of the platform lock never wait on one
+    const releases = [];
+    const release = () => releases.reverse().forEach((unlock) => unlock());
+
+    try {
+      for (const key of keys) {
+        releases.push(await this.lock(key));
+      }
+      await this.checkOpen(tables, userId, order);
+    } catch (error) {
+      release();
+      throw error;
+    }
+
+    return release;
+  }
+
+  /**
+   * Wait for a key's earlier holders, then hold it until the returned
+   * function is called
+   */
+  async lock(key) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    let unlock;
+    const held = new Promise((resolve) => {
+      unlock = resolve;
+    });
+    const tail = previous.then(() => held);
+    this.locks.set(key, tail);
+
+    await previous;
+
+    return () => {
+      unlock();
+      if (this.locks.get(key) === tail) {
+        this.locks.delete(key);
+      }
+    };
+  }
+
+  async hasPlatformCap(asset) {
+    const { platformLimits } = await this.loadConfig();
+    return (
+      platformLimits.has(asset.replace("-PERP", "")) ||
+      platformLimits.has(ALL_MARKETS)
+    );
+  }
+
+  async checkPlatform(market, notional, reject) {
+    const { platformLimits } = await this.loadConfig();
+    const marketCap = platformLimits.get(market);
+    const totalCap = platformLimits.get(ALL_MARKETS);
+    if (marketCap === undefined && totalCap === undefined) return;
+
+    const platform = await this.getPlatformUsage();
+    const marketNotional = platform.notionalByMarket[market] || 0;
+
+    if (marketCap !== undefined && marketNotional + notional > marketCap) {
+      reject(
+        "PLATFORM_MARKET_NOTIONAL",
+        `${market} is at its platform-wide open interest limit`,
+        marketCap,
+        marketNotional,
+        notional
+      );
+    }
+
+    if (
+      totalCap !== undefined &&
+      platform.totalExposure + notional > totalCap
+    ) {
+      reject(
+        "PLATFORM_TOTAL_NOTIONAL",
+        "The platform is at its open interest limit",
+        totalCap,
+        platform.totalExposure,
+        notional
+      );
+    }
+  }
+
+  /**
+   * A user's limits next to their current usage
+   */
+  async getRiskSummary(tables, userId) {
+    const [limits, usage] = await Promise.all([
+      this.getLimits(userId),
+      this.getUsage(tables, userId),
+    ]);
+
+    return { limits, usage };
+  }
+}
+
+// Shared instance: tier cache is per process
+const riskEngine = new RiskEngine();
+
+module.exports = RiskEngine;
+module.exports.riskEngine = riskEngine;
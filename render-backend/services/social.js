@@ -0,0 +1,321 @@
+const EventEmitter = require("events");
+const { supabase } = require("../middleware/supabase");
+const { createHttpError } = require("../utils");
+const { SOCIAL_CONFIG } = require("../constants");
+
+const FOLLOW_PROFILE_FIELDS = "id, username, avatar_url";
+
+/**
+ * Follow graph and the feed of followed traders' fills
+ * Emits "feed_item" ({ followerIds, item }) when a followed trader opens or
+ * closes a live position
+ */
+class SocialService extends EventEmitter {
+  /**
+   * Start following a trader; following twice is a no-op
+   */
+  async follow(followerId, followingId) {
+    if (followerId === followingId) {
+      throw createHttpError("You can't follow yourself");
+    }
+
+    const { data: target, error: targetError } = await supabase
+      .from("profiles")
+      .select("id")
+      .eq("id", followingId)
+      .maybeSingle();
+
+    if (targetError) {
+      throw new Error(`Failed to fetch profile: ${targetError.message}`);
+    }
+
+    if (!target) {
+      throw createHttpError("User not found", 404);
+    }
+
+    const { error } = await supabase
+      .from("follows")
+      .upsert([{ follower_id: followerId, following_id: followingId }], {
+        onConflict: "follower_id,following_id",
+        ignoreDuplicates: true,
+      });
+
+    if (error) {
+      throw new Error(`Failed to follow user: ${error.message}`);
+    }
+
+    console.log(`👥 ${followerId} followed ${followingId}`);
+  }
+
+  async unfollow(followerId, followingId) {
+    const { error } = await supabase
+      .from("follows")
+      .delete()
+      .eq("follower_id", followerId)
+      .eq("following_id", followingId);
+
+    if (error) {
+      throw new Error(`Failed to unfollow user: ${error.message}`);
+    }
+
+    console.log(`👥 ${followerId} unfollowed ${followingId}`);
+  }
+
+  /**
+   * Whether one user follows another
+   */
+  async isFollowing(followerId, followingId) {
+    const { data, error } = await supabase
+      .from("follows")
+      .select("follower_id")
+      .eq("follower_id", followerId)
+      .eq("following_id", followingId)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to fetch follow: ${error.message}`);
+    }
+
+    return data.length > 0;
+  }
+
+  async getFollowCounts(userId) {
+    const count = async (column) => {
+      const { count: total, error } = await supabase
+        .from("follows")
+        .select("follower_id", { count: "exact", head: true })
+        .eq(column, userId);
+
+      if (error) {
+        throw new Error(`Failed to count follows: ${error.message}`);
+      }
+
+      return total || 0;
+    };
+
+    const [followers, following] = await Promise.all([
+      count("following_id"),
+      count("follower_id"),
+    ]);
+
+    return { followers, following };
+  }
+
+  /**
+   * People following a user, newest first
+   */
+  async getFollowers(userId, { limit, offset }) {
+    return this.listFollows("following_id", "follower_id", userId, {
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * People a user follows, newest first
+   */
+  async getFollowing(userId, { limit, offset }) {
+    return this.listFollows("follower_id", "following_id", userId, {
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * One page of follow edges matching userId on one side, with the profile
+   * on the other side
+   */
+  async listFollows(matchColumn, profileColumn, userId, { limit, offset }) {
+    const { data: follows, error } = await supabase
+      .from("follows")
+      .select(`${profileColumn}, created_at`)
+      .eq(matchColumn, userId)
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch follows: ${error.message}`);
+    }
+
+    if (follows.length === 0) return [];
+
+    const { data: profiles, error: profileError } = await supabase
+      .from("profiles")
+      .select(FOLLOW_PROFILE_FIELDS)
+      .in(
+        "id",
+        follows.map((follow) => follow[profileColumn])
+      );
+
+    if (profileError) {
+      throw new Error(`Failed to fetch profiles: ${profileError.message}`);
+    }
+
+    const profilesById = new Map(
+      profiles.map((profile) => [profile.id, profile])
+    );
+
+    return follows
+      .filter((follow) => profilesById.has(follow[profileColumn]))
+      .map((follow) => {
+        const profile = profilesById.get(follow[profileColumn]);
+        return {
+          id: profile.id,
+          username: profile.username,
+          avatarUrl: profile.avatar_url,
+          followedAt: follow.created_at,
+        };
+      });
+  }
+
+  /**
+   * Ids of everyone following a user (for pushing feed items)
+   */
+  async getFollowerIds(userId) {
+    const ids = [];
+    const pageSize = 1000;
+
+    for (let offset = 0; ; offset += pageSize) {
+      const { data, error } = await supabase
+        .from("follows")
+        .select("follower_id")
+        .eq("following_id", userId)
+        .range(offset, offset + pageSize - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch followers: ${error.message}`);
+      }
+
+      ids.push(...data.map((follow) => follow.follower_id));
+      if (data.length < pageSize) return ids;
+    }
+  }
+
+  /**
+   * Opens and closes by the traders a user follows, newest first
+   * before (ISO time) pages past the last item already shown
+   */
+  async getFeed(userId, { limit, before = null }) {
+    const { data: follows, error: followError } = await supabase
+      .from("follows")
+      .select("following_id")
+      .eq("follower_id", userId);
+
+    if (followError) {
+      throw new Error(`Failed to fetch follows: ${followError.message}`);
+    }
+
+    if (follows.length === 0) return [];
+
+    const { data: traders, error: profileError } = await supabase
+      .from("profiles")
+      .select(FOLLOW_PROFILE_FIELDS)
+      .in(
+        "id",
+        follows.map((follow) => follow.following_id)
+      )
+      .eq("trades_hidden", false);
+
+    if (profileError) {
+      throw new Error(`Failed to fetch profiles: ${profileError.message}`);
+    }
+
+    if (traders.length === 0) return [];
+
+    let query = supabase
+      .from("trade_fills")
+      .select(
+        "id, trade_id, user_id, fill_type, size_usd, price, realized_pnl_usd, created_at, trades(asset, direction, leverage_amount, status)"
+      )
+      .in(
+        "user_id",
+        traders.map((trader) => trader.id)
+      )
+      .in("fill_type", SOCIAL_CONFIG.FEED_FILL_TYPES)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (before) {
+      query = query.lt("created_at", new Date(before).toISOString());
+    }
+
+    const { data: fills, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch feed: ${error.message}`);
+    }
+
+    const tradersById = new Map(traders.map((trader) => [trader.id, trader]));
+
+    return fills.map((fill) =>
+      this.formatFeedItem(fill, fill.trades, tradersById.get(fill.user_id))
+    );
+  }
+
+  /**
+   * Push a live fill to the trader's followers, unless they hide their trades
+   */
+  async publishFill(trade, fill) {
+    if (!SOCIAL_CONFIG.FEED_FILL_TYPES.includes(fill.fill_type)) return;
+
+    try {
+      const { data: trader, error } = await supabase
+        .from("profiles")
+        .select(`${FOLLOW_PROFILE_FIELDS}, trades_hidden`)
+        .eq("id", trade.user_id)
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      if (trader.trades_hidden) return;
+
+      const followerIds = await this.getFollowerIds(trade.user_id);
+      if (followerIds.length === 0) return;
+
+      this.emit("feed_item", {
+        followerIds,
+        item: this.formatFeedItem(fill, trade, trader),
+      });
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not publish feed item for ${trade.id}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Feed entry for a fill, its trade and the trader who made it
+   */
+  formatFeedItem(fill, trade, trader) {
+    return {
+      id: fill.id,
+      type: fill.fill_type === "open" ? "position_opened" : "position_closed",
+      positionId: fill.trade_id,
+      trader: {
+        id: fill.user_id,
+        username: trader ? trader.username : null,
+        avatarUrl: trader ? trader.avatar_url : null,
+      },
+      asset: `${trade.asset}-PERP`,
+      direction: trade.direction,
+      leverage: parseFloat(trade.leverage_amount),
+      size: parseFloat(fill.size_usd),
+      price: parseFloat(fill.price),
+      realizedPnl:
+        fill.fill_type === "close"
+          ? parseFloat(fill.realized_pnl_usd) || 0
+          : null,
+      liquidated: fill.fill_type === "close" && trade.status === "liquidated",
+      createdAt: fill.created_at,
+    };
+  }
+}
+
+// Shared instance: routes, the trading engine and the WebSocket share events
+const socialService = new SocialService();
+
+module.exports = SocialService;
+module.exports.socialService = socialService;
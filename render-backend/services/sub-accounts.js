@@ -0,0 +1,415 @@
+const { PublicKey } = require("@solana/web3.js");
+const {
+  BN,
+  decodeName,
+  encodeName,
+  getUserAccountPublicKey,
+} = require("@drift-labs/sdk");
+const { supabase } = require("../middleware/supabase");
+const { createHttpError } = require("../utils");
+const { PRIORITY_FEE_CONFIG, SUB_ACCOUNT_CONFIG } = require("../constants");
+const { driftPool } = require("./drift-pool");
+const { priorityFees } = require("./priority-fees");
+const { liveTradingService } = require("./trading-mode");
+const { transactionTracker } = require("./transactions");
+const { transferService } = require("./transfers");
+
+// USDC is Drift spot market 0
+const USDC_MARKET_INDEX = 0;
+
+const { MAIN_SUB_ACCOUNT_ID } = SUB_ACCOUNT_CONFIG;
+
+/**
+ * Lists a wallet's Drift sub-accounts and builds creating, naming and
+ * deleting them, and moving collateral between them, for the Swig wallet
+ * to sign. Sub-account 0 is the main account the first deposit creates;
+ * the others keep a risky position's margin apart from it. Every builder
+ * takes the priority fee speed tier to price its transaction at.
+ */
+class SubAccountService {
+  /**
+   * The wallet's sub-accounts with their collateral and open positions
+   */
+  async listSubAccounts(userId) {
+    const walletAddress = await liveTradingService.getUserSwigWallet(userId);
+    const [accounts, openTrades] = await Promise.all([
+      this.getUserAccounts(walletAddress),
+      this.countOpenTrades(userId),
+    ]);
+
+    const subAccounts = [];
+    for (const account of accounts) {
+      const summary = await this.getAccountSummary(
+        walletAddress,
+        account.subAccountId
+      );
+
+      subAccounts.push({
+        subAccountId: account.subAccountId,
+        name: decodeName(account.name),
+        main: account.subAccountId === MAIN_SUB_ACCOUNT_ID,
+        openPositions: openTrades.get(account.subAccountId) || 0,
+        totalCollateral: summary ? summary.totalCollateral : null,
+        freeCollateral: summary ? summary.freeCollateral : null,
+        health: summary ? summary.health : null,
+        beingLiquidated: summary ? summary.beingLiquidated : null,
+      });
+    }
+
+    return { walletAddress, subAccounts };
+  }
+
+  /**
+   * Create the wallet's next sub-account; Drift numbers them in order
+   */
+  async buildCreate(userId, name, speed = PRIORITY_FEE_CONFIG.DEFAULT_SPEED) {
+    this.validateName(name);
+
+    const walletAddress = await liveTradingService.getUserSwigWallet(userId);
+    const accounts = await this.getUserAccounts(walletAddress);
+
+    if (
+      !accounts.some((account) => account.subAccountId === MAIN_SUB_ACCOUNT_ID)
+    ) {
+      throw createHttpError(
+        "Deposit into your main account before creating sub-accounts"
+      );
+    }
+
+    if (accounts.length >= SUB_ACCOUNT_CONFIG.MAX_SUB_ACCOUNTS) {
+      throw createHttpError(
+        `You can have at most ${SUB_ACCOUNT_CONFIG.MAX_SUB_ACCOUNTS} sub-accounts`
+      );
+    }
+
+    const driftClient = await driftPool.acquireAuthorityClient(walletAddress);
+
+    try {
+      const subAccountId = await driftClient.getNextSubAccountId();
+      const [instructions] = await driftClient.getInitializeUserAccountIxs(
+        subAccountId,
+        name
+      );
+
+      return this.recordChange(userId, {
+        type: "sub_account_create",
+        walletAddress,
+        speed,
+        instructions,
+        subAccount: { subAccountId, name },
+      });
+    } finally {
+      driftPool.releaseAuthorityClient(walletAddress);
+    }
+  }
+
+  /**
+   * Rename a sub-account; the name is stored on-chain
+   */
+  async buildRename(
+    userId,
+    subAccountId,
+    name,
+    speed = PRIORITY_FEE_CONFIG.DEFAULT_SPEED
+  ) {
+    this.validateName(name);
+
+    const walletAddress = await liveTradingService.getUserSwigWallet(userId);
+    await this.requireSubAccounts(walletAddress, [subAccountId]);
+
+    const driftClient = await driftPool.acquireAuthorityClient(walletAddress);
+
+    try {
+      const userAccountPublicKey = await getUserAccountPublicKey(
+        driftClient.program.programId,
+        new PublicKey(walletAddress),
+        subAccountId
+      );
+      const renameIx = driftClient.program.instruction.updateUserName(
+        subAccountId,
+        encodeName(name),
+        {
+          accounts: {
+            user: userAccountPublicKey,
+            authority: new PublicKey(walletAddress),
+          },
+        }
+      );
+
+      return this.recordChange(userId, {
+        type: "sub_account_rename",
+        walletAddress,
+        speed,
+        instructions: [renameIx],
+        subAccount: { subAccountId, name },
+      });
+    } finally {
+      driftPool.releaseAuthorityClient(walletAddress);
+    }
+  }
+
+  /**
+   * Delete an empty sub-account: no open trades, positions or collateral
+   * The main account stays
+   */
+  async buildDelete(
+    userId,
+    subAccountId,
+    speed = PRIORITY_FEE_CONFIG.DEFAULT_SPEED
+  ) {
+    if (subAccountId === MAIN_SUB_ACCOUNT_ID) {
+      throw createHttpError("The main account can't be deleted");
+    }
+
+    const walletAddress = await liveTradingService.getUserSwigWallet(userId);
+    await this.requireSubAccounts(walletAddress, [subAccountId]);
+
+    const openTrades = (await this.countOpenTrades(userId)).get(subAccountId);
+    if (openTrades) {
+      throw createHttpError(
+        `Close the ${openTrades} open positions and orders on sub-account ${subAccountId} first`
+      );
+    }
+
+    const summary = await this.getAccountSummary(walletAddress, subAccountId);
+    if (!summary) {
+      throw createHttpError(`Could not read sub-account ${subAccountId}`, 503);
+    }
+
+    if (summary.perpPositions > 0) {
+      throw createHttpError(
+        `Sub-account ${subAccountId} still has positions on Drift`
+      );
+    }
+
+    if (summary.spotBalances > 0) {
+      throw createHttpError(
+        `Move the collateral out of sub-account ${subAccountId} before deleting it`
+      );
+    }
+
+    const driftClient = await driftPool.acquireAuthorityClient(walletAddress);
+
+    try {
+      const userAccountPublicKey = await getUserAccountPublicKey(
+        driftClient.program.programId,
+        new PublicKey(walletAddress),
+        subAccountId
+      );
+
+      return this.recordChange(userId, {
+        type: "sub_account_delete",
+        walletAddress,
+        speed,
+        instructions: [
+          await driftClient.getUserDeletionIx(userAccountPublicKey),
+        ],
+        subAccount: { subAccountId },
+      });
+    } finally {
+      driftPool.releaseAuthorityClient(walletAddress);
+    }
+  }
+
+  /**
+   * Move USDC collateral between two of the wallet's sub-accounts, up to
+   * the source's free collateral less the withdrawal buffer; no amount
+   * moves all of that
+   */
+  async buildTransfer(
+    userId,
+    {
+      fromSubAccountId,
+      toSubAccountId,
+      amount,
+      speed = PRIORITY_FEE_CONFIG.DEFAULT_SPEED,
+    }
+  ) {
+    if (fromSubAccountId === toSubAccountId) {
+      throw createHttpError("Transfers need two different sub-accounts");
+    }
+
+    if (amount !== null && !(amount >= SUB_ACCOUNT_CONFIG.MIN_TRANSFER)) {
+      throw createHttpError(
+        `Minimum transfer is $${SUB_ACCOUNT_CONFIG.MIN_TRANSFER}`
+      );
+    }
+
+    const walletAddress = await liveTradingService.getUserSwigWallet(userId);
+    await this.requireSubAccounts(walletAddress, [
+      fromSubAccountId,
+      toSubAccountId,
+    ]);
+
+    const transferAmount = await transferService.getMovableAmount(
+      walletAddress,
+      fromSubAccountId,
+      amount,
+      SUB_ACCOUNT_CONFIG.MIN_TRANSFER
+    );
+
+    const connection = await driftPool.getConnection();
+    const driftClient = await driftPool.acquireAuthorityClient(walletAddress, [
+      fromSubAccountId,
+      toSubAccountId,
+    ]);
+
+    try {
+      const transferIx = await driftClient.getTransferDepositIx(
+        new BN(Math.round(transferAmount * 1e6)),
+        USDC_MARKET_INDEX,
+        fromSubAccountId,
+        toSubAccountId
+      );
+
+      return transferService.recordTransfer(userId, {
+        type: "sub_account_transfer",
+        amount: transferAmount,
+        walletAddress,
+        subAccountId: fromSubAccountId,
+        toSubAccountId,
+        instructions: [transferIx],
+        operationType: "sub_account",
+        speed,
+        connection,
+      });
+    } finally {
+      driftPool.releaseAuthorityClient(walletAddress, [
+        fromSubAccountId,
+        toSubAccountId,
+      ]);
+    }
+  }
+
+  /**
+   * The wallet's Drift user accounts, by sub-account id
+   */
+  async getUserAccounts(walletAddress) {
+    const driftClient = await driftPool.acquireMarketClient();
+
+    try {
+      const accounts = await driftClient.getUserAccountsForAuthority(
+        new PublicKey(walletAddress)
+      );
+      return accounts.sort((a, b) => a.subAccountId - b.subAccountId);
+    } finally {
+      driftPool.releaseMarketClient();
+    }
+  }
+
+  /**
+   * Refuse (404) sub-accounts the wallet doesn't have
+   */
+  async requireSubAccounts(walletAddress, subAccountIds) {
+    const existing = new Set(
+      (await this.getUserAccounts(walletAddress)).map(
+        (account) => account.subAccountId
+      )
+    );
+
+    for (const subAccountId of subAccountIds) {
+      if (!existing.has(subAccountId)) {
+        throw createHttpError(`Sub-account ${subAccountId} doesn't exist`, 404);
+      }
+    }
+  }
+
+  /**
+   * Collateral, margin health and what's still held on a sub-account, or
+   * null when it can't be read
+   */
+  async getAccountSummary(walletAddress, subAccountId) {
+    let user;
+    try {
+      user = await driftPool.acquireUser(walletAddress, subAccountId);
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not load sub-account ${subAccountId} for ${walletAddress}:`,
+        error.message
+      );
+      return null;
+    }
+
+    try {
+      return {
+        totalCollateral: user.getTotalCollateral().toNumber() / 1e6,
+        freeCollateral: user.getFreeCollateral().toNumber() / 1e6,
+        health: user.getHealth(),
+        beingLiquidated: user.isBeingLiquidated(),
+        perpPositions: user.getActivePerpPositions().length,
+        spotBalances: user.getActiveSpotPositions().length,
+      };
+    } finally {
+      driftPool.releaseUser(walletAddress, subAccountId);
+    }
+  }
+
+  /**
+   * Open and pending live trades per sub-account
+   */
+  async countOpenTrades(userId) {
+    const { data, error } = await supabase
+      .from("trades")
+      .select("sub_account_id")
+      .eq("user_id", userId)
+      .in("status", ["open", "pending"])
+      .is("parent_trade_id", null);
+
+    if (error) {
+      throw new Error(`Failed to fetch open trades: ${error.message}`);
+    }
+
+    const counts = new Map();
+    for (const trade of data) {
+      const subAccountId = trade.sub_account_id || 0;
+      counts.set(subAccountId, (counts.get(subAccountId) || 0) + 1);
+    }
+    return counts;
+  }
+
+  validateName(name) {
+    if (typeof name !== "string" || name.trim() === "") {
+      throw createHttpError("name is required");
+    }
+
+    if (Buffer.byteLength(name) > SUB_ACCOUNT_CONFIG.MAX_NAME_LENGTH) {
+      throw createHttpError(
+        `name must be at most ${SUB_ACCOUNT_CONFIG.MAX_NAME_LENGTH} bytes`
+      );
+    }
+  }
+
+  /**
+   * Track a built sub-account transaction and return it for signing with
+   * its priority fee estimate
+   */
+  async recordChange(
+    userId,
+    { type, walletAddress, instructions, subAccount, speed }
+  ) {
+    const connection = await driftPool.getConnection();
+    const { transactionData, priorityFee } =
+      await priorityFees.buildTransaction(connection, {
+        instructions,
+        feePayer: walletAddress,
+        speed,
+        operationType: "sub_account",
+      });
+    const transaction = await transactionTracker.recordBuilt(userId, {
+      type,
+      transactionData,
+    });
+
+    console.log(
+      `🗂️ Built ${type} of sub-account ${subAccount.subAccountId} for ${walletAddress}`
+    );
+
+    return { subAccount, transaction, transactionData, priorityFee };
+  }
+}
+
+// Shared instance
+const subAccounts = new SubAccountService();
+
+module.exports = SubAccountService;
+module.exports.subAccounts = subAccounts;
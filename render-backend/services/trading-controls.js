@@ -0,0 +1,346 @@
+const { supabase } = require("../middleware/supabase");
+const { createHttpError } = require("../utils");
+const { TRADING_CONTROLS_CONFIG } = require("../constants");
+
+const CONTROL_FIELDS =
+  "id, deposit_limit_usd, deposit_limit_period, daily_loss_cap_usd, session_reminder_minutes, trading_locked_until, pending_locked_until, pending_lock_effective_at";
+
+const toNumber = (value) =>
+  value === null || value === undefined ? null : parseFloat(value);
+
+/**
+ * The end of a profile's break as of now, or null when not on one
+ * A shortened lock counts from its effective time even before it's saved
+ */
+function getLockedUntil(profile, now = Date.now()) {
+  let until = profile.trading_locked_until;
+  if (
+    profile.pending_lock_effective_at &&
+    new Date(profile.pending_lock_effective_at).getTime() <= now
+  ) {
+    until = profile.pending_locked_until;
+  }
+
+  return until && new Date(until).getTime() > now ? until : null;
+}
+
+/**
+ * Limits users put on their own trading: deposit limit, daily loss cap,
+ * session reminders and "take a break" locks. Changes are audited to
+ * trading_control_changes.
+ */
+class TradingControlsService {
+  /**
+   * The user's controls, saving a shortened break once it takes effect
+   */
+  async getControls(userId) {
+    const profile = await this.getProfile(userId);
+    return this.formatControls(await this.applyPendingLock(profile));
+  }
+
+  async getProfile(userId) {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select(CONTROL_FIELDS)
+      .eq("id", userId)
+      .single();
+
+    if (error || !data) {
+      throw createHttpError("User not found", 404);
+    }
+
+    return data;
+  }
+
+  async applyPendingLock(profile) {
+    if (
+      !profile.pending_lock_effective_at ||
+      new Date(profile.pending_lock_effective_at).getTime() > Date.now()
+    ) {
+      return profile;
+    }
+
+    const { data, error } = await supabase
+      .from("profiles")
+      .update({
+        trading_locked_until: profile.pending_locked_until,
+        pending_locked_until: null,
+        pending_lock_effective_at: null,
+      })
+      .eq("id", profile.id)
+      .eq("pending_lock_effective_at", profile.pending_lock_effective_at)
+      .select(CONTROL_FIELDS);
+
+    if (error) {
+      throw new Error(`Failed to apply break change: ${error.message}`);
+    }
+
+    // A concurrent request applied it first
+    return data.length > 0 ? data[0] : this.getProfile(profile.id);
+  }
+
+  /**
+   * Set the deposit limit, daily loss cap and session reminder
+   * Fields left undefined stay as they are; null clears a limit
+   */
+  async updateControls(
+    userId,
+    {
+      depositLimitUsd,
+      depositLimitPeriod,
+      dailyLossCapUsd,
+      sessionReminderMinutes,
+    }
+  ) {
+    const isAmount = (value) => value === null || value > 0;
+
+    if (depositLimitUsd !== undefined && !isAmount(depositLimitUsd)) {
+      throw createHttpError(
+        "depositLimitUsd must be greater than zero or null"
+      );
+    }
+
+    if (
+      depositLimitPeriod !== undefined &&
+      !TRADING_CONTROLS_CONFIG.DEPOSIT_LIMIT_PERIODS.includes(
+        depositLimitPeriod
+      )
+    ) {
+      throw createHttpError(
+        `depositLimitPeriod must be one of: ${TRADING_CONTROLS_CONFIG.DEPOSIT_LIMIT_PERIODS.join(
+          ", "
+        )}`
+      );
+    }
+
+    if (dailyLossCapUsd !== undefined && !isAmount(dailyLossCapUsd)) {
+      throw createHttpError(
+        "dailyLossCapUsd must be greater than zero or null"
+      );
+    }
+
+    if (
+      sessionReminderMinutes !== undefined &&
+      sessionReminderMinutes !== null &&
+      !(
+        Number.isInteger(sessionReminderMinutes) &&
+        sessionReminderMinutes >=
+          TRADING_CONTROLS_CONFIG.MIN_SESSION_REMINDER &&
+        sessionReminderMinutes <= TRADING_CONTROLS_CONFIG.MAX_SESSION_REMINDER
+      )
+    ) {
+      throw createHttpError(
+        `sessionReminderMinutes must be a whole number from ${TRADING_CONTROLS_CONFIG.MIN_SESSION_REMINDER} to ${TRADING_CONTROLS_CONFIG.MAX_SESSION_REMINDER}, or null`
+      );
+    }
+
+    const profile = await this.getProfile(userId);
+    const updates = {};
+    const changes = [];
+    const change = (setting, oldValue, newValue) => {
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.push({ setting, old_value: oldValue, new_value: newValue });
+      }
+    };
+
+    if (depositLimitUsd !== undefined || depositLimitPeriod !== undefined) {
+      const current = {
+        amountUsd: toNumber(profile.deposit_limit_usd),
+        period: profile.deposit_limit_period,
+      };
+      const next = {
+        amountUsd:
+          depositLimitUsd === undefined ? current.amountUsd : depositLimitUsd,
+        period: depositLimitPeriod || current.period,
+      };
+      updates.deposit_limit_usd = next.amountUsd;
+      updates.deposit_limit_period = next.period;
+      change("deposit_limit", current, next);
+    }
+
+    if (dailyLossCapUsd !== undefined) {
+      updates.daily_loss_cap_usd = dailyLossCapUsd;
+      change(
+        "daily_loss_cap",
+        toNumber(profile.daily_loss_cap_usd),
+        dailyLossCapUsd
+      );
+    }
+
+    if (sessionReminderMinutes !== undefined) {
+      updates.session_reminder_minutes = sessionReminderMinutes;
+      change(
+        "session_reminder",
+        profile.session_reminder_minutes,
+        sessionReminderMinutes
+      );
+    }
+
+    if (changes.length === 0) {
+      return this.getControls(userId);
+    }
+
+    const { data, error } = await supabase
+      .from("profiles")
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq("id", userId)
+      .select(CONTROL_FIELDS)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update trading controls: ${error.message}`);
+    }
+
+    await this.recordChanges(userId, changes);
+    console.log(
+      `🧘 ${userId} updated ${changes.map((c) => c.setting).join(", ")}`
+    );
+
+    return this.formatControls(data);
+  }
+
+  /**
+   * Start a break of one of BREAK_PERIODS, or change the current one
+   */
+  async takeBreak(userId, period) {
+    const duration = TRADING_CONTROLS_CONFIG.BREAK_PERIODS[period];
+    if (!duration) {
+      throw createHttpError(
+        `period must be one of: ${Object.keys(
+          TRADING_CONTROLS_CONFIG.BREAK_PERIODS
+        ).join(", ")}`
+      );
+    }
+
+    return this.setLock(userId, new Date(Date.now() + duration).toISOString());
+  }
+
+  /**
+   * Ask to end the current break; it ends after SHORTEN_DELAY
+   */
+  async endBreak(userId) {
+    return this.setLock(userId, null);
+  }
+
+  /**
+   * Extending (or starting) a break applies now; shortening or ending an
+   * active one only after SHORTEN_DELAY, so it can't be undone on impulse
+   */
+  async setLock(userId, lockedUntil) {
+    const profile = await this.applyPendingLock(await this.getProfile(userId));
+    const current = getLockedUntil(profile);
+
+    if (!current && !lockedUntil) {
+      throw createHttpError("You're not taking a break");
+    }
+
+    const now = Date.now();
+    const immediate =
+      !current ||
+      (lockedUntil &&
+        new Date(lockedUntil).getTime() > new Date(current).getTime());
+    const effectiveAt = new Date(
+      immediate ? now : now + TRADING_CONTROLS_CONFIG.SHORTEN_DELAY
+    ).toISOString();
+
+    const updates = immediate
+      ? {
+          trading_locked_until: lockedUntil,
+          pending_locked_until: null,
+          pending_lock_effective_at: null,
+        }
+      : {
+          pending_locked_until: lockedUntil,
+          pending_lock_effective_at: effectiveAt,
+        };
+
+    // Only over the break that was read, so a racing request can't have
+    // its extension or pending change overwritten
+    let query = supabase
+      .from("profiles")
+      .update({ ...updates, updated_at: new Date(now).toISOString() })
+      .eq("id", userId);
+    for (const column of [
+      "trading_locked_until",
+      "pending_lock_effective_at",
+    ]) {
+      query =
+        profile[column] === null
+          ? query.is(column, null)
+          : query.eq(column, profile[column]);
+    }
+    const { data, error } = await query.select(CONTROL_FIELDS);
+
+    if (error) {
+      throw new Error(`Failed to update break: ${error.message}`);
+    }
+
+    if (data.length === 0) {
+      throw createHttpError(
+        "Your break changed while this request was made; check it and try again",
+        409
+      );
+    }
+
+    await this.recordChanges(userId, [
+      {
+        setting: "break",
+        old_value: { lockedUntil: current },
+        new_value: { lockedUntil },
+        effective_at: effectiveAt,
+      },
+    ]);
+    console.log(
+      `🧘 ${userId} break ${
+        lockedUntil ? `until ${lockedUntil}` : "ended"
+      }, effective ${effectiveAt}`
+    );
+
+    return this.formatControls(data[0]);
+  }
+
+  async recordChanges(userId, changes) {
+    const { error } = await supabase
+      .from("trading_control_changes")
+      .insert(changes.map((change) => ({ ...change, user_id: userId })));
+
+    if (error) {
+      throw new Error(
+        `Failed to record trading control change: ${error.message}`
+      );
+    }
+  }
+
+  formatControls(profile) {
+    const lockedUntil = getLockedUntil(profile);
+    const pending =
+      profile.pending_lock_effective_at &&
+      new Date(profile.pending_lock_effective_at).getTime() > Date.now();
+
+    return {
+      depositLimit: {
+        amountUsd: toNumber(profile.deposit_limit_usd),
+        period: profile.deposit_limit_period,
+      },
+      dailyLossCapUsd: toNumber(profile.daily_loss_cap_usd),
+      sessionReminderMinutes: profile.session_reminder_minutes,
+      break: {
+        active: Boolean(lockedUntil),
+        lockedUntil,
+        pendingChange: pending
+          ? {
+              lockedUntil: profile.pending_locked_until,
+              effectiveAt: profile.pending_lock_effective_at,
+            }
+          : null,
+      },
+    };
+  }
+}
+
+// Shared instance
+const tradingControls = new TradingControlsService();
+
+module.exports = TradingControlsService;
+module.exports.tradingControls = tradingControls;
+module.exports.getLockedUntil = getLockedUntil;
@@ -0,0 +1,52 @@
+const { supabase } = require("../middleware/supabase");
+const { PAPER_TRADING_CONFIG } = require("../constants");
+const TradingService = require("./trading");
+const PaperTradingService = require("./paper-trading");
+
+// One engine per mode, shared by the routes and the WebSocket server
+const liveTradingService = new TradingService();
+const paperTradingService = new PaperTradingService();
+
+// Modes switched since the caller's profile was loaded (e.g. by an open
+// WebSocket session)
+const modeOverrides = new Map(); // userId -> paper flag
+
+/**
+ * Whether a user trades on paper: forced for the deployment, or their choice
+ */
+function isPaperMode(user) {
+  if (PAPER_TRADING_CONFIG.ENABLED_FOR_ALL) return true;
+  if (modeOverrides.has(user.id)) return modeOverrides.get(user.id);
+  return Boolean(user.paper_trading);
+}
+
+/**
+ * Trading engine for a user's current mode
+ */
+function getTradingService(user) {
+  return isPaperMode(user) ? paperTradingService : liveTradingService;
+}
+
+/**
+ * Switch a user between paper and live trading
+ */
+async function setPaperMode(userId, enabled) {
+  const { error } = await supabase
+    .from("profiles")
+    .update({ paper_trading: enabled })
+    .eq("id", userId);
+
+  if (error) {
+    throw new Error(`Failed to update trading mode: ${error.message}`);
+  }
+
+  modeOverrides.set(userId, enabled);
+}
+
+module.exports = {
+  liveTradingService,
+  paperTradingService,
+  isPaperMode,
+  getTradingService,
+  setPaperMode,
+};
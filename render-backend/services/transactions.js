@@ -0,0 +1,535 @@
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const bs58 = require("bs58");
+const { VersionedTransaction } = require("@solana/web3.js");
+const { supabase } = require("../middleware/supabase");
+const { createHttpError } = require("../utils");
+const { TRANSACTION_CONFIG } = require("../constants");
+const { driftPool } = require("./drift-pool");
+
+// Statuses a transaction can't leave
+const FINAL_STATUSES = ["finalized", "failed", "expired"];
+
+/**
+ * SHA-256 of a transaction's message: what the signer signs, so it's the
+ * same before and after signing
+ */
+const hashMessage = (transaction) =>
+  crypto
+    .createHash("sha256")
+    .update(transaction.message.serialize())
+    .digest("hex");
+
+/**
+ * Records every transaction handed out for signing or submitted, and moves
+ * it through built -> signed -> sent -> confirmed -> finalized (or failed /
+ * expired) as the chain reports. Emits "tx_status" with the formatted
+ * transaction on every change.
+ */
+class TransactionTracker extends EventEmitter {
+  constructor() {
+    super();
+    this.interval = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Re-check unsettled transactions now (they may have settled while the
+   * server was down) and then on an interval
+   */
+  start() {
+    console.log("🧾 Starting transaction tracker...");
+
+    this.run();
+
+    this.interval = setInterval(async () => {
+      await this.run();
+    }, TRANSACTION_CONFIG.CHECK_INTERVAL);
+  }
+
+  /**
+   * Record a transaction the server built (transactionData from
+   * buildTransaction) and returned to the client for signing, with the
+   * blockhash and message hash it must come back signed with
+   * Never throws: a tracking failure mustn't fail the trade it belongs to
+   */
+  async recordBuilt(
+    userId,
+    { tradeId = null, transferId = null, type = null, transactionData } = {}
+  ) {
+    try {
+      const { data, error } = await supabase
+        .from("transactions")
+        .insert([
+          {
+            user_id: userId,
+            trade_id: tradeId,
+            transfer_id: transferId,
+            type,
+            blockhash: transactionData.blockhash,
+            last_valid_block_height: transactionData.lastValidBlockHeight,
+            message_hash: hashMessage(
+              VersionedTransaction.deserialize(
+                Buffer.from(transactionData.transaction, "base64")
+              )
+            ),
+            status: "built",
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return this.formatTransaction(data);
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not record built transaction for ${userId}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Send a signed transaction and wait (up to CONFIRM_TIMEOUT) for it to
+   * confirm, fail or expire. Returns the transaction as last seen - still
+   * "sent" if it hadn't settled in time; the background check follows it
+   * from there.
+   */
+  async submit(
+    userId,
+    txBuffer,
+    { tradeId = null, transferId = null, type = null } = {}
+  ) {
+    const { signature, blockhash, messageHash } = this.decode(txBuffer);
+    let row = await this.recordSigned(
+      userId,
+      { signature, blockhash, messageHash },
+      { tradeId, transferId, type }
+    );
+
+    if (row.status !== "signed") {
+      // Already sent once; report on the original rather than resending
+      return this.waitForSettlement(row);
+    }
+
+    const connection = await driftPool.getConnection();
+
+    try {
+      await connection.sendRawTransaction(txBuffer, {
+        skipPreflight: false,
+        preflightCommitment: "confirmed",
+        maxRetries: 3,
+      });
+    } catch (error) {
+      await this.transition(row, "failed", { error: error.message });
+      throw error;
+    }
+
+    row = await this.transition(row, "sent", {
+      sent_at: new Date().toISOString(),
+    });
+    console.log(`📤 Transaction sent: ${signature}`);
+
+    return this.waitForSettlement(row);
+  }
+
+  /**
+   * Signature, blockhash and message hash of a serialized (legacy or
+   * versioned) transaction
+   */
+  decode(txBuffer) {
+    let transaction;
+    try {
+      transaction = VersionedTransaction.deserialize(txBuffer);
+    } catch (error) {
+      throw createHttpError("signedTransaction is not a valid transaction");
+    }
+
+    const [feePayerSignature] = transaction.signatures;
+    if (!feePayerSignature || feePayerSignature.every((byte) => byte === 0)) {
+      throw createHttpError("Transaction has not been signed");
+    }
+
+    return {
+      signature: bs58.encode(feePayerSignature),
+      blockhash: transaction.message.recentBlockhash,
+      messageHash: hashMessage(transaction),
+    };
+  }
+
+  /**
+   * Row for a signed transaction: the existing one for its signature, the
+   * trade's or transfer's outstanding built row, or a new one for one of
+   * the user's trades. Transfers only settle through the row built for
+   * them.
+   */
+  async recordSigned(
+    userId,
+    { signature, blockhash, messageHash },
+    { tradeId, transferId, type }
+  ) {
+    const { data: existing, error: existingError } = await supabase
+      .from("transactions")
+      .select("*")
+      .eq("signature", signature)
+      .maybeSingle();
+
+    if (existingError) {
+      throw new Error(`Failed to fetch transaction: ${existingError.message}`);
+    }
+
+    if (existing) {
+      if (existing.user_id !== userId) {
+        throw createHttpError("Transaction belongs to another user", 403);
+      }
+      return existing;
+    }
+
+    const signed = {
+      signature,
+      blockhash,
+      status: "signed",
+      updated_at: new Date().toISOString(),
+    };
+
+    if (tradeId || transferId) {
+      const { data: built, error: builtError } = await supabase
+        .from("transactions")
+        .select("*")
+        .eq("user_id", userId)
+        .eq(transferId ? "transfer_id" : "trade_id", transferId || tradeId)
+        .eq("status", "built")
+        .order("created_at", { ascending: false })
+        .limit(1);
+
+      if (builtError) {
+        throw new Error(`Failed to fetch transaction: ${builtError.message}`);
+      }
+
+      if (built.length > 0) {
+        // A transaction the server built must come back signed as built:
+        // same blockhash, same instructions
+        if (
+          (built[0].blockhash && built[0].blockhash !== blockhash) ||
+          (built[0].message_hash && built[0].message_hash !== messageHash)
+        ) {
+          throw createHttpError(
+            "Transaction doesn't match the one built for it",
+            422
+          );
+        }
+
+        return this.transition(built[0], "signed", {
+          ...signed,
+          type: built[0].type || type,
+        });
+      }
+    }
+
+    if (transferId) {
+      throw createHttpError(
+        "No transaction is waiting to be signed for this transfer",
+        404
+      );
+    }
+
+    if (tradeId) {
+      await this.requireTrade(userId, tradeId);
+    }
+
+    const { data, error } = await supabase
+      .from("transactions")
+      .insert([
+        {
+          ...signed,
+          user_id: userId,
+          trade_id: tradeId,
+          transfer_id: transferId,
+          type,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record transaction: ${error.message}`);
+    }
+
+    this.emit("tx_status", this.formatTransaction(data));
+    return data;
+  }
+
+  /**
+   * Refuse (404) a trade that isn't one of the user's live trades
+   */
+  async requireTrade(userId, tradeId) {
+    const { data, error } = await supabase
+      .from("trades")
+      .select("id")
+      .eq("id", tradeId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch trade: ${error.message}`);
+    }
+
+    if (!data) {
+      throw createHttpError("Trade not found", 404);
+    }
+  }
+
+  /**
+   * Poll a transaction until it confirms, fails or expires, or the timeout
+   * passes
+   */
+  async waitForSettlement(row, timeout = TRANSACTION_CONFIG.CONFIRM_TIMEOUT) {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      [row] = await this.checkBatch([row]);
+      if (row.status !== "signed" && row.status !== "sent") return row;
+      if (Date.now() >= deadline) return row;
+
+      await new Promise((resolve) =>
+        setTimeout(resolve, TRANSACTION_CONFIG.CONFIRM_POLL_INTERVAL)
+      );
+    }
+  }
+
+  /**
+   * One background pass over every unsettled transaction
+   */
+  async run() {
+    // A slow pass must not overlap the next one
+    if (this.running) return;
+    this.running = true;
+
+    let checked = 0;
+    let settled = 0;
+
+    try {
+      const rows = await this.getUnsettled();
+      const batchSize = TRANSACTION_CONFIG.STATUS_BATCH_SIZE;
+
+      for (let index = 0; index < rows.length; index += batchSize) {
+        const batch = rows.slice(index, index + batchSize);
+        const updated = await this.checkBatch(batch);
+
+        checked += batch.length;
+        settled += updated.filter((row) =>
+          FINAL_STATUSES.includes(row.status)
+        ).length;
+      }
+
+      if (settled > 0) {
+        console.log(`🧾 Settled ${settled} of ${checked} tracked transactions`);
+      }
+    } catch (error) {
+      console.error("❌ Error checking transactions:", error.message);
+    } finally {
+      this.lastRun = { at: new Date().toISOString(), checked, settled };
+      this.running = false;
+    }
+  }
+
+  /**
+   * Every unsettled row, paged past Supabase's 1000-row response cap
+   */
+  async getUnsettled(pageSize = 1000) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += pageSize) {
+      const { data, error } = await supabase
+        .from("transactions")
+        .select("*")
+        .in("status", TRANSACTION_CONFIG.UNSETTLED_STATUSES)
+        .order("created_at", { ascending: true })
+        .range(offset, offset + pageSize - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch transactions: ${error.message}`);
+      }
+
+      rows.push(...data);
+      if (data.length < pageSize) return rows;
+    }
+  }
+
+  /**
+   * Move up to STATUS_BATCH_SIZE rows on from what the chain reports
+   * Returns the rows as they now stand
+   */
+  async checkBatch(rows) {
+    const now = Date.now();
+    const results = [...rows];
+
+    // Unsigned orders have nothing on chain to look up
+    for (const [index, row] of rows.entries()) {
+      if (
+        row.status === "built" &&
+        now - new Date(row.created_at).getTime() > TRANSACTION_CONFIG.BUILT_TTL
+      ) {
+        results[index] = await this.transition(row, "expired", {
+          error: "Never signed",
+        });
+      }
+    }
+
+    const signed = rows
+      .map((row, index) => ({ row, index }))
+      .filter(({ row }) => row.signature);
+    if (signed.length === 0) return results;
+
+    const connection = await driftPool.getConnection();
+    const { value: statuses } = await connection.getSignatureStatuses(
+      signed.map(({ row }) => row.signature),
+      { searchTransactionHistory: true }
+    );
+    const blockhashValid = new Map();
+
+    for (const [position, { row, index }] of signed.entries()) {
+      const status = statuses[position];
+
+      if (status && status.err) {
+        results[index] = await this.transition(row, "failed", {
+          slot: status.slot,
+          error: JSON.stringify(status.err),
+        });
+      } else if (status && status.confirmationStatus === "finalized") {
+        results[index] = await this.transition(row, "finalized", {
+          slot: status.slot,
+          confirmed_at: row.confirmed_at || new Date(now).toISOString(),
+          finalized_at: new Date(now).toISOString(),
+        });
+      } else if (status && status.confirmationStatus === "confirmed") {
+        results[index] = await this.transition(row, "confirmed", {
+          slot: status.slot,
+          confirmed_at: new Date(now).toISOString(),
+        });
+      } else if (!status && row.blockhash) {
+        // Not landed: once its blockhash is too old it never will
+        if (!blockhashValid.has(row.blockhash)) {
+          const { value } = await connection.isBlockhashValid(row.blockhash, {
+            commitment: "confirmed",
+          });
+          blockhashValid.set(row.blockhash, value);
+        }
+
+        if (!blockhashValid.get(row.blockhash)) {
+          results[index] = await this.transition(row, "expired", {
+            error: "Blockhash expired before the transaction landed",
+          });
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Move a row to a new status and announce it
+   * Guarded on the old status so concurrent checks apply each change once
+   */
+  async transition(row, status, changes = {}) {
+    if (row.status === status) return row;
+
+    const { data, error } = await supabase
+      .from("transactions")
+      .update({ ...changes, status, updated_at: new Date().toISOString() })
+      .eq("id", row.id)
+      .eq("status", row.status)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to update transaction: ${error.message}`);
+    }
+
+    // Another check got there first
+    if (data.length === 0) return row;
+
+    const updated = data[0];
+    console.log(
+      `🧾 Transaction ${updated.signature || updated.id}: ${
+        row.status
+      } -> ${status}`
+    );
+    this.emit("tx_status", this.formatTransaction(updated));
+
+    return updated;
+  }
+
+  /**
+   * A user's transaction by signature, re-checked first if still unsettled
+   */
+  async getTransaction(userId, signature) {
+    const { data: row, error } = await supabase
+      .from("transactions")
+      .select("*")
+      .eq("signature", signature)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch transaction: ${error.message}`);
+    }
+
+    if (!row) {
+      throw createHttpError("Transaction not found", 404);
+    }
+
+    if (FINAL_STATUSES.includes(row.status)) {
+      return this.formatTransaction(row);
+    }
+
+    const [updated] = await this.checkBatch([row]);
+    return this.formatTransaction(updated);
+  }
+
+  formatTransaction(row) {
+    return {
+      id: row.id,
+      signature: row.signature,
+      userId: row.user_id,
+      tradeId: row.trade_id,
+      transferId: row.transfer_id || null,
+      type: row.type,
+      status: row.status,
+      blockhash: row.blockhash,
+      lastValidBlockHeight: row.last_valid_block_height
+        ? Number(row.last_valid_block_height)
+        : null,
+      slot: row.slot === null ? null : Number(row.slot),
+      error: row.error,
+      sentAt: row.sent_at,
+      confirmedAt: row.confirmed_at,
+      finalizedAt: row.finalized_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  getStats() {
+    return { running: this.running, lastRun: this.lastRun };
+  }
+
+  /**
+   * Stop checking
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+    }
+  }
+}
+
+// Shared instance: one tracker per process
+const transactionTracker = new TransactionTracker();
+
+module.exports = TransactionTracker;
+module.exports.transactionTracker = transactionTracker;
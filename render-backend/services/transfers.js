@@ -0,0 +1,496 @@
+const { PublicKey } = require("@solana/web3.js");
+const { BN, getUserAccountPublicKey } = require("@drift-labs/sdk");
+const { supabase } = require("../middleware/supabase");
+const { createHttpError, getUSDCMint } = require("../utils");
+const {
+  PRIORITY_FEE_CONFIG,
+  SAFETY_BUFFERS,
+  TRANSFER_CONFIG,
+  SUB_ACCOUNT_CONFIG,
+  DRIFT_PROGRAM_ID_ADDRESS,
+} = require("../constants");
+const { driftPool } = require("./drift-pool");
+const { priorityFees } = require("./priority-fees");
+const { liveTradingService } = require("./trading-mode");
+const { transactionTracker } = require("./transactions");
+const { tradingControls } = require("./trading-controls");
+
+// USDC is Drift spot market 0
+const USDC_MARKET_INDEX = 0;
+
+// Transfer status a settled transaction leaves behind
+const SETTLED_STATUSES = {
+  confirmed: "confirmed",
+  finalized: "confirmed",
+  failed: "failed",
+  expired: "expired",
+};
+
+/**
+ * Builds deposits into and withdrawals from a user's Drift collateral for
+ * their Swig wallet to sign, recording each in the transfers table (as do
+ * transfers between sub-accounts, built by SubAccountService). The
+ * transaction tracker follows the signed transaction; applyTransactionStatus
+ * settles the transfer from what it reports.
+ */
+class TransferService {
+  /**
+   * Deposit USDC from the wallet into a Drift sub-account, setting up the
+   * main account in the same transaction if the user doesn't have one yet
+   * speed picks the priority fee tier
+   */
+  async buildDeposit(
+    userId,
+    amount,
+    subAccountId = SUB_ACCOUNT_CONFIG.MAIN_SUB_ACCOUNT_ID,
+    speed = PRIORITY_FEE_CONFIG.DEFAULT_SPEED
+  ) {
+    if (!(amount >= TRANSFER_CONFIG.MIN_DEPOSIT)) {
+      throw createHttpError(
+        `Minimum deposit is $${TRANSFER_CONFIG.MIN_DEPOSIT}`
+      );
+    }
+
+    // Refused here before any RPC work; recordTransfer checks again once
+    // the deposit holds its place against the limit
+    await this.checkDepositLimit(userId, amount);
+
+    const walletAddress = await liveTradingService.getUserSwigWallet(userId);
+    await liveTradingService.checkSubAccount(walletAddress, subAccountId);
+    const connection = await driftPool.getConnection();
+    const tokenAccount = await this.getUsdcTokenAccount(
+      connection,
+      walletAddress
+    );
+
+    const { value: tokenBalance } = await connection.getTokenAccountBalance(
+      tokenAccount
+    );
+    const walletUsdc = parseFloat(tokenBalance.uiAmountString);
+    if (amount > walletUsdc) {
+      throw createHttpError(
+        `Your wallet holds $${walletUsdc.toFixed(2)} USDC, less than $${amount}`
+      );
+    }
+
+    // Only the main account can be missing here: checkSubAccount refused
+    // any other sub-account that doesn't exist
+    const userAccountPublicKey = await getUserAccountPublicKey(
+      new PublicKey(DRIFT_PROGRAM_ID_ADDRESS),
+      new PublicKey(walletAddress),
+      subAccountId
+    );
+    const initialized = Boolean(
+      await connection.getAccountInfo(userAccountPublicKey)
+    );
+
+    const existingSubAccounts = initialized ? [subAccountId] : [];
+    const driftClient = await driftPool.acquireAuthorityClient(
+      walletAddress,
+      existingSubAccounts
+    );
+
+    try {
+      const instructions = [];
+      if (!initialized) {
+        const [initializeIxs] = await driftClient.getInitializeUserAccountIxs(
+          subAccountId
+        );
+        instructions.push(...initializeIxs);
+      }
+
+      instructions.push(
+        await driftClient.getDepositInstruction(
+          new BN(Math.round(amount * 1e6)),
+          USDC_MARKET_INDEX,
+          tokenAccount,
+          subAccountId,
+          false,
+          initialized
+        )
+      );
+
+      return this.recordTransfer(userId, {
+        type: "deposit",
+        amount,
+        walletAddress,
+        tokenAccount,
+        subAccountId,
+        initializesAccount: !initialized,
+        instructions,
+        operationType: "deposit",
+        speed,
+        connection,
+      });
+    } finally {
+      driftPool.releaseAuthorityClient(walletAddress, existingSubAccounts);
+    }
+  }
+
+  /**
+   * Withdraw USDC from a Drift sub-account to the wallet, up to free
+   * collateral less the withdrawal buffer; no amount withdraws all of that
+   */
+  async buildWithdraw(
+    userId,
+    amount = null,
+    subAccountId = SUB_ACCOUNT_CONFIG.MAIN_SUB_ACCOUNT_ID,
+    speed = PRIORITY_FEE_CONFIG.DEFAULT_SPEED
+  ) {
+    if (amount !== null && !(amount >= TRANSFER_CONFIG.MIN_WITHDRAWAL)) {
+      throw createHttpError(
+        `Minimum withdrawal is $${TRANSFER_CONFIG.MIN_WITHDRAWAL}`
+      );
+    }
+
+    const walletAddress = await liveTradingService.getUserSwigWallet(userId);
+    const connection = await driftPool.getConnection();
+    const tokenAccount = await this.getUsdcTokenAccount(
+      connection,
+      walletAddress
+    );
+
+    const withdrawAmount = await this.getMovableAmount(
+      walletAddress,
+      subAccountId,
+      amount,
+      TRANSFER_CONFIG.MIN_WITHDRAWAL
+    );
+
+    const driftClient = await driftPool.acquireAuthorityClient(walletAddress, [
+      subAccountId,
+    ]);
+
+    try {
+      const withdrawIx = await driftClient.getWithdrawIx(
+        new BN(Math.round(withdrawAmount * 1e6)),
+        USDC_MARKET_INDEX,
+        tokenAccount,
+        false, // reduceOnly
+        subAccountId
+      );
+
+      return this.recordTransfer(userId, {
+        type: "withdraw",
+        amount: withdrawAmount,
+        walletAddress,
+        tokenAccount,
+        subAccountId,
+        initializesAccount: false,
+        instructions: [withdrawIx],
+        operationType: "withdrawal",
+        speed,
+        connection,
+      });
+    } finally {
+      driftPool.releaseAuthorityClient(walletAddress, [subAccountId]);
+    }
+  }
+
+  /**
+   * How much of a withdrawal or sub-account transfer can go ahead: the
+   * amount asked for (all of it when null) if it fits within the
+   * sub-account's free collateral less the withdrawal buffer
+   */
+  async getMovableAmount(walletAddress, subAccountId, amount, minimum) {
+    let maxWithdrawable;
+    try {
+      const user = await driftPool.acquireUser(walletAddress, subAccountId);
+      try {
+        const freeCollateral = user.getFreeCollateral().toNumber() / 1e6;
+        maxWithdrawable =
+          Math.floor(
+            freeCollateral * (1 - SAFETY_BUFFERS.WITHDRAWAL_BUFFER) * 100
+          ) / 100;
+      } finally {
+        driftPool.releaseUser(walletAddress, subAccountId);
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not load Drift account for ${walletAddress}:`,
+        error.message
+      );
+      throw createHttpError("No Drift account to withdraw from");
+    }
+
+    if (maxWithdrawable < minimum) {
+      throw createHttpError(
+        "No withdrawable collateral. Close positions to free up collateral."
+      );
+    }
+
+    const movable = amount === null ? maxWithdrawable : amount;
+    if (movable > maxWithdrawable) {
+      throw createHttpError(
+        `Only $${maxWithdrawable.toFixed(
+          2
+        )} of free collateral can be withdrawn`
+      );
+    }
+
+    return movable;
+  }
+
+  /**
+   * Refuse (403) a deposit over the user's own deposit limit; pending and
+   * confirmed deposits in the limit's window count towards it. A deposit
+   * already recorded (reservation) only counts the ones recorded before
+   * it, so of two racing deposits the later one sees the earlier.
+   */
+  async checkDepositLimit(userId, amount, reservation = null) {
+    const { depositLimit } = await tradingControls.getControls(userId);
+    if (depositLimit.amountUsd === null) return;
+
+    const since = new Date(
+      Date.now() - TRANSFER_CONFIG.DEPOSIT_LIMIT_WINDOWS[depositLimit.period]
+    ).toISOString();
+
+    let query = supabase
+      .from("transfers")
+      .select("amount_usd")
+      .eq("user_id", userId)
+      .eq("type", "deposit")
+      .in("status", ["pending", "confirmed"])
+      .gte("created_at", since);
+
+    if (reservation) {
+      query = query
+        .lte("created_at", reservation.created_at)
+        .neq("id", reservation.id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch deposits: ${error.message}`);
+    }
+
+    const deposited = data.reduce(
+      (sum, row) => sum + parseFloat(row.amount_usd),
+      0
+    );
+
+    if (deposited + amount > depositLimit.amountUsd) {
+      const reason = {
+        code: "DEPOSIT_LIMIT",
+        message: `Your deposit limit is $${depositLimit.amountUsd} per ${depositLimit.period}`,
+        limit: depositLimit.amountUsd,
+        current: deposited,
+        requested: amount,
+      };
+      const limitError = createHttpError(reason.message, 403);
+      limitError.reasons = [reason];
+      throw limitError;
+    }
+  }
+
+  /**
+   * The wallet's USDC token account
+   */
+  async getUsdcTokenAccount(connection, walletAddress) {
+    const { value } = await connection.getTokenAccountsByOwner(
+      new PublicKey(walletAddress),
+      { mint: getUSDCMint() }
+    );
+
+    if (value.length === 0) {
+      throw createHttpError("Your wallet has no USDC token account");
+    }
+
+    return value[0].pubkey;
+  }
+
+  /**
+   * Write the transfers row and its built transaction, and return the
+   * unsigned transaction for the wallet to sign with its priority fee
+   * estimate. The row goes in first: a deposit is checked against the
+   * limit counting it, and fails if refused or never built.
+   */
+  async recordTransfer(
+    userId,
+    {
+      type,
+      amount,
+      walletAddress,
+      tokenAccount = null,
+      subAccountId = SUB_ACCOUNT_CONFIG.MAIN_SUB_ACCOUNT_ID,
+      toSubAccountId = null,
+      initializesAccount = false,
+      instructions,
+      operationType,
+      speed = PRIORITY_FEE_CONFIG.DEFAULT_SPEED,
+      connection,
+    }
+  ) {
+    const { data: transfer, error } = await supabase
+      .from("transfers")
+      .insert([
+        {
+          user_id: userId,
+          type,
+          amount_usd: amount,
+          wallet_address: walletAddress,
+          token_account: tokenAccount && tokenAccount.toString(),
+          sub_account_id: subAccountId,
+          to_sub_account_id: toSubAccountId,
+          initializes_account: initializesAccount,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record transfer: ${error.message}`);
+    }
+
+    let built;
+    try {
+      if (type === "deposit") {
+        await this.checkDepositLimit(userId, amount, transfer);
+      }
+
+      built = await priorityFees.buildTransaction(connection, {
+        instructions,
+        feePayer: walletAddress,
+        speed,
+        operationType,
+      });
+    } catch (buildError) {
+      await supabase
+        .from("transfers")
+        .update({ status: "failed", error: buildError.message })
+        .eq("id", transfer.id);
+      throw buildError;
+    }
+    const { transactionData, priorityFee } = built;
+
+    const transaction = await transactionTracker.recordBuilt(userId, {
+      transferId: transfer.id,
+      type,
+      transactionData,
+    });
+
+    // Only the built transaction settles the transfer, so without one it
+    // could never leave pending
+    if (!transaction) {
+      await supabase
+        .from("transfers")
+        .update({ status: "failed", error: "Transaction not recorded" })
+        .eq("id", transfer.id);
+      throw new Error("Failed to record transfer transaction");
+    }
+
+    const { error: linkError } = await supabase
+      .from("transfers")
+      .update({ transaction_id: transaction.id })
+      .eq("id", transfer.id);
+
+    if (linkError) {
+      throw new Error(`Failed to link transfer: ${linkError.message}`);
+    }
+
+    console.log(
+      `🏦 Built ${type} of $${amount} for ${walletAddress}${
+        initializesAccount ? " (initializing Drift account)" : ""
+      }`
+    );
+
+    return {
+      transfer: this.formatTransfer(transfer),
+      transaction,
+      transactionData,
+      priorityFee,
+    };
+  }
+
+  /**
+   * Follow a tracked transaction onto its transfer (tx_status listener)
+   * Only the transaction built for the transfer, by its owner, applies
+   */
+  async applyTransactionStatus(transaction) {
+    if (!transaction.transferId) return;
+
+    const status = SETTLED_STATUSES[transaction.status];
+    const now = new Date().toISOString();
+    const updates = { signature: transaction.signature, updated_at: now };
+    if (status) {
+      Object.assign(updates, {
+        status,
+        error: transaction.error,
+        settled_at: now,
+      });
+    }
+
+    try {
+      const { error } = await supabase
+        .from("transfers")
+        .update(updates)
+        .eq("id", transaction.transferId)
+        .eq("user_id", transaction.userId)
+        .eq("transaction_id", transaction.id)
+        .eq("status", "pending");
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      if (status) {
+        console.log(`🏦 Transfer ${transaction.transferId} ${status}`);
+      }
+    } catch (error) {
+      console.error(
+        `❌ Error updating transfer ${transaction.transferId}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * The user's transfers, newest first
+   */
+  async getTransfers(userId, { type = null, limit, offset = 0 } = {}) {
+    let query = supabase
+      .from("transfers")
+      .select("*")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (type) {
+      query = query.eq("type", type);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch transfers: ${error.message}`);
+    }
+
+    return data.map((row) => this.formatTransfer(row));
+  }
+
+  formatTransfer(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      amountUsd: parseFloat(row.amount_usd),
+      walletAddress: row.wallet_address,
+      tokenAccount: row.token_account,
+      subAccountId: row.sub_account_id || 0,
+      toSubAccountId:
+        row.to_sub_account_id === undefined ? null : row.to_sub_account_id,
+      initializesAccount: row.initializes_account,
+      status: row.status,
+      signature: row.signature,
+      error: row.error,
+      createdAt: row.created_at,
+      settledAt: row.settled_at,
+    };
+  }
+}
+
+// Shared instance
+const transferService = new TransferService();
+
+module.exports = TransferService;
+module.exports.transferService = transferService;
@@ -297,9 +297,8 @@ class ComprehensiveTradingTest {
     console.log("=".repeat(50));
 
     try {
-      const history = await this.tradingService.getTradingHistory(
-        this.profileId
-      );
+      const { trades: history } =
+        await this.tradingService.getTradingHistory(this.profileId);
 
       if (history.length === 0) {
         console.log("✅ No trading history found");
@@ -239,6 +239,30 @@ function createErrorResponse(
   };
 }
 
+/**
+ * Client Error Creator Utility
+ * Creates an error that routes report with the given HTTP status
+ */
+function createHttpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Time Parameter Parser Utility
+ * Parses a query range bound given as epoch milliseconds or an ISO date
+ */
+function parseTimeParam(value, name) {
+  if (value === undefined) return null;
+
+  const timestamp = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (isNaN(timestamp)) {
+    throw createHttpError(`${name} must be a timestamp in ms or an ISO date`);
+  }
+  return timestamp;
+}
+
 /**
  * Success Response Creator Utility
  * Creates standardized success responses
@@ -271,7 +295,9 @@ module.exports = {
   getUSDCMint,
   validateWalletAddress,
   createErrorResponse,
+  createHttpError,
   createSuccessResponse,
   asyncHandler,
+  parseTimeParam,
   PRICE_PRECISION,
 };
@@ -1,22 +1,34 @@
 const { WebSocketServer } = require("ws");
+const { PRICE_PRECISION } = require("../utils");
 const {
-  createConnection,
-  createDriftClient,
-  cleanupDriftClient,
-  PRICE_PRECISION,
-} = require("../utils");
-const { SUPPORTED_MARKETS, WEBSOCKET_CONFIG } = require("../constants");
-const TradingService = require("../services/trading");
+  WEBSOCKET_CONFIG,
+  CANDLE_CONFIG,
+  MARGIN_ALERT_CONFIG,
+  TRADING_CONTROLS_CONFIG,
+} = require("../constants");
+const {
+  paperTradingService,
+  getTradingService,
+} = require("../services/trading-mode");
+const AuthService = require("../services/auth");
+const MarginMonitor = require("../services/margin-monitor");
+const { candleService } = require("../services/candles");
+const { marketRegistry } = require("../services/market-registry");
+const { priceHistory } = require("../services/price-history");
+const { driftPool } = require("../services/drift-pool");
 
 class TradingWebSocketServer {
   constructor() {
     this.wss = null;
-    this.clients = new Map(); // Map of userId -> WebSocket connections
+    this.clients = new Map(); // Map of userId -> authenticated WebSocket connections
+    this.sessions = new Map(); // Map of WebSocket -> { user, channels, seq }
     this.priceUpdateInterval = null;
     this.positionUpdateInterval = null;
+    this.marginCheckInterval = null;
+    this.sessionReminderInterval = null;
     this.driftClient = null;
-    this.connection = null;
-    this.tradingService = new TradingService();
+    this.authService = new AuthService();
+    this.marginMonitor = new MarginMonitor();
     this.lastPrices = {}; // Cache last known prices
   }
 
@@ -63,11 +75,8 @@ class TradingWebSocketServer {
     try {
       console.log("🔄 Initializing Drift client for WebSocket...");
 
-      this.connection = await createConnection();
-
-      // Use a dummy wallet for read-only operations
-      const dummyWallet = "11111111111111111111111111111111";
-      this.driftClient = await createDriftClient(this.connection, dummyWallet);
+      // Share the pooled market client rather than subscribing another one
+      this.driftClient = await driftPool.acquireMarketClient();
 
       console.log("✅ Drift client initialized for WebSocket");
     } catch (error) {
@@ -78,47 +87,49 @@ class TradingWebSocketServer {
 
   /**
    * Handle new WebSocket connection
+   * Clients authenticate with ?token= or an "auth" message, then subscribe
    */
   handleConnection(ws, req) {
     console.log("🔗 New WebSocket connection established");
 
-    // Parse URL to get user ID if provided
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const userId = url.searchParams.get("userId");
+    this.sessions.set(ws, { user: null, channels: new Set(), seq: 0 });
 
-    if (userId) {
-      // Store connection with user ID
-      if (!this.clients.has(userId)) {
-        this.clients.set(userId, new Set());
-      }
-      this.clients.get(userId).add(ws);
-      console.log(`👤 User ${userId} connected to WebSocket`);
-    }
+    // Send welcome message
+    this.sendMessage(ws, {
+      type: "connected",
+      message: "Connected to REKT Trading WebSocket",
+      authenticated: false,
+      timestamp: new Date().toISOString(),
+    });
 
-    // Send initial data
-    this.sendInitialData(ws);
+    // Browsers can't set headers on WebSocket upgrades, so accept a token param
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const token = url.searchParams.get("token");
+    if (token) {
+      this.authenticate(ws, token);
+    }
 
     // Handle messages
     ws.on("message", (data) => {
       try {
         const message = JSON.parse(data.toString());
-        this.handleMessage(ws, message, userId);
+        this.handleMessage(ws, message);
       } catch (error) {
         console.error("❌ Error parsing WebSocket message:", error);
+        this.sendError(ws, "invalid_message", "Messages must be JSON");
       }
     });
 
     // Handle disconnection
     ws.on("close", () => {
-      if (userId && this.clients.has(userId)) {
-        this.clients.get(userId).delete(ws);
-        if (this.clients.get(userId).size === 0) {
-          this.clients.delete(userId);
-        }
-        console.log(`👤 User ${userId} disconnected from WebSocket`);
+      const session = this.sessions.get(ws);
+      if (session && session.user) {
+        this.unbindUser(ws, session.user.id);
+        console.log(`👤 User ${session.user.id} disconnected from WebSocket`);
       } else {
         console.log("🔗 WebSocket connection closed");
       }
+      this.sessions.delete(ws);
     });
 
     // Handle errors
@@ -128,59 +139,88 @@ class TradingWebSocketServer {
   }
 
   /**
-   * Send initial data to new connection
+   * Resolve a session token and attach its user to the connection
    */
-  async sendInitialData(ws) {
+  async authenticate(ws, token) {
+    const session = this.sessions.get(ws);
+    if (!session) return;
+
+    let user = null;
     try {
-      // Send current prices if available
-      if (Object.keys(this.lastPrices).length > 0) {
-        this.sendMessage(ws, {
-          type: "prices",
-          data: this.lastPrices,
-          timestamp: new Date().toISOString(),
-        });
+      user = await this.authService.resolveSession(token);
+    } catch (error) {
+      console.error("❌ WebSocket session lookup error:", error);
+    }
+
+    if (!user) {
+      this.sendError(ws, "unauthorized", "A valid session token is required");
+      return;
+    }
+
+    // Re-authenticating as someone else drops the previous user's channels
+    if (session.user && session.user.id !== user.id) {
+      this.unbindUser(ws, session.user.id);
+      for (const channel of session.channels) {
+        if (WEBSOCKET_CONFIG.PRIVATE_CHANNELS.includes(channel)) {
+          session.channels.delete(channel);
+        }
       }
+    }
 
-      // Send welcome message
-      this.sendMessage(ws, {
-        type: "connected",
-        message: "Connected to REKT Trading WebSocket",
-        timestamp: new Date().toISOString(),
-      });
-    } catch (error) {
-      console.error("❌ Error sending initial data:", error);
+    session.user = user;
+    session.authenticatedAt = Date.now();
+    session.remindersSent = 0;
+    if (!this.clients.has(user.id)) {
+      this.clients.set(user.id, new Set());
+    }
+    this.clients.get(user.id).add(ws);
+    console.log(`👤 User ${user.id} authenticated on WebSocket`);
+
+    this.sendMessage(ws, {
+      type: "authenticated",
+      userId: user.id,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  unbindUser(ws, userId) {
+    if (this.clients.has(userId)) {
+      this.clients.get(userId).delete(ws);
+      if (this.clients.get(userId).size === 0) {
+        this.clients.delete(userId);
+        // A later connection should hear about current risk again
+        this.marginMonitor.reset(userId);
+      }
     }
   }
 
   /**
    * Handle incoming WebSocket messages
    */
-  async handleMessage(ws, message, userId) {
+  async handleMessage(ws, message) {
     try {
       console.log(`📨 WebSocket message received:`, message.type);
 
       switch (message.type) {
+        case "auth":
+          await this.authenticate(ws, message.token);
+          break;
+
+        case "subscribe":
+          await this.subscribe(ws, message.channels);
+          break;
+
+        case "unsubscribe":
+          this.unsubscribe(ws, message.channels);
+          break;
+
+        // Older clients subscribe with one message type per stream
         case "subscribe_prices":
-          // Client wants to subscribe to price updates
-          this.sendMessage(ws, {
-            type: "subscribed",
-            subscription: "prices",
-            timestamp: new Date().toISOString(),
-          });
+          await this.subscribe(ws, ["prices"]);
           break;
 
         case "subscribe_positions":
-          // Client wants to subscribe to position updates
-          if (userId) {
-            this.sendMessage(ws, {
-              type: "subscribed",
-              subscription: "positions",
-              userId,
-              timestamp: new Date().toISOString(),
-            });
-            // Send current positions
-            await this.sendPositionUpdate(userId);
-          }
+          await this.subscribe(ws, ["positions"]);
           break;
 
         case "ping":
@@ -193,6 +233,11 @@ class TradingWebSocketServer {
 
         default:
           console.warn(`⚠️ Unknown message type: ${message.type}`);
+          this.sendError(
+            ws,
+            "unknown_type",
+            `Unknown message type: ${message.type}`
+          );
       }
     } catch (error) {
       console.error("❌ Error handling WebSocket message:", error);
@@ -200,35 +245,225 @@ class TradingWebSocketServer {
   }
 
   /**
-   * Send message to WebSocket client
+   * Check a channel name and return an error message if it can't be joined
+   * Channels: prices, prices:<symbol>, candles:<symbol>:<interval>,
+   * positions, orders, trades (the last three need an authenticated session)
    */
-  sendMessage(ws, message) {
-    try {
-      if (ws.readyState === ws.OPEN) {
-        ws.send(JSON.stringify(message));
+  validateChannel(channel, session) {
+    if (typeof channel !== "string") {
+      return "Channel must be a string";
+    }
+
+    const [name, symbol, interval] = channel.split(":");
+
+    if (WEBSOCKET_CONFIG.PRIVATE_CHANNELS.includes(channel)) {
+      return session.user ? null : `Authenticate before subscribing to ${name}`;
+    }
+
+    if (name === "prices") {
+      if (symbol === undefined || marketRegistry.getMarket(symbol)) {
+        return null;
       }
-    } catch (error) {
-      console.error("❌ Error sending WebSocket message:", error);
+      return `Unsupported market: ${symbol}`;
     }
+
+    if (name === "candles") {
+      if (!marketRegistry.getMarket(symbol)) {
+        return `Unsupported market: ${symbol}`;
+      }
+      if (!CANDLE_CONFIG.INTERVALS[interval]) {
+        return `Unsupported candle interval: ${interval}`;
+      }
+      return null;
+    }
+
+    return `Unknown channel: ${channel}`;
   }
 
   /**
-   * Broadcast message to all clients
+   * Join channels and send a snapshot of each so clients start in sync
    */
-  broadcast(message) {
-    this.wss.clients.forEach((ws) => {
-      this.sendMessage(ws, message);
+  async subscribe(ws, channels) {
+    const session = this.sessions.get(ws);
+    if (!session) return;
+
+    if (!Array.isArray(channels) || channels.length === 0) {
+      this.sendError(ws, "invalid_channels", "channels must be a list");
+      return;
+    }
+
+    const accepted = [];
+    for (const channel of channels) {
+      const error = this.validateChannel(channel, session);
+      if (error) {
+        this.sendError(ws, "invalid_channel", error, channel);
+        continue;
+      }
+
+      if (
+        !session.channels.has(channel) &&
+        session.channels.size >= WEBSOCKET_CONFIG.MAX_SUBSCRIPTIONS
+      ) {
+        this.sendError(
+          ws,
+          "too_many_subscriptions",
+          `At most ${WEBSOCKET_CONFIG.MAX_SUBSCRIPTIONS} channels per connection`,
+          channel
+        );
+        continue;
+      }
+
+      session.channels.add(channel);
+      accepted.push(channel);
+    }
+
+    if (accepted.length === 0) return;
+
+    this.sendMessage(ws, {
+      type: "subscribed",
+      channels: accepted,
+      timestamp: new Date().toISOString(),
     });
+
+    for (const channel of accepted) {
+      await this.sendSnapshot(ws, channel);
+    }
   }
 
   /**
-   * Send message to specific user's connections
+   * Leave channels
    */
-  sendToUser(userId, message) {
-    if (this.clients.has(userId)) {
-      this.clients.get(userId).forEach((ws) => {
-        this.sendMessage(ws, message);
-      });
+  unsubscribe(ws, channels) {
+    const session = this.sessions.get(ws);
+    if (!session) return;
+
+    if (!Array.isArray(channels)) {
+      this.sendError(ws, "invalid_channels", "channels must be a list");
+      return;
+    }
+
+    const removed = channels.filter((channel) =>
+      session.channels.delete(channel)
+    );
+
+    this.sendMessage(ws, {
+      type: "unsubscribed",
+      channels: removed,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Current state of a channel for a new subscriber
+   */
+  async sendSnapshot(ws, channel) {
+    const [name, symbol, interval] = channel.split(":");
+
+    if (name === "prices") {
+      const prices = this.filterPrices(this.lastPrices, channel);
+      if (Object.keys(prices).length > 0) {
+        this.push(ws, channel, "prices", prices);
+      }
+    } else if (name === "candles") {
+      const candle = candleService.getLiveCandle(symbol, interval);
+      if (candle) {
+        this.push(ws, channel, "candle", candle);
+      }
+    } else if (name === "positions") {
+      const { user } = this.sessions.get(ws);
+      try {
+        const positions = await getTradingService(user).getPositions(user.id);
+        this.push(ws, channel, "positions", positions);
+      } catch (error) {
+        console.error(`❌ Error sending positions to ${user.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Prices visible on a channel: all markets, or the single market named
+   */
+  filterPrices(prices, channel) {
+    const symbol = channel.split(":")[1];
+    if (symbol === undefined) return prices;
+    return prices[symbol] === undefined ? {} : { [symbol]: prices[symbol] };
+  }
+
+  /**
+   * Send a channel message, numbered per connection so clients can spot gaps
+   */
+  push(ws, channel, type, data) {
+    const session = this.sessions.get(ws);
+    if (!session) return;
+
+    session.seq += 1;
+    this.sendMessage(ws, {
+      type,
+      channel,
+      seq: session.seq,
+      data,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Push to every connection subscribed to a public channel
+   */
+  publish(channel, type, data) {
+    for (const [ws, session] of this.sessions) {
+      if (session.channels.has(channel)) {
+        this.push(ws, channel, type, data);
+      }
+    }
+  }
+
+  /**
+   * Push to a user's connections that are subscribed to a private channel
+   */
+  publishToUser(userId, channel, type, data) {
+    if (!this.clients.has(userId)) return;
+
+    for (const ws of this.clients.get(userId)) {
+      const session = this.sessions.get(ws);
+      if (session && session.channels.has(channel)) {
+        this.push(ws, channel, type, data);
+      }
+    }
+  }
+
+  /**
+   * Whether any of a user's connections is subscribed to a channel
+   */
+  isUserSubscribed(userId, channel) {
+    if (!this.clients.has(userId)) return false;
+
+    for (const ws of this.clients.get(userId)) {
+      const session = this.sessions.get(ws);
+      if (session && session.channels.has(channel)) return true;
+    }
+    return false;
+  }
+
+  sendError(ws, code, message, channel = undefined) {
+    this.sendMessage(ws, {
+      type: "error",
+      code,
+      message,
+      channel,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Send message to WebSocket client
+   */
+  sendMessage(ws, message) {
+    try {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(message));
+      }
+    } catch (error) {
+      console.error("❌ Error sending WebSocket message:", error);
     }
   }
 
@@ -247,87 +482,207 @@ class TradingWebSocketServer {
     this.positionUpdateInterval = setInterval(async () => {
       await this.updateAllPositions();
     }, WEBSOCKET_CONFIG.POSITION_UPDATE_INTERVAL * 2); // Less frequent for positions
+
+    // Margin health checks for users listening for alerts
+    this.marginCheckInterval = setInterval(async () => {
+      await this.checkMarginHealth();
+    }, MARGIN_ALERT_CONFIG.CHECK_INTERVAL);
+
+    // Reminders for users who asked to hear how long they've been trading
+    this.sessionReminderInterval = setInterval(() => {
+      this.checkSessionReminders();
+    }, TRADING_CONTROLS_CONFIG.REMINDER_CHECK_INTERVAL);
   }
 
   /**
-   * Update market prices and broadcast
+   * Update market prices and push them to price subscribers
    */
   async updatePrices() {
     try {
       const prices = {};
+      const oraclePrices = {}; // Only prices read from Drift this tick
+      const markets = marketRegistry.getMarkets({ tradeableOnly: true });
+
+      for (const { symbol, marketIndex } of markets) {
+        try {
+          if (!this.driftClient) {
+            throw new Error("Drift client not initialized");
+          }
 
-      if (this.driftClient) {
-        // Get real prices from Drift
-        for (const [symbol, marketIndex] of Object.entries(SUPPORTED_MARKETS)) {
-          try {
-            const oracleData =
-              await this.driftClient.getOracleDataForPerpMarket(marketIndex);
-            const price =
-              oracleData.price.toNumber() / PRICE_PRECISION.toNumber();
-            prices[symbol] = parseFloat(price.toFixed(2));
-          } catch (error) {
-            // Use last known price or fallback
-            if (this.lastPrices[symbol]) {
-              prices[symbol] = this.lastPrices[symbol];
-            } else {
-              // Fallback prices
-              prices[symbol] =
-                symbol === "SOL-PERP"
-                  ? 160
-                  : symbol === "BTC-PERP"
-                  ? 113000
-                  : 2800;
-            }
+          // Get real prices from Drift
+          const oracleData = await this.driftClient.getOracleDataForPerpMarket(
+            marketIndex
+          );
+          // Full oracle precision: listed markets include sub-cent assets
+          prices[symbol] =
+            oracleData.price.toNumber() / PRICE_PRECISION.toNumber();
+          oraclePrices[symbol] = prices[symbol];
+        } catch (error) {
+          // Use last known price, then the last sampled price
+          const lastSample = priceHistory.getLatestSample(symbol);
+          if (this.lastPrices[symbol]) {
+            prices[symbol] = this.lastPrices[symbol];
+          } else if (lastSample) {
+            prices[symbol] = lastSample.price;
           }
         }
-      } else {
-        // Use fallback prices if no Drift client
-        prices["SOL-PERP"] = 160 + (Math.random() - 0.5) * 2; // Small random variation
-        prices["BTC-PERP"] = 113000 + (Math.random() - 0.5) * 1000;
-        prices["ETH-PERP"] = 2800 + (Math.random() - 0.5) * 50;
       }
 
       // Update cache
       this.lastPrices = prices;
 
-      // Broadcast to all clients
-      this.broadcast({
-        type: "prices",
-        data: prices,
-        timestamp: new Date().toISOString(),
-      });
+      // Push each price channel only the markets it asked for
+      for (const [ws, session] of this.sessions) {
+        for (const channel of session.channels) {
+          if (channel !== "prices" && !channel.startsWith("prices:")) continue;
+
+          const channelPrices = this.filterPrices(prices, channel);
+          if (Object.keys(channelPrices).length > 0) {
+            this.push(ws, channel, "prices", channelPrices);
+          }
+        }
+      }
+
+      // Only real oracle prices may build candles or fill and trigger orders
+      if (Object.keys(oraclePrices).length > 0) {
+        this.updateCandles(oraclePrices);
+        await this.processPendingOrders(oraclePrices);
+      }
     } catch (error) {
       console.error("❌ Error updating prices:", error);
     }
   }
 
   /**
-   * Update positions for all connected users
+   * Fold new prices into live candles and stream them to subscribers
+   */
+  updateCandles(prices) {
+    const now = Date.now();
+
+    for (const [symbol, price] of Object.entries(prices)) {
+      const updates = candleService.ingest(symbol, price, now);
+
+      for (const update of updates) {
+        this.publish(
+          `candles:${update.symbol}:${update.interval}`,
+          "candle",
+          update.candle
+        );
+      }
+    }
+  }
+
+  /**
+   * Run the paper order monitor and notify owners of fills, triggers and
+   * liquidations. Live orders rest on Drift; reconciliation settles their
+   * fills from the chain.
+   */
+  async processPendingOrders(prices) {
+    try {
+      const events = await paperTradingService.processPendingOrders(prices);
+
+      for (const event of events) {
+        if (event.type === "position_liquidated") {
+          this.notifyPositionClosed(event.userId, event.data);
+          continue;
+        }
+
+        this.publishToUser(event.userId, "orders", event.type, event.data);
+
+        // Fills open positions and triggered brackets close them
+        if (event.type === "order_filled") {
+          this.notifyPositionOpened(event.userId, event.data);
+        } else if (event.type === "order_triggered") {
+          this.notifyPositionClosed(event.userId, event.data.position);
+        }
+      }
+    } catch (error) {
+      console.error("❌ Error processing pending orders:", error);
+    }
+  }
+
+  /**
+   * Live or paper engine for a connected user
+   */
+  tradingServiceFor(userId) {
+    const [ws] = this.clients.get(userId) || [];
+    const session = ws && this.sessions.get(ws);
+    return getTradingService(session ? session.user : { id: userId });
+  }
+
+  /**
+   * Update positions for users subscribed to the positions channel
    */
   async updateAllPositions() {
     try {
-      // Update positions for each connected user
       for (const userId of this.clients.keys()) {
-        await this.sendPositionUpdate(userId);
+        if (this.isUserSubscribed(userId, "positions")) {
+          await this.sendPositionUpdate(userId);
+        }
       }
     } catch (error) {
       console.error("❌ Error updating positions:", error);
     }
   }
 
+  /**
+   * Push margin_warning / liquidation_risk alerts to subscribed users
+   */
+  async checkMarginHealth() {
+    for (const userId of this.clients.keys()) {
+      if (!this.isUserSubscribed(userId, "alerts")) continue;
+
+      try {
+        const positions = await this.tradingServiceFor(userId).getPositions(
+          userId
+        );
+        const alerts = this.marginMonitor.evaluate(userId, positions);
+
+        for (const alert of alerts) {
+          this.publishToUser(userId, "alerts", alert.type, alert.data);
+        }
+      } catch (error) {
+        console.error(
+          `❌ Error checking margin health for user ${userId}:`,
+          error
+        );
+      }
+    }
+  }
+
+  /**
+   * Push a session_reminder alert every session_reminder_minutes a
+   * connection stays authenticated (as set when it authenticated)
+   */
+  checkSessionReminders() {
+    const now = Date.now();
+
+    for (const [ws, session] of this.sessions) {
+      const minutes = session.user && session.user.session_reminder_minutes;
+      if (!minutes || !session.channels.has("alerts")) continue;
+
+      const elapsed = now - session.authenticatedAt;
+      const due = Math.floor(elapsed / (minutes * 60 * 1000));
+      if (due > session.remindersSent) {
+        session.remindersSent = due;
+        this.push(ws, "alerts", "session_reminder", {
+          minutesConnected: Math.floor(elapsed / (60 * 1000)),
+          reminderMinutes: minutes,
+        });
+      }
+    }
+  }
+
   /**
    * Send position update to specific user
    */
   async sendPositionUpdate(userId) {
     try {
-      const positions = await this.tradingService.getPositions(userId);
+      const positions = await this.tradingServiceFor(userId).getPositions(
+        userId
+      );
 
-      this.sendToUser(userId, {
-        type: "positions",
-        data: positions,
-        userId,
-        timestamp: new Date().toISOString(),
-      });
+      this.publishToUser(userId, "positions", "positions", positions);
     } catch (error) {
       console.error(
         `❌ Error sending position update for user ${userId}:`,
@@ -340,24 +695,62 @@ class TradingWebSocketServer {
    * Notify about new position
    */
   async notifyPositionOpened(userId, position) {
-    this.sendToUser(userId, {
-      type: "position_opened",
-      data: position,
-      userId,
-      timestamp: new Date().toISOString(),
-    });
+    this.publishToUser(userId, "trades", "position_opened", position);
+  }
+
+  /**
+   * Notify about a position that was increased or partially closed
+   */
+  async notifyPositionUpdated(userId, position) {
+    this.publishToUser(userId, "trades", "position_updated", position);
   }
 
   /**
    * Notify about closed position
    */
   async notifyPositionClosed(userId, position) {
-    this.sendToUser(userId, {
-      type: "position_closed",
-      data: position,
-      userId,
-      timestamp: new Date().toISOString(),
-    });
+    this.publishToUser(userId, "trades", "position_closed", position);
+  }
+
+  /**
+   * Notify about a position the reconciler settled or flagged
+   */
+  async notifyDiscrepancy(discrepancy) {
+    const { userId, position, ...data } = discrepancy;
+
+    this.publishToUser(userId, "trades", "position_discrepancy", data);
+    if (position) {
+      this.notifyPositionClosed(userId, position);
+    }
+  }
+
+  /**
+   * Push a followed trader's open or close to a follower's feed
+   */
+  async notifyFeedItem(userId, item) {
+    this.publishToUser(userId, "feed", "feed_item", item);
+  }
+
+  /**
+   * Notify a copier about a mirrored position (copy_opened, copy_closed)
+   * or a leader trade that couldn't be mirrored (copy_skipped)
+   */
+  async notifyCopyTrade(userId, type, data) {
+    this.publishToUser(userId, "trades", type, data);
+  }
+
+  /**
+   * Notify about a transaction moving through its lifecycle
+   */
+  async notifyTransactionStatus(userId, transaction) {
+    this.publishToUser(userId, "trades", "tx_status", transaction);
+  }
+
+  /**
+   * Notify about a placed, cancelled, filled or triggered conditional order
+   */
+  async notifyOrderUpdated(userId, type, order) {
+    this.publishToUser(userId, "orders", type, order);
   }
 
   /**
@@ -374,8 +767,17 @@ class TradingWebSocketServer {
       clearInterval(this.positionUpdateInterval);
     }
 
+    if (this.marginCheckInterval) {
+      clearInterval(this.marginCheckInterval);
+    }
+
+    if (this.sessionReminderInterval) {
+      clearInterval(this.sessionReminderInterval);
+    }
+
     if (this.driftClient) {
-      await cleanupDriftClient(this.driftClient);
+      driftPool.releaseMarketClient();
+      this.driftClient = null;
     }
 
     if (this.wss) {
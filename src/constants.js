@@ -1,6 +1,8 @@
 // Production-Ready Constants - Centralized Configuration
 // This file centralizes all hardcoded values for better maintainability
 
+const path = require("path");
+
 // Solana Network Configuration
 const SOLANA_MAINNET_RPC =
   "https://austbot-austbot-234b.mainnet.rpcpool.com/a30e04d0-d9d6-4ac1-8503-38217fdb2821";
@@ -11,18 +13,48 @@ const USDC_MINT_ADDRESS = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
 const DRIFT_PROGRAM_ID_ADDRESS = "dRiftyHA39MWEi3m9aunc5MzRF1JYuBsbn6VPcn33UH";
 
 // Market Configuration
+// Bootstrap markets served until the registry has loaded Drift's perp markets
 const SUPPORTED_MARKETS = {
   "SOL-PERP": 0,
   "BTC-PERP": 1,
   "ETH-PERP": 2,
 };
 
+// Market Registry Configuration
+const MARKET_REGISTRY_CONFIG = {
+  REFRESH_INTERVAL: 10 * 60 * 1000, // 10 minutes between market discovery runs
+  TRADEABLE_STATUSES: ["active", "fundingPaused", "withdrawPaused"],
+};
+
 // Transaction Configuration
+// Fallback compute unit limits for when simulation can't size a transaction
 const COMPUTE_UNITS = {
   DEFAULT: 500000,
   WITHDRAWAL: 800000,
   CLOSE_POSITION: 500000,
   TRADE: 500000,
+  ENABLE_HIGH_LEVERAGE: 300000,
+};
+
+// Priority Fee Configuration
+const PRIORITY_FEE_CONFIG = {
+  // Percentile of recent priority fees on the transaction's accounts to pay
+  SPEED_PERCENTILES: { normal: 50, fast: 75, turbo: 95 },
+  DEFAULT_SPEED: "normal",
+  MIN_MICRO_LAMPORTS: 1000, // Floor per compute unit, so quiet markets still land
+  MAX_MICRO_LAMPORTS: 5000000, // Ceiling per compute unit (0.007 SOL at 1.4M units)
+  SAMPLE_CACHE_TTL: 5000, // 5 seconds between fee samples for the same accounts
+  MAX_SAMPLE_ACCOUNTS: 128, // getRecentPrioritizationFees accepts at most 128
+  SIMULATION_UNITS: 1400000, // Simulate under the per-transaction maximum
+  UNIT_HEADROOM: 0.15, // Add 15% to simulated units consumed
+  MIN_UNITS: 50000,
+  BASE_FEE_LAMPORTS: 5000, // Per signature
+};
+
+// Blockhash Configuration
+const BLOCKHASH_CONFIG = {
+  VALIDITY_BLOCKS: 150, // Blocks a blockhash stays valid for after it is produced
+  EXPIRED_ERROR_CODE: "BLOCKHASH_EXPIRED",
 };
 
 // Rate Limiting Configuration
@@ -32,6 +64,13 @@ const RPC_CONFIG = {
   TIMEOUT: 30000, // 30 seconds
 };
 
+// Per-client limit on /api/transaction/rebuild: each rebuild costs RPC
+// calls for a blockhash, a fee sample and a simulation
+const REBUILD_RATE_LIMIT = {
+  WINDOW: 60 * 1000, // 1 minute
+  MAX_REQUESTS: 10,
+};
+
 // Safety Buffers
 const SAFETY_BUFFERS = {
   COLLATERAL_BUFFER: 0.35, // 35% safety buffer for trades
@@ -46,6 +85,24 @@ const WEBSOCKET_CONFIG = {
   HEARTBEAT_INTERVAL: 30000, // 30 seconds
 };
 
+// Price History Configuration
+const PRICE_HISTORY_CONFIG = {
+  SAMPLE_INTERVAL: 60000, // 1 minute between oracle samples
+  SAVE_INTERVAL: 5 * 60 * 1000, // Flush samples to disk every 5 minutes
+  STATS_WINDOW: 24 * 60 * 60 * 1000, // 24 hours
+  RETENTION: 7 * 24 * 60 * 60 * 1000, // 7 days
+  FILE_PATH:
+    process.env.PRICE_HISTORY_FILE ||
+    path.join(__dirname, "..", "data", "price-history.json"),
+};
+
+// Drift Client Pool Configuration
+const DRIFT_POOL_CONFIG = {
+  IDLE_TTL: 5 * 60 * 1000, // Unsubscribe clients unused for 5 minutes
+  EVICTION_INTERVAL: 60000, // 1 minute between idle sweeps
+  HEALTH_CHECK_INTERVAL: 30000, // 30 seconds between resubscribe checks
+};
+
 // Server Configuration
 const SERVER_CONFIG = {
   PORT: process.env.PORT || 3004,
@@ -64,12 +121,16 @@ module.exports = {
 
   // Markets
   SUPPORTED_MARKETS,
+  MARKET_REGISTRY_CONFIG,
 
   // Transactions
   COMPUTE_UNITS,
+  PRIORITY_FEE_CONFIG,
+  BLOCKHASH_CONFIG,
 
   // Rate Limiting
   RPC_CONFIG,
+  REBUILD_RATE_LIMIT,
 
   // Safety
   SAFETY_BUFFERS,
@@ -77,6 +138,12 @@ module.exports = {
   // WebSocket
   WEBSOCKET_CONFIG,
 
+  // Price History
+  PRICE_HISTORY_CONFIG,
+
+  // Drift Client Pool
+  DRIFT_POOL_CONFIG,
+
   // Server
   SERVER_CONFIG,
 };
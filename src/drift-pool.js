@@ -0,0 +1,166 @@
+// Drift Client Pool - one subscribed DriftClient per wallet, shared across
+// requests instead of subscribing a fresh client every time
+
+const {
+  createConnection,
+  createDriftClient,
+  cleanupDriftClient,
+} = require("./utils");
+const { DRIFT_POOL_CONFIG } = require("./constants");
+
+class DriftClientPool {
+  constructor() {
+    this.connection = null;
+    this.connectionPromise = null;
+    this.clients = new Map(); // wallet -> { driftClient, refCount, lastUsed, ready }
+    this.evictionInterval = null;
+    this.healthInterval = null;
+  }
+
+  /**
+   * Start idle eviction and resubscribe checks
+   */
+  start() {
+    this.evictionInterval = setInterval(
+      () => this.evictIdle(),
+      DRIFT_POOL_CONFIG.EVICTION_INTERVAL
+    );
+    this.healthInterval = setInterval(
+      () => this.checkHealth(),
+      DRIFT_POOL_CONFIG.HEALTH_CHECK_INTERVAL
+    );
+  }
+
+  /**
+   * Shared RPC connection, created once
+   */
+  async getConnection() {
+    if (this.connection) return this.connection;
+
+    if (!this.connectionPromise) {
+      this.connectionPromise = createConnection()
+        .then((connection) => {
+          this.connection = connection;
+          return connection;
+        })
+        .finally(() => {
+          this.connectionPromise = null;
+        });
+    }
+
+    return this.connectionPromise;
+  }
+
+  /**
+   * Borrow the DriftClient for a wallet, subscribing it on first use
+   * Every acquire must be paired with a release
+   */
+  async acquire(walletAddress) {
+    const key = walletAddress.toString();
+    let entry = this.clients.get(key);
+
+    if (!entry) {
+      entry = { driftClient: null, refCount: 0, lastUsed: Date.now() };
+      entry.ready = this.getConnection()
+        .then((connection) => createDriftClient(connection, key))
+        .then((driftClient) => {
+          entry.driftClient = driftClient;
+          return driftClient;
+        })
+        .catch((error) => {
+          // Let the next caller retry from scratch
+          this.clients.delete(key);
+          throw error;
+        });
+      this.clients.set(key, entry);
+    }
+
+    entry.refCount += 1;
+    entry.lastUsed = Date.now();
+
+    try {
+      return await entry.ready;
+    } catch (error) {
+      entry.refCount -= 1;
+      throw error;
+    }
+  }
+
+  /**
+   * Return a borrowed client; it stays subscribed until it goes idle
+   */
+  release(walletAddress) {
+    const entry = this.clients.get(walletAddress.toString());
+    if (!entry) return;
+
+    entry.refCount = Math.max(0, entry.refCount - 1);
+    entry.lastUsed = Date.now();
+  }
+
+  /**
+   * Unsubscribe clients nobody has borrowed for a while
+   */
+  async evictIdle() {
+    const cutoff = Date.now() - DRIFT_POOL_CONFIG.IDLE_TTL;
+
+    for (const [key, entry] of this.clients) {
+      if (entry.refCount > 0 || entry.lastUsed > cutoff || !entry.driftClient) {
+        continue;
+      }
+
+      this.clients.delete(key);
+      await cleanupDriftClient(entry.driftClient);
+      console.log(`🧹 Evicted idle Drift client for ${key}`);
+    }
+  }
+
+  /**
+   * Resubscribe clients that lost their subscription
+   */
+  async checkHealth() {
+    for (const [key, entry] of this.clients) {
+      const driftClient = entry.driftClient;
+      if (!driftClient || driftClient.isSubscribed) continue;
+
+      try {
+        console.warn(
+          `🔄 Drift client for ${key} unsubscribed, resubscribing...`
+        );
+        await driftClient.subscribe();
+      } catch (error) {
+        console.error(`❌ Resubscribe failed for ${key}:`, error.message);
+
+        // Drop it if unused so the next acquire builds a fresh client
+        if (entry.refCount === 0) {
+          this.clients.delete(key);
+          await cleanupDriftClient(driftClient);
+        }
+      }
+    }
+  }
+
+  getStats() {
+    let inUse = 0;
+    for (const entry of this.clients.values()) {
+      if (entry.refCount > 0) inUse += 1;
+    }
+    return { clients: this.clients.size, inUse };
+  }
+
+  /**
+   * Stop background checks and unsubscribe every client
+   */
+  async stop() {
+    clearInterval(this.evictionInterval);
+    clearInterval(this.healthInterval);
+
+    for (const [key, entry] of this.clients) {
+      this.clients.delete(key);
+      if (entry.driftClient) {
+        await cleanupDriftClient(entry.driftClient);
+      }
+    }
+  }
+}
+
+module.exports = DriftClientPool;
@@ -0,0 +1,120 @@
+// Market Registry - perp markets discovered from the Drift client, so new
+// Drift listings show up without a code change
+
+const {
+  decodeName,
+  BASE_PRECISION,
+  MARGIN_PRECISION,
+  PRICE_PRECISION,
+} = require("@drift-labs/sdk");
+const { SUPPORTED_MARKETS, MARKET_REGISTRY_CONFIG } = require("./constants");
+
+// Drift enums arrive as { active: {} }
+const enumName = (value) => (value ? Object.keys(value)[0] : null);
+
+class MarketRegistry {
+  constructor() {
+    this.markets = new Map(); // symbol -> market metadata
+    this.lastRefreshed = null;
+
+    // Serve the bootstrap markets until Drift has been read
+    for (const [symbol, marketIndex] of Object.entries(SUPPORTED_MARKETS)) {
+      this.markets.set(symbol, {
+        symbol,
+        marketIndex,
+        status: "unknown",
+        tradeable: true,
+        tickSize: null,
+        stepSize: null,
+        minOrderSize: null,
+        marginRatioInitial: null,
+        marginRatioMaintenance: null,
+        maxLeverage: null,
+      });
+    }
+  }
+
+  /**
+   * Reload every perp market account from a subscribed Drift client
+   */
+  refresh(driftClient) {
+    if (!driftClient) return;
+
+    try {
+      const accounts = driftClient.getPerpMarketAccounts();
+      if (!accounts || accounts.length === 0) return;
+
+      const markets = new Map();
+      for (const account of accounts) {
+        const symbol = decodeName(account.name).trim().toUpperCase();
+        const status = enumName(account.status);
+        const marginRatioInitial =
+          account.marginRatioInitial / MARGIN_PRECISION.toNumber();
+
+        markets.set(symbol, {
+          symbol,
+          marketIndex: account.marketIndex,
+          status,
+          tradeable: MARKET_REGISTRY_CONFIG.TRADEABLE_STATUSES.includes(status),
+          tickSize:
+            account.amm.orderTickSize.toNumber() / PRICE_PRECISION.toNumber(),
+          stepSize:
+            account.amm.orderStepSize.toNumber() / BASE_PRECISION.toNumber(),
+          minOrderSize:
+            account.amm.minOrderSize.toNumber() / BASE_PRECISION.toNumber(),
+          marginRatioInitial,
+          marginRatioMaintenance:
+            account.marginRatioMaintenance / MARGIN_PRECISION.toNumber(),
+          maxLeverage:
+            marginRatioInitial > 0 ? Math.floor(1 / marginRatioInitial) : null,
+        });
+      }
+
+      this.markets = markets;
+      this.lastRefreshed = new Date().toISOString();
+      console.log(`✅ Market registry loaded ${markets.size} perp markets`);
+    } catch (error) {
+      console.warn("⚠️ Could not refresh market registry:", error.message);
+    }
+  }
+
+  /**
+   * Whether a symbol is a listed market
+   */
+  has(symbol) {
+    return this.markets.has(symbol);
+  }
+
+  /**
+   * Drift market index for a symbol, or undefined if it isn't listed
+   */
+  getMarketIndex(symbol) {
+    const market = this.markets.get(symbol);
+    return market ? market.marketIndex : undefined;
+  }
+
+  /**
+   * Symbol for a Drift market index, or null if it isn't listed
+   */
+  getSymbol(marketIndex) {
+    for (const market of this.markets.values()) {
+      if (market.marketIndex === marketIndex) return market.symbol;
+    }
+    return null;
+  }
+
+  /**
+   * Listed markets ordered by market index
+   */
+  getMarkets({ tradeableOnly = false } = {}) {
+    return Array.from(this.markets.values())
+      .filter((market) => !tradeableOnly || market.tradeable)
+      .sort((a, b) => a.marketIndex - b.marketIndex);
+  }
+
+  getSymbols(options) {
+    return this.getMarkets(options).map((market) => market.symbol);
+  }
+}
+
+module.exports = MarketRegistry;
@@ -0,0 +1,141 @@
+// Price History Store - records sampled oracle prices to a local JSON file
+// and derives 24h change, high/low and volume from them
+
+const fs = require("fs");
+const path = require("path");
+const { PRICE_HISTORY_CONFIG } = require("./constants");
+
+class PriceHistory {
+  constructor(filePath = PRICE_HISTORY_CONFIG.FILE_PATH) {
+    this.filePath = filePath;
+    this.samples = {}; // symbol -> [{ price, volume24h, openInterest, sampledAt }]
+    this.dirty = false;
+  }
+
+  /**
+   * Load samples persisted by a previous run
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.samples = data.samples || {};
+      this.prune();
+
+      const count = Object.values(this.samples).reduce(
+        (total, samples) => total + samples.length,
+        0
+      );
+      console.log(`✅ Loaded ${count} price samples from ${this.filePath}`);
+    } catch (error) {
+      console.warn("⚠️ Could not load price history:", error.message);
+      this.samples = {};
+    }
+  }
+
+  /**
+   * Write samples to disk (temp file + rename so a crash can't corrupt it)
+   */
+  save() {
+    if (!this.dirty) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ samples: this.samples }));
+      fs.renameSync(tempPath, this.filePath);
+      this.dirty = false;
+    } catch (error) {
+      console.warn("⚠️ Could not save price history:", error.message);
+    }
+  }
+
+  /**
+   * Record a sample for a market
+   */
+  record(symbol, { price, volume24h = null, openInterest = null }) {
+    if (!(price > 0)) return;
+
+    if (!this.samples[symbol]) {
+      this.samples[symbol] = [];
+    }
+
+    this.samples[symbol].push({
+      price,
+      volume24h,
+      openInterest,
+      sampledAt: Date.now(),
+    });
+    this.dirty = true;
+  }
+
+  /**
+   * Drop samples past the retention period
+   */
+  prune() {
+    const cutoff = Date.now() - PRICE_HISTORY_CONFIG.RETENTION;
+
+    for (const symbol of Object.keys(this.samples)) {
+      const kept = this.samples[symbol].filter((s) => s.sampledAt >= cutoff);
+      if (kept.length !== this.samples[symbol].length) {
+        this.samples[symbol] = kept;
+        this.dirty = true;
+      }
+    }
+  }
+
+  /**
+   * Most recent sample for a market, or null if none
+   */
+  getLatestSample(symbol) {
+    const samples = this.samples[symbol];
+    return samples && samples.length > 0 ? samples[samples.length - 1] : null;
+  }
+
+  /**
+   * 24h change, high, low and volume from sampled prices
+   * Returns null until at least one sample exists inside the window
+   */
+  getStats(symbol, currentPrice = null) {
+    const cutoff = Date.now() - PRICE_HISTORY_CONFIG.STATS_WINDOW;
+    const window = (this.samples[symbol] || []).filter(
+      (s) => s.sampledAt >= cutoff
+    );
+    if (window.length === 0) return null;
+
+    const latest = window[window.length - 1];
+    const price = currentPrice || latest.price;
+    const open = window[0].price;
+
+    let high = price;
+    let low = price;
+    for (const sample of window) {
+      if (sample.price > high) high = sample.price;
+      if (sample.price < low) low = sample.price;
+    }
+
+    const withVolume = window.filter((s) => s.volume24h !== null);
+    const withOpenInterest = window.filter((s) => s.openInterest !== null);
+
+    return {
+      open24h: open,
+      change24h: open > 0 ? ((price - open) / open) * 100 : 0,
+      high24h: high,
+      low24h: low,
+      volume24h:
+        withVolume.length > 0
+          ? withVolume[withVolume.length - 1].volume24h
+          : null,
+      openInterest:
+        withOpenInterest.length > 0
+          ? withOpenInterest[withOpenInterest.length - 1].openInterest
+          : null,
+      coverageHours: parseFloat(
+        ((latest.sampledAt - window[0].sampledAt) / 3600000).toFixed(2)
+      ),
+    };
+  }
+}
+
+module.exports = PriceHistory;
@@ -34,19 +34,26 @@ const {
   DRIFT_CLUSTER,
   USDC_MINT_ADDRESS,
   DRIFT_PROGRAM_ID_ADDRESS,
-  SUPPORTED_MARKETS,
   COMPUTE_UNITS,
   RPC_CONFIG,
   SAFETY_BUFFERS,
   WEBSOCKET_CONFIG,
   SERVER_CONFIG,
+  PRICE_HISTORY_CONFIG,
+  MARKET_REGISTRY_CONFIG,
+  PRIORITY_FEE_CONFIG,
+  BLOCKHASH_CONFIG,
+  REBUILD_RATE_LIMIT,
 } = require("./constants");
+const PriceHistory = require("./price-history");
+const MarketRegistry = require("./market-registry");
+const DriftClientPool = require("./drift-pool");
+const PriorityFeeService = require("../render-backend/services/priority-fees");
 
 // Import shared utilities
 const {
   rpcRateLimit,
   retryWithBackoff,
-  createConnection,
   createDriftClient,
   cleanupDriftClient,
   getUSDCMint,
@@ -55,8 +62,15 @@ const {
   createErrorResponse,
   createSuccessResponse,
   serializeInstructions,
+  serializeInstruction,
+  decodeTransaction,
+  isBlockhashExpired,
+  isBlockhashExpiredError,
+  rebuildTransactionData,
+  createBlockhashExpiredResponse,
   createComputeBudgetInstruction,
   asyncHandler,
+  createRateLimiter,
 } = require("./utils");
 
 // RPC Rate limiting from constants (using shared utilities now)
@@ -68,6 +82,12 @@ const INITIAL_RETRY_DELAY = RPC_CONFIG.INITIAL_RETRY_DELAY;
 // Helper function to get Drift program ID
 const getDriftProgramID = () => new PublicKey(DRIFT_PROGRAM_ID_ADDRESS);
 
+// Programs /api/transaction/rebuild will re-issue instructions for
+const REBUILDABLE_PROGRAM_IDS = [
+  ComputeBudgetProgram.programId.toString(),
+  DRIFT_PROGRAM_ID_ADDRESS,
+];
+
 // Shared utility functions
 const createReadOnlyWallet = (publicKey) => ({
   publicKey,
@@ -113,6 +133,72 @@ const calculatePositionFromLeverage = (
   };
 };
 
+// Sampled oracle prices backing 24h market stats
+const priceHistory = new PriceHistory();
+priceHistory.load();
+
+const marketRegistry = new MarketRegistry();
+
+// Subscribed Drift clients shared across requests, one per wallet
+const driftPool = new DriftClientPool();
+
+// Priority fee sampler and compute unit simulator for built transactions
+const priorityFees = new PriorityFeeService({ computeUnits: COMPUTE_UNITS });
+
+// Rebuilds cost RPC calls (blockhash, fee sample, simulation) and need no
+// signature, so each client gets a few a minute
+const rebuildRateLimit = createRateLimiter({
+  windowMs: REBUILD_RATE_LIMIT.WINDOW,
+  max: REBUILD_RATE_LIMIT.MAX_REQUESTS,
+});
+
+// Priority fee speed for transaction-building endpoints: body.speed is
+// normal, fast or turbo (default normal)
+const validateSpeed = (req, res, next) => {
+  const speed = req.body.speed || PRIORITY_FEE_CONFIG.DEFAULT_SPEED;
+  if (!priorityFees.isSpeed(speed)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid speed",
+      supportedSpeeds: Object.keys(PRIORITY_FEE_CONFIG.SPEED_PERCENTILES),
+      received: speed,
+    });
+  }
+  req.body.speed = speed;
+  next();
+};
+const READ_ONLY_WALLET = "11111111111111111111111111111111"; // System program for read-only
+
+/**
+ * Market entry with 24h stats from the price history store
+ * Stats stay null until samples exist rather than being invented
+ */
+const buildMarketEntry = (symbol, price, live = {}) => {
+  const stats = priceHistory.getStats(symbol, price);
+
+  return {
+    symbol,
+    price,
+    volume24h: live.volume24h ?? (stats ? stats.volume24h : null),
+    change24h: stats ? stats.change24h : null,
+    high24h: stats ? stats.high24h : null,
+    low24h: stats ? stats.low24h : null,
+    funding: live.funding ?? null,
+    openInterest: live.openInterest ?? (stats ? stats.openInterest : null),
+    historyHours: stats ? stats.coverageHours : 0,
+  };
+};
+
+/**
+ * Read Drift's rolling 24h AMM quote volume, or null if unavailable
+ */
+const getAmmVolume24h = (marketAccount) => {
+  const volumeBN = marketAccount.amm.volume24H;
+  if (!volumeBN) return null;
+  const volume = parseFloat(volumeBN.toString()) / 1e6; // Convert to USDC
+  return isFinite(volume) ? volume : null;
+};
+
 const app = express();
 const server = createServer(app);
 const wss = new WebSocketServer({ server });
@@ -137,6 +223,21 @@ app.get("/api/status", (req, res) => {
   });
 });
 
+// Perp markets discovered from Drift
+app.get("/api/markets/registry", (req, res) => {
+  res.json(
+    createSuccessResponse(
+      {
+        markets: marketRegistry.getMarkets({
+          tradeableOnly: req.query.tradeable === "true",
+        }),
+        lastRefreshed: marketRegistry.lastRefreshed,
+      },
+      "Market registry retrieved successfully"
+    )
+  );
+});
+
 // Real-time markets API using Drift Protocol data
 app.get(
   "/api/markets",
@@ -149,15 +250,15 @@ app.get(
       await rpcRateLimit();
 
       // Markets endpoint - no feature flag logic needed here
-      // Create connection and DriftClient
-      const connection = await createConnection();
-      const dummyWallet = new PublicKey("11111111111111111111111111111111"); // System program for read-only
-      driftClient = await createDriftClient(connection, dummyWallet.toString());
+      // Borrow the pooled read-only DriftClient
+      driftClient = await driftPool.acquire(READ_ONLY_WALLET);
 
       // Fetch real market data for all supported markets
       const marketData = [];
 
-      for (const [symbol, marketIndex] of Object.entries(SUPPORTED_MARKETS)) {
+      for (const { symbol, marketIndex } of marketRegistry.getMarkets({
+        tradeableOnly: true,
+      })) {
         let currentPrice = 0; // Declare outside try block for fallback access
 
         try {
@@ -198,13 +299,9 @@ app.get(
                 `⚠️ Market price also failed for ${symbol}, this might be the 53-bit error:`,
                 marketPriceError.message
               );
-              // Try to get a reasonable price fallback
-              currentPrice =
-                symbol === "SOL-PERP"
-                  ? 160
-                  : symbol === "BTC-PERP"
-                  ? 113000
-                  : 2800;
+              // Fall back to the last sampled price
+              const lastSample = priceHistory.getLatestSample(symbol);
+              currentPrice = lastSample ? lastSample.price : 0;
             }
           }
 
@@ -214,9 +311,9 @@ app.get(
 
           // Calculate market statistics from AMM data (using extra-safe BigNumber conversion)
           let totalFee = 0;
-          let openInterest = 0;
-          let fundingRate8Hour = 0;
-          let estimatedVolume24h = 1000000; // Default fallback volume
+          let openInterest = null;
+          let fundingRate8Hour = null;
+          let estimatedVolume24h = null;
 
           try {
             console.log(`🔍 ${symbol}: Starting BigNumber calculations...`);
@@ -251,8 +348,7 @@ app.get(
               const baseAmount = parseFloat(baseAmountStr) / 1e9; // Convert to base units
               console.log(`🔍 ${symbol}: baseAmount parsed: ${baseAmount}`);
               openInterest = Math.abs(baseAmount * currentPrice);
-              if (!isFinite(openInterest) || openInterest < 0)
-                openInterest = 5000000; // Fallback
+              if (!isFinite(openInterest)) openInterest = null;
             }
 
             const fundingRateBN = marketAccount.amm.lastFundingRate;
@@ -260,11 +356,11 @@ app.get(
               const fundingRateStr = fundingRateBN.toString();
               const fundingRateHourly = parseFloat(fundingRateStr) / 1e9;
               fundingRate8Hour = fundingRateHourly * 8;
-              if (!isFinite(fundingRate8Hour)) fundingRate8Hour = 0.01; // Fallback
+              if (!isFinite(fundingRate8Hour)) fundingRate8Hour = null;
             }
 
-            // Estimate volume from fee data
-            estimatedVolume24h = Math.max(totalFee * currentPrice * 24, 100000);
+            // Drift tracks a rolling 24h quote volume on the AMM
+            estimatedVolume24h = getAmmVolume24h(marketAccount);
             console.log(
               `🔍 ${symbol}: BigNumber calculations completed successfully`
             );
@@ -274,29 +370,16 @@ app.get(
               bnError.message
             );
             console.warn(`⚠️ Error stack:`, bnError.stack);
-            // Use reasonable fallback values
-            totalFee = 100;
-            openInterest = symbol === "SOL-PERP" ? 8000000 : 5000000;
-            fundingRate8Hour = 0.01;
-            estimatedVolume24h = symbol === "SOL-PERP" ? 2000000 : 1000000;
+            // Sampled values fill in whatever the AMM couldn't provide
           }
 
-          // Use recent price as baseline for 24h calculations (in production, you'd track these)
-          const change24h = (Math.random() - 0.5) * 4; // Small random change until we implement proper 24h tracking
-          const high24h =
-            currentPrice * (1 + (Math.abs(change24h) / 100) * 0.5);
-          const low24h = currentPrice * (1 - (Math.abs(change24h) / 100) * 0.5);
-
-          marketData.push({
-            symbol,
-            price: currentPrice,
-            volume24h: Math.max(estimatedVolume24h, 100000), // Ensure minimum reasonable volume
-            change24h: change24h,
-            high24h: high24h,
-            low24h: low24h,
-            funding: fundingRate8Hour,
-            openInterest: openInterest, // Already converted to USD value above
-          });
+          marketData.push(
+            buildMarketEntry(symbol, currentPrice, {
+              volume24h: estimatedVolume24h,
+              funding: fundingRate8Hour,
+              openInterest,
+            })
+          );
 
           console.log(
             `✅ ${symbol} market data fetched successfully - Price: $${currentPrice.toFixed(
@@ -312,56 +395,16 @@ app.get(
             `🔍 Debug - ${symbol}: currentPrice = ${currentPrice}, type = ${typeof currentPrice}`
           );
 
-          // For ANY market that fails but has a valid price, add fallback data
+          // For ANY market that fails but has a valid price, fall back to sampled stats
           if (currentPrice > 0) {
             console.log(
-              `🔧 Using fallback data for ${symbol} due to error: ${error.message}`
+              `🔧 Using sampled data for ${symbol} due to error: ${error.message}`
             );
 
-            // Use reasonable estimated values based on market
-            const change24h = (Math.random() - 0.5) * 4; // ±2% variation
-            const high24h =
-              currentPrice * (1 + (Math.abs(change24h) / 100) * 0.5);
-            const low24h =
-              currentPrice * (1 - (Math.abs(change24h) / 100) * 0.5);
-
-            // Market-specific fallback values
-            let volume24h, funding, openInterest;
-            switch (symbol) {
-              case "SOL-PERP":
-                volume24h = 2000000;
-                funding = 0.01;
-                openInterest = 8000000;
-                break;
-              case "BTC-PERP":
-                volume24h = 50000000;
-                funding = 0.005;
-                openInterest = 100000000;
-                break;
-              case "ETH-PERP":
-                volume24h = 20000000;
-                funding = 0.008;
-                openInterest = 30000000;
-                break;
-              default:
-                volume24h = 1000000;
-                funding = 0.01;
-                openInterest = 5000000;
-            }
-
-            marketData.push({
-              symbol,
-              price: currentPrice,
-              volume24h: volume24h,
-              change24h: change24h,
-              high24h: high24h,
-              low24h: low24h,
-              funding: funding,
-              openInterest: openInterest,
-            });
+            marketData.push(buildMarketEntry(symbol, currentPrice));
 
             console.log(
-              `✅ ${symbol} fallback data added successfully - Price: $${currentPrice.toFixed(
+              `✅ ${symbol} sampled data added successfully - Price: $${currentPrice.toFixed(
                 2
               )}`
             );
@@ -373,24 +416,15 @@ app.get(
         }
       }
 
-      // Ensure SOL-PERP is always included, even if it failed to load
-      const hasSOL = marketData.some((m) => m.symbol === "SOL-PERP");
-      if (!hasSOL) {
-        console.log("🔧 SOL-PERP missing from market data, adding fallback...");
-        marketData.unshift({
-          // Add at beginning so it's first
-          symbol: "SOL-PERP",
-          price: 160, // Reasonable fallback price
-          volume24h: 2000000,
-          change24h: 0.5,
-          high24h: 162,
-          low24h: 158,
-          funding: 0.01,
-          openInterest: 8000000,
-        });
-        console.log(
-          "✅ SOL-PERP fallback data added to ensure trading availability"
-        );
+      // Keep markets listed from their last sample if the live fetch failed
+      for (const symbol of marketRegistry.getSymbols({ tradeableOnly: true })) {
+        const lastSample = priceHistory.getLatestSample(symbol);
+        if (lastSample && !marketData.some((m) => m.symbol === symbol)) {
+          console.log(
+            `🔧 ${symbol} missing from market data, using last sample...`
+          );
+          marketData.push(buildMarketEntry(symbol, lastSample.price));
+        }
       }
 
       if (marketData.length === 0) {
@@ -421,7 +455,7 @@ app.get(
         );
     } finally {
       if (driftClient) {
-        await cleanupDriftClient(driftClient);
+        driftPool.release(READ_ONLY_WALLET);
       }
     }
   })
@@ -470,8 +504,8 @@ app.post("/api/trade/calculate-margin", async (req, res) => {
   );
 
   const walletPubkey = new PublicKey(walletAddress);
-  const connection = await createConnection();
-  const driftClient = await createDriftClient(connection, walletAddress);
+  const connection = await driftPool.getConnection();
+  const driftClient = await driftPool.acquire(walletAddress);
 
   try {
     // CRITICAL: Subscribe to oracle data first
@@ -486,7 +520,7 @@ app.post("/api/trade/calculate-margin", async (req, res) => {
     const maxRetries = 5;
 
     // Get market index from supported markets
-    const marketIndex = SUPPORTED_MARKETS[marketSymbol] || 0;
+    const marketIndex = marketRegistry.getMarketIndex(marketSymbol) ?? 0;
     console.log(`📊 Using market index ${marketIndex} for ${marketSymbol}`);
 
     while (retryCount < maxRetries) {
@@ -797,30 +831,27 @@ app.post("/api/trade/calculate-margin", async (req, res) => {
     console.error("❌ Margin calculation error:", error);
     res.status(500).json({ success: false, error: error.message });
   } finally {
-    if (driftClient) {
-      try {
-        await driftClient.unsubscribe();
-      } catch (unsubError) {
-        console.warn(
-          "⚠️ Failed to unsubscribe from DriftClient:",
-          unsubError.message
-        );
-      }
-    }
+    driftPool.release(walletAddress);
   }
 });
 
 // High Leverage Mode Trade Function - Simplified approach for all leverage levels
 async function executeHighLeverageTrade(req, res) {
-  const { walletAddress, tradeAmount, leverage, direction, marketSymbol } =
-    req.body;
+  const {
+    walletAddress,
+    tradeAmount,
+    leverage,
+    direction,
+    marketSymbol,
+    speed,
+  } = req.body;
 
   console.log(
     `🚀 HIGH LEVERAGE MODE: Processing ${leverage}x ${direction} trade for ${marketSymbol}`
   );
 
   let driftClient;
-  const connection = await createConnection();
+  const connection = await driftPool.getConnection();
   const publicKey = new PublicKey(walletAddress);
 
   await rpcRateLimit();
@@ -828,7 +859,7 @@ async function executeHighLeverageTrade(req, res) {
   await retryWithBackoff(async () => {
     console.log("🌊 Initializing Drift client for high leverage trade...");
     await initialize({ env: DRIFT_CLUSTER });
-    driftClient = await createDriftClient(connection, publicKey, DRIFT_CLUSTER);
+    driftClient = await driftPool.acquire(walletAddress);
 
     try {
       // Step 1: Check if high leverage mode is enabled
@@ -850,31 +881,21 @@ async function executeHighLeverageTrade(req, res) {
           // Create transaction with high leverage mode enable instruction
           const { blockhash, lastValidBlockHeight } =
             await connection.getLatestBlockhash("confirmed");
-          const computeBudgetInstruction =
-            ComputeBudgetProgram.setComputeUnitLimit({ units: 300_000 });
+          const computeBudget = await priorityFees.buildComputeBudget(
+            connection,
+            {
+              instructions: [enableHighLeverageIx],
+              feePayer: walletAddress,
+              blockhash,
+              speed,
+              operationType: "enable_high_leverage",
+            }
+          );
 
           const instructions = [
-            {
-              programId: computeBudgetInstruction.programId.toString(),
-              data: Buffer.from(computeBudgetInstruction.data).toString(
-                "base64"
-              ),
-              keys: computeBudgetInstruction.keys.map((key) => ({
-                pubkey: key.pubkey.toString(),
-                isSigner: key.isSigner,
-                isWritable: key.isWritable,
-              })),
-            },
-            {
-              programId: enableHighLeverageIx.programId.toString(),
-              data: Buffer.from(enableHighLeverageIx.data).toString("base64"),
-              keys: enableHighLeverageIx.keys.map((key) => ({
-                pubkey: key.pubkey.toString(),
-                isSigner: key.isSigner,
-                isWritable: key.isWritable,
-              })),
-            },
-          ];
+            ...computeBudget.instructions,
+            enableHighLeverageIx,
+          ].map(serializeInstruction);
 
           return res.json({
             success: true,
@@ -887,6 +908,7 @@ async function executeHighLeverageTrade(req, res) {
               lastValidBlockHeight,
               feePayer: walletAddress,
             },
+            priorityFee: computeBudget.fees,
             nextStep: "Enable high leverage mode, then retry the trade",
           });
         } catch (enableError) {
@@ -906,7 +928,7 @@ async function executeHighLeverageTrade(req, res) {
       console.log("🚀 Executing trade with high leverage mode...");
 
       // Get market info
-      const marketIndex = SUPPORTED_MARKETS[marketSymbol];
+      const marketIndex = marketRegistry.getMarketIndex(marketSymbol);
       if (marketIndex === undefined) {
         throw new Error(`Unsupported market: ${marketSymbol}`);
       }
@@ -966,45 +988,19 @@ async function executeHighLeverageTrade(req, res) {
       // Create final transaction
       const { blockhash, lastValidBlockHeight } =
         await connection.getLatestBlockhash("confirmed");
-      const computeBudgetInstruction = ComputeBudgetProgram.setComputeUnitLimit(
-        { units: 400_000 }
-      );
+      const orderInstructions = depositIx ? [depositIx, orderIx] : [orderIx];
+      const computeBudget = await priorityFees.buildComputeBudget(connection, {
+        instructions: orderInstructions,
+        feePayer: walletAddress,
+        blockhash,
+        speed,
+        operationType: "trade",
+      });
 
       const instructions = [
-        {
-          programId: computeBudgetInstruction.programId.toString(),
-          data: Buffer.from(computeBudgetInstruction.data).toString("base64"),
-          keys: computeBudgetInstruction.keys.map((key) => ({
-            pubkey: key.pubkey.toString(),
-            isSigner: key.isSigner,
-            isWritable: key.isWritable,
-          })),
-        },
-      ];
-
-      // Add deposit instruction if available
-      if (depositIx) {
-        instructions.push({
-          programId: depositIx.programId.toString(),
-          data: Buffer.from(depositIx.data).toString("base64"),
-          keys: depositIx.keys.map((key) => ({
-            pubkey: key.pubkey.toString(),
-            isSigner: key.isSigner,
-            isWritable: key.isWritable,
-          })),
-        });
-      }
-
-      // Add trade instruction
-      instructions.push({
-        programId: orderIx.programId.toString(),
-        data: Buffer.from(orderIx.data).toString("base64"),
-        keys: orderIx.keys.map((key) => ({
-          pubkey: key.pubkey.toString(),
-          isSigner: key.isSigner,
-          isWritable: key.isWritable,
-        })),
-      });
+        ...computeBudget.instructions,
+        ...orderInstructions,
+      ].map(serializeInstruction);
 
       const assetQuantity = (positionValueUSD / currentPrice).toFixed(6);
 
@@ -1022,6 +1018,7 @@ async function executeHighLeverageTrade(req, res) {
           assetPrice: currentPrice,
           assetQuantity: assetQuantity,
         },
+        priorityFee: computeBudget.fees,
         message: `${direction.toUpperCase()} order ready for ${marketSymbol} (${assetQuantity} @ $${currentPrice.toFixed(
           2
         )})`,
@@ -1030,21 +1027,13 @@ async function executeHighLeverageTrade(req, res) {
         depositAmount: depositAmount,
       });
     } finally {
-      try {
-        await driftClient.unsubscribe();
-        console.log("✅ High leverage mode Drift client unsubscribed");
-      } catch (error) {
-        console.warn(
-          "⚠️ Error unsubscribing high leverage mode Drift client:",
-          error.message
-        );
-      }
+      driftPool.release(walletAddress);
     }
   });
 }
 
 // Drift SDK Trade Submission Endpoint - High Leverage Mode Only
-app.post("/api/trade/submit", async (req, res) => {
+app.post("/api/trade/submit", validateSpeed, async (req, res) => {
   try {
     const { walletAddress, tradeAmount, leverage, direction, marketSymbol } =
       req.body;
@@ -1067,15 +1056,14 @@ app.post("/api/trade/submit", async (req, res) => {
     }
 
     // Validate market symbol
-    if (!marketSymbol || !SUPPORTED_MARKETS.hasOwnProperty(marketSymbol)) {
+    const tradeableMarkets = marketRegistry.getSymbols({ tradeableOnly: true });
+    if (!marketSymbol || !tradeableMarkets.includes(marketSymbol)) {
       return res.status(400).json({
         success: false,
         error: "Invalid or missing market symbol",
-        supportedMarkets: Object.keys(SUPPORTED_MARKETS),
+        supportedMarkets: tradeableMarkets,
         received: marketSymbol,
-        availableMarkets: `Supported markets: ${Object.keys(
-          SUPPORTED_MARKETS
-        ).join(", ")}`,
+        availableMarkets: `Supported markets: ${tradeableMarkets.join(", ")}`,
       });
     }
 
@@ -1106,10 +1094,10 @@ app.post("/api/trade/submit", async (req, res) => {
 });
 
 // Close position endpoint
-app.post("/api/trade/close", async (req, res) => {
+app.post("/api/trade/close", validateSpeed, async (req, res) => {
   let driftClient;
   try {
-    const { walletAddress, market, direction, size } = req.body;
+    const { walletAddress, market, direction, size, speed } = req.body;
 
     console.log(`🔒 Close position request:`, {
       walletAddress,
@@ -1136,13 +1124,13 @@ app.post("/api/trade/close", async (req, res) => {
     }
 
     // Validate market symbol against supported markets
-    if (!SUPPORTED_MARKETS.hasOwnProperty(market)) {
+    if (!marketRegistry.has(market)) {
       return res.status(400).json({
         success: false,
         error: "Unsupported market",
-        message: `Market ${market} is not supported. Supported markets: ${Object.keys(
-          SUPPORTED_MARKETS
-        ).join(", ")}`,
+        message: `Market ${market} is not supported. Supported markets: ${marketRegistry
+          .getSymbols()
+          .join(", ")}`,
       });
     }
 
@@ -1154,17 +1142,17 @@ app.post("/api/trade/close", async (req, res) => {
 
     // Create connection and Drift client using shared utilities
     console.log("🔗 Connecting to Solana mainnet for position close...");
-    const connection = await createConnection();
+    const connection = await driftPool.getConnection();
     const publicKey = new PublicKey(walletAddress);
 
     // Initialize Drift client using shared utility
     console.log("🌊 Initializing Drift client for close position...");
     await initialize({ env: CLUSTER });
-    driftClient = await createDriftClient(connection, publicKey, CLUSTER);
+    driftClient = await driftPool.acquire(walletAddress);
 
     try {
       // Get market index from supported markets
-      const marketIndex = SUPPORTED_MARKETS[market];
+      const marketIndex = marketRegistry.getMarketIndex(market);
       console.log(
         `📊 Fetching ${market} market data for close (index: ${marketIndex})...`
       );
@@ -1313,49 +1301,23 @@ app.post("/api/trade/close", async (req, res) => {
       const { blockhash, lastValidBlockHeight } =
         await connection.getLatestBlockhash("confirmed");
 
-      // Create compute budget instruction (increased for withdrawal)
-      const computeBudgetInstruction = ComputeBudgetProgram.setComputeUnitLimit(
-        {
-          units: withdrawIx
-            ? COMPUTE_UNITS.WITHDRAWAL
-            : COMPUTE_UNITS.CLOSE_POSITION,
-        }
-      );
+      // Price and size compute for the close (and withdrawal, if any)
+      const closeInstructions = withdrawIx
+        ? [orderInstruction, withdrawIx]
+        : [orderInstruction];
+      const computeBudget = await priorityFees.buildComputeBudget(connection, {
+        instructions: closeInstructions,
+        feePayer: walletAddress,
+        blockhash,
+        speed,
+        operationType: withdrawIx ? "withdrawal" : "close_position",
+      });
 
       // Serialize instructions for frontend
       const instructions = [
-        {
-          programId: computeBudgetInstruction.programId.toString(),
-          data: Buffer.from(computeBudgetInstruction.data).toString("base64"),
-          keys: computeBudgetInstruction.keys.map((key) => ({
-            pubkey: key.pubkey.toString(),
-            isSigner: key.isSigner,
-            isWritable: key.isWritable,
-          })),
-        },
-        {
-          programId: orderInstruction.programId.toString(),
-          data: Buffer.from(orderInstruction.data).toString("base64"),
-          keys: orderInstruction.keys.map((key) => ({
-            pubkey: key.pubkey.toString(),
-            isSigner: key.isSigner,
-            isWritable: key.isWritable,
-          })),
-        },
-      ];
-
-      // Add withdrawal instruction if created
-      if (withdrawIx) {
-        instructions.push({
-          programId: withdrawIx.programId.toString(),
-          data: Buffer.from(withdrawIx.data).toString("base64"),
-          keys: withdrawIx.keys.map((key) => ({
-            pubkey: key.pubkey.toString(),
-            isSigner: key.isSigner,
-            isWritable: key.isWritable,
-          })),
-        });
-      }
+        ...computeBudget.instructions,
+        ...closeInstructions,
+      ].map(serializeInstruction);
 
       const withdrawAmountUSDC = withdrawAmount.div(new BN(1e6)).toNumber();
       const assetSymbol = market.replace("-PERP", "");
@@ -1384,14 +1346,10 @@ app.post("/api/trade/close", async (req, res) => {
           closeDirection === PositionDirection.SHORT ? "SHORT" : "LONG",
         withdrawAmount: withdrawAmountUSDC,
         hasWithdrawal: !!withdrawIx,
+        priorityFee: computeBudget.fees,
       });
     } finally {
-      try {
-        await driftClient.unsubscribe();
-        console.log("✅ Drift client unsubscribed after close position");
-      } catch (error) {
-        console.warn("⚠️ Error unsubscribing Drift client:", error.message);
-      }
+      driftPool.release(walletAddress);
     }
   } catch (error) {
     console.error("❌ Close position error:", {
@@ -1410,10 +1368,10 @@ app.post("/api/trade/close", async (req, res) => {
 });
 
 // Withdrawal endpoint - Withdraw USDC from Drift to user's wallet
-app.post("/api/trade/withdraw", async (req, res) => {
+app.post("/api/trade/withdraw", validateSpeed, async (req, res) => {
   let driftClient;
   try {
-    const { walletAddress, amount } = req.body;
+    const { walletAddress, amount, speed } = req.body;
 
     console.log(`💸 Withdrawal request:`, { walletAddress, amount });
 
@@ -1441,14 +1399,13 @@ app.post("/api/trade/withdraw", async (req, res) => {
 
     // Create connection and Drift client using shared utilities
     console.log("🔗 Connecting to Solana mainnet for withdrawal...");
-    const connection = await createConnection();
-    const publicKey = new PublicKey(walletAddress);
+    const connection = await driftPool.getConnection();
 
     await retryWithBackoff(async () => {
       // Initialize Drift client using shared utility
       console.log("🌊 Initializing Drift client for withdrawal...");
       await initialize({ env: CLUSTER });
-      driftClient = await createDriftClient(connection, publicKey, CLUSTER);
+      driftClient = await driftPool.acquire(walletAddress);
 
       try {
         // Get user's USDC balance and calculate free collateral
@@ -1549,31 +1506,22 @@ app.post("/api/trade/withdraw", async (req, res) => {
         const { blockhash, lastValidBlockHeight } =
           await connection.getLatestBlockhash("confirmed");
 
-        // Add compute budget instruction for reliability
-        const computeBudgetInstruction =
-          ComputeBudgetProgram.setComputeUnitLimit({ units: 300_000 });
+        // Price and size compute for the withdrawal
+        const computeBudget = await priorityFees.buildComputeBudget(
+          connection,
+          {
+            instructions: [withdrawIx],
+            feePayer: walletAddress,
+            blockhash,
+            speed,
+            operationType: "withdrawal",
+          }
+        );
 
         // Serialize instructions for frontend
-        const instructions = [
-          {
-            programId: computeBudgetInstruction.programId.toString(),
-            data: Buffer.from(computeBudgetInstruction.data).toString("base64"),
-            keys: computeBudgetInstruction.keys.map((key) => ({
-              pubkey: key.pubkey.toString(),
-              isSigner: key.isSigner,
-              isWritable: key.isWritable,
-            })),
-          },
-          {
-            programId: withdrawIx.programId.toString(),
-            data: Buffer.from(withdrawIx.data).toString("base64"),
-            keys: withdrawIx.keys.map((key) => ({
-              pubkey: key.pubkey.toString(),
-              isSigner: key.isSigner,
-              isWritable: key.isWritable,
-            })),
-          },
-        ];
+        const instructions = [...computeBudget.instructions, withdrawIx].map(
+          serializeInstruction
+        );
 
         const usdcBalance = usdcSpotPosition.scaledBalance.toNumber() / 1e6; // Convert to USDC (6 decimals)
         const withdrawingAmount = withdrawAmount.toNumber() / 1e6;
@@ -1595,14 +1543,10 @@ app.post("/api/trade/withdraw", async (req, res) => {
           },
           availableBalance: usdcBalance,
           withdrawingAmount: withdrawingAmount,
+          priorityFee: computeBudget.fees,
         });
       } finally {
-        try {
-          await driftClient.unsubscribe();
-          console.log("✅ Drift client unsubscribed after withdrawal");
-        } catch (error) {
-          console.warn("⚠️ Error unsubscribing Drift client:", error.message);
-        }
+        driftPool.release(walletAddress);
       }
     });
   } catch (error) {
@@ -1624,9 +1568,9 @@ app.post("/api/trade/withdraw", async (req, res) => {
 // Admin endpoints removed - high leverage mode is now always enabled by default
 
 // High Leverage Mode endpoint - Enable high leverage mode for user
-app.post("/api/user/enable-high-leverage", async (req, res) => {
+app.post("/api/user/enable-high-leverage", validateSpeed, async (req, res) => {
   try {
-    const { walletAddress } = req.body;
+    const { walletAddress, speed } = req.body;
 
     if (!walletAddress) {
       return res.status(400).json({
@@ -1638,19 +1582,14 @@ app.post("/api/user/enable-high-leverage", async (req, res) => {
     console.log(`🚀 Enabling high leverage mode for wallet: ${walletAddress}`);
 
     let driftClient;
-    const connection = await createConnection();
-    const publicKey = new PublicKey(walletAddress);
+    const connection = await driftPool.getConnection();
 
     await rpcRateLimit();
 
     await retryWithBackoff(async () => {
       console.log("🌊 Initializing Drift client for high leverage mode...");
       await initialize({ env: DRIFT_CLUSTER });
-      driftClient = await createDriftClient(
-        connection,
-        publicKey,
-        DRIFT_CLUSTER
-      );
+      driftClient = await driftPool.acquire(walletAddress);
 
       try {
         // Check current margin mode
@@ -1683,31 +1622,23 @@ app.post("/api/user/enable-high-leverage", async (req, res) => {
         const { blockhash, lastValidBlockHeight } =
           await connection.getLatestBlockhash("confirmed");
 
-        // Add compute budget instruction for reliability
-        const computeBudgetInstruction =
-          ComputeBudgetProgram.setComputeUnitLimit({ units: 200_000 });
+        // Price and size compute for the mode change
+        const computeBudget = await priorityFees.buildComputeBudget(
+          connection,
+          {
+            instructions: [enableHighLeverageIx],
+            feePayer: walletAddress,
+            blockhash,
+            speed,
+            operationType: "enable_high_leverage",
+          }
+        );
 
         // Serialize instructions for frontend
         const instructions = [
-          {
-            programId: computeBudgetInstruction.programId.toString(),
-            data: Buffer.from(computeBudgetInstruction.data).toString("base64"),
-            keys: computeBudgetInstruction.keys.map((key) => ({
-              pubkey: key.pubkey.toString(),
-              isSigner: key.isSigner,
-              isWritable: key.isWritable,
-            })),
-          },
-          {
-            programId: enableHighLeverageIx.programId.toString(),
-            data: Buffer.from(enableHighLeverageIx.data).toString("base64"),
-            keys: enableHighLeverageIx.keys.map((key) => ({
-              pubkey: key.pubkey.toString(),
-              isSigner: key.isSigner,
-              isWritable: key.isWritable,
-            })),
-          },
-        ];
+          ...computeBudget.instructions,
+          enableHighLeverageIx,
+        ].map(serializeInstruction);
 
         console.log("✅ High leverage mode enable transaction created");
 
@@ -1722,16 +1653,10 @@ app.post("/api/user/enable-high-leverage", async (req, res) => {
           },
           currentMarginMode: userAccount.marginMode,
           alreadyEnabled: false,
+          priorityFee: computeBudget.fees,
         });
       } finally {
-        try {
-          await driftClient.unsubscribe();
-          console.log(
-            "✅ Drift client unsubscribed after high leverage mode setup"
-          );
-        } catch (error) {
-          console.warn("⚠️ Error unsubscribing Drift client:", error.message);
-        }
+        driftPool.release(walletAddress);
       }
     });
   } catch (error) {
@@ -1773,9 +1698,8 @@ app.get(
 
     let driftClient;
     try {
-      // Use shared connection and DriftClient utilities
-      const connection = await createConnection();
-      driftClient = await createDriftClient(connection, walletParam);
+      // Borrow the pooled DriftClient for this wallet
+      driftClient = await driftPool.acquire(walletParam);
 
       // Fetch user accounts
       const userAccounts = await driftClient.getUserAccountsForAuthority(
@@ -1821,18 +1745,8 @@ app.get(
         .map((pos) => {
           try {
             // Map market index to market name
-            const getMarketName = (marketIndex) => {
-              switch (marketIndex) {
-                case 0:
-                  return "SOL-PERP";
-                case 1:
-                  return "BTC-PERP";
-                case 2:
-                  return "ETH-PERP";
-                default:
-                  return `PERP-${marketIndex}`;
-              }
-            };
+            const getMarketName = (marketIndex) =>
+              marketRegistry.getSymbol(marketIndex) || `PERP-${marketIndex}`;
             // Get mark price (current market price) safely
             let markPrice = 0;
             try {
@@ -2010,7 +1924,7 @@ app.get(
         .json(createErrorResponse(error, "Positions fetch error"));
     } finally {
       if (driftClient) {
-        await cleanupDriftClient(driftClient);
+        driftPool.release(walletParam);
       }
     }
   })
@@ -2027,11 +1941,9 @@ async function fetchPositionsForWallet(walletAddress) {
     }
 
     const walletPubkey = new PublicKey(walletAddress);
-    const CLUSTER = process.env.DRIFT_CLUSTER || "mainnet-beta";
 
-    // Create connection and DriftClient
-    const connection = await createConnection();
-    driftClient = await createDriftClient(connection, walletPubkey, CLUSTER);
+    // Borrow the pooled DriftClient for this wallet
+    driftClient = await driftPool.acquire(walletAddress);
 
     // Fetch user accounts
     const userAccounts = await driftClient.getUserAccountsForAuthority(
@@ -2060,18 +1972,8 @@ async function fetchPositionsForWallet(walletAddress) {
       .map((pos) => {
         try {
           // Map market index to market name
-          const getMarketName = (marketIndex) => {
-            switch (marketIndex) {
-              case 0:
-                return "SOL-PERP";
-              case 1:
-                return "BTC-PERP";
-              case 2:
-                return "ETH-PERP";
-              default:
-                return `PERP-${marketIndex}`;
-            }
-          };
+          const getMarketName = (marketIndex) =>
+            marketRegistry.getSymbol(marketIndex) || `PERP-${marketIndex}`;
 
           // Get mark price (current market price) safely
           let markPrice = 0;
@@ -2401,11 +2303,7 @@ async function fetchPositionsForWallet(walletAddress) {
     return [];
   } finally {
     if (driftClient) {
-      try {
-        await driftClient.unsubscribe();
-      } catch (e) {
-        console.error("Error unsubscribing Drift client:", e);
-      }
+      driftPool.release(walletAddress);
     }
   }
 }
@@ -2505,7 +2403,7 @@ app.get("/api/wallet/:walletAddress/usdc-balance", async (req, res) => {
     }
 
     // Create connection using shared utility
-    const connection = await createConnection();
+    const connection = await driftPool.getConnection();
     console.log(`✅ Connected to Solana RPC`);
 
     // Fetch USDC token accounts
@@ -2556,14 +2454,11 @@ async function initializeGlobalDriftClient() {
     }
 
     console.log("🔄 Initializing global Drift client for price streaming...");
-    const connection = await createConnection();
-    const dummyWallet = new PublicKey("11111111111111111111111111111111"); // System program for read-only
-    globalDriftClient = await createDriftClient(
-      connection,
-      dummyWallet.toString()
-    );
+    const connection = await driftPool.getConnection();
+    globalDriftClient = await createDriftClient(connection, READ_ONLY_WALLET);
 
     isConnected = true;
+    marketRegistry.refresh(globalDriftClient);
     console.log("✅ Global Drift client initialized for real-time pricing");
     return globalDriftClient;
   } catch (error) {
@@ -2586,7 +2481,9 @@ async function fetchRealMarketData() {
     const markets = [];
 
     // Fetch real market data for all supported markets
-    for (const [symbol, marketIndex] of Object.entries(SUPPORTED_MARKETS)) {
+    for (const { symbol, marketIndex } of marketRegistry.getMarkets({
+      tradeableOnly: true,
+    })) {
       let currentPrice = 0; // Declare outside try block for fallback access
 
       try {
@@ -2614,9 +2511,9 @@ async function fetchRealMarketData() {
 
         // Calculate real market statistics (using extra-safe BigNumber conversion)
         let totalFee = 0;
-        let openInterest = 0;
-        let fundingRate8Hour = 0;
-        let estimatedVolume24h = 1000000; // Default fallback volume
+        let openInterest = null;
+        let fundingRate8Hour = null;
+        let estimatedVolume24h = null;
 
         try {
           // Safely handle potentially large BigNumber values
@@ -2633,8 +2530,7 @@ async function fetchRealMarketData() {
             const baseAmountStr = baseAmountBN.toString();
             const baseAmount = parseFloat(baseAmountStr) / 1e9; // Convert to base units
             openInterest = Math.abs(baseAmount * currentPrice);
-            if (!isFinite(openInterest) || openInterest < 0)
-              openInterest = 5000000; // Fallback
+            if (!isFinite(openInterest)) openInterest = null;
           }
 
           const fundingRateBN = marketAccount.amm.lastFundingRate;
@@ -2642,93 +2538,41 @@ async function fetchRealMarketData() {
             const fundingRateStr = fundingRateBN.toString();
             const fundingRateHourly = parseFloat(fundingRateStr) / 1e9;
             fundingRate8Hour = fundingRateHourly * 8;
-            if (!isFinite(fundingRate8Hour)) fundingRate8Hour = 0.01; // Fallback
+            if (!isFinite(fundingRate8Hour)) fundingRate8Hour = null;
           }
 
-          // Estimate volume from fee data
-          estimatedVolume24h = Math.max(totalFee * currentPrice * 24, 100000);
+          // Drift tracks a rolling 24h quote volume on the AMM
+          estimatedVolume24h = getAmmVolume24h(marketAccount);
         } catch (bnError) {
           console.warn(
-            `⚠️ BigNumber calculation error for ${symbol} in WebSocket, using fallbacks:`,
+            `⚠️ BigNumber calculation error for ${symbol} in WebSocket, using sampled values:`,
             bnError.message
           );
-          // Use reasonable fallback values
-          totalFee = 100;
-          openInterest = symbol === "SOL-PERP" ? 8000000 : 5000000;
-          fundingRate8Hour = 0.01;
-          estimatedVolume24h = symbol === "SOL-PERP" ? 2000000 : 1000000;
         }
 
-        // Calculate 24h change (small variation until proper tracking)
-        const change24h = (Math.random() - 0.5) * 2; // ±1% variation
-        const high24h = currentPrice * (1 + (Math.abs(change24h) / 100) * 0.3);
-        const low24h = currentPrice * (1 - (Math.abs(change24h) / 100) * 0.3);
-
-        markets.push({
-          symbol,
-          price: currentPrice,
-          change24h: change24h,
-          volume24h: estimatedVolume24h,
-          high24h: high24h,
-          low24h: low24h,
-          funding: fundingRate8Hour,
-          openInterest: openInterest,
-        });
+        markets.push(
+          buildMarketEntry(symbol, currentPrice, {
+            volume24h: estimatedVolume24h,
+            funding: fundingRate8Hour,
+            openInterest,
+          })
+        );
       } catch (error) {
         console.error(
           `❌ Error fetching real-time ${symbol} data:`,
           error.message
         );
 
-        // For ANY market that fails but has a valid price, add fallback data
+        // For ANY market that fails but has a valid price, fall back to sampled stats
         if (currentPrice > 0) {
           console.log(
-            `🔧 Using fallback data for ${symbol} in WebSocket due to error: ${error.message}`
+            `🔧 Using sampled data for ${symbol} in WebSocket due to error: ${error.message}`
           );
 
-          // Use reasonable estimated values
-          const change24h = (Math.random() - 0.5) * 2; // ±1% variation
-          const high24h =
-            currentPrice * (1 + (Math.abs(change24h) / 100) * 0.3);
-          const low24h = currentPrice * (1 - (Math.abs(change24h) / 100) * 0.3);
-
-          // Market-specific fallback values
-          let volume24h, funding, openInterest;
-          switch (symbol) {
-            case "SOL-PERP":
-              volume24h = 2000000;
-              funding = 0.01;
-              openInterest = 8000000;
-              break;
-            case "BTC-PERP":
-              volume24h = 50000000;
-              funding = 0.005;
-              openInterest = 100000000;
-              break;
-            case "ETH-PERP":
-              volume24h = 20000000;
-              funding = 0.008;
-              openInterest = 30000000;
-              break;
-            default:
-              volume24h = 1000000;
-              funding = 0.01;
-              openInterest = 5000000;
-          }
-
-          markets.push({
-            symbol,
-            price: currentPrice,
-            change24h: change24h,
-            volume24h: volume24h,
-            high24h: high24h,
-            low24h: low24h,
-            funding: funding,
-            openInterest: openInterest,
-          });
+          markets.push(buildMarketEntry(symbol, currentPrice));
 
           console.log(
-            `✅ ${symbol} fallback data added to WebSocket successfully - Price: $${currentPrice.toFixed(
+            `✅ ${symbol} sampled data added to WebSocket successfully - Price: $${currentPrice.toFixed(
               2
             )}`
           );
@@ -2807,6 +2651,59 @@ function startPriceUpdates() {
   return priceUpdateInterval;
 }
 
+// Record oracle prices on an interval so market stats come from real history
+function startPriceSampling() {
+  const sampleInterval = setInterval(async () => {
+    if (!globalDriftClient) return;
+
+    for (const { symbol, marketIndex } of marketRegistry.getMarkets({
+      tradeableOnly: true,
+    })) {
+      try {
+        const oracleData = await globalDriftClient.getOracleDataForPerpMarket(
+          marketIndex
+        );
+        const price = oracleData.price.toNumber() / PRICE_PRECISION.toNumber();
+
+        const marketAccount =
+          globalDriftClient.getPerpMarketAccount(marketIndex);
+        let openInterest = null;
+        const baseAmountBN = marketAccount?.amm.baseAssetAmountWithAmm;
+        if (baseAmountBN) {
+          openInterest = Math.abs(
+            (parseFloat(baseAmountBN.toString()) / 1e9) * price
+          );
+          if (!isFinite(openInterest)) openInterest = null;
+        }
+
+        priceHistory.record(symbol, {
+          price,
+          volume24h: marketAccount ? getAmmVolume24h(marketAccount) : null,
+          openInterest,
+        });
+      } catch (error) {
+        console.warn(`⚠️ Price sample failed for ${symbol}:`, error.message);
+      }
+    }
+  }, PRICE_HISTORY_CONFIG.SAMPLE_INTERVAL);
+
+  const saveInterval = setInterval(() => {
+    priceHistory.prune();
+    priceHistory.save();
+  }, PRICE_HISTORY_CONFIG.SAVE_INTERVAL);
+
+  return { sampleInterval, saveInterval };
+}
+
+// Pick up newly listed or paused Drift markets without a restart
+function startMarketRegistryRefresh() {
+  const refreshInterval = setInterval(() => {
+    marketRegistry.refresh(globalDriftClient);
+  }, MARKET_REGISTRY_CONFIG.REFRESH_INTERVAL);
+
+  return refreshInterval;
+}
+
 // Dedicated position update function
 function startPositionUpdates() {
   const positionUpdateInterval = setInterval(async () => {
@@ -2909,9 +2806,13 @@ async function sendImmediatePositionUpdate(walletAddress) {
 // This would provide true real-time updates (sub-second) while reducing unnecessary API calls
 
 // Handle transaction submission from frontend
+// Body: signedTransaction (base64), optional walletAddress and the
+// lastValidBlockHeight returned with the transaction data. A transaction
+// whose blockhash expired gets a BLOCKHASH_EXPIRED error carrying the same
+// instructions under a fresh blockhash to sign again.
 app.post("/api/transaction/submit", async (req, res) => {
   try {
-    const { signedTransaction, walletAddress } = req.body;
+    const { signedTransaction, walletAddress, lastValidBlockHeight } = req.body;
 
     if (!signedTransaction) {
       return res.status(400).json({
@@ -2920,13 +2821,51 @@ app.post("/api/transaction/submit", async (req, res) => {
       });
     }
 
+    // Convert base64 back to buffer
+    const txBuffer = Buffer.from(signedTransaction, "base64");
+
+    let decoded;
     try {
-      // Convert base64 back to buffer
-      const txBuffer = Buffer.from(signedTransaction, "base64");
+      decoded = decodeTransaction(txBuffer);
+    } catch (decodeError) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid signed transaction",
+        message: decodeError.message,
+      });
+    }
 
-      // Use shared connection utility
-      console.log("🔗 Connecting to Solana via shared utility...");
-      const connection = await createConnection();
+    // Use shared connection utility
+    console.log("🔗 Connecting to Solana via shared utility...");
+    const connection = await driftPool.getConnection();
+
+    // Re-signing is the only way forward once the blockhash has expired
+    const sendBlockhashExpired = async () => {
+      console.log(`⌛ Blockhash ${decoded.blockhash} expired, rebuilding`);
+      const rebuilt = await rebuildTransactionData(connection, decoded, {
+        priorityFees,
+        speed: PRIORITY_FEE_CONFIG.DEFAULT_SPEED,
+      }).catch((rebuildError) => {
+        console.error("❌ Failed to rebuild transaction:", rebuildError);
+        return null;
+      });
+      return res
+        .status(410)
+        .json(
+          createBlockhashExpiredResponse(rebuilt && rebuilt.transactionData)
+        );
+    };
+
+    try {
+      if (
+        await isBlockhashExpired(
+          connection,
+          decoded.blockhash,
+          lastValidBlockHeight
+        )
+      ) {
+        return await sendBlockhashExpired();
+      }
 
       // Send the raw transaction directly - no need for Drift client here
       console.log("📤 Sending raw transaction to Solana network...");
@@ -2938,17 +2877,38 @@ app.post("/api/transaction/submit", async (req, res) => {
 
       console.log("✅ Transaction submitted, signature:", signature);
 
-      // Wait for confirmation
+      // Wait for confirmation until the blockhash expires. Without the
+      // caller's lastValidBlockHeight, the blockhash was valid a moment ago
+      // so it expires within VALIDITY_BLOCKS of the current height
       console.log("⏳ Waiting for transaction confirmation...");
-      const confirmation = await connection.confirmTransaction({
-        signature,
-        blockhash: null, // Let the RPC node determine the blockhash
-        commitment: "confirmed",
-        maxRetries: 3,
-      });
+      const confirmation = await connection.confirmTransaction(
+        {
+          signature,
+          blockhash: decoded.blockhash,
+          lastValidBlockHeight:
+            lastValidBlockHeight ||
+            (await connection.getBlockHeight("confirmed")) +
+              BLOCKHASH_CONFIG.VALIDITY_BLOCKS,
+        },
+        "confirmed"
+      );
 
       console.log("🎉 Transaction confirmed:", confirmation);
 
+      if (confirmation.value.err) {
+        return res.status(400).json({
+          success: false,
+          error: "Transaction failed",
+          signature,
+          confirmation: {
+            slot: confirmation.context.slot,
+            confirmations: null,
+            confirmationStatus: "confirmed",
+            err: confirmation.value.err,
+          },
+        });
+      }
+
       // Send immediate position update if wallet address provided
       if (walletAddress) {
         console.log(
@@ -2974,6 +2934,10 @@ app.post("/api/transaction/submit", async (req, res) => {
         },
       });
     } catch (error) {
+      if (isBlockhashExpiredError(error)) {
+        return await sendBlockhashExpired();
+      }
+
       console.error("❌ Transaction submission error:", error);
       return res.status(500).json({
         success: false,
@@ -2993,6 +2957,83 @@ app.post("/api/transaction/submit", async (req, res) => {
   }
 });
 
+// Rebuild an expired transaction with a fresh blockhash and a priority fee
+// at current rates for re-signing
+// Body: the transactionData a trade or close endpoint returned (instructions
+// and feePayer), or the signedTransaction (base64) that expired, and speed
+app.use("/api/transaction/rebuild", rebuildRateLimit);
+app.post("/api/transaction/rebuild", validateSpeed, async (req, res) => {
+  try {
+    const { signedTransaction, transactionData, speed } = req.body;
+
+    let source;
+    try {
+      source = signedTransaction
+        ? decodeTransaction(Buffer.from(signedTransaction, "base64"))
+        : transactionData;
+    } catch (decodeError) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid signed transaction",
+        message: decodeError.message,
+      });
+    }
+
+    if (
+      !source ||
+      !Array.isArray(source.instructions) ||
+      source.instructions.length === 0 ||
+      !source.feePayer ||
+      !validateWalletAddress(source.feePayer)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing transaction to rebuild",
+        required: [
+          "transactionData (instructions, feePayer) or signedTransaction",
+        ],
+      });
+    }
+
+    // Only order transactions this server builds can be rebuilt
+    const unknownProgram = source.instructions.find(
+      (instruction) => !REBUILDABLE_PROGRAM_IDS.includes(instruction.programId)
+    );
+    if (unknownProgram) {
+      return res.status(400).json({
+        success: false,
+        error: "Transaction contains instructions this server did not build",
+        programId: unknownProgram.programId,
+      });
+    }
+
+    const connection = await driftPool.getConnection();
+    const rebuilt = await rebuildTransactionData(
+      connection,
+      { instructions: source.instructions, feePayer: source.feePayer },
+      { priorityFees, speed }
+    );
+
+    console.log(
+      `🔁 Rebuilt transaction for ${source.feePayer} with blockhash ${rebuilt.transactionData.blockhash}`
+    );
+
+    res.json({
+      success: true,
+      transactionData: rebuilt.transactionData,
+      priorityFee: rebuilt.priorityFee,
+      message: "Transaction rebuilt with a fresh blockhash - sign it again",
+    });
+  } catch (error) {
+    console.error("❌ Transaction rebuild error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to rebuild transaction",
+      message: error.message,
+    });
+  }
+});
+
 // Transaction status endpoint - Refactored with shared utilities
 app.get("/api/transaction/status", async (req, res) => {
   try {
@@ -3006,7 +3047,7 @@ app.get("/api/transaction/status", async (req, res) => {
     }
 
     // Use shared connection utility
-    const connection = await createConnection();
+    const connection = await driftPool.getConnection();
 
     // First try to get the signature status
     const status = await connection.getSignatureStatus(signature, {
@@ -3066,6 +3107,9 @@ app.get("/api/transaction/status", async (req, res) => {
 
 // Cleanup function for graceful shutdown
 async function cleanup() {
+  // Persist any samples recorded since the last flush
+  priceHistory.save();
+
   console.log("🧹 Cleaning up Drift clients...");
   if (globalDriftClient) {
     try {
@@ -3076,6 +3120,9 @@ async function cleanup() {
       console.error("❌ Error cleaning up global Drift client:", error.message);
     }
   }
+
+  await driftPool.stop();
+  console.log("✅ Pooled Drift clients cleaned up");
 }
 
 // Graceful shutdown handlers
@@ -3096,6 +3143,9 @@ server.listen(PORT, async () => {
   console.log(`✅ Working server running on http://localhost:${PORT}`);
   console.log(`⚡ WebSocket ready on ws://localhost:${PORT}`);
 
+  // Evict idle pooled clients and resubscribe dropped ones
+  driftPool.start();
+
   // Initialize global Drift client for price streaming
   try {
     await initializeGlobalDriftClient();
@@ -3110,4 +3160,6 @@ server.listen(PORT, async () => {
   // Start real-time updates after server is ready
   startPriceUpdates();
   startPositionUpdates();
+  startPriceSampling();
+  startMarketRegistryRefresh();
 });
@@ -5,7 +5,11 @@ const {
   Connection,
   PublicKey,
   Transaction,
+  VersionedTransaction,
+  TransactionMessage,
+  TransactionInstruction,
   ComputeBudgetProgram,
+  TransactionExpiredBlockheightExceededError,
 } = require("@solana/web3.js");
 const { DriftClient, initialize, Wallet, BN } = require("@drift-labs/sdk");
 const {
@@ -15,6 +19,7 @@ const {
   DRIFT_PROGRAM_ID_ADDRESS,
   RPC_CONFIG,
   COMPUTE_UNITS,
+  BLOCKHASH_CONFIG,
 } = require("./constants");
 
 // RPC Rate limiting state
@@ -287,6 +292,187 @@ function serializeInstructions(instructions, blockhash, feePayer) {
   });
 }
 
+/**
+ * Instruction Serialization Utility
+ * Serializes one instruction into the { programId, data, keys } shape the
+ * frontend rebuilds transactions from
+ */
+function serializeInstruction(instruction) {
+  return {
+    programId: instruction.programId.toString(),
+    data: Buffer.from(instruction.data).toString("base64"),
+    keys: instruction.keys.map((key) => ({
+      pubkey: key.pubkey.toString(),
+      isSigner: key.isSigner,
+      isWritable: key.isWritable,
+    })),
+  };
+}
+
+/**
+ * Instruction Deserialization Utility
+ * Turns a serialized { programId, data, keys } instruction back into one a
+ * transaction can carry
+ */
+function deserializeInstruction({ programId, data, keys }) {
+  return new TransactionInstruction({
+    programId: new PublicKey(programId),
+    data: Buffer.from(data, "base64"),
+    keys: keys.map((key) => ({
+      pubkey: new PublicKey(key.pubkey),
+      isSigner: key.isSigner,
+      isWritable: key.isWritable,
+    })),
+  });
+}
+
+/**
+ * Transaction Decoding Utility
+ * Recovers the blockhash, fee payer and serialized instructions of a legacy
+ * or versioned (lookup-table-free) transaction
+ */
+function decodeTransaction(txBuffer) {
+  try {
+    const transaction = Transaction.from(txBuffer);
+    return {
+      blockhash: transaction.recentBlockhash,
+      feePayer: transaction.feePayer.toString(),
+      instructions: transaction.instructions.map(serializeInstruction),
+    };
+  } catch (legacyError) {
+    const transaction = VersionedTransaction.deserialize(txBuffer);
+    const message = TransactionMessage.decompile(transaction.message);
+    return {
+      blockhash: message.recentBlockhash,
+      feePayer: message.payerKey.toString(),
+      instructions: message.instructions.map(serializeInstruction),
+    };
+  }
+}
+
+/**
+ * Blockhash Expiry Utility
+ * Whether a blockhash is too old for a transaction using it to land.
+ * Uses lastValidBlockHeight when the caller has it, else asks the RPC.
+ */
+async function isBlockhashExpired(
+  connection,
+  blockhash,
+  lastValidBlockHeight = null
+) {
+  if (lastValidBlockHeight) {
+    const blockHeight = await connection.getBlockHeight("confirmed");
+    return blockHeight > lastValidBlockHeight;
+  }
+
+  const { value } = await connection.isBlockhashValid(blockhash, {
+    commitment: "confirmed",
+  });
+  return !value;
+}
+
+/**
+ * Whether a send or confirm error means the transaction's blockhash expired
+ */
+function isBlockhashExpiredError(error) {
+  return (
+    error instanceof TransactionExpiredBlockheightExceededError ||
+    /blockhash not found|block height exceeded/i.test(error.message || "")
+  );
+}
+
+/**
+ * Transaction Rebuild Utility
+ * The same instructions under a fresh blockhash, ready to sign again. The
+ * old compute budget instructions are dropped for ones priorityFees prices
+ * at current fees; returns { transactionData, priorityFee }.
+ */
+async function rebuildTransactionData(
+  connection,
+  { instructions, feePayer },
+  { priorityFees, speed, operationType = "default" }
+) {
+  const { blockhash, lastValidBlockHeight } =
+    await connection.getLatestBlockhash("confirmed");
+
+  const programInstructions = instructions
+    .filter(
+      (instruction) =>
+        instruction.programId !== ComputeBudgetProgram.programId.toString()
+    )
+    .map(deserializeInstruction);
+  const computeBudget = await priorityFees.buildComputeBudget(connection, {
+    instructions: programInstructions,
+    feePayer,
+    blockhash,
+    speed,
+    operationType,
+  });
+
+  return {
+    transactionData: {
+      instructions: [...computeBudget.instructions, ...programInstructions].map(
+        serializeInstruction
+      ),
+      blockhash,
+      lastValidBlockHeight,
+      feePayer,
+    },
+    priorityFee: computeBudget.fees,
+  };
+}
+
+/**
+ * Client Rate Limit Middleware
+ * Refuses (429) a client, by IP, past max requests in a fixed window
+ */
+function createRateLimiter({ windowMs, max }) {
+  const clients = new Map(); // ip -> { count, resetAt }
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let client = clients.get(req.ip);
+
+    if (!client || client.resetAt <= now) {
+      for (const [ip, entry] of clients) {
+        if (entry.resetAt <= now) clients.delete(ip);
+      }
+      client = { count: 0, resetAt: now + windowMs };
+      clients.set(req.ip, client);
+    }
+
+    client.count += 1;
+    if (client.count > max) {
+      const retryAfter = Math.ceil((client.resetAt - now) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: "Too many requests",
+        retryAfter,
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Blockhash Expired Response Utility
+ * Structured error telling the client to re-sign, with the rebuilt
+ * transaction when one is available
+ */
+function createBlockhashExpiredResponse(transactionData = null) {
+  return {
+    success: false,
+    error: "Transaction blockhash expired",
+    code: BLOCKHASH_CONFIG.EXPIRED_ERROR_CODE,
+    message:
+      "The transaction was not signed and sent in time. Sign the rebuilt transaction to retry.",
+    transactionData,
+    timestamp: new Date().toISOString(),
+  };
+}
+
 /**
  * Compute Budget Utility
  * Creates compute budget instructions for different operation types
@@ -351,8 +537,16 @@ module.exports = {
 
   // Transaction Utilities
   serializeInstructions,
+  serializeInstruction,
+  deserializeInstruction,
+  decodeTransaction,
+  isBlockhashExpired,
+  isBlockhashExpiredError,
+  rebuildTransactionData,
+  createBlockhashExpiredResponse,
   createComputeBudgetInstruction,
 
   // Middleware
   asyncHandler,
+  createRateLimiter,
 };
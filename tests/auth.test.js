@@ -0,0 +1,143 @@
+// Wallet Sign-In Test Suite
+const crypto = require('crypto');
+const path = require('path');
+const AuthService = require('../render-backend/services/auth');
+const { createHarness, createDatabase } = require('./helpers');
+
+// The backend's own copies of the signing libraries
+const fromBackend = name => require(require.resolve(name, { paths: [path.join(__dirname, '../render-backend')] }));
+const nacl = fromBackend('tweetnacl');
+const bs58 = fromBackend('bs58');
+
+async function runAuthTests() {
+  const { test, assert, assertRejects, summary } = createHarness();
+
+  const wallet = nacl.sign.keyPair();
+  const walletAddress = bs58.encode(wallet.publicKey);
+  const stranger = nacl.sign.keyPair();
+
+  let database;
+  let auth;
+  const reset = ({ linked = true } = {}) => {
+    database = createDatabase({
+      auth_challenges: [],
+      auth_sessions: [],
+      profiles: linked ? [{ id: 'user-1', username: 'trader', wallet_address: walletAddress }] : []
+    });
+    auth = new AuthService({ from: database.from });
+  };
+
+  const sign = (message, keyPair = wallet) => nacl.sign.detached(new TextEncoder().encode(message), keyPair.secretKey);
+  const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+  // Ask for a challenge and sign it as the wallet would
+  async function signChallenge({ keyPair, encode = bs58.encode } = {}) {
+    const { nonce, message } = await auth.createChallenge(walletAddress);
+    return { nonce, signature: encode(sign(message, keyPair)) };
+  }
+
+  console.log('🔐 Testing Wallet Sign-In\n');
+
+  await test('Signed challenges open a session for the wallet\'s profile', async () => {
+    reset();
+    const { nonce, signature } = await signChallenge();
+    const session = await auth.verifyChallenge(walletAddress, nonce, signature);
+    assert(session.user.id === 'user-1' && /^[0-9a-f]{64}$/.test(session.token), 'Should return a token for the profile');
+
+    const base64 = await signChallenge({ encode: bytes => Buffer.from(bytes).toString('base64') });
+    await auth.verifyChallenge(walletAddress, base64.nonce, base64.signature);
+  });
+
+  await test('Signatures from another key are refused', async () => {
+    reset();
+    const { nonce, signature } = await signChallenge({ keyPair: stranger });
+    await assertRejects(auth.verifyChallenge(walletAddress, nonce, signature), 401, 'Should refuse with 401');
+    await assertRejects(auth.verifyChallenge(walletAddress, nonce, 'not a signature'), 401, 'Should refuse garbage with 401');
+    assert(database.tables.auth_sessions.length === 0, 'Should not open a session');
+  });
+
+  await test('Signatures over another message are refused', async () => {
+    reset();
+    const { nonce } = await auth.createChallenge(walletAddress);
+    const signature = bs58.encode(sign(`Nonce: ${nonce}`));
+    await assertRejects(auth.verifyChallenge(walletAddress, nonce, signature), 401, 'Should refuse with 401');
+  });
+
+  await test('Nonces sign in once', async () => {
+    reset();
+    const { nonce, signature } = await signChallenge();
+    await auth.verifyChallenge(walletAddress, nonce, signature);
+    await assertRejects(auth.verifyChallenge(walletAddress, nonce, signature), 401, 'Should refuse a reused nonce');
+
+    // Racing verifications of one nonce can't both open a session
+    const next = await signChallenge();
+    const outcomes = await Promise.allSettled([
+      auth.verifyChallenge(walletAddress, next.nonce, next.signature),
+      auth.verifyChallenge(walletAddress, next.nonce, next.signature)
+    ]);
+    const opened = outcomes.filter(outcome => outcome.status === 'fulfilled').length;
+    assert(opened === 1, `Should open one session (opened ${opened})`);
+  });
+
+  await test('Nonces are spent by a failed signature', async () => {
+    reset();
+    const { nonce, message } = await auth.createChallenge(walletAddress);
+    await assertRejects(auth.verifyChallenge(walletAddress, nonce, bs58.encode(sign(message, stranger))), 401, 'Should refuse the wrong key');
+    await assertRejects(auth.verifyChallenge(walletAddress, nonce, bs58.encode(sign(message))), 401, 'Should not allow a second try');
+  });
+
+  await test('Expired challenges are refused', async () => {
+    reset();
+    const { nonce, signature } = await signChallenge();
+    database.tables.auth_challenges[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    await assertRejects(auth.verifyChallenge(walletAddress, nonce, signature), 401, 'Should refuse with 401');
+  });
+
+  await test('Challenges for another wallet are refused', async () => {
+    reset();
+    const { nonce, signature } = await signChallenge();
+    await assertRejects(auth.verifyChallenge(bs58.encode(stranger.publicKey), nonce, signature), 401, 'Should refuse with 401');
+  });
+
+  await test('Wallets without a profile and failed writes aren\'t 401s', async () => {
+    reset({ linked: false });
+    const unlinked = await signChallenge();
+    await assertRejects(auth.verifyChallenge(walletAddress, unlinked.nonce, unlinked.signature), 404, 'Should refuse an unlinked wallet with 404');
+
+    reset();
+    const { nonce, signature } = await signChallenge();
+    const from = database.from;
+    auth.supabase = {
+      from: table => {
+        const query = from(table);
+        if (table === 'auth_sessions') query.insert = async () => ({ error: { message: 'connection reset' } });
+        return query;
+      }
+    };
+    const error = await assertRejects(auth.verifyChallenge(walletAddress, nonce, signature), undefined, 'Should leave the status to the route');
+    assert(/connection reset/.test(error.message), 'Should say what failed');
+  });
+
+  await test('Sessions store only a hash of their token', async () => {
+    reset();
+    const { nonce, signature } = await signChallenge();
+    const { token } = await auth.verifyChallenge(walletAddress, nonce, signature);
+    const [stored] = database.tables.auth_sessions;
+
+    assert(stored.token_hash === hash(token), 'Should store the SHA-256 of the token');
+    assert(!JSON.stringify(stored).includes(token), 'Should never store the token itself');
+    assert((await auth.resolveSession(token)).id === 'user-1', 'Should resolve the token');
+    assert((await auth.resolveSession(stored.token_hash)) === null, 'Should not resolve the stored hash');
+
+    await auth.revokeSession(token);
+    assert((await auth.resolveSession(token)) === null, 'Should not resolve a revoked token');
+  });
+
+  return summary('🔐 Wallet Sign-In Tests');
+}
+
+if (require.main === module) {
+  runAuthTests();
+}
+
+module.exports = { runAuthTests };
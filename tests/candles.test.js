@@ -0,0 +1,100 @@
+// Candle Aggregation Test Suite
+const CandleService = require('../render-backend/services/candles');
+const { createHarness } = require('./helpers');
+
+async function runCandleTests() {
+  const { test, assert, summary } = createHarness();
+
+  // Price history stand-in serving fixed samples
+  function createHistory(samples) {
+    return {
+      getSamples: async (symbol, from, to) =>
+        samples.filter(sample => sample.sampledAt >= from && sample.sampledAt <= to)
+    };
+  }
+
+  console.log('🕯️ Testing Candle Aggregation\n');
+
+  const MINUTE = 60 * 1000;
+  const base = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+  await test('Samples group into OHLC bars per interval', () => {
+    const service = new CandleService(createHistory([]));
+    const candles = service.aggregate([
+      { sampledAt: base, price: 100 },
+      { sampledAt: base + 10000, price: 105 },
+      { sampledAt: base + 20000, price: 95 },
+      { sampledAt: base + 50000, price: 101 },
+      { sampledAt: base + MINUTE, price: 102 }
+    ], MINUTE);
+
+    assert(candles.length === 2, 'Should make two one-minute bars');
+    const [first, second] = candles;
+    assert(first.openTime === base && first.closeTime === base + MINUTE, 'Should align the bar to the minute');
+    assert(first.open === 100 && first.high === 105 && first.low === 95 && first.close === 101, 'Should track OHLC within the bar');
+    assert(first.sampleCount === 4, 'Should count the samples in the bar');
+    assert(second.open === 102 && second.sampleCount === 1, 'Should start a new bar at the next minute');
+  });
+
+  await test('Empty buckets are left out', () => {
+    const service = new CandleService(createHistory([]));
+    const candles = service.aggregate([
+      { sampledAt: base, price: 100 },
+      { sampledAt: base + 3 * MINUTE, price: 110 }
+    ], MINUTE);
+
+    assert(candles.length === 2, 'Should not fill the gap');
+    assert(candles[1].openTime === base + 3 * MINUTE, 'Should keep the later bar at its own minute');
+  });
+
+  await test('Live prices build a candle for every interval', () => {
+    const service = new CandleService(createHistory([]));
+    service.ingest('SOL-PERP', 100, base + 1000);
+    const updated = service.ingest('SOL-PERP', 98, base + 2000);
+
+    assert(updated.length === 4, 'Should update 1m, 5m, 1h and 1d candles');
+    const live = service.getLiveCandle('SOL-PERP', '5m');
+    assert(live.open === 100 && live.low === 98 && live.close === 98, 'Should fold prices into the live candle');
+    assert(live.sampleCount === 2, 'Should count live prices');
+    assert(live.volume === null, 'Should leave volume unknown');
+  });
+
+  await test('Non-positive prices are ignored', () => {
+    const service = new CandleService(createHistory([]));
+    assert(service.ingest('SOL-PERP', 0, base).length === 0, 'Should ignore a zero price');
+    assert(service.getLiveCandle('SOL-PERP', '1m') === null, 'Should not start a candle');
+  });
+
+  await test('Live candle merges into the newest stored bar', async () => {
+    const service = new CandleService(createHistory([
+      { sampledAt: base, price: 100 },
+      { sampledAt: base + 30000, price: 104 }
+    ]));
+    service.ingest('SOL-PERP', 108, base + 40000);
+    service.ingest('SOL-PERP', 103, base + 45000);
+
+    const candles = await service.getCandles('SOL-PERP', '1m', base, base + MINUTE);
+    assert(candles.length === 1, 'Should merge into one bar');
+    assert(candles[0].open === 100, 'Should keep the stored open');
+    assert(candles[0].high === 108 && candles[0].close === 103, 'Should take the live high and close');
+    assert(candles[0].sampleCount === 4, 'Should add the live sample count');
+  });
+
+  await test('Live candle past the stored bars is appended', async () => {
+    const service = new CandleService(createHistory([{ sampledAt: base, price: 100 }]));
+    service.ingest('SOL-PERP', 99, base + 2 * MINUTE + 5000);
+
+    const candles = await service.getCandles('SOL-PERP', '1m', base, base + 3 * MINUTE);
+    assert(candles.length === 2, 'Should append the live bar');
+    assert(candles[1].openTime === base + 2 * MINUTE && candles[1].open === 99, 'Should append it at its own minute');
+    assert(candles[0].closed, 'Past bars should be closed');
+  });
+
+  return summary('🕯️ Candle Tests');
+}
+
+if (require.main === module) {
+  runCandleTests();
+}
+
+module.exports = { runCandleTests };
@@ -0,0 +1,97 @@
+// Funding Accrual Test Suite
+const { supabase } = require('../render-backend/middleware/supabase');
+const TradingService = require('../render-backend/services/trading');
+const { createHarness, createDatabase } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+async function runFundingTests() {
+  const { test, assert, assertClose, summary } = createHarness();
+
+  const tradingService = new TradingService();
+  const opened = Date.parse('2025-03-01T12:00:00Z');
+  const rates = { 'SOL-PERP': 0.01 };
+
+  // $1000 positions at $100: 10 SOL each
+  let nextId = 1;
+  const createTrade = (extra = {}) => ({
+    id: `trade-${nextId++}`,
+    user_id: 'user-1',
+    asset: 'SOL',
+    direction: 'long',
+    status: 'open',
+    entry_price: '100',
+    position_size: '1000',
+    funding_usd: null,
+    funding_accrued_at: null,
+    created_at: new Date(opened).toISOString(),
+    ...extra
+  });
+
+  let database;
+  let settled;
+  const reset = (...trades) => {
+    database = createDatabase({ trades });
+    supabase.from = database.from;
+    settled = [];
+  };
+
+  const originalFrom = supabase.from;
+  tradingService.settleFunding = async (userId, fundingUsd) => settled.push(fundingUsd);
+
+  console.log('💸 Testing Funding Accrual\n');
+
+  try {
+    await test('Funding accrues for the hours a trade has been open', async () => {
+      reset(createTrade(), createTrade({ direction: 'short' }));
+      const accrued = await tradingService.accrueFunding(rates, opened + 2 * HOUR);
+
+      const [long, short] = database.tables.trades;
+      assert(accrued === 2, `Should accrue both trades (got ${accrued})`);
+      assertClose(long.funding_usd, -0.2, 'Longs should pay the rate');
+      assertClose(short.funding_usd, 0.2, 'Shorts should receive it');
+      assert(long.funding_accrued_at === new Date(opened + 2 * HOUR).toISOString(), 'Should record when it was accrued');
+    });
+
+    await test('Funding accrues only since the last accrual', async () => {
+      reset(createTrade());
+      await tradingService.accrueFunding(rates, opened + HOUR);
+      const again = await tradingService.accrueFunding(rates, opened + HOUR);
+      await tradingService.accrueFunding(rates, opened + 3 * HOUR);
+
+      assert(again === 0, 'Should not accrue the same hour twice');
+      assertClose(database.tables.trades[0].funding_usd, -0.3, 'Should accrue three hours in all');
+      assert(settled.length === 2, `Should settle each accrual once (settled ${settled.length})`);
+    });
+
+    await test('Overlapping runs accrue funding once', async () => {
+      reset(createTrade({ funding_usd: '-0.1', funding_accrued_at: new Date(opened + HOUR).toISOString() }));
+      const counts = await Promise.all([
+        tradingService.accrueFunding(rates, opened + 2 * HOUR),
+        tradingService.accrueFunding(rates, opened + 2 * HOUR)
+      ]);
+
+      assert(counts.join() === '1,0', `Only one run should accrue (got ${counts.join()})`);
+      assertClose(database.tables.trades[0].funding_usd, -0.2, 'Should charge the hour once');
+      assert(settled.length === 1, `Should settle once (settled ${settled.length})`);
+    });
+
+    await test('Trades without a rate or no longer open are skipped', async () => {
+      reset(createTrade({ asset: 'BTC' }), createTrade({ status: 'closed' }));
+      const accrued = await tradingService.accrueFunding(rates, opened + HOUR);
+
+      assert(accrued === 0 && settled.length === 0, 'Should accrue nothing');
+      assert(database.tables.trades.every(trade => trade.funding_accrued_at === null), 'Should leave both trades alone');
+    });
+  } finally {
+    supabase.from = originalFrom;
+  }
+
+  return summary('💸 Funding Accrual Tests');
+}
+
+if (require.main === module) {
+  runFundingTests();
+}
+
+module.exports = { runFundingTests };
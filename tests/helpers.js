@@ -0,0 +1,205 @@
+// Shared Test Helpers
+// The test()/assert() harness every suite reports through, and an in-memory
+// stand-in for the Supabase tables the services query
+
+function createHarness() {
+  const results = [];
+
+  async function test(name, fn) {
+    try {
+      await fn();
+      results.push({ name, status: '✅ PASS' });
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      results.push({ name, status: '❌ FAIL', error: error.message });
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  function assert(condition, message) {
+    if (!condition) throw new Error(message);
+  }
+
+  function assertClose(actual, expected, message, tolerance = 1e-6) {
+    assert(Math.abs(actual - expected) < tolerance, `${message} (got ${actual}, expected ${expected})`);
+  }
+
+  function assertThrows(fn, message) {
+    let threw = false;
+    try {
+      fn();
+    } catch (error) {
+      threw = true;
+    }
+    assert(threw, message);
+  }
+
+  // Expect an HTTP error with a status code, and return it
+  async function assertRejects(promise, statusCode, message) {
+    let caught = null;
+    try {
+      await promise;
+    } catch (error) {
+      caught = error;
+    }
+    assert(caught && caught.statusCode === statusCode, `${message} (got ${caught ? caught.statusCode || caught.message : 'no error'})`);
+    return caught;
+  }
+
+  function summary(title) {
+    const passed = results.filter(r => r.status.includes('PASS')).length;
+    const failed = results.filter(r => r.status.includes('FAIL')).length;
+
+    console.log(`\n${title}: ${passed} passed, ${failed} failed`);
+    return { passed, failed, results };
+  }
+
+  return { results, test, assert, assertClose, assertThrows, assertRejects, summary };
+}
+
+// In-memory tables answering the query builder calls the services make.
+// tables maps a table name to its rows; unique maps a table name to the
+// columns a row must not share with another (a 23505 error, as Postgres)
+// and defaults to the column defaults of its inserts. Queries run when
+// awaited or on single()/maybeSingle(). Inserts get an id and a created_at
+// later than any before them.
+function createDatabase(tables = {}, { unique = {}, defaults = {} } = {}) {
+  let nextId = 1;
+  let lastCreated = 0;
+
+  const now = () => {
+    lastCreated = Math.max(Date.now(), lastCreated + 1);
+    return new Date(lastCreated).toISOString();
+  };
+
+  const copy = row => ({ ...row });
+
+  function from(table) {
+    const rows = (tables[table] = tables[table] || []);
+    const filters = [];
+    let action = 'select';
+    let values = null;
+    let options = {};
+    let ordering = [];
+    let offset = 0;
+    let limit = Infinity;
+
+    const filter = test => {
+      filters.push(test);
+      return builder;
+    };
+    const matches = row => filters.every(test => test(row));
+
+    const conflict = row => {
+      const columns = unique[table];
+      return columns && rows.find(existing => existing !== row && columns.every(column => existing[column] === row[column]));
+    };
+
+    const write = () => {
+      const written = [];
+      for (const inserted of [].concat(values)) {
+        const row = { id: `${table}-${nextId++}`, created_at: now(), ...defaults[table], ...inserted };
+        const existing = conflict(row);
+        if (existing && action === 'upsert') {
+          if (!options.ignoreDuplicates) Object.assign(existing, inserted);
+          written.push(existing);
+        } else if (existing) {
+          return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+        } else {
+          rows.push(row);
+          written.push(row);
+        }
+      }
+      return { data: written, error: null };
+    };
+
+    const run = () => {
+      if (action === 'insert' || action === 'upsert') {
+        const { data, error } = write();
+        return { data: data && data.map(copy), error };
+      }
+
+      let matched = rows.filter(matches);
+
+      if (action === 'update') {
+        matched.forEach(row => Object.assign(row, values));
+      } else if (action === 'delete') {
+        matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+      }
+
+      for (const [column, ascending] of [...ordering].reverse()) {
+        matched = [...matched].sort((a, b) => {
+          if (a[column] === b[column]) return 0;
+          return (a[column] < b[column]) === ascending ? -1 : 1;
+        });
+      }
+
+      return { data: matched.slice(offset, offset + limit).map(copy), error: null };
+    };
+
+    const builder = {
+      select: () => builder,
+      insert: rows => {
+        action = 'insert';
+        values = rows;
+        return builder;
+      },
+      upsert: (rows, upsertOptions = {}) => {
+        action = 'upsert';
+        values = rows;
+        options = upsertOptions;
+        return builder;
+      },
+      update: changes => {
+        action = 'update';
+        values = changes;
+        return builder;
+      },
+      delete: () => {
+        action = 'delete';
+        return builder;
+      },
+      eq: (column, value) => filter(row => row[column] === value),
+      neq: (column, value) => filter(row => row[column] !== value),
+      is: (column, value) => filter(row => (row[column] === undefined ? null : row[column]) === value),
+      // not(column, 'is' or 'eq', value)
+      not: (column, operator, value) => filter(row => (row[column] === undefined ? null : row[column]) !== value),
+      in: (column, list) => filter(row => list.includes(row[column])),
+      gt: (column, value) => filter(row => row[column] > value),
+      gte: (column, value) => filter(row => row[column] >= value),
+      lt: (column, value) => filter(row => row[column] < value),
+      lte: (column, value) => filter(row => row[column] <= value),
+      order: (column, { ascending = true } = {}) => {
+        ordering.push([column, ascending]);
+        return builder;
+      },
+      limit: count => {
+        limit = count;
+        return builder;
+      },
+      range: (from, to) => {
+        offset = from;
+        limit = to - from + 1;
+        return builder;
+      },
+      single: async () => {
+        const { data, error } = run();
+        if (error) return { data: null, error };
+        if (data.length !== 1) {
+          return { data: null, error: { code: 'PGRST116', message: `Expected 1 row, got ${data.length}` } };
+        }
+        return { data: data[0], error: null };
+      },
+      maybeSingle: async () => {
+        const { data, error } = run();
+        return { data: error ? null : data[0] || null, error };
+      },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+    };
+    return builder;
+  }
+
+  return { tables, from };
+}
+
+module.exports = { createHarness, createDatabase };
@@ -0,0 +1,92 @@
+// Trading History Test Suite
+const TradingService = require('../render-backend/services/trading');
+const { encodeCursor, decodeCursor, getOpenPnl } = TradingService;
+const { createHarness } = require('./helpers');
+
+const TRADE_ID = '6f1c2a4e-8d3b-4c5f-9a7e-1b2c3d4e5f60';
+
+async function runHistoryTests() {
+  const { test, assert, assertClose, assertRejects, summary } = createHarness();
+
+  const tradingService = new TradingService();
+
+  const cursorOf = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const decodes = (cursor, column) => {
+    try {
+      decodeCursor(cursor, column);
+      return true;
+    } catch (error) {
+      assert(error.statusCode === 400, `Should be a 400 (got ${error.statusCode})`);
+      return false;
+    }
+  };
+
+  console.log('📚 Testing Trading History\n');
+
+  await test('Cursors round-trip for timestamp and numeric columns', () => {
+    const row = { id: TRADE_ID, created_at: '2025-03-01T12:30:45.123456+00:00', realized_pnl_usd: -12.5, exit_time: null };
+
+    const opened = decodeCursor(encodeCursor(row, 'created_at'), 'created_at');
+    assert(opened.id === TRADE_ID && opened.value === row.created_at, 'Should return the timestamp and id');
+
+    const pnl = decodeCursor(encodeCursor(row, 'realized_pnl_usd'), 'realized_pnl_usd');
+    assert(pnl.value === -12.5, 'Should return the number');
+
+    const closed = decodeCursor(encodeCursor(row, 'exit_time'), 'exit_time');
+    assert(closed.value === null, 'Should allow a null sort value');
+  });
+
+  await test('Malformed cursors are rejected', () => {
+    assert(!decodes('not base64 json!', 'created_at'), 'Should refuse garbage');
+    assert(!decodes(cursorOf(null), 'created_at'), 'Should refuse an empty cursor');
+    assert(!decodes(cursorOf({ value: null }), 'created_at'), 'Should refuse a missing id');
+    assert(!decodes(cursorOf({ value: null, id: 42 }), 'created_at'), 'Should refuse a numeric id');
+  });
+
+  await test('Cursors carrying filter syntax are rejected', () => {
+    const timestamp = '2025-03-01T12:30:45Z';
+    assert(!decodes(cursorOf({ value: timestamp, id: `${TRADE_ID}),user_id.neq.x` }), 'created_at'), 'Should refuse an id that is not a uuid');
+    assert(!decodes(cursorOf({ value: `${timestamp}",user_id.neq."x`, id: TRADE_ID }), 'created_at'), 'Should refuse text after a timestamp');
+    assert(!decodes(cursorOf({ value: '1,user_id.neq.x', id: TRADE_ID }), 'realized_pnl_usd'), 'Should refuse text for a numeric column');
+    assert(!decodes(cursorOf({ value: 5, id: TRADE_ID }), 'created_at'), 'Should refuse a number for a timestamp column');
+    assert(!decodes(cursorOf({ value: '2025-13-45T99:99:99Z', id: TRADE_ID }), 'created_at'), 'Should refuse an impossible date');
+  });
+
+  await test('History refuses a bad cursor with a 400', async () => {
+    // Refused before anything is queried
+    await assertRejects(
+      tradingService.queryHistory('user-1', { cursor: cursorOf({ value: 1, id: 'x' }) }, 10),
+      400,
+      'Should refuse the cursor'
+    );
+  });
+
+  await test('Open trades count PnL already realized by partial closes', () => {
+    // $1000 long at $100 with half closed for $30: $500 and $50 margin left
+    const trade = {
+      direction: 'long',
+      entry_price: '100',
+      position_size: '500',
+      principal_invested: '50',
+      released_margin_usd: '50',
+      realized_pnl_usd: '30'
+    };
+
+    // $50 unrealized on the 5 SOL left, plus the $30 realized
+    const { pnl, pnlPercentage } = getOpenPnl(trade, 110);
+    assertClose(pnl, 80, 'Should include realized PnL');
+    assertClose(pnlPercentage, 80, 'Should measure against all the margin used');
+
+    const short = getOpenPnl({ ...trade, direction: 'short', realized_pnl_usd: null, released_margin_usd: null }, 110);
+    assertClose(short.pnl, -50, 'Untouched trades should be unrealized PnL only');
+    assertClose(short.pnlPercentage, -100, 'Untouched trades should measure against their margin');
+  });
+
+  return summary('📚 Trading History Tests');
+}
+
+if (require.main === module) {
+  runHistoryTests();
+}
+
+module.exports = { runHistoryTests };
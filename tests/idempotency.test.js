@@ -0,0 +1,204 @@
+// Idempotency Key Test Suite
+const EventEmitter = require('events');
+const { supabase } = require('../render-backend/middleware/supabase');
+const {
+  idempotency,
+  stableStringify,
+  hashRequest
+} = require('../render-backend/middleware/idempotency');
+const { createHarness, createDatabase } = require('./helpers');
+
+async function runIdempotencyTests() {
+  const { test, assert, summary } = createHarness();
+
+  function createRequest(key, body, path = '/open') {
+    return {
+      method: 'POST',
+      baseUrl: '/api/trading',
+      path,
+      body,
+      user: { id: 'user-1' },
+      get: header => (header === 'Idempotency-Key' ? key : undefined)
+    };
+  }
+
+  // Response stand-in: json() and end() finish it, write() starts a
+  // stream and close() cuts one off
+  function createResponse(onDone) {
+    const res = new EventEmitter();
+    Object.assign(res, {
+      statusCode: 200,
+      headers: {},
+      headersSent: false,
+      writableFinished: false,
+      status(code) { this.statusCode = code; return this; },
+      set(name, value) { this.headers[name] = value; return this; },
+      json(body) { this.body = body; return this.end(); },
+      write() { this.headersSent = true; return true; },
+      end() {
+        this.headersSent = true;
+        this.writableFinished = true;
+        this.emit('finish');
+        this.emit('close');
+        onDone(this);
+        return this;
+      },
+      close() {
+        this.emit('close');
+        onDone(this);
+      }
+    });
+    return res;
+  }
+
+  // Send a request through the middleware to a handler; resolves with the
+  // response once it is sent
+  function send(req, handler) {
+    return new Promise(resolve => {
+      const res = createResponse(resolve);
+      idempotency(req, res, () => handler(req, res));
+    });
+  }
+
+  // Let the key settle after a response that didn't go through json()
+  const settled = () => new Promise(resolve => setTimeout(resolve, 10));
+
+  console.log('🔑 Testing Idempotency Keys\n');
+
+  const database = createDatabase(
+    { idempotency_keys: [] },
+    { unique: { idempotency_keys: ['user_id', 'key'] }, defaults: { idempotency_keys: { status: 'in_progress' } } }
+  );
+  const rows = database.tables.idempotency_keys;
+  const originalFrom = supabase.from;
+  supabase.from = database.from;
+
+  let handled = 0;
+  const openHandler = (req, res) => {
+    handled += 1;
+    res.status(201).json({ success: true, positionId: `position-${handled}` });
+  };
+
+  try {
+    await test('Request hashes ignore key order and undefined fields', () => {
+      assert(
+        stableStringify({ b: 1, a: [{ d: 2, c: 3 }], e: undefined }) === '{"a":[{"c":3,"d":2}],"b":1}',
+        'Should sort keys at every level and drop undefined'
+      );
+      assert(
+        hashRequest(createRequest('k', { amount: 10, asset: 'SOL' })) ===
+          hashRequest(createRequest('k', { asset: 'SOL', amount: 10 })),
+        'Same body in a different order should hash the same'
+      );
+    });
+
+    await test('Request hashes cover the path and body', () => {
+      const hash = hashRequest(createRequest('k', { amount: 10 }));
+      assert(hash !== hashRequest(createRequest('k', { amount: 11 })), 'Different body should hash differently');
+      assert(hash !== hashRequest(createRequest('k', { amount: 10 }, '/close')), 'Different path should hash differently');
+    });
+
+    await test('Requests without a key pass straight through', async () => {
+      const res = await send(createRequest(undefined, { amount: 10 }), openHandler);
+      assert(res.statusCode === 201 && handled === 1, 'Should run the handler');
+      assert(rows.length === 0, 'Should not store anything');
+    });
+
+    await test('Repeated key replays the stored response', async () => {
+      const first = await send(createRequest('open-1', { amount: 10 }), openHandler);
+      const second = await send(createRequest('open-1', { amount: 10 }), openHandler);
+
+      assert(handled === 2, 'Should run the handler once for the key');
+      assert(second.statusCode === 201, 'Should replay the status');
+      assert(second.body.positionId === first.body.positionId, 'Should replay the body');
+      assert(second.headers['Idempotent-Replayed'] === 'true', 'Should mark the replay');
+    });
+
+    await test('Reusing a key for a different request is refused', async () => {
+      const res = await send(createRequest('open-1', { amount: 20 }), openHandler);
+      assert(res.statusCode === 422, `Should return 422, got ${res.statusCode}`);
+      assert(handled === 2, 'Should not run the handler');
+    });
+
+    await test('Concurrent duplicates wait for the original', async () => {
+      let finish;
+      const slowHandler = (req, res) => {
+        handled += 1;
+        finish = () => res.status(201).json({ success: true, positionId: 'slow' });
+      };
+
+      const first = send(createRequest('open-2', { amount: 10 }), slowHandler);
+      const second = send(createRequest('open-2', { amount: 10 }), slowHandler);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      finish();
+
+      const [original, replay] = await Promise.all([first, second]);
+      assert(handled === 3, 'Should run the handler once');
+      assert(original.body.positionId === 'slow' && replay.body.positionId === 'slow', 'Both should get the same response');
+      assert(replay.headers['Idempotent-Replayed'] === 'true', 'The duplicate should be a replay');
+    });
+
+    await test('Server errors release the key for a retry', async () => {
+      const failing = (req, res) => {
+        handled += 1;
+        res.status(500).json({ success: false });
+      };
+      await send(createRequest('open-3', { amount: 10 }), failing);
+      assert(!rows.some(row => row.key === 'open-3'), 'Should release the key');
+
+      const retry = await send(createRequest('open-3', { amount: 10 }), openHandler);
+      assert(retry.statusCode === 201 && !retry.headers['Idempotent-Replayed'], 'Retry should run afresh');
+    });
+
+    await test('Expired keys can be used again', async () => {
+      const row = rows.find(existing => existing.key === 'open-1');
+      row.created_at = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+
+      const before = handled;
+      const res = await send(createRequest('open-1', { amount: 20 }), openHandler);
+      assert(handled === before + 1 && res.statusCode === 201, 'Should run a new request with the expired key');
+    });
+
+    await test('Responses without a JSON body replay their status', async () => {
+      const ended = (req, res) => {
+        handled += 1;
+        res.status(204).end();
+      };
+      await send(createRequest('cancel-1', { orderId: 'order-1' }, '/orders/cancel'), ended);
+      await settled();
+
+      const row = rows.find(existing => existing.key === 'cancel-1');
+      assert(row.status === 'completed' && row.response_body === null, 'Should settle the key without a body');
+
+      const before = handled;
+      const replay = await send(createRequest('cancel-1', { orderId: 'order-1' }, '/orders/cancel'), ended);
+      assert(handled === before && replay.statusCode === 204, 'Should replay the status without running again');
+      assert(replay.body === undefined, 'Should not replay a body');
+    });
+
+    await test('A stream cut off part way releases the key', async () => {
+      const streaming = (req, res) => {
+        handled += 1;
+        res.write('id,asset\n');
+        res.close();
+      };
+      await send(createRequest('export-1', { format: 'csv' }, '/history/export'), streaming);
+      await settled();
+      assert(!rows.some(row => row.key === 'export-1'), 'Should release the key');
+
+      const before = handled;
+      await send(createRequest('export-1', { format: 'csv' }, '/history/export'), openHandler);
+      assert(handled === before + 1, 'Retry should run afresh');
+    });
+  } finally {
+    supabase.from = originalFrom;
+  }
+
+  return summary('🔑 Idempotency Tests');
+}
+
+if (require.main === module) {
+  runIdempotencyTests();
+}
+
+module.exports = { runIdempotencyTests };
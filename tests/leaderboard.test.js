@@ -0,0 +1,89 @@
+// Leaderboard Test Suite
+const { supabase } = require('../render-backend/middleware/supabase');
+const { leaderboard } = require('../render-backend/services/leaderboard');
+const { createHarness, createDatabase } = require('./helpers');
+
+async function runLeaderboardTests() {
+  const { test, assert, summary } = createHarness();
+
+  const refreshedAt = '2025-03-01T12:00:00.000Z';
+
+  // A snapshot row as refresh_leaderboards writes it
+  const snapshot = (userId, ranks, extra = {}) => ({
+    period: 'week',
+    user_id: userId,
+    username: userId,
+    avatar_url: null,
+    trades: '3',
+    pnl_usd: '0',
+    roi: '0',
+    volume_usd: '0',
+    pnl_rank: ranks.pnl,
+    roi_rank: ranks.roi,
+    volume_rank: ranks.volume,
+    refreshed_at: refreshedAt,
+    ...extra
+  });
+
+  const snapshots = [
+    snapshot('carol', { pnl: 3, roi: 1, volume: 2 }, { pnl_usd: '50.456', roi: '120.5' }),
+    snapshot('alice', { pnl: 1, roi: 2, volume: 3 }, { pnl_usd: '900.004', roi: '45.678', volume_usd: '12000.1' }),
+    snapshot('bob', { pnl: 2, roi: null, volume: 1 }, { roi: null }),
+    snapshot('dave', { pnl: 4, roi: 3, volume: 4 }),
+    snapshot('alice', { pnl: 1, roi: 1, volume: 1 }, { period: 'day' })
+  ];
+
+  const originalFrom = supabase.from;
+  supabase.from = createDatabase({ leaderboard_snapshots: snapshots }).from;
+
+  const get = options => leaderboard.getLeaderboard({ period: 'week', metric: 'pnl', limit: 2, ...options });
+  const users = board => board.entries.map(entry => entry.userId).join();
+
+  console.log('🏆 Testing Leaderboards\n');
+
+  try {
+    await test('Leaderboards list the top N of the period by rank', async () => {
+      const board = await get();
+      assert(users(board) === 'alice,bob', `Should rank by PnL (got ${users(board)})`);
+      assert(board.entries[0].rank === 1 && board.refreshedAt === refreshedAt, 'Should include ranks and the snapshot time');
+
+      const byVolume = await get({ metric: 'volume', limit: 10 });
+      assert(users(byVolume) === 'bob,carol,alice,dave', `Should rank by volume (got ${users(byVolume)})`);
+    });
+
+    await test('Users without an ROI are left off the ROI board', async () => {
+      const board = await get({ metric: 'roi', limit: 10 });
+      assert(users(board) === 'carol,alice,dave', `Should skip bob (got ${users(board)})`);
+    });
+
+    await test('Callers outside the top N still get their own rank', async () => {
+      const board = await get({ userId: 'dave' });
+      assert(users(board) === 'alice,bob', 'Should not add the caller to the top N');
+      assert(board.me.userId === 'dave' && board.me.rank === 4, 'Should return the caller\'s rank');
+
+      const top = await get({ userId: 'alice' });
+      assert(top.me.rank === 1, 'Should return the caller\'s rank from the top N');
+    });
+
+    await test('Callers with no trades in the period have no rank', async () => {
+      const board = await get({ period: 'day', userId: 'bob' });
+      assert(board.me === null, 'Should return null');
+    });
+
+    await test('Entries round money and ROI to cents', async () => {
+      const [alice] = (await get()).entries;
+      assert(alice.pnl === 900 && alice.roi === 45.68 && alice.volume === 12000.1, `Should round (got ${JSON.stringify(alice)})`);
+      assert(alice.trades === 3, 'Should count trades as a number');
+    });
+  } finally {
+    supabase.from = originalFrom;
+  }
+
+  return summary('🏆 Leaderboard Tests');
+}
+
+if (require.main === module) {
+  runLeaderboardTests();
+}
+
+module.exports = { runLeaderboardTests };
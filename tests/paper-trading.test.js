@@ -0,0 +1,132 @@
+// Paper Trading Test Suite
+const { supabase } = require('../render-backend/middleware/supabase');
+const PaperTradingService = require('../render-backend/services/paper-trading');
+const { PAPER_TRADING_CONFIG } = require('../render-backend/constants');
+const { createHarness, createDatabase } = require('./helpers');
+
+const STARTING_BALANCE = PAPER_TRADING_CONFIG.STARTING_BALANCE;
+
+async function runPaperTradingTests() {
+  const { test, assert, assertClose, assertRejects, summary } = createHarness();
+
+  const paper = new PaperTradingService();
+  // 0.1% taker fee, without asking Drift for its fee tiers
+  paper.getTakerFeeRate = async () => 0.001;
+
+  // $100 of margin at 10x long SOL from $100: 10 SOL, liquidated at $91
+  const createTrade = (extra = {}) => ({
+    id: 'trade-1',
+    user_id: 'user-1',
+    asset: 'SOL',
+    direction: 'long',
+    status: 'open',
+    order_type: 'market',
+    entry_price: '100',
+    position_size: '1000',
+    principal_invested: '100',
+    leverage_amount: '10',
+    parent_trade_id: null,
+    ...extra
+  });
+
+  let database;
+  const reset = ({ balance = STARTING_BALANCE, trades = [] } = {}) => {
+    database = createDatabase(
+      {
+        paper_accounts: [{ user_id: 'user-1', balance_usd: balance, starting_balance_usd: STARTING_BALANCE }],
+        paper_trades: trades,
+        paper_trade_fills: []
+      },
+      { unique: { paper_accounts: ['user_id'] } }
+    );
+    supabase.from = database.from;
+  };
+
+  const balance = () => parseFloat(database.tables.paper_accounts[0].balance_usd);
+
+  // adjust_paper_balance: refuses (null) a change that would go negative
+  const adjustPaperBalance = async (name, { p_user_id: userId, p_delta: delta }) => {
+    const account = database.tables.paper_accounts.find(row => row.user_id === userId);
+    if (parseFloat(account.balance_usd) + delta < 0) return { data: null, error: null };
+    account.balance_usd = parseFloat(account.balance_usd) + delta;
+    return { data: String(account.balance_usd), error: null };
+  };
+
+  const originalFrom = supabase.from;
+  const originalRpc = supabase.rpc;
+  supabase.rpc = adjustPaperBalance;
+
+  console.log('🧪 Testing Paper Trading\n');
+
+  try {
+    await test('New paper accounts start with the starting balance', async () => {
+      reset();
+      database.tables.paper_accounts = [];
+      const account = await paper.getAccount('user-2');
+      assert(parseFloat(account.balance_usd) === STARTING_BALANCE, 'Should open with the starting balance');
+
+      database.tables.paper_accounts[0].balance_usd = 5;
+      const again = await paper.getAccount('user-2');
+      assert(again.balance_usd === 5, 'Should not reset an existing account');
+    });
+
+    await test('Balances count held margin as used', async () => {
+      reset({ balance: 900, trades: [createTrade(), createTrade({ id: 'trade-2', status: 'closed' })] });
+      const result = await paper.getBalance('user-1');
+      assert(result.availableMargin === 900 && result.usedMargin === 100, 'Should split free and held margin');
+      assert(result.totalValue === 1000 && result.paper, 'Should total both');
+      await assertRejects(paper.getBalance('user-1', 1), 400, 'Should refuse a sub-account');
+    });
+
+    await test('Paper balances can\'t go negative', async () => {
+      reset({ balance: 50 });
+      await assertRejects(paper.adjustBalance('user-1', -60), 400, 'Should refuse with 400');
+      assert(balance() === 50, 'Should leave the balance alone');
+    });
+
+    await test('Refused orders hand back their held margin', async () => {
+      reset({ balance: 500 });
+      await assertRejects(paper.openPosition('user-1', 'SOL', 'long', 100, 10, { orderType: 'iceberg' }), 400, 'Should refuse the order');
+      assert(balance() === 500, `Should return the margin (balance ${balance()})`);
+    });
+
+    await test('Closing returns margin plus PnL less the fee', async () => {
+      reset({ balance: 900, trades: [createTrade()] });
+      const result = await paper.closePosition('user-1', 'trade-1', { exitPrice: 110 });
+
+      // $100 profit on 10 SOL, $1 fee on $1000 closed
+      assert(result.pnl === 100 && result.fee === 1, `Should settle the PnL and fee (got ${result.pnl}, ${result.fee})`);
+      assertClose(balance(), 900 + 100 + 100 - 1, 'Should credit margin, PnL and fee');
+      assert(database.tables.paper_trades[0].status === 'closed', 'Should close the trade');
+      assert(database.tables.paper_trade_fills[0].fill_type === 'close', 'Should record the fill');
+    });
+
+    await test('Losses take no more than the margin released', async () => {
+      reset({ balance: 900, trades: [createTrade()] });
+      await paper.closePosition('user-1', 'trade-1', { exitPrice: 80 });
+      assert(balance() === 900, `Should not charge past the margin (balance ${balance()})`);
+    });
+
+    await test('Positions past their liquidation price are liquidated', async () => {
+      reset({ balance: 900, trades: [createTrade(), createTrade({ id: 'trade-2', direction: 'short' })] });
+      const events = await paper.liquidatePositions({ 'SOL-PERP': 90 });
+
+      assert(events.length === 1 && events[0].type === 'position_liquidated', 'Should liquidate the long only');
+      const [long, short] = database.tables.paper_trades;
+      assert(long.status === 'liquidated' && long.close_reason === 'liquidated', 'Should mark the long liquidated');
+      assertClose(parseFloat(long.exit_price), 91, 'Should close at the liquidation price');
+      assert(short.status === 'open', 'Should leave the short open');
+    });
+  } finally {
+    supabase.from = originalFrom;
+    supabase.rpc = originalRpc;
+  }
+
+  return summary('🧪 Paper Trading Tests');
+}
+
+if (require.main === module) {
+  runPaperTradingTests();
+}
+
+module.exports = { runPaperTradingTests };
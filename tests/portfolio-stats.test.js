@@ -0,0 +1,118 @@
+// Portfolio Stats Test Suite
+const PortfolioStatsService = require('../render-backend/services/portfolio-stats');
+const { createHarness } = require('./helpers');
+
+async function runPortfolioStatsTests() {
+  const { test, assert, summary } = createHarness();
+
+  // Price history stand-in with fixed latest prices
+  function createHistory(prices) {
+    return {
+      getLatestSample: symbol => (prices[symbol] ? { price: prices[symbol] } : null)
+    };
+  }
+
+  function closedTrade(id, day, pnl, extra = {}) {
+    return {
+      id,
+      asset: 'SOL',
+      status: 'closed',
+      direction: 'long',
+      entry_price: '100',
+      position_size: '1000',
+      principal_invested: '100',
+      leverage_amount: '10',
+      realized_pnl_usd: String(pnl),
+      fees_usd: '0',
+      funding_usd: '0',
+      exit_time: `2026-01-0${day}T12:00:00.000Z`,
+      ...extra
+    };
+  }
+
+  console.log('📊 Testing Portfolio Stats\n');
+
+  const now = Date.parse('2026-01-05T18:00:00.000Z');
+  const service = new PortfolioStatsService(createHistory({ 'SOL-PERP': 110 }));
+
+  await test('Max drawdown is the largest fall from an equity peak', () => {
+    const drawdown = service.getMaxDrawdown([
+      { equity: 50 },
+      { equity: 20 },
+      { equity: 80 },
+      { equity: 10 },
+      { equity: 40 }
+    ]);
+    assert(drawdown === 70, `Should fall 70 from the 80 peak, got ${drawdown}`);
+  });
+
+  await test('Drawdown counts losses from zero PnL', () => {
+    assert(service.getMaxDrawdown([{ equity: -30 }, { equity: -10 }]) === 30, 'Should measure from the zero start');
+    assert(service.getMaxDrawdown([]) === 0, 'No history should have no drawdown');
+  });
+
+  await test('Sharpe ratio is annualized daily mean over deviation', () => {
+    const sharpe = service.getSharpeRatio([{ pnl: 10 }, { pnl: 20 }, { pnl: 30 }]);
+    assert(Math.abs(sharpe - 2 * Math.sqrt(365)) < 1e-9, `Should be 20/10 annualized, got ${sharpe}`);
+    assert(service.getSharpeRatio([{ pnl: 10 }]) === null, 'One day should have no Sharpe');
+    assert(service.getSharpeRatio([{ pnl: 5 }, { pnl: 5 }]) === null, 'Flat PnL should have no Sharpe');
+  });
+
+  await test('Equity curve carries equity through days without closes', () => {
+    const curve = service.buildEquityCurve([
+      { pnl: 50, closedAt: '2026-01-01T12:00:00.000Z' },
+      { pnl: -20, closedAt: '2026-01-03T12:00:00.000Z' }
+    ], now);
+
+    assert(curve.length === 5, 'Should have a point per day through today');
+    assert(curve[1].date === '2026-01-02' && curve[1].pnl === 0 && curve[1].equity === 50, 'Should carry equity over an empty day');
+    assert(curve[4].equity === 30, 'Should end at cumulative PnL');
+  });
+
+  await test('Stats use PnL net of fees and funding', () => {
+    const stats = service.compute([
+      closedTrade('a', 1, 50, { fees_usd: '5', funding_usd: '-5' }),
+      closedTrade('b', 2, -30),
+      closedTrade('c', 3, 20, { asset: 'BTC' })
+    ], now);
+
+    assert(stats.netRealizedPnl === 30, `Should net fees and funding, got ${stats.netRealizedPnl}`);
+    assert(stats.wins === 2 && stats.losses === 1, 'Should count wins and losses');
+    assert(stats.winRate === 66.67, `Should compute win rate, got ${stats.winRate}`);
+    assert(stats.bestTrade.id === 'a' && stats.bestTrade.pnl === 40, 'Best trade should be net of costs');
+    assert(stats.worstTrade.id === 'b', 'Should find the worst trade');
+    assert(stats.maxDrawdown === 30, `Should draw down 30 from the day one peak, got ${stats.maxDrawdown}`);
+  });
+
+  await test('Open positions are marked at the latest price', () => {
+    const stats = service.compute([
+      { ...closedTrade('open', 1, 0), status: 'open', exit_time: null },
+      { ...closedTrade('short', 1, 0), status: 'open', direction: 'short', exit_time: null }
+    ], now);
+
+    assert(stats.openPositions === 2 && stats.totalTrades === 0, 'Open positions should not count as trades');
+    assert(stats.unrealizedPnl === 0, 'Long and short at the same size should offset');
+    assert(stats.winRate === null && stats.equityCurve.length === 0, 'No closes should have no win rate or curve');
+  });
+
+  await test('Asset breakdown sums net PnL and notional volume', () => {
+    const stats = service.compute([
+      closedTrade('a', 1, 50),
+      closedTrade('b', 2, -10, { released_margin_usd: '200' }),
+      closedTrade('c', 3, 20, { asset: 'BTC' })
+    ], now);
+
+    const sol = stats.assets.find(asset => asset.asset === 'SOL-PERP');
+    assert(stats.assets[0].asset === 'SOL-PERP', 'Should sort by PnL');
+    assert(sol.trades === 2 && sol.winRate === 50 && sol.pnl === 40, 'Should aggregate per market');
+    assert(sol.volume === 3000, `Should use released margin over principal, got ${sol.volume}`);
+  });
+
+  return summary('📊 Portfolio Stats Tests');
+}
+
+if (require.main === module) {
+  runPortfolioStatsTests();
+}
+
+module.exports = { runPortfolioStatsTests };
@@ -0,0 +1,83 @@
+// Position Resize Test Suite
+const { getCloseAmounts, getIncreaseAmounts } = require('../render-backend/services/trading');
+const { createHarness } = require('./helpers');
+
+async function runPositionResizeTests() {
+  const { test, assert, assertClose, assertThrows, summary } = createHarness();
+
+  console.log('📐 Testing Partial Close and Increase Math\n');
+
+  const longTrade = {
+    direction: 'long',
+    entry_price: '100',
+    position_size: '1000',
+    principal_invested: '100'
+  };
+  const shortTrade = { ...longTrade, direction: 'short' };
+
+  // Partial close tests
+  await test('Percentage close splits size, margin and PnL', () => {
+    const close = getCloseAmounts(longTrade, { percentage: 25 }, 110);
+    assert(!close.isFullClose, 'Should be a partial close');
+    assertClose(close.closedSize, 250, 'Should close a quarter of the notional');
+    assertClose(close.releasedMargin, 25, 'Should release a quarter of the margin');
+    assertClose(close.pnl, 25, 'Should realize 10% on $250');
+  });
+
+  await test('Size close is in base asset units', () => {
+    const close = getCloseAmounts(longTrade, { size: 5 }, 100);
+    assertClose(close.closedSize, 500, '5 units at $100 entry should close $500');
+    assertClose(close.releasedMargin, 50, 'Should release half the margin');
+  });
+
+  await test('Short close profits when price falls', () => {
+    const close = getCloseAmounts(shortTrade, { percentage: 50 }, 90);
+    assertClose(close.pnl, 50, 'Should realize 10% on $500');
+    const loss = getCloseAmounts(shortTrade, {}, 110);
+    assertClose(loss.pnl, -100, 'Should lose 10% on $1000');
+  });
+
+  await test('Dust remainders close the whole position', () => {
+    const close = getCloseAmounts(longTrade, { percentage: 99.995 }, 100);
+    assert(close.isFullClose, 'Should treat 99.995% as a full close');
+    assertClose(close.closedSize, 1000, 'Should close the whole notional');
+    assertClose(close.releasedMargin, 100, 'Should release all the margin');
+  });
+
+  await test('Zero and negative closes are refused', () => {
+    assertThrows(() => getCloseAmounts(longTrade, { percentage: 0 }, 100), 'Zero percentage should be refused');
+    assertThrows(() => getCloseAmounts(longTrade, { size: -1 }, 100), 'Negative size should be refused');
+  });
+
+  // Increase tests
+  await test('Increase blends entry price on base amounts', () => {
+    const increase = getIncreaseAmounts(longTrade, 100, 10, 120);
+    assertClose(increase.addedSize, 1000, 'Should add $100 at 10x');
+    assertClose(increase.newSize, 2000, 'Should double the notional');
+    assertClose(increase.newPrincipal, 200, 'Should add the margin');
+    // 10 units at $100 plus 8.333 units at $120
+    assertClose(increase.blendedEntryPrice, 2000 / (10 + 1000 / 120), 'Should blend entry by base amount');
+    assertClose(increase.effectiveLeverage, 10, 'Should keep 10x');
+  });
+
+  await test('Increase at a different leverage changes effective leverage', () => {
+    const increase = getIncreaseAmounts(longTrade, 100, 2, 100);
+    assertClose(increase.blendedEntryPrice, 100, 'Same price should keep the entry');
+    assertClose(increase.effectiveLeverage, 6, '$1200 on $200 margin should be 6x');
+  });
+
+  await test('Increase keeps PnL continuous at the fill price', () => {
+    const increase = getIncreaseAmounts(longTrade, 100, 10, 120);
+    const pnlBefore = (120 - 100) * (1000 / 100);
+    const pnlAfter = (120 - increase.blendedEntryPrice) * (increase.newSize / increase.blendedEntryPrice);
+    assertClose(pnlAfter, pnlBefore, 'Unrealized PnL should not jump on the fill');
+  });
+
+  return summary('📐 Position Resize Tests');
+}
+
+if (require.main === module) {
+  runPositionResizeTests();
+}
+
+module.exports = { runPositionResizeTests };
@@ -0,0 +1,216 @@
+// Position Reconciliation Test Suite
+const { supabase } = require('../render-backend/middleware/supabase');
+const { priceHistory } = require('../render-backend/services/price-history');
+const ReconciliationService = require('../render-backend/services/reconciliation');
+const { createHarness, createDatabase } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// Live trading service stand-in recording what reconciliation asks of it
+function createTradingService(brackets = []) {
+  const calls = { closed: [], filled: [], cancelled: [], brackets: [] };
+
+  return {
+    calls,
+    getUserSwigWallet: async () => 'GKYPWkWtiXVPdzv6EimbTWx7PCL4Pv5wggTW5cFtCvYm',
+    getLiquidationPrice: trade => (trade.direction === 'long' ? 91 : 109),
+    closePosition: async (userId, tradeId, options) => {
+      calls.closed.push({ tradeId, ...options });
+      return { positionId: tradeId };
+    },
+    cancelBrackets: async tradeId => {
+      calls.cancelled.push(tradeId);
+    },
+    fillEntryOrder: async (order, fillPrice) => {
+      calls.filled.push({ id: order.id, fillPrice });
+      return { ...order, status: 'open' };
+    },
+    formatFill: order => ({ id: order.id, status: order.status }),
+    getBracketsByPosition: async ([tradeId]) => ({
+      [tradeId]: brackets.filter(bracket => bracket.parent_trade_id === tradeId)
+    }),
+    fillBracket: async (bracket, price) => {
+      calls.brackets.push({ id: bracket.id, price });
+      return { id: bracket.id, status: 'filled', position: { positionId: bracket.parent_trade_id } };
+    }
+  };
+}
+
+async function runReconciliationTests() {
+  const { test, assert, summary } = createHarness();
+
+  const openedAt = Date.now() - HOUR;
+
+  // A $1000 SOL position at $100: 10 SOL
+  function createTrade(id, extra = {}) {
+    return {
+      id,
+      user_id: 'user-1',
+      asset: 'SOL',
+      direction: 'long',
+      status: 'open',
+      entry_price: '100',
+      position_size: '1000',
+      principal_invested: '100',
+      sub_account_id: 0,
+      created_at: new Date(openedAt).toISOString(),
+      ...extra
+    };
+  }
+
+  // Reconcile trades against an on-chain account ({ marketIndex: size })
+  async function reconcile(trades, account, samples = [], brackets = []) {
+    supabase.from = createDatabase({ trades }).from;
+    const tradingService = createTradingService(brackets);
+    const service = new ReconciliationService(tradingService);
+    service.getOnChainAccount = async () =>
+      account && {
+        positions: new Map(Object.entries(account.positions || {}).map(([index, size]) => [Number(index), size])),
+        lastActiveAt: account.lastActiveAt === undefined ? Date.now() : account.lastActiveAt,
+        beingLiquidated: Boolean(account.beingLiquidated)
+      };
+    priceHistory.getSamples = async () => samples;
+
+    const filled = [];
+    const triggered = [];
+    service.on('order_filled', event => filled.push(event));
+    service.on('order_triggered', event => triggered.push(event));
+
+    const discrepancies = await service.reconcileUser('user-1', trades);
+    return { discrepancies, calls: tradingService.calls, filled, triggered };
+  }
+
+  const originalFrom = supabase.from;
+  const originalGetSamples = priceHistory.getSamples;
+
+  console.log('🧮 Testing Position Reconciliation\n');
+
+  try {
+    await test('Matching positions report nothing', async () => {
+      const { discrepancies, calls } = await reconcile(
+        [createTrade('a'), createTrade('b', { direction: 'short', position_size: '500' })],
+        { positions: { 0: 5.02 } }
+      );
+      assert(discrepancies.length === 0, 'Net 5 SOL within 1% should match');
+      assert(calls.closed.length === 0, 'Should not close anything');
+    });
+
+    await test('Rows without a Drift account are orphaned', async () => {
+      const trade = createTrade('a');
+      const { discrepancies, calls } = await reconcile([trade], null);
+      assert(discrepancies[0].type === 'orphaned', `Should be orphaned, got ${discrepancies[0].type}`);
+      assert(trade.status === 'failed' && trade.close_reason === 'orphaned', 'Should mark the row failed');
+      assert(calls.cancelled[0] === 'a', 'Should cancel its brackets');
+    });
+
+    await test('Rows newer than the account\'s last activity are orphaned', async () => {
+      const { discrepancies } = await reconcile([createTrade('a')], { positions: {}, lastActiveAt: openedAt - HOUR });
+      assert(discrepancies[0].type === 'orphaned', 'Opening transaction never landed');
+    });
+
+    await test('Missing positions on a liquidating account are liquidated', async () => {
+      const { discrepancies, calls } = await reconcile([createTrade('a')], { positions: {}, beingLiquidated: true });
+      assert(discrepancies[0].type === 'liquidated', `Should be liquidated, got ${discrepancies[0].type}`);
+      assert(calls.closed[0].status === 'liquidated' && calls.closed[0].exitPrice === 91, 'Should close at the liquidation price');
+    });
+
+    await test('Missing positions whose price crossed liquidation are liquidated', async () => {
+      const { discrepancies } = await reconcile(
+        [createTrade('a', { direction: 'short' })],
+        { positions: {} },
+        [{ price: 104 }, { price: 110 }]
+      );
+      assert(discrepancies[0].type === 'liquidated', 'Short should be liquidated above 109');
+    });
+
+    await test('Other missing positions were closed externally', async () => {
+      const { discrepancies, calls } = await reconcile([createTrade('a')], { positions: {} }, [{ price: 95 }]);
+      assert(discrepancies[0].type === 'closed_externally', `Should be closed externally, got ${discrepancies[0].type}`);
+      assert(calls.closed[0].status === 'closed' && calls.closed[0].exitPrice === undefined, 'Should close at the oracle price');
+    });
+
+    await test('Missing positions whose bracket price was reached filled the bracket', async () => {
+      const stopLoss = createTrade('sl', {
+        status: 'pending',
+        order_type: 'stop_loss',
+        parent_trade_id: 'a',
+        trigger_price: '95',
+        trigger_condition: 'below'
+      });
+      const { discrepancies, calls, triggered } = await reconcile(
+        [createTrade('a')],
+        { positions: {} },
+        [{ price: 97 }, { price: 94 }, { price: 90 }],
+        [stopLoss]
+      );
+      assert(discrepancies.length === 0, 'A bracket fill is not a discrepancy');
+      assert(calls.brackets[0].id === 'sl' && calls.brackets[0].price === 95, 'Should fill the stop loss at its trigger');
+      assert(calls.closed.length === 0, 'Should not close it as external');
+      assert(triggered[0].order.status === 'filled', 'Should emit order_triggered with the filled order');
+    });
+
+    await test('Liquidation reached before a bracket wins', async () => {
+      const stopLoss = createTrade('sl', {
+        status: 'pending',
+        order_type: 'stop_loss',
+        parent_trade_id: 'a',
+        trigger_price: '85',
+        trigger_condition: 'below'
+      });
+      const { discrepancies, calls } = await reconcile([createTrade('a')], { positions: {} }, [{ price: 90 }], [stopLoss]);
+      assert(discrepancies[0].type === 'liquidated', 'Should be liquidated at 91 before the 85 stop');
+      assert(calls.brackets.length === 0, 'Should not fill the bracket');
+    });
+
+    await test('Size differences past tolerance are flagged only', async () => {
+      const { discrepancies, calls } = await reconcile([createTrade('a')], { positions: { 0: 12 } });
+      assert(discrepancies[0].type === 'size_mismatch', 'Should flag the mismatch');
+      assert(discrepancies[0].expectedSize === 10 && discrepancies[0].actualSize === 12, 'Should report both sizes');
+      assert(calls.closed.length === 0, 'Should not change the row');
+    });
+
+    await test('Positions without rows are untracked', async () => {
+      const { discrepancies } = await reconcile([createTrade('a')], { positions: { 0: 10, 1: -0.5 } });
+      assert(discrepancies.length === 1 && discrepancies[0].type === 'untracked', 'Should flag the BTC position');
+      assert(discrepancies[0].market === 'BTC-PERP' && discrepancies[0].actualSize === -0.5, 'Should report the market and size');
+    });
+
+    await test('Filled entry orders explain a grown position', async () => {
+      const entry = createTrade('entry', { status: 'pending', entry_price: '95', position_size: '475' });
+      const { discrepancies, calls, filled } = await reconcile([createTrade('a'), entry], { positions: { 0: 15 } });
+      assert(discrepancies.length === 0, 'Should not flag the entry fill');
+      assert(calls.filled[0].id === 'entry' && calls.filled[0].fillPrice === 95, 'Should open the entry at its price');
+      assert(filled[0].userId === 'user-1' && filled[0].order.status === 'open', 'Should emit order_filled');
+    });
+
+    await test('Filled entry orders explain a new position', async () => {
+      const entry = createTrade('entry', { status: 'pending', direction: 'short' });
+      const { discrepancies, calls } = await reconcile([entry], { positions: { 0: -10 } });
+      assert(discrepancies.length === 0, 'Should not flag the position as untracked');
+      assert(calls.filled[0].id === 'entry', 'Should open the entry');
+    });
+
+    await test('Resting entry orders are left alone', async () => {
+      const entry = createTrade('entry', { status: 'pending' });
+      const { discrepancies, calls } = await reconcile([entry], { positions: {} });
+      assert(discrepancies.length === 0 && calls.filled.length === 0, 'Should wait for Drift to fill it');
+    });
+
+    await test('Rows inside the grace period are skipped', async () => {
+      const fresh = createTrade('a', { created_at: new Date().toISOString() });
+      const { discrepancies } = await reconcile([fresh], { positions: {} });
+      assert(discrepancies.length === 0, 'Should wait for the transaction to land');
+    });
+  } finally {
+    supabase.from = originalFrom;
+    priceHistory.getSamples = originalGetSamples;
+  }
+
+  return summary('🧮 Reconciliation Tests');
+}
+
+if (require.main === module) {
+  runReconciliationTests();
+}
+
+module.exports = { runReconciliationTests };
@@ -0,0 +1,185 @@
+// Risk Limit Test Suite
+const { supabase } = require('../render-backend/middleware/supabase');
+const RiskEngine = require('../render-backend/services/risk');
+const { createHarness, createDatabase } = require('./helpers');
+
+const LIVE = { trades: 'trades', fills: 'trade_fills' };
+const PAPER = { trades: 'paper_trades', fills: 'paper_trade_fills' };
+
+async function runRiskTests() {
+  const { test, assert, summary } = createHarness();
+
+  const unlimited = {
+    tier: 'default',
+    maxNotionalPerMarket: null,
+    maxTotalExposure: null,
+    maxOpenPositions: null,
+    dailyLossLimit: null,
+    maxLeverage: null,
+    marketMaxLeverage: {},
+    lockedUntil: null
+  };
+
+  const emptyUsage = {
+    notionalByMarket: {},
+    totalExposure: 0,
+    openPositions: 0,
+    dailyPnl: 0,
+    dailyLoss: 0
+  };
+
+  // Risk engine reading fixed limits, usage and platform caps
+  function createEngine({ limits = {}, usage = {}, platformLimits = {}, platformUsage = {} } = {}) {
+    const engine = new RiskEngine();
+    engine.loadConfig = async () => ({
+      tiers: new Map(),
+      platformLimits: new Map(Object.entries(platformLimits))
+    });
+    engine.getLimits = async () => ({ ...unlimited, ...limits });
+    engine.getUsage = async () => ({ ...emptyUsage, ...usage });
+    engine.getPlatformUsage = async () => ({ notionalByMarket: {}, totalExposure: 0, ...platformUsage });
+    return engine;
+  }
+
+  // Reason codes a check refuses with, or [] when it passes
+  async function refusals(engine, order, tables = LIVE) {
+    try {
+      await engine.checkOpen(tables, 'user-1', { asset: 'SOL-PERP', notional: 1000, leverage: 10, ...order });
+      return [];
+    } catch (error) {
+      assert(error.statusCode === 403, `Should refuse with 403, got ${error.statusCode}`);
+      assert(Array.isArray(error.reasons), 'Should carry reasons');
+      return error.reasons.map(reason => reason.code);
+    }
+  }
+
+  console.log('🛡️ Testing Risk Limits\n');
+
+  await test('Orders within every limit pass', async () => {
+    const engine = createEngine({
+      limits: { maxNotionalPerMarket: 5000, maxTotalExposure: 10000, maxOpenPositions: 5, maxLeverage: 20 },
+      usage: { notionalByMarket: { SOL: 1000 }, totalExposure: 1000, openPositions: 1 }
+    });
+    const codes = await refusals(engine, {});
+    assert(codes.length === 0, `Should pass, got ${codes.join(', ')}`);
+  });
+
+  await test('Per-market and total notional caps include the new order', async () => {
+    const engine = createEngine({
+      limits: { maxNotionalPerMarket: 2000, maxTotalExposure: 5000 },
+      usage: { notionalByMarket: { SOL: 1500, BTC: 3000 }, totalExposure: 4500 }
+    });
+    const codes = await refusals(engine, { notional: 600 });
+    assert(codes.includes('MAX_NOTIONAL_PER_MARKET'), 'Should refuse the SOL cap');
+    assert(codes.includes('MAX_TOTAL_EXPOSURE'), 'Should refuse the total cap');
+
+    const other = await refusals(engine, { asset: 'ETH-PERP', notional: 400 });
+    assert(other.length === 0, 'Another market under both caps should pass');
+  });
+
+  await test('Position count applies to new positions only', async () => {
+    const engine = createEngine({ limits: { maxOpenPositions: 2 }, usage: { openPositions: 2 } });
+    assert((await refusals(engine, {})).includes('MAX_OPEN_POSITIONS'), 'Should refuse a third position');
+    assert((await refusals(engine, { newPosition: false })).length === 0, 'Should allow increasing one');
+  });
+
+  await test('Leverage is capped by the tighter of market and overall caps', async () => {
+    const engine = createEngine({ limits: { maxLeverage: 20, marketMaxLeverage: { SOL: '5' } } });
+    const codes = await refusals(engine, { leverage: 6 });
+    assert(codes.includes('MAX_LEVERAGE'), 'Should apply the SOL cap');
+    assert((await refusals(engine, { asset: 'BTC-PERP', leverage: 6 })).length === 0, 'Should allow 6x on BTC');
+  });
+
+  await test('Daily loss limit stops new risk once reached', async () => {
+    const engine = createEngine({ limits: { dailyLossLimit: 100 }, usage: { dailyPnl: -100, dailyLoss: 100 } });
+    assert((await refusals(engine, {})).includes('DAILY_LOSS_LIMIT'), 'Should refuse at the limit');
+  });
+
+  await test('Traders on a break are refused', async () => {
+    const engine = createEngine({ limits: { lockedUntil: '2099-01-01T00:00:00.000Z' } });
+    assert((await refusals(engine, {})).includes('TRADING_LOCKED'), 'Should refuse while locked');
+  });
+
+  await test('Platform caps bound live trades only', async () => {
+    const engine = createEngine({
+      platformLimits: { SOL: 10000, '*': 50000 },
+      platformUsage: { notionalByMarket: { SOL: 9500 }, totalExposure: 49500 }
+    });
+    const live = await refusals(engine, {});
+    assert(live.includes('PLATFORM_MARKET_NOTIONAL'), 'Should refuse the SOL open interest cap');
+    assert(live.includes('PLATFORM_TOTAL_NOTIONAL'), 'Should refuse the platform cap');
+    assert((await refusals(engine, {}, PAPER)).length === 0, 'Paper trades should ignore platform caps');
+  });
+
+  await test('Overrides replace tier limits and loss caps only tighten', async () => {
+    const engine = new RiskEngine();
+    engine.loadConfig = async () => ({
+      tiers: new Map([['pro', { max_open_positions: 10, max_total_exposure: '50000', daily_loss_limit: '500', market_max_leverage: { SOL: 10 } }]]),
+      platformLimits: new Map()
+    });
+
+    const originalFrom = supabase.from;
+    supabase.from = createDatabase({
+      profiles: [{ id: 'user-1', risk_tier: 'pro', daily_loss_cap_usd: '200' }],
+      user_risk_limits: [{ user_id: 'user-1', max_open_positions: 3, max_total_exposure: null, market_max_leverage: { BTC: 5 } }]
+    }).from;
+
+    try {
+      const limits = await engine.getLimits('user-1');
+      assert(limits.tier === 'pro', 'Should use the profile tier');
+      assert(limits.maxOpenPositions === 3, 'Override should replace the tier limit');
+      assert(limits.maxTotalExposure === 50000, 'Empty override should keep the tier limit');
+      assert(limits.dailyLossLimit === 200, 'Own loss cap should tighten the tier limit');
+      assert(limits.marketMaxLeverage.SOL === 10 && limits.marketMaxLeverage.BTC === 5, 'Should merge market leverage caps');
+      assert(limits.lockedUntil === null, 'Should not be locked');
+    } finally {
+      supabase.from = originalFrom;
+    }
+  });
+
+  await test('Reservations check a user\'s orders one at a time', async () => {
+    const recorded = { notionalByMarket: { SOL: 0 }, totalExposure: 0 };
+    const engine = createEngine({ limits: { maxTotalExposure: 1500 } });
+    engine.getUsage = async () => ({ ...emptyUsage, ...recorded, notionalByMarket: { ...recorded.notionalByMarket } });
+
+    const order = { asset: 'SOL-PERP', notional: 1000, leverage: 10 };
+    const first = await engine.reserve(PAPER, 'user-1', order);
+    const second = engine.reserve(PAPER, 'user-1', order);
+
+    // The first order is recorded before its reservation is released
+    await new Promise(resolve => setTimeout(resolve, 10));
+    recorded.notionalByMarket.SOL += 1000;
+    recorded.totalExposure += 1000;
+    first();
+
+    let refused = null;
+    try {
+      (await second)();
+    } catch (error) {
+      refused = error;
+    }
+    assert(refused && refused.reasons[0].code === 'MAX_TOTAL_EXPOSURE', 'Second order should see the first');
+    assert(engine.locks.size === 0, 'Should release every lock');
+  });
+
+  await test('Reservations for different users run side by side', async () => {
+    const engine = createEngine();
+    const order = { asset: 'SOL-PERP', notional: 1000, leverage: 10 };
+    const first = await engine.reserve(PAPER, 'user-1', order);
+    const second = await Promise.race([
+      engine.reserve(PAPER, 'user-2', order),
+      new Promise(resolve => setTimeout(() => resolve(null), 50))
+    ]);
+    assert(second, 'Another user should not wait');
+    first();
+    second();
+  });
+
+  return summary('🛡️ Risk Tests');
+}
+
+if (require.main === module) {
+  runRiskTests();
+}
+
+module.exports = { runRiskTests };
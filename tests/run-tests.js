@@ -5,11 +5,46 @@ const { runSimpleTests } = require('./simple-api.test');
 const { runDriftIntegrationTests } = require('./drift-integration.test');
 const { runUtilsTests } = require('./utils.test');
 
+// Service suites: no server needed, each resolves to { passed, failed }
+const serviceSuites = [
+  require('./trading-orders.test').runOrderTriggerTests,
+  require('./position-resize.test').runPositionResizeTests,
+  require('./candles.test').runCandleTests,
+  require('./reconciliation.test').runReconciliationTests,
+  require('./portfolio-stats.test').runPortfolioStatsTests,
+  require('./risk.test').runRiskTests,
+  require('./auth.test').runAuthTests,
+  require('./paper-trading.test').runPaperTradingTests,
+  require('./funding.test').runFundingTests,
+  require('./history.test').runHistoryTests,
+  require('./leaderboard.test').runLeaderboardTests,
+  require('./transactions.test').runTransactionTests,
+  require('./transaction-rebuild.test').runTransactionRebuildTests,
+  require('./idempotency.test').runIdempotencyTests,
+  require('./trading-controls.test').runTradingControlsTests,
+  require('./transfers.test').runTransferTests
+];
+
+async function runServiceTests() {
+  const totals = { passed: 0, failed: 0 };
+
+  for (const runSuite of serviceSuites) {
+    const { passed, failed } = await runSuite();
+    totals.passed += passed;
+    totals.failed += failed;
+    console.log('');
+  }
+
+  console.log(`🧩 Service Tests: ${totals.passed} passed, ${totals.failed} failed`);
+  return totals;
+}
+
 async function runAllTests() {
   console.log('🧪 REKT Backend Comprehensive Test Suite\n');
   
   const results = {
     utils: null,
+    services: null,
     simple: null,
     drift: null,
     total: { passed: 0, failed: 0 }
@@ -21,6 +56,11 @@ async function runAllTests() {
     results.utils = runUtilsTests();
     console.log('');
 
+    // Run service tests (no server dependency)
+    console.log('🧩 Running service test suites...\n');
+    results.services = await runServiceTests();
+    console.log('');
+
     // Check server health first
     const serverHealthy = await healthCheck();
     if (!serverHealthy) {
@@ -38,12 +78,13 @@ async function runAllTests() {
     results.drift = await runDriftIntegrationTests();
     
     // Calculate totals
-    results.total.passed = results.utils.passed + results.simple.passed + results.drift.summary.passed;
-    results.total.failed = results.utils.failed + results.simple.failed + results.drift.summary.failed;
+    results.total.passed = results.utils.passed + results.services.passed + results.simple.passed + results.drift.summary.passed;
+    results.total.failed = results.utils.failed + results.services.failed + results.simple.failed + results.drift.summary.failed;
 
     // Final comprehensive summary
     console.log('\n📊 === COMPREHENSIVE TEST RESULTS ===');
     console.log(`🔧 Utility Tests: ${results.utils.passed}/${results.utils.passed + results.utils.failed} passed`);
+    console.log(`🧩 Service Tests: ${results.services.passed}/${results.services.passed + results.services.failed} passed`);
     console.log(`🧪 API Tests: ${results.simple.passed}/${results.simple.total} passed`);
     console.log(`🌊 Drift Tests: ${results.drift.summary.passed}/${results.drift.summary.total} passed`);
     console.log(`📊 TOTAL: ${results.total.passed}/${results.total.passed + results.total.failed} passed`);
@@ -103,6 +144,8 @@ if (args.includes('--health')) {
   healthCheck();
 } else if (args.includes('--utils-only')) {
   runUtilsTests();
+} else if (args.includes('--services-only')) {
+  runServiceTests().then(({ failed }) => process.exit(failed > 0 ? 1 : 0));
 } else if (args.includes('--api-only')) {
   runSimpleTests().catch(console.error);
 } else if (args.includes('--drift-only')) {
@@ -111,4 +154,4 @@ if (args.includes('--health')) {
   runAllTests();
 }
 
-module.exports = { runAllTests, healthCheck };
\ No newline at end of file
+module.exports = { runAllTests, runServiceTests, healthCheck };
\ No newline at end of file
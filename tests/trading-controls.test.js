@@ -0,0 +1,194 @@
+// Trading Controls Test Suite
+const { supabase } = require('../render-backend/middleware/supabase');
+const {
+  tradingControls,
+  getLockedUntil
+} = require('../render-backend/services/trading-controls');
+const { transferService } = require('../render-backend/services/transfers');
+const { createHarness, createDatabase } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+async function runTradingControlsTests() {
+  const { test, assert, assertRejects, summary } = createHarness();
+
+  function createProfile(extra = {}) {
+    return {
+      id: 'user-1',
+      deposit_limit_usd: null,
+      deposit_limit_period: 'day',
+      daily_loss_cap_usd: null,
+      session_reminder_minutes: null,
+      trading_locked_until: null,
+      pending_locked_until: null,
+      pending_lock_effective_at: null,
+      ...extra
+    };
+  }
+
+  // The profile, its audited changes and any deposits, as the services see them
+  function createTables(profile, deposits = []) {
+    const database = createDatabase({ profiles: [profile], trading_control_changes: [], transfers: deposits });
+    return { changes: database.tables.trading_control_changes, from: database.from };
+  }
+
+  const iso = time => new Date(time).toISOString();
+  const originalFrom = supabase.from;
+  const originalGetControls = tradingControls.getControls;
+
+  console.log('🧘 Testing Trading Controls\n');
+
+  try {
+    await test('Locks hold until their end only', () => {
+      const now = Date.now();
+      assert(getLockedUntil(createProfile(), now) === null, 'No lock should not be locked');
+      assert(getLockedUntil(createProfile({ trading_locked_until: iso(now + HOUR) }), now) === iso(now + HOUR), 'Future lock should hold');
+      assert(getLockedUntil(createProfile({ trading_locked_until: iso(now - HOUR) }), now) === null, 'Past lock should not hold');
+    });
+
+    await test('Shortened locks count from their effective time', () => {
+      const now = Date.now();
+      const profile = createProfile({
+        trading_locked_until: iso(now + 7 * DAY),
+        pending_locked_until: null,
+        pending_lock_effective_at: iso(now + DAY)
+      });
+      assert(getLockedUntil(profile, now) === iso(now + 7 * DAY), 'Should stay locked before the change takes effect');
+      assert(getLockedUntil(profile, now + DAY) === null, 'Should unlock once it takes effect');
+    });
+
+    await test('Breaks start immediately', async () => {
+      const tables = createTables(createProfile());
+      supabase.from = tables.from;
+
+      const controls = await tradingControls.takeBreak('user-1', '7d');
+      assert(controls.break.active, 'Should be on a break');
+      assert(controls.break.pendingChange === null, 'Should not wait');
+      assert(tables.changes[0].setting === 'break', 'Should audit the change');
+    });
+
+    await test('Unknown break periods are refused', async () => {
+      supabase.from = createTables(createProfile()).from;
+      await assertRejects(tradingControls.takeBreak('user-1', '1y'), 400, 'Should refuse 1y');
+    });
+
+    await test('Extending a break applies now', async () => {
+      const profile = createProfile({ trading_locked_until: iso(Date.now() + DAY) });
+      supabase.from = createTables(profile).from;
+
+      await tradingControls.takeBreak('user-1', '30d');
+      assert(new Date(profile.trading_locked_until).getTime() > Date.now() + 29 * DAY, 'Should extend the lock');
+      assert(profile.pending_lock_effective_at === null, 'Should not leave a pending change');
+    });
+
+    await test('Shortening a break waits the shorten delay', async () => {
+      const lockedUntil = iso(Date.now() + 30 * DAY);
+      const profile = createProfile({ trading_locked_until: lockedUntil });
+      const tables = createTables(profile);
+      supabase.from = tables.from;
+
+      const before = Date.now();
+      const controls = await tradingControls.takeBreak('user-1', '24h');
+      const effectiveAt = new Date(profile.pending_lock_effective_at).getTime();
+
+      assert(profile.trading_locked_until === lockedUntil, 'Should keep the current lock for now');
+      assert(effectiveAt >= before + DAY && effectiveAt <= Date.now() + DAY, 'Should take effect a day later');
+      assert(controls.break.lockedUntil === lockedUntil, 'Should still report the current lock');
+      assert(controls.break.pendingChange.lockedUntil === profile.pending_locked_until, 'Should report the pending change');
+      assert(tables.changes[0].effective_at === profile.pending_lock_effective_at, 'Should audit when it takes effect');
+    });
+
+    await test('Ending a break waits the shorten delay', async () => {
+      const profile = createProfile({ trading_locked_until: iso(Date.now() + DAY) });
+      supabase.from = createTables(profile).from;
+
+      const controls = await tradingControls.endBreak('user-1');
+      assert(controls.break.active, 'Should stay on the break for now');
+      assert(profile.pending_locked_until === null && profile.pending_lock_effective_at, 'Should queue the end');
+    });
+
+    await test('Ending without a break is refused', async () => {
+      supabase.from = createTables(createProfile()).from;
+      await assertRejects(tradingControls.endBreak('user-1'), 400, 'Should refuse with 400');
+    });
+
+    await test('Break changes made over a newer break are refused', async () => {
+      const profile = createProfile({ trading_locked_until: iso(Date.now() + 30 * DAY) });
+      const tables = createTables(profile);
+      supabase.from = tables.from;
+
+      // A 7 day break read the 30 day one, then another request ended it
+      const read = tradingControls.getProfile;
+      tradingControls.getProfile = async userId => {
+        const stale = await read.call(tradingControls, userId);
+        profile.pending_lock_effective_at = iso(Date.now() + DAY);
+        return stale;
+      };
+      try {
+        await assertRejects(tradingControls.takeBreak('user-1', '7d'), 409, 'Should refuse with 409');
+      } finally {
+        tradingControls.getProfile = read;
+      }
+
+      assert(profile.pending_locked_until === null && profile.pending_lock_effective_at, 'Should keep the newer change');
+      assert(tables.changes.length === 0, 'Should not audit a change that wasn\'t made');
+    });
+
+    await test('Pending changes are saved once effective', async () => {
+      const profile = createProfile({
+        trading_locked_until: iso(Date.now() + 7 * DAY),
+        pending_locked_until: null,
+        pending_lock_effective_at: iso(Date.now() - HOUR)
+      });
+      supabase.from = createTables(profile).from;
+
+      const controls = await tradingControls.getControls('user-1');
+      assert(!controls.break.active, 'Should be off the break');
+      assert(profile.trading_locked_until === null && profile.pending_lock_effective_at === null, 'Should save the change');
+    });
+
+    // Deposit limit windows
+    const now = Date.now();
+    const deposit = (amountUsd, age) => ({ user_id: 'user-1', type: 'deposit', status: 'confirmed', amount_usd: amountUsd, created_at: iso(now - age) });
+    const deposits = [deposit('60', 2 * HOUR), deposit('30', 3 * DAY), deposit('80', 10 * DAY)];
+    const withLimit = (amountUsd, period) => {
+      tradingControls.getControls = async () => ({ depositLimit: { amountUsd, period } });
+      supabase.from = createTables(createProfile(), deposits).from;
+    };
+
+    await test('Daily deposit limit counts the last 24 hours', async () => {
+      withLimit(100, 'day');
+      await transferService.checkDepositLimit('user-1', 40);
+      const error = await assertRejects(transferService.checkDepositLimit('user-1', 41), 403, 'Should refuse over the limit');
+      assert(error.reasons[0].code === 'DEPOSIT_LIMIT' && error.reasons[0].current === 60, 'Should report the day\'s deposits');
+    });
+
+    await test('Weekly and monthly limits count their own windows', async () => {
+      withLimit(100, 'week');
+      await transferService.checkDepositLimit('user-1', 10);
+      const weekly = await assertRejects(transferService.checkDepositLimit('user-1', 11), 403, 'Should refuse over the week');
+      assert(weekly.reasons[0].current === 90, 'Should count the week\'s deposits');
+
+      withLimit(200, 'month');
+      const monthly = await assertRejects(transferService.checkDepositLimit('user-1', 31), 403, 'Should refuse over the month');
+      assert(monthly.reasons[0].current === 170, 'Should count the month\'s deposits');
+    });
+
+    await test('No deposit limit allows any amount', async () => {
+      withLimit(null, 'day');
+      await transferService.checkDepositLimit('user-1', 1000000);
+    });
+  } finally {
+    supabase.from = originalFrom;
+    tradingControls.getControls = originalGetControls;
+  }
+
+  return summary('🧘 Trading Controls Tests');
+}
+
+if (require.main === module) {
+  runTradingControlsTests();
+}
+
+module.exports = { runTradingControlsTests };
@@ -0,0 +1,57 @@
+// Order Trigger Test Suite
+const TradingService = require('../render-backend/services/trading');
+const { getTriggerCondition, isTriggerMet } = TradingService;
+const { createHarness } = require('./helpers');
+
+async function runOrderTriggerTests() {
+  const { test, assert, assertThrows, summary } = createHarness();
+
+  console.log('🎯 Testing Order Triggers\n');
+
+  const service = new TradingService();
+  // Bracket trigger direction tests
+  await test('Long brackets: stop loss below, take profit above', () => {
+    assert(getTriggerCondition('stop_loss', 'long') === 'below', 'Long stop loss should wait for price below');
+    assert(getTriggerCondition('take_profit', 'long') === 'above', 'Long take profit should wait for price above');
+  });
+
+  await test('Short brackets: stop loss above, take profit below', () => {
+    assert(getTriggerCondition('stop_loss', 'short') === 'above', 'Short stop loss should wait for price above');
+    assert(getTriggerCondition('take_profit', 'SHORT') === 'below', 'Short take profit should wait for price below');
+  });
+
+  await test('Entry orders fire in the direction of the order', () => {
+    assert(getTriggerCondition('limit', 'long') === 'below', 'Long limit should buy the dip');
+    assert(getTriggerCondition('limit', 'short') === 'above', 'Short limit should sell the rally');
+    assert(getTriggerCondition('stop', 'long') === 'above', 'Long stop entry should buy the breakout');
+    assert(getTriggerCondition('stop', 'short') === 'below', 'Short stop entry should sell the breakdown');
+  });
+
+  await test('Unknown order types are refused', () => {
+    assertThrows(() => getTriggerCondition('trailing', 'long'), 'Should throw on unknown order type');
+  });
+
+  await test('Triggers fire at and past the trigger price only', () => {
+    assert(isTriggerMet('below', 90, 90), 'Below should fire at the trigger');
+    assert(isTriggerMet('below', 90, 89), 'Below should fire past the trigger');
+    assert(!isTriggerMet('below', 90, 91), 'Below should not fire above the trigger');
+    assert(isTriggerMet('above', 110, 110), 'Above should fire at the trigger');
+    assert(!isTriggerMet('above', 110, 109), 'Above should not fire below the trigger');
+  });
+
+  await test('Bracket prices must sit on the protective side', () => {
+    service.validateBracketPrices('long', 100, { stopLoss: 90, takeProfit: 110 });
+    service.validateBracketPrices('short', 100, { stopLoss: 110, takeProfit: 90 });
+    assertThrows(() => service.validateBracketPrices('long', 100, { stopLoss: 105 }), 'Long stop loss above price should be refused');
+    assertThrows(() => service.validateBracketPrices('short', 100, { takeProfit: 105 }), 'Short take profit above price should be refused');
+    assertThrows(() => service.validateBracketPrices('long', 100, { stopLoss: 0 }), 'Zero stop loss should be refused');
+  });
+
+  return summary('🎯 Order Trigger Tests');
+}
+
+if (require.main === module) {
+  runOrderTriggerTests();
+}
+
+module.exports = { runOrderTriggerTests };
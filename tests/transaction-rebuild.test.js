@@ -0,0 +1,122 @@
+// Transaction Rebuild Test Suite
+const {
+  ComputeBudgetProgram,
+  Keypair,
+  SystemProgram
+} = require('@solana/web3.js');
+const {
+  rebuildTransactionData,
+  serializeInstruction,
+  createRateLimiter
+} = require('../src/utils');
+const { createHarness } = require('./helpers');
+
+async function runTransactionRebuildTests() {
+  const { test, assert, summary } = createHarness();
+
+  const feePayer = Keypair.generate().publicKey;
+  const freshBlockhash = Keypair.generate().publicKey.toBase58();
+  const computeBudgetProgramId = ComputeBudgetProgram.programId.toString();
+
+  const connection = {
+    getLatestBlockhash: async () => ({ blockhash: freshBlockhash, lastValidBlockHeight: 2000 })
+  };
+
+  // Prices whatever it's given at 777 µlamports/CU and records what that was
+  function createPriorityFees() {
+    const calls = [];
+    return {
+      calls,
+      buildComputeBudget: async (conn, options) => {
+        calls.push(options);
+        return {
+          instructions: [
+            ComputeBudgetProgram.setComputeUnitLimit({ units: 200000 }),
+            ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 777 })
+          ],
+          fees: { speed: options.speed, microLamportsPerUnit: 777 }
+        };
+      }
+    };
+  }
+
+  // Instructions as the expired transaction carried them: an old compute
+  // budget at 1 µlamport/CU ahead of the instruction that matters
+  const transfer = SystemProgram.transfer({ fromPubkey: feePayer, toPubkey: Keypair.generate().publicKey, lamports: 1000 });
+  const expiredInstructions = [
+    ComputeBudgetProgram.setComputeUnitLimit({ units: 500000 }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1 }),
+    transfer
+  ].map(serializeInstruction);
+
+  // SetComputeUnitPrice is instruction 3: a u8 tag then a u64 price
+  const unitPrices = instructions =>
+    instructions
+      .filter(instruction => instruction.programId === computeBudgetProgramId)
+      .map(instruction => Buffer.from(instruction.data, 'base64'))
+      .filter(data => data[0] === 3)
+      .map(data => Number(data.readBigUInt64LE(1)));
+
+  console.log('🔁 Testing Transaction Rebuilds\n');
+
+  await test('Rebuilds replace the old compute unit price with a fresh estimate', async () => {
+    const priorityFees = createPriorityFees();
+    const { transactionData, priorityFee } = await rebuildTransactionData(
+      connection,
+      { instructions: expiredInstructions, feePayer: feePayer.toString() },
+      { priorityFees, speed: 'fast' }
+    );
+
+    assert(unitPrices(transactionData.instructions).join() === '777', `Should carry only the new price (got ${unitPrices(transactionData.instructions).join()})`);
+    assert(transactionData.instructions.length === 3, 'Should keep one limit, one price and the transfer');
+    assert(priorityFee.microLamportsPerUnit === 777 && priorityFee.speed === 'fast', 'Should return the estimate at the speed asked for');
+  });
+
+  await test('Rebuilds keep the program instructions and take a fresh blockhash', async () => {
+    const priorityFees = createPriorityFees();
+    const { transactionData } = await rebuildTransactionData(
+      connection,
+      { instructions: expiredInstructions, feePayer: feePayer.toString() },
+      { priorityFees, speed: 'normal' }
+    );
+
+    const [estimated] = priorityFees.calls;
+    assert(estimated.instructions.length === 1 && estimated.instructions[0].programId.equals(SystemProgram.programId), 'Should price only the program instructions');
+    assert(estimated.blockhash === freshBlockhash, 'Should simulate under the fresh blockhash');
+    assert(JSON.stringify(transactionData.instructions[2]) === JSON.stringify(serializeInstruction(transfer)), 'Should keep the transfer as it was');
+    assert(transactionData.blockhash === freshBlockhash && transactionData.lastValidBlockHeight === 2000, 'Should use the fresh blockhash');
+  });
+
+  await test('Rate limits refuse a client past the limit until the window ends', async () => {
+    const limit = createRateLimiter({ windowMs: 50, max: 2 });
+    const call = ip =>
+      new Promise(resolve => {
+        const res = {
+          headers: {},
+          set(name, value) { this.headers[name] = value; return this; },
+          status(code) { this.statusCode = code; return this; },
+          json(body) { this.body = body; resolve(this); return this; }
+        };
+        limit({ ip }, res, () => resolve({ statusCode: 200 }));
+      });
+
+    const codes = [];
+    for (let i = 0; i < 3; i++) codes.push((await call('1.1.1.1')).statusCode);
+    assert(codes.join() === '200,200,429', `Should refuse the third request (got ${codes.join()})`);
+
+    const refused = await call('1.1.1.1');
+    assert(refused.headers['Retry-After'] && refused.body.retryAfter >= 0, 'Should say when to retry');
+    assert((await call('2.2.2.2')).statusCode === 200, 'Should count other clients separately');
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert((await call('1.1.1.1')).statusCode === 200, 'Should allow requests again in the next window');
+  });
+
+  return summary('🔁 Transaction Rebuild Tests');
+}
+
+if (require.main === module) {
+  runTransactionRebuildTests();
+}
+
+module.exports = { runTransactionRebuildTests };
@@ -0,0 +1,155 @@
+// Transaction Tracker Test Suite
+const path = require('path');
+const { supabase } = require('../render-backend/middleware/supabase');
+const { transactionTracker } = require('../render-backend/services/transactions');
+const { createHarness, createDatabase } = require('./helpers');
+
+// The copy of web3.js the backend decodes transactions with
+const {
+  Keypair,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction
+} = require(require.resolve('@solana/web3.js', { paths: [path.join(__dirname, '../render-backend')] }));
+
+async function runTransactionTests() {
+  const { test, assert, assertRejects, summary } = createHarness();
+
+  const wallet = Keypair.generate();
+  const blockhash = Keypair.generate().publicKey.toBase58();
+
+  // A transfer from the wallet, as the server would build it for signing
+  function buildTransaction({ lamports = 1000, recentBlockhash = blockhash } = {}) {
+    const message = new TransactionMessage({
+      payerKey: wallet.publicKey,
+      recentBlockhash,
+      instructions: [
+        SystemProgram.transfer({
+          fromPubkey: wallet.publicKey,
+          toPubkey: Keypair.generate().publicKey,
+          lamports
+        })
+      ]
+    }).compileToV0Message();
+    return new VersionedTransaction(message);
+  }
+
+  const toTransactionData = transaction => ({
+    transaction: Buffer.from(transaction.serialize()).toString('base64'),
+    blockhash: transaction.message.recentBlockhash,
+    lastValidBlockHeight: 1000
+  });
+
+  const sign = transaction => {
+    transaction.sign([wallet]);
+    return Buffer.from(transaction.serialize());
+  };
+
+  // Record a built open for trade-1 and return what the client would sign
+  async function recordBuiltOpen() {
+    const transaction = buildTransaction();
+    const built = await transactionTracker.recordBuilt('user-1', {
+      tradeId: 'trade-1',
+      type: 'open',
+      transactionData: toTransactionData(transaction)
+    });
+    return { transaction, built };
+  }
+
+  const recordSigned = txBuffer =>
+    transactionTracker.recordSigned('user-1', transactionTracker.decode(txBuffer), { tradeId: 'trade-1', type: 'open' });
+
+  const originalFrom = supabase.from;
+  let database;
+  const reset = () => {
+    database = createDatabase({ transactions: [], trades: [{ id: 'trade-1', user_id: 'user-1' }] }, { unique: { transactions: ['signature'] } });
+    supabase.from = database.from;
+  };
+
+  console.log('🧾 Testing Transaction Tracker\n');
+
+  try {
+    await test('Built transactions record their blockhash and message', async () => {
+      reset();
+      const { built } = await recordBuiltOpen();
+      const [row] = database.tables.transactions;
+      assert(built.status === 'built' && built.blockhash === blockhash, 'Should record the built blockhash');
+      assert(built.lastValidBlockHeight === 1000, 'Should record when the blockhash expires');
+      assert(/^[0-9a-f]{64}$/.test(row.message_hash), 'Should record a SHA-256 of the message');
+    });
+
+    await test('The built transaction comes back signed on its row', async () => {
+      reset();
+      const { transaction, built } = await recordBuiltOpen();
+      const row = await recordSigned(sign(transaction));
+      assert(row.id === built.id && row.status === 'signed', `Should move the built row to signed (got ${row.status})`);
+      assert(row.signature && database.tables.transactions.length === 1, 'Should not record a second row');
+    });
+
+    await test('Other instructions under the built blockhash are refused', async () => {
+      reset();
+      await recordBuiltOpen();
+      await assertRejects(recordSigned(sign(buildTransaction({ lamports: 999999 }))), 422, 'Should refuse a different message');
+      assert(database.tables.transactions[0].status === 'built', 'Should leave the built row waiting');
+    });
+
+    await test('A fresher blockhash is refused', async () => {
+      reset();
+      await recordBuiltOpen();
+      const other = buildTransaction({ recentBlockhash: Keypair.generate().publicKey.toBase58() });
+      await assertRejects(recordSigned(sign(other)), 422, 'Should refuse a different blockhash');
+    });
+
+    await test('Unsigned or garbage payloads are rejected', async () => {
+      const decode = txBuffer => Promise.resolve().then(() => transactionTracker.decode(txBuffer));
+      await assertRejects(decode(Buffer.from(buildTransaction().serialize())), 400, 'Should refuse an unsigned transaction');
+      await assertRejects(decode(Buffer.from('not a transaction')), 400, 'Should refuse garbage');
+    });
+
+    await test('Status changes apply once from the status they were read in', async () => {
+      reset();
+      await recordBuiltOpen();
+      const [stored] = database.tables.transactions;
+      const read = { ...stored, status: 'sent' };
+      stored.status = 'sent';
+
+      const events = [];
+      const listener = transaction => events.push(transaction.status);
+      transactionTracker.on('tx_status', listener);
+      try {
+        const [first, second] = await Promise.all([
+          transactionTracker.transition(read, 'confirmed', { slot: 5 }),
+          transactionTracker.transition(read, 'confirmed', { slot: 5 })
+        ]);
+        assert(first.status === 'confirmed' && second.status === 'sent', 'Only the first check should move the row');
+        assert(events.join() === 'confirmed', `Should announce the change once (got ${events.join()})`);
+
+        // A check that read the row before it confirmed can't move it back
+        const stale = await transactionTracker.transition(read, 'expired', { error: 'Blockhash expired' });
+        assert(stale === read && stored.status === 'confirmed', 'A stale check should leave the row alone');
+      } finally {
+        transactionTracker.removeListener('tx_status', listener);
+      }
+    });
+
+    await test('Built transactions never signed expire', async () => {
+      reset();
+      await recordBuiltOpen();
+      const [stored] = database.tables.transactions;
+      stored.created_at = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+      const [row] = await transactionTracker.checkBatch([{ ...stored }]);
+      assert(row.status === 'expired' && row.error === 'Never signed', `Should expire the built row (got ${row.status})`);
+    });
+  } finally {
+    supabase.from = originalFrom;
+  }
+
+  return summary('🧾 Transaction Tracker Tests');
+}
+
+if (require.main === module) {
+  runTransactionTests();
+}
+
+module.exports = { runTransactionTests };
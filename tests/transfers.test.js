@@ -0,0 +1,107 @@
+// Transfer Test Suite
+const { supabase } = require('../render-backend/middleware/supabase');
+const { transferService } = require('../render-backend/services/transfers');
+const { tradingControls } = require('../render-backend/services/trading-controls');
+const { priorityFees } = require('../render-backend/services/priority-fees');
+const { transactionTracker } = require('../render-backend/services/transactions');
+const { createHarness, createDatabase } = require('./helpers');
+
+const WALLET = 'GKYPWkWtiXVPdzv6EimbTWx7PCL4Pv5wggTW5cFtCvYm';
+
+async function runTransferTests() {
+  const { test, assert, summary } = createHarness();
+
+  let database;
+  let buildError = null;
+  const reset = (limit = 100) => {
+    database = createDatabase({ transfers: [] }, { defaults: { transfers: { status: 'pending' } } });
+    supabase.from = database.from;
+    tradingControls.getControls = async () => ({ depositLimit: { amountUsd: limit, period: 'day' } });
+    buildError = null;
+  };
+
+  const record = (amount, type = 'deposit') =>
+    transferService.recordTransfer('user-1', {
+      type,
+      amount,
+      walletAddress: WALLET,
+      tokenAccount: WALLET,
+      instructions: [],
+      operationType: type,
+      connection: {}
+    });
+
+  // Both deposits, then the status each ended with
+  const race = async (...amounts) => {
+    const outcomes = await Promise.allSettled(amounts.map(amount => record(amount)));
+    return outcomes.map(outcome => (outcome.status === 'fulfilled' ? 'built' : outcome.reason.statusCode));
+  };
+
+  const statuses = () => database.tables.transfers.map(row => row.status).join();
+
+  const originalFrom = supabase.from;
+  const originalGetControls = tradingControls.getControls;
+  const originalBuild = priorityFees.buildTransaction;
+  const originalRecordBuilt = transactionTracker.recordBuilt;
+
+  priorityFees.buildTransaction = async () => {
+    if (buildError) throw buildError;
+    return { transactionData: { transaction: '', blockhash: 'blockhash' }, priorityFee: {} };
+  };
+  transactionTracker.recordBuilt = async (userId, { transferId }) => ({ id: `tx-${transferId}`, status: 'built' });
+
+  console.log('🏦 Testing Transfers\n');
+
+  try {
+    await test('Racing deposits can\'t both fit under the limit', async () => {
+      reset(100);
+      const outcomes = await race(60, 60);
+      assert(outcomes.join() === 'built,403', `Only the first deposit should be built (got ${outcomes.join()})`);
+      assert(statuses() === 'pending,failed', `The refused deposit should fail (got ${statuses()})`);
+    });
+
+    await test('Deposits that fit together are both built', async () => {
+      reset(100);
+      const outcomes = await race(60, 40);
+      assert(outcomes.join() === 'built,built', `Both deposits should be built (got ${outcomes.join()})`);
+    });
+
+    await test('Refused deposits don\'t hold the limit', async () => {
+      reset(100);
+      await race(60, 60);
+      await record(40);
+      assert(statuses() === 'pending,failed,pending', `The refused deposit should not count (got ${statuses()})`);
+    });
+
+    await test('Deposits that fail to build don\'t hold the limit', async () => {
+      reset(100);
+      buildError = new Error('RPC unavailable');
+      const [outcome] = await Promise.allSettled([record(60)]);
+      assert(outcome.status === 'rejected' && outcome.reason === buildError, 'Should pass the build error on');
+      assert(database.tables.transfers[0].error === 'RPC unavailable', 'Should record why it failed');
+
+      buildError = null;
+      await record(100);
+      assert(statuses() === 'failed,pending', `Should build the next deposit (got ${statuses()})`);
+    });
+
+    await test('Withdrawals aren\'t held to the deposit limit', async () => {
+      reset(10);
+      const { transfer } = await record(500, 'withdraw');
+      assert(transfer.status === 'pending', 'Should build the withdrawal');
+    });
+  } finally {
+    supabase.from = originalFrom;
+    tradingControls.getControls = originalGetControls;
+    priorityFees.buildTransaction = originalBuild;
+    transactionTracker.recordBuilt = originalRecordBuilt;
+  }
+
+  return summary('🏦 Transfer Tests');
+}
+
+if (require.main === module) {
+  runTransferTests();
+}
+
+module.exports = { runTransferTests };